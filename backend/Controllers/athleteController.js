@@ -28,6 +28,7 @@ import {
   ensureNationalCategoriesForAthletes,
   getSeasonYear,
 } from "../Services/categoryAssignmentService.js";
+import { isLicenceFeeDue } from "../Services/licenceFeeService.js";
 import { ATHLETE_UPLOAD_ROOT, UPLOADS_ROOT } from "../config/upload.js";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -149,7 +150,8 @@ const ensureDocumentContainer = (athlete) => {
 };
 
 const saveAthleteWithEvaluation = async (athlete) => {
-  const evaluation = applyDocumentStatusToAthlete(athlete);
+  const licenceFeeDue = await isLicenceFeeDue(athlete, getSeasonYear());
+  const evaluation = applyDocumentStatusToAthlete(athlete, { licenceFeeDue });
   athlete.markModified("documents");
   await athlete.save();
   return evaluation;
@@ -1105,6 +1107,18 @@ export const updateAthleteLicenseStatus = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: "Invalid license status" });
   }
 
+  if (normalizedLicenseStatus === "active") {
+    const current = await Athlete.findById(id)
+      .select("birthDate categoryAssignments")
+      .lean();
+    const seasonYear = getSeasonYear();
+    if (current && (await isLicenceFeeDue(current, seasonYear))) {
+      return res.status(400).json({
+        message: `The ${seasonYear} licence fee must be paid before the licence can be activated`,
+      });
+    }
+  }
+
   const athlete = await Athlete.findByIdAndUpdate(
     id,
     { licenseStatus: normalizedLicenseStatus },
@@ -2093,9 +2107,11 @@ export const bulkUpdateAthleteStatus = asyncHandler(async (req, res) => {
       // We are setting athlete.status = "active", which is valid.
 
       // Let's construct the update object for updateOne.
+      // Unpaid licences wait for their fee when the tariff requires it
+      const licenceFeeDue = await isLicenceFeeDue(athlete, targetSeason);
       const updateFields = {
         status: "active",
-        licenseStatus: "active",
+        licenseStatus: licenceFeeDue ? "pending" : "active",
         documentsStatus: "active",
       };
 
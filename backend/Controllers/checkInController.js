@@ -0,0 +1,287 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Competition from "../Models/competitionModel.js";
+import CompetitionEntry from "../Models/competitionEntryModel.js";
+import CompetitionRace from "../Models/competitionRaceModel.js";
+import Athlete from "../Models/athleteModel.js";
+import CompetitionCheckIn from "../Models/competitionCheckInModel.js";
+import { evaluateDocumentStatuses } from "../Services/documentStatusService.js";
+import { isLicenceValid } from "../Services/licenceCardService.js";
+import { evaluateRaceCheckIns } from "../Services/checkInService.js";
+import { findLaneEntry } from "../Services/bowNumberService.js";
+
+const ATHLETE_FIELDS =
+  "firstName lastName firstNameAr lastNameAr licenseNumber gender";
+
+const checkInPopulateConfig = [
+  { path: "athlete", select: ATHLETE_FIELDS },
+  {
+    path: "entry",
+    select: "club crew athlete bowNumber crewNumber category boatClass",
+    populate: [
+      { path: "club", select: "name code" },
+      { path: "crew", select: ATHLETE_FIELDS },
+      { path: "athlete", select: ATHLETE_FIELDS },
+      { path: "category", select: "abbreviation" },
+      { path: "boatClass", select: "code" },
+    ],
+  },
+  { path: "race", select: "name raceNumber journeyIndex" },
+  { path: "checkedBy", select: "firstName lastName role" },
+];
+
+// Roles allowed to check in an athlete whose licence is not valid
+const OVERRIDE_ROLES = ["admin", "jury_president"];
+
+const ensureObjectId = (value) => {
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    return new mongoose.Types.ObjectId(value);
+  }
+  return null;
+};
+
+const normaliseString = (value) =>
+  typeof value === "string" ? value.trim() : undefined;
+
+const loadCompetitionOrRespond = async (req, res) => {
+  const competitionId = ensureObjectId(req.params.competitionId);
+  if (!competitionId) {
+    res.status(400).json({ message: "Invalid competition identifier" });
+    return null;
+  }
+
+  const competition = await Competition.findById(competitionId)
+    .select("code names season startDate")
+    .lean();
+  if (!competition) {
+    res.status(404).json({ message: "Competition not found" });
+    return null;
+  }
+  return competition;
+};
+
+// Entries of the competition the athlete rows or coxes in
+const findAthleteEntries = (competitionId, athleteId) =>
+  CompetitionEntry.find({
+    competition: competitionId,
+    status: { $in: ["pending", "approved"] },
+    $or: [{ athlete: athleteId }, { crew: athleteId }, { coxswain: athleteId }],
+  })
+    .select("status bowNumber crewNumber category boatClass club")
+    .populate("category", "abbreviation titles")
+    .populate("boatClass", "code")
+    .populate("club", "name code")
+    .lean();
+
+export const listCheckIns = asyncHandler(async (req, res) => {
+  const competition = await loadCompetitionOrRespond(req, res);
+  if (!competition) {
+    return;
+  }
+
+  const checkIns = await CompetitionCheckIn.find({
+    competition: competition._id,
+  })
+    .sort({ checkedAt: -1 })
+    .populate(checkInPopulateConfig)
+    .lean();
+
+  res.json(checkIns);
+});
+
+// Check-in and entries of one athlete, shown after a licence lookup
+export const getAthleteCheckIn = asyncHandler(async (req, res) => {
+  const competition = await loadCompetitionOrRespond(req, res);
+  if (!competition) {
+    return;
+  }
+
+  const athleteId = ensureObjectId(req.params.athleteId);
+  if (!athleteId) {
+    return res.status(400).json({ message: "Invalid athlete identifier" });
+  }
+
+  const [checkIn, entries] = await Promise.all([
+    CompetitionCheckIn.findOne({
+      competition: competition._id,
+      athlete: athleteId,
+    })
+      .populate(checkInPopulateConfig)
+      .lean(),
+    findAthleteEntries(competition._id, athleteId),
+  ]);
+
+  res.json({ checkIn, entries });
+});
+
+// Marks an athlete as checked in after the licence check
+export const checkInAthlete = asyncHandler(async (req, res) => {
+  const competition = await loadCompetitionOrRespond(req, res);
+  if (!competition) {
+    return;
+  }
+
+  const athleteId = ensureObjectId(req.body?.athlete);
+  if (!athleteId) {
+    return res.status(400).json({ message: "Athlete is required" });
+  }
+
+  const athlete = await Athlete.findById(athleteId)
+    .select("licenseNumber birthDate licenseStatus documents memberships")
+    .lean();
+  if (!athlete) {
+    return res.status(404).json({ message: "Athlete not found" });
+  }
+
+  const entries = await findAthleteEntries(competition._id, athleteId);
+  if (!entries.length) {
+    return res
+      .status(400)
+      .json({ message: "Athlete has no entry in this competition" });
+  }
+
+  const licenceValid = isLicenceValid(athlete, competition.season);
+  const override = !licenceValid && req.body?.override === true;
+  if (!licenceValid && !override) {
+    return res.status(409).json({
+      message: "Licence is not valid for this season; check-in refused",
+    });
+  }
+  if (override && !OVERRIDE_ROLES.includes(req.user?.role)) {
+    return res.status(403).json({
+      message:
+        "Only an admin or jury president can check in an invalid licence",
+    });
+  }
+
+  const checkIn = await CompetitionCheckIn.findOneAndUpdate(
+    { competition: competition._id, athlete: athleteId },
+    {
+      $set: {
+        checkedAt: new Date(),
+        checkedBy: req.user?.id,
+        licenseStatus: athlete.licenseStatus,
+        documentsStatus: evaluateDocumentStatuses(athlete).status,
+        medicalExpiresAt: athlete.documents?.medicalCertificate?.expiresAt,
+        licenceValid,
+        override,
+        idCheckOk: req.body?.idCheckOk === true,
+        notes: normaliseString(req.body?.notes),
+      },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  )
+    .populate(checkInPopulateConfig)
+    .lean();
+
+  res.status(201).json(checkIn);
+});
+
+// Crew presented with its boat before a race
+export const checkInCrew = asyncHandler(async (req, res) => {
+  const competition = await loadCompetitionOrRespond(req, res);
+  if (!competition) {
+    return;
+  }
+
+  const raceId = ensureObjectId(req.params.raceId);
+  const race = raceId
+    ? await CompetitionRace.findOne({
+        _id: raceId,
+        competition: competition._id,
+      })
+        .select("lanes status")
+        .lean()
+    : null;
+  if (!race) {
+    return res.status(404).json({ message: "Race not found" });
+  }
+  if (race.status !== "scheduled") {
+    return res
+      .status(409)
+      .json({ message: "Crews are checked in before the race starts" });
+  }
+
+  const entryId = ensureObjectId(req.params.entryId);
+  const entry = entryId
+    ? await CompetitionEntry.findOne({
+        _id: entryId,
+        competition: competition._id,
+        status: { $in: ["pending", "approved"] },
+      })
+        .select("club athlete crew bowNumber crewNumber")
+        .lean()
+    : null;
+  if (!entry) {
+    return res.status(404).json({ message: "Entry not found" });
+  }
+  if (!race.lanes.some((lane) => findLaneEntry([entry], lane))) {
+    return res.status(400).json({ message: "This crew is not in the race" });
+  }
+
+  const checkIn = await CompetitionCheckIn.findOneAndUpdate(
+    { competition: competition._id, race: race._id, entry: entry._id },
+    {
+      $set: {
+        checkedAt: new Date(),
+        checkedBy: req.user?.id,
+        idCheckOk: req.body?.idCheckOk === true,
+        boatCheckOk: req.body?.boatCheckOk === true,
+        notes: normaliseString(req.body?.notes),
+      },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  )
+    .populate(checkInPopulateConfig)
+    .lean();
+
+  res.status(201).json(checkIn);
+});
+
+// Check-in state of each lane of a race
+export const getRaceCheckIns = asyncHandler(async (req, res) => {
+  const competition = await loadCompetitionOrRespond(req, res);
+  if (!competition) {
+    return;
+  }
+
+  const raceId = ensureObjectId(req.params.raceId);
+  const race = raceId
+    ? await CompetitionRace.findOne({
+        _id: raceId,
+        competition: competition._id,
+      })
+        .select("competition category boatClass lanes status")
+        .lean()
+    : null;
+  if (!race) {
+    return res.status(404).json({ message: "Race not found" });
+  }
+
+  res.json({
+    raceId: race._id,
+    status: race.status,
+    lanes: await evaluateRaceCheckIns(race),
+  });
+});
+
+export const deleteCheckIn = asyncHandler(async (req, res) => {
+  const competition = await loadCompetitionOrRespond(req, res);
+  if (!competition) {
+    return;
+  }
+
+  const checkInId = ensureObjectId(req.params.checkInId);
+  const checkIn = checkInId
+    ? await CompetitionCheckIn.findOneAndDelete({
+        _id: checkInId,
+        competition: competition._id,
+      }).lean()
+    : null;
+
+  if (!checkIn) {
+    return res.status(404).json({ message: "Check-in not found" });
+  }
+
+  res.json({ success: true });
+});
@@ -7,6 +7,10 @@ import Athlete from "../Models/athleteModel.js";
 import TransferRequest from "../Models/transferRequestModel.js";
 import AthleteDeletionRequest from "../Models/athleteDeletionRequestModel.js";
 import { sendClubInvitationEmail } from "../Services/emailService.js";
+import {
+  getLicenceFeeDueIds,
+  isLicenceFeeDue,
+} from "../Services/licenceFeeService.js";
 import {
   ensureNationalCategoriesForAthletes,
   getSeasonYear,
@@ -849,10 +853,14 @@ export const getClubDetailsWithAthletes = asyncHandler(async (req, res) => {
     eligible: 0,
   };
 
+  const licenceFeeDueIds = await getLicenceFeeDueIds(athletesRaw, seasonYear);
+
   athletesRaw.forEach((athlete) => {
     // Re-evaluate document status to check for expired documents (e.g. medical certificate)
     // This ensures licenseStatus reflects the current validity, not just the stored value
-    applyDocumentStatusToAthlete(athlete);
+    applyDocumentStatusToAthlete(athlete, {
+      licenceFeeDue: licenceFeeDueIds.has(athlete._id.toString()),
+    });
 
     const membership = normalizeClubMembership(athlete, id, seasonYear);
     const status = membership?.status || "inactive";
@@ -1047,7 +1055,9 @@ export const updateClubAthleteStatus = asyncHandler(async (req, res) => {
     .populate("memberships.club", "name code");
 
   // Re-evaluate status to ensure it's fresh
-  const evaluation = applyDocumentStatusToAthlete(updatedAthlete);
+  const evaluation = applyDocumentStatusToAthlete(updatedAthlete, {
+    licenceFeeDue: await isLicenceFeeDue(updatedAthlete, seasonYear),
+  });
   
   // Use surgical update instead of .save() to bypass validation on missing legacy fields
   await Athlete.updateOne(
@@ -1,13 +1,25 @@
 import asyncHandler from "express-async-handler";
 import mongoose from "mongoose";
 import Competition, {
+  BOW_NUMBERING_METHODS,
   COMPETITION_DISCIPLINES,
   COMPETITION_STATUSES,
   COMPETITION_TYPES,
+  LANE_DRAW_METHODS,
   REGISTRATION_STATUSES,
   RESULTS_STATUSES,
   STAGE_TYPES,
 } from "../Models/competitionModel.js";
+import { subscribe } from "../Services/liveFeedService.js";
+import {
+  getScheduledRegistrationStatus,
+  resolveRegistrationStatus,
+} from "../Services/registrationWindowService.js";
+import {
+  generateCompetitionInvoices,
+  hasEntryFees,
+} from "../Services/invoiceService.js";
+import { allocateBowNumbers } from "../Services/bowNumberService.js";
 
 const parseDate = (value) => {
   if (!value) {
@@ -82,6 +94,91 @@ const sanitiseCategoryDistances = (items = []) => {
     .filter(Boolean);
 };
 
+const sanitiseEntryFees = (fees = {}) => {
+  const parseFee = (value, label) => {
+    const amount = parseNumber(value, 0);
+    if (amount < 0) {
+      throw new Error(`${label} must be zero or greater`);
+    }
+    return amount;
+  };
+
+  const categoryFees = (
+    Array.isArray(fees.categoryFees) ? fees.categoryFees : []
+  )
+    .map((item) => {
+      if (!mongoose.Types.ObjectId.isValid(item?.category)) {
+        return null;
+      }
+      const amount = parseNumber(item.amount, undefined);
+      if (amount === undefined) {
+        return null;
+      }
+      if (amount < 0) {
+        throw new Error("Category fees must be zero or greater");
+      }
+      return {
+        category: new mongoose.Types.ObjectId(item.category),
+        amount,
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    currency:
+      typeof fees.currency === "string" && fees.currency.trim()
+        ? fees.currency.trim().toUpperCase()
+        : "TND",
+    perBoat: parseFee(fees.perBoat, "Per-boat fee"),
+    perSeat: parseFee(fees.perSeat, "Per-seat fee"),
+    lateSurcharge: parseFee(fees.lateSurcharge, "Late-entry surcharge"),
+    categoryFees,
+  };
+};
+
+const QUOTA_CLUB_TYPES = [
+  "club",
+  "country",
+  "centre_de_promotion",
+  "ecole_federale",
+];
+
+const sanitiseEntryQuotas = (quotas = []) => {
+  if (!Array.isArray(quotas)) {
+    return [];
+  }
+  const toOptionalId = (value, label) => {
+    if (!value) {
+      return undefined;
+    }
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new Error(`Quota ${label} is invalid`);
+    }
+    return new mongoose.Types.ObjectId(value);
+  };
+
+  return quotas
+    .map((quota) => {
+      const maxBoats = parseNumber(quota?.maxBoats, undefined);
+      if (maxBoats === undefined) {
+        return null;
+      }
+      if (!Number.isInteger(maxBoats) || maxBoats < 0) {
+        throw new Error("Quota boat limits must be whole numbers");
+      }
+      if (quota.clubType && !QUOTA_CLUB_TYPES.includes(quota.clubType)) {
+        throw new Error("Unsupported quota club type");
+      }
+      return {
+        category: toOptionalId(quota.category, "category"),
+        boatClass: toOptionalId(quota.boatClass, "boat class"),
+        clubType: quota.clubType || undefined,
+        maxBoats,
+      };
+    })
+    .filter(Boolean);
+};
+
 const sanitiseStages = (stages = []) => {
   if (!Array.isArray(stages)) {
     return [];
@@ -163,10 +260,23 @@ const buildCompetitionPayload = (body, userId, options = {}) => {
     venue,
     organizer,
     registrationWindow,
+    lateEntries,
     allowUpCategory,
     allowedCategories,
     allowedBoatClasses,
     defaultDistance,
+    protestWindowMinutes,
+    minRestMinutes,
+    maxSubstitutions,
+    substitutionDeadlineMinutes,
+    entryFees,
+    entryQuotas,
+    minEntriesPerEvent,
+    bowNumbering,
+    laneDraw,
+    blockUnpaidClubs,
+    coxWeighIn,
+    splitInterval,
     categoryDistances,
     stages,
     notes,
@@ -292,6 +402,23 @@ const buildCompetitionPayload = (body, userId, options = {}) => {
     payload.registrationWindow = {
       openAt,
       closeAt,
+      reopenedAt: existingCompetition?.registrationWindow?.reopenedAt,
+    };
+  }
+
+  if (lateEntries !== undefined) {
+    const lateCloseAt = parseDate(lateEntries?.closeAt);
+    const windowCloseAt =
+      payload.registrationWindow?.closeAt ??
+      existingCompetition?.registrationWindow?.closeAt;
+    if (lateCloseAt && windowCloseAt && lateCloseAt <= windowCloseAt) {
+      throw new Error(
+        "Late entries must close after the registration window closes",
+      );
+    }
+    payload.lateEntries = {
+      enabled: Boolean(lateEntries?.enabled),
+      closeAt: lateCloseAt,
     };
   }
 
@@ -315,6 +442,95 @@ const buildCompetitionPayload = (body, userId, options = {}) => {
     payload.defaultDistance = distance === null ? undefined : distance;
   }
 
+  if (protestWindowMinutes !== undefined) {
+    const minutes = parseNumber(protestWindowMinutes, null);
+    if (minutes !== null && minutes < 0) {
+      throw new Error("Protest window must be zero or greater");
+    }
+    payload.protestWindowMinutes = minutes === null ? undefined : minutes;
+  }
+
+  if (minRestMinutes !== undefined) {
+    const minutes = parseNumber(minRestMinutes, null);
+    if (minutes !== null && minutes < 0) {
+      throw new Error("Minimum rest time must be zero or greater");
+    }
+    payload.minRestMinutes = minutes === null ? undefined : minutes;
+  }
+
+  if (maxSubstitutions !== undefined) {
+    const count = parseNumber(maxSubstitutions, null);
+    if (count !== null && (!Number.isInteger(count) || count < 0)) {
+      throw new Error("Maximum substitutions must be a whole number");
+    }
+    payload.maxSubstitutions = count === null ? undefined : count;
+  }
+
+  if (substitutionDeadlineMinutes !== undefined) {
+    const minutes = parseNumber(substitutionDeadlineMinutes, null);
+    if (minutes !== null && minutes < 0) {
+      throw new Error("Substitution deadline must be zero or greater");
+    }
+    payload.substitutionDeadlineMinutes =
+      minutes === null ? undefined : minutes;
+  }
+
+  if (entryFees !== undefined) {
+    payload.entryFees = sanitiseEntryFees(entryFees || {});
+  }
+
+  if (entryQuotas !== undefined) {
+    payload.entryQuotas = sanitiseEntryQuotas(entryQuotas);
+  }
+
+  if (minEntriesPerEvent !== undefined) {
+    const count = parseNumber(minEntriesPerEvent, 0);
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error("Minimum entries per event must be a whole number");
+    }
+    payload.minEntriesPerEvent = count;
+  }
+
+  if (bowNumbering !== undefined) {
+    const method = bowNumbering?.method || "event";
+    if (!BOW_NUMBERING_METHODS.includes(method)) {
+      throw new Error("Unsupported bow numbering method");
+    }
+    const startAt = parseNumber(bowNumbering?.startAt, 1);
+    if (!Number.isInteger(startAt) || startAt < 1) {
+      throw new Error("Bow numbers must start at a whole number from 1");
+    }
+    payload.bowNumbering = {
+      method,
+      startAt,
+      assignedAt: existingCompetition?.bowNumbering?.assignedAt,
+    };
+  }
+
+  if (laneDraw !== undefined) {
+    const method = laneDraw?.method || undefined;
+    if (method && !LANE_DRAW_METHODS.includes(method)) {
+      throw new Error("Unsupported lane draw method");
+    }
+    payload.laneDraw = { method };
+  }
+
+  if (blockUnpaidClubs !== undefined) {
+    payload.blockUnpaidClubs = Boolean(blockUnpaidClubs);
+  }
+
+  if (coxWeighIn !== undefined) {
+    payload.coxWeighIn = Boolean(coxWeighIn);
+  }
+
+  if (splitInterval !== undefined) {
+    const interval = parseNumber(splitInterval, null);
+    if (interval !== null && interval < 0) {
+      throw new Error("Split interval must be zero or greater");
+    }
+    payload.splitInterval = interval || undefined;
+  }
+
   if (categoryDistances !== undefined) {
     payload.categoryDistances = sanitiseCategoryDistances(categoryDistances);
   }
@@ -393,6 +609,57 @@ const applyStatusUpdates = (competition, updates = {}) => {
   }
 };
 
+// Statuses an admin may set by hand after the window has moved past them
+const REOPEN_STATUSES = ["open", "late"];
+
+// The registration window moves the status forward; a status changed by
+// hand may run ahead of the window but not behind it, except reopening
+// (open or late) once the window has closed, which holds until a new close
+// date is set
+const syncRegistrationStatus = (
+  competition,
+  requestedStatus,
+  previousStatus,
+) => {
+  const changed =
+    requestedStatus !== undefined && requestedStatus !== previousStatus;
+  const scheduled = getScheduledRegistrationStatus(competition);
+  if (
+    changed &&
+    REOPEN_STATUSES.includes(requestedStatus) &&
+    REGISTRATION_STATUSES.indexOf(requestedStatus) <
+      REGISTRATION_STATUSES.indexOf(scheduled)
+  ) {
+    competition.set("registrationWindow.reopenedAt", new Date());
+    competition.registrationStatus = requestedStatus;
+    return;
+  }
+
+  const status = resolveRegistrationStatus(competition);
+  if (changed && status !== requestedStatus) {
+    throw new Error(
+      `Registration is ${status.replace("_", " ")} according to its window; change the window dates first`,
+    );
+  }
+  competition.registrationStatus = status;
+};
+
+// Bill the clubs and number the boats once registration is closed
+const handleRegistrationClose = async (competition, previousStatus) => {
+  if (
+    competition.registrationStatus !== "closed" ||
+    previousStatus === "closed"
+  ) {
+    return;
+  }
+  if (!competition.invoicesGeneratedAt && hasEntryFees(competition)) {
+    await generateCompetitionInvoices(competition);
+  }
+  if (!competition.bowNumbering?.assignedAt) {
+    await allocateBowNumbers(competition);
+  }
+};
+
 export const listCompetitions = asyncHandler(async (req, res) => {
   const {
     discipline,
@@ -472,10 +739,28 @@ export const getCompetitionById = asyncHandler(async (req, res) => {
   res.json(competition);
 });
 
+// Server-Sent Events stream of race status, lane and results changes
+export const streamCompetitionFeed = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: "Invalid competition identifier" });
+  }
+
+  const exists = await Competition.exists({ _id: id });
+  if (!exists) {
+    return res.status(404).json({ message: "Competition not found" });
+  }
+
+  const unsubscribe = subscribe(id, res);
+  req.on("close", unsubscribe);
+});
+
 export const createCompetition = asyncHandler(async (req, res) => {
   try {
     const payload = buildCompetitionPayload(req.body, req.user?.id);
-    const competition = await Competition.create(payload);
+    const competition = new Competition(payload);
+    syncRegistrationStatus(competition, payload.registrationStatus);
+    await competition.save();
     res.status(201).json({
       message: "Competition created successfully",
       competition,
@@ -505,8 +790,15 @@ export const updateCompetition = asyncHandler(async (req, res) => {
       existingCompetition: competition,
     });
 
+    const previousRegistrationStatus = competition.registrationStatus;
     Object.assign(competition, payload);
+    syncRegistrationStatus(
+      competition,
+      payload.registrationStatus,
+      previousRegistrationStatus,
+    );
     await competition.save();
+    await handleRegistrationClose(competition, previousRegistrationStatus);
 
     res.json({
       message: "Competition updated successfully",
@@ -532,9 +824,16 @@ export const updateCompetitionStatus = asyncHandler(async (req, res) => {
   }
 
   try {
+    const previousRegistrationStatus = competition.registrationStatus;
     applyStatusUpdates(competition, req.body || {});
+    syncRegistrationStatus(
+      competition,
+      req.body?.registrationStatus,
+      previousRegistrationStatus,
+    );
     competition.updatedBy = req.user?.id || competition.updatedBy;
     await competition.save();
+    await handleRegistrationClose(competition, previousRegistrationStatus);
 
     res.json({
       message: "Competition status updated",
@@ -9,22 +9,56 @@ import Category from "../Models/categoryModel.js";
 import BoatClass from "../Models/boatClassModel.js";
 import Athlete from "../Models/athleteModel.js";
 import CompetitionEntry from "../Models/competitionEntryModel.js";
-
-// Lane limits per discipline
-// Classic: 8 lanes (standard water lanes)
-// Coastal: 20 lanes (larger fields in coastal rowing)
-// Beach: 100 lanes (time trials can have many athletes running 1-2 at a time)
-// Indoor: 100 lanes (ergometer competitions can have many participants)
-const LANE_LIMITS = {
-  classic: 8,
-  coastal: 20,
-  beach: 100,
-  indoor: 100,
-};
-
-const getMaxLanesForDiscipline = (discipline) => {
-  return LANE_LIMITS[discipline] || 8;
-};
+import Protest, { OPEN_PROTEST_STATUSES } from "../Models/protestModel.js";
+import {
+  advanceProgression,
+  distributeIntoHeats,
+  formatRoundLabel,
+  PROGRESSION_LANES,
+  selectProgressionTable,
+} from "../Services/progressionService.js";
+import {
+  drawLanes,
+  getMaxLanesForDiscipline,
+  rankLanesForDraw,
+} from "../Services/laneDrawService.js";
+import {
+  buildEligibilityOverride,
+  canOverrideEligibility,
+  checkLaneEligibility,
+} from "../Services/raceEligibilityService.js";
+import { publish, publishRaceUpdate } from "../Services/liveFeedService.js";
+import {
+  evaluateRaceWeighIns,
+  getBlockedLanes,
+} from "../Services/weighInService.js";
+import {
+  DEFAULT_MIN_REST_MINUTES,
+  detectRestConflicts,
+  isReschedulable,
+  layoutSchedule,
+} from "../Services/scheduleService.js";
+import {
+  buildResultsPreview,
+  matchTimingRows,
+  parseTimingFile,
+  toResultsPayload,
+} from "../Services/timingImportService.js";
+import {
+  computeAdjustedMs,
+  getFinalTimeMs,
+  getPenaltyMs,
+  mergeLaneResult,
+  rerankByTime,
+  sanitisePenalties,
+  sanitiseSplits,
+} from "../Services/raceResultService.js";
+import { assignLaneBowNumbers } from "../Services/bowNumberService.js";
+import {
+  UNCHECKED_LANE_STATUSES,
+  evaluateRaceCheckIns,
+  markUncheckedLanes,
+} from "../Services/checkInService.js";
 
 const MAX_LANES = 8; // Default for backward compatibility
 
@@ -164,6 +198,14 @@ const sanitiseLanes = (lanes = [], discipline = "classic") => {
         .filter((id) => id !== null);
     }
 
+    const coxswainId = toObjectId(laneCandidate.coxswain);
+    if (coxswainId) {
+      if (!lane.crew?.some((member) => member.equals(coxswainId))) {
+        throw new Error(`Lane ${laneNumber}: the coxswain must be in the crew`);
+      }
+      lane.coxswain = coxswainId;
+    }
+
     const clubId = toObjectId(
       laneCandidate.club || laneCandidate.clubId || laneCandidate.club_id,
     );
@@ -201,6 +243,16 @@ const sanitiseLanes = (lanes = [], discipline = "classic") => {
           result.elapsedMs = elapsedMs;
         }
       }
+      if (Array.isArray(resultPayload.splits)) {
+        result.splits = sanitiseSplits(resultPayload.splits);
+      }
+      if (Array.isArray(resultPayload.penalties)) {
+        result.penalties = sanitisePenalties(resultPayload.penalties);
+      }
+      // Lanes are written with findOneAndUpdate, which skips the model hook
+      if (result.elapsedMs !== undefined) {
+        result.adjustedMs = computeAdjustedMs(result);
+      }
       if (resultPayload.notes) {
         result.notes = resultPayload.notes.toString().trim();
       }
@@ -305,6 +357,98 @@ const chunkArray = (items, size) => {
 
 const ORDERABLE_STRATEGIES = ["random", "seeded"];
 
+const OFFICIAL_RESULTS_LOCKED_MESSAGE =
+  "Results are official. Reopen the race with a reason before editing.";
+
+/**
+ * Eligibility errors block a lane write (409) unless an admin or jury
+ * president sends overrideEligibility with an overrideReason.
+ *
+ * @returns {object|null} { reason } or null once responded
+ */
+const resolveEligibilityOverride = (req, res, report) => {
+  const { overrideEligibility, overrideReason } = req.body || {};
+  if (overrideEligibility !== true && overrideEligibility !== "true") {
+    res.status(409).json({
+      message: "Some athletes are not eligible for this race",
+      eligibility: report,
+    });
+    return null;
+  }
+  if (!canOverrideEligibility(req.user)) {
+    res.status(403).json({
+      message:
+        "Only an admin or jury president can override eligibility errors",
+      eligibility: report,
+    });
+    return null;
+  }
+  const reason = normaliseString(overrideReason);
+  if (!reason) {
+    res.status(400).json({
+      message: "A reason is required to override eligibility errors",
+      eligibility: report,
+    });
+    return null;
+  }
+
+  return { reason };
+};
+
+/**
+ * Run the lane eligibility checks for a lane write
+ *
+ * @returns {Promise<object|null>} { report, override } where override is the
+ *   record to store on the race, or null once responded
+ */
+const enforceLaneEligibility = async (req, res, competition, context) => {
+  const report = await checkLaneEligibility({ competition, ...context });
+  if (!report.errors.length) {
+    return { report, override: null };
+  }
+
+  const accepted = resolveEligibilityOverride(req, res, report);
+  if (!accepted) {
+    return null;
+  }
+
+  return {
+    report,
+    override: buildEligibilityOverride(
+      report.errors,
+      req.user?.id,
+      accepted.reason,
+    ),
+  };
+};
+
+const collectLaneAthleteIds = (lanes) =>
+  new Set(
+    lanes.flatMap((lane) =>
+      [lane.athlete, ...(lane.crew || [])]
+        .filter(Boolean)
+        .map((id) => id.toString()),
+    ),
+  );
+
+// Eligibility issues that concern the athletes of the given lanes
+const filterIssuesForLanes = (issues, lanes) => {
+  const athleteIds = collectLaneAthleteIds(lanes);
+  return issues.filter((issue) => athleteIds.has(issue.athleteId));
+};
+
+// Override records for one race, keeping only the issues of its athletes
+const scopeOverrideToLanes = (override, lanes) => {
+  if (!override) {
+    return [];
+  }
+  const athleteIds = collectLaneAthleteIds(lanes);
+  const issues = override.issues.filter((issue) =>
+    athleteIds.has(issue.athlete?.toString()),
+  );
+  return issues.length ? [{ ...override, issues }] : [];
+};
+
 const resolveEntriesForAutoGeneration = async (entries, competition) => {
   const competitionSeason = competition.season;
   if (!Array.isArray(entries) || !entries.length) {
@@ -390,10 +534,11 @@ const resolveEntriesForAutoGeneration = async (entries, competition) => {
       { crew: { $in: allInvolvedIds } },
     ],
   })
-    .select("athlete crew crewNumber")
+    .select("athlete crew coxswain crewNumber")
     .lean();
 
   const crewNumberMap = new Map();
+  const coxswainMap = new Map();
   for (const ce of compEntries) {
     if (ce.athlete) crewNumberMap.set(ce.athlete.toString(), ce.crewNumber);
     if (Array.isArray(ce.crew)) {
@@ -401,6 +546,9 @@ const resolveEntriesForAutoGeneration = async (entries, competition) => {
         crewNumberMap.set(mid.toString(), ce.crewNumber),
       );
     }
+    if (ce.coxswain && ce.crew?.length) {
+      coxswainMap.set(ce.crew[0].toString(), ce.coxswain);
+    }
   }
 
   const athleteById = new Map();
@@ -451,10 +599,19 @@ const resolveEntriesForAutoGeneration = async (entries, competition) => {
     );
 
     const crewNumber = crewNumberMap.get(representative._id.toString());
+    // The entry (found by its bow) carries the cox; keep it if it is in
+    // this crew
+    const entryCoxswain = crewDocs.length
+      ? coxswainMap.get(crewDocs[0]._id.toString())
+      : null;
+    const coxswain = crewDocs.some((doc) => doc._id.equals(entryCoxswain))
+      ? entryCoxswain
+      : undefined;
 
     return {
       athlete: athleteDoc,
       crew: crewDocs,
+      coxswain,
       clubId,
       seed: entry.seed,
       notes: entry.notes,
@@ -485,6 +642,7 @@ export const autoGenerateRaces = asyncHandler(async (req, res) => {
     startRaceNumber,
     startTime,
     intervalMinutes = 0,
+    progression = false,
   } = req.body || {};
 
   const categoryId = toObjectId(category);
@@ -550,7 +708,58 @@ export const autoGenerateRaces = asyncHandler(async (req, res) => {
     orderedEntries = [...resolvedEntries].sort((a, b) => a.seed - b.seed);
   }
 
-  const entryChunks = chunkArray(orderedEntries, seatsPerRace);
+  // Each batch is the list of entries placed in one race. Progression events
+  // also create the empty later rounds, filled in as results come in.
+  let raceBatches;
+  if (progression) {
+    if (competition.discipline && competition.discipline !== "classic") {
+      return res.status(400).json({
+        message: "Standard progression is only available for classic events",
+      });
+    }
+    const table = selectProgressionTable(orderedEntries.length);
+    if (!table) {
+      return res.status(400).json({
+        message: `No standard progression table for ${orderedEntries.length} entries`,
+      });
+    }
+
+    const [firstRound] = table.rounds;
+    const heats = distributeIntoHeats(orderedEntries, firstRound.races);
+    raceBatches = table.rounds.flatMap(({ round, races }) =>
+      Array.from({ length: races }, (_, raceIndex) => ({
+        entries: round === firstRound.round ? heats[raceIndex] : [],
+        label: formatRoundLabel(round, raceIndex + 1, races),
+        scheduled: round === firstRound.round,
+        progression: {
+          system: table.code,
+          round,
+          raceNumber: raceIndex + 1,
+        },
+      })),
+    );
+  } else {
+    raceBatches = chunkArray(orderedEntries, seatsPerRace).map(
+      (chunk, index) => ({
+        entries: chunk,
+        label: `${index + 1}`, // Keep name as "Heat 1", "Heat 2" etc. relative to this batch
+        scheduled: true,
+      }),
+    );
+  }
+
+  const eligibility = await enforceLaneEligibility(req, res, competition, {
+    category: categoryId,
+    boatClass: boatClassId,
+    lanes: resolvedEntries.map((entry) => ({
+      athlete: entry.athlete?._id,
+      crew: entry.crew.map((member) => member._id),
+      coxswain: entry.coxswain,
+    })),
+  });
+  if (!eligibility) {
+    return;
+  }
 
   const filter = {
     competition: competition._id,
@@ -626,9 +835,8 @@ export const autoGenerateRaces = asyncHandler(async (req, res) => {
     categoryDoc?.titles?.en ||
     "Race";
 
-  const racesToInsert = entryChunks.map((chunk, index) => {
-    const lanes = chunk.map((entry, laneIndex) => ({
-      lane: laneIndex + 1,
+  const racesToInsert = raceBatches.map((batch, index) => {
+    const rankedLanes = batch.entries.map((entry) => ({
       // Only set athlete if it's NOT a crew boat (or crew is empty)
       // This prevents the frontend from prioritizing the single athlete display over the crew display
       athlete:
@@ -636,16 +844,23 @@ export const autoGenerateRaces = asyncHandler(async (req, res) => {
           ? undefined
           : entry.athlete?._id,
       crew: Array.isArray(entry.crew) ? entry.crew.map((c) => c._id) : [],
+      coxswain: entry.coxswain,
       club: entry.clubId || undefined,
       seed: entry.seed,
       notes: entry.notes,
       crewNumber: entry.crewNumber,
     }));
+    // Entries are already in allocation order (shuffled or by seed)
+    const lanes = drawLanes(rankedLanes, {
+      discipline: competition.discipline,
+      laneDraw: competition.laneDraw,
+      courseLanes: progression ? PROGRESSION_LANES : seatsPerRace,
+    });
 
     const currentOrder = nextOrder + index;
 
     let currentStartTime = undefined;
-    if (nextStartTime && !isNaN(nextStartTime.getTime())) {
+    if (batch.scheduled && nextStartTime && !isNaN(nextStartTime.getTime())) {
       currentStartTime = new Date(
         nextStartTime.getTime() + index * effectiveInterval * 60000,
       );
@@ -657,19 +872,38 @@ export const autoGenerateRaces = asyncHandler(async (req, res) => {
       boatClass: boatClassId || undefined,
       journeyIndex: journeyValue,
       sessionLabel: normaliseString(sessionLabel),
-      name: `${prefixLabel} ${index + 1}`, // Keep name as "Heat 1", "Heat 2" etc. relative to this batch
+      name: `${prefixLabel} ${batch.label}`,
       order: currentOrder,
       startTime: currentStartTime,
       status: "scheduled",
+      progression: batch.progression,
       lanes,
+      eligibilityOverrides: scopeOverrideToLanes(eligibility.override, lanes),
       createdBy: req.user?.id,
       updatedBy: req.user?.id,
     };
   });
 
+  for (const race of racesToInsert) {
+    await assignLaneBowNumbers(competition._id, race);
+  }
   const inserted = await CompetitionRace.insertMany(racesToInsert);
 
-  return res.status(201).json(inserted.map((race) => race.toObject()));
+  return res.status(201).json(
+    inserted.map((race) => {
+      const plain = race.toObject();
+      return {
+        ...plain,
+        eligibility: {
+          errors: filterIssuesForLanes(eligibility.report.errors, plain.lanes),
+          warnings: filterIssuesForLanes(
+            eligibility.report.warnings,
+            plain.lanes,
+          ),
+        },
+      };
+    }),
+  );
 });
 
 export const listRaces = asyncHandler(async (req, res) => {
@@ -809,13 +1043,29 @@ export const createRace = asyncHandler(async (req, res) => {
     });
   }
 
+  const eligibility = await enforceLaneEligibility(req, res, competition, {
+    category: payload.category,
+    boatClass: payload.boatClass,
+    lanes: payload.lanes || [],
+    startTime: payload.startTime,
+  });
+  if (!eligibility) {
+    return;
+  }
+
   payload.competition = competition._id;
   payload.createdBy = req.user?.id;
   payload.updatedBy = req.user?.id;
+  if (eligibility.override) {
+    payload.eligibilityOverrides = [eligibility.override];
+  }
 
+  await assignLaneBowNumbers(competition._id, payload);
   const race = await CompetitionRace.create(payload);
 
-  return res.status(201).json(race.toObject());
+  return res
+    .status(201)
+    .json({ ...race.toObject(), eligibility: eligibility.report });
 });
 
 export const updateRace = asyncHandler(async (req, res) => {
@@ -828,9 +1078,42 @@ export const updateRace = asyncHandler(async (req, res) => {
   const payload = sanitiseRacePayload(req.body || {}, competition.discipline);
   payload.updatedBy = req.user?.id;
 
+  const update = { $set: payload };
+  let eligibility = null;
+  if (payload.lanes) {
+    const existing = await CompetitionRace.findOne({
+      _id: raceId,
+      competition: competition._id,
+    })
+      .select("category boatClass startTime")
+      .lean();
+    if (!existing) {
+      return res.status(404).json({ message: "Race not found" });
+    }
+
+    eligibility = await enforceLaneEligibility(req, res, competition, {
+      raceId: existing._id,
+      category: payload.category || existing.category,
+      boatClass: payload.boatClass || existing.boatClass,
+      lanes: payload.lanes,
+      startTime: payload.startTime || existing.startTime,
+    });
+    if (!eligibility) {
+      return;
+    }
+    if (eligibility.override) {
+      update.$push = { eligibilityOverrides: eligibility.override };
+    }
+    await assignLaneBowNumbers(competition._id, {
+      category: payload.category || existing.category,
+      boatClass: payload.boatClass || existing.boatClass,
+      lanes: payload.lanes,
+    });
+  }
+
   const race = await CompetitionRace.findOneAndUpdate(
     { _id: raceId, competition: competition._id },
-    { $set: payload },
+    update,
     { new: true },
   ).lean();
 
@@ -838,7 +1121,11 @@ export const updateRace = asyncHandler(async (req, res) => {
     return res.status(404).json({ message: "Race not found" });
   }
 
-  return res.json(race);
+  publishRaceUpdate(race, payload.lanes ? "lanes" : "race-status");
+
+  return res.json(
+    eligibility ? { ...race, eligibility: eligibility.report } : race,
+  );
 });
 
 export const deleteRace = asyncHandler(async (req, res) => {
@@ -869,14 +1156,49 @@ export const updateRaceLanes = asyncHandler(async (req, res) => {
 
   const lanes = sanitiseLanes(req.body?.lanes || [], competition.discipline);
 
+  const existing = await CompetitionRace.findOne({
+    _id: raceId,
+    competition: competition._id,
+  })
+    .select("resultsStatus category boatClass startTime")
+    .lean();
+  if (!existing) {
+    return res.status(404).json({ message: "Race not found" });
+  }
+  if (existing.resultsStatus === "official") {
+    return res.status(409).json({ message: OFFICIAL_RESULTS_LOCKED_MESSAGE });
+  }
+
+  const eligibility = await enforceLaneEligibility(req, res, competition, {
+    raceId: existing._id,
+    category: existing.category,
+    boatClass: existing.boatClass,
+    lanes,
+    startTime: existing.startTime,
+  });
+  if (!eligibility) {
+    return;
+  }
+
+  await assignLaneBowNumbers(competition._id, {
+    category: existing.category,
+    boatClass: existing.boatClass,
+    lanes,
+  });
+
+  const update = {
+    $set: {
+      lanes,
+      updatedBy: req.user?.id,
+    },
+  };
+  if (eligibility.override) {
+    update.$push = { eligibilityOverrides: eligibility.override };
+  }
+
   const race = await CompetitionRace.findOneAndUpdate(
     { _id: raceId, competition: competition._id },
-    {
-      $set: {
-        lanes,
-        updatedBy: req.user?.id,
-      },
-    },
+    update,
     { new: true },
   ).lean();
 
@@ -884,7 +1206,9 @@ export const updateRaceLanes = asyncHandler(async (req, res) => {
     return res.status(404).json({ message: "Race not found" });
   }
 
-  return res.json(race);
+  publishRaceUpdate(race, "lanes");
+
+  return res.json({ ...race, eligibility: eligibility.report });
 });
 
 const pickLaneAssignment = (lane) => {
@@ -892,7 +1216,9 @@ const pickLaneAssignment = (lane) => {
     return {
       athlete: undefined,
       crew: [],
+      coxswain: undefined,
       crewNumber: undefined,
+      bowNumber: undefined,
       club: undefined,
       seed: undefined,
       notes: undefined,
@@ -902,7 +1228,9 @@ const pickLaneAssignment = (lane) => {
   return {
     athlete: lane.athlete || undefined,
     crew: Array.isArray(lane.crew) ? lane.crew : [],
+    coxswain: lane.coxswain || undefined,
     crewNumber: lane.crewNumber || undefined,
+    bowNumber: lane.bowNumber || undefined,
     club: lane.club || undefined,
     seed: lane.seed || undefined,
     notes: lane.notes || undefined,
@@ -916,7 +1244,9 @@ const pickLaneAssignment = (lane) => {
 const assignLaneDetails = (lane, details) => {
   lane.athlete = details.athlete || undefined;
   lane.crew = Array.isArray(details.crew) ? details.crew : [];
+  lane.coxswain = details.coxswain || undefined;
   lane.crewNumber = details.crewNumber || undefined;
+  lane.bowNumber = details.bowNumber || undefined;
   lane.club = details.club || undefined;
   lane.seed = details.seed || undefined;
   lane.notes = details.notes || undefined;
@@ -974,6 +1304,13 @@ export const swapRaceLanes = asyncHandler(async (req, res) => {
     return res.status(404).json({ message: "Target race not found" });
   }
 
+  if (
+    sourceRace.resultsStatus === "official" ||
+    targetRace.resultsStatus === "official"
+  ) {
+    return res.status(409).json({ message: OFFICIAL_RESULTS_LOCKED_MESSAGE });
+  }
+
   const ensureLaneExists = (raceDoc, laneNumber) => {
     let laneDoc = raceDoc.lanes.find((lane) => lane.lane === laneNumber);
     if (!laneDoc) {
@@ -992,6 +1329,57 @@ export const swapRaceLanes = asyncHandler(async (req, res) => {
   assignLaneDetails(sourceLane, targetPayload);
   assignLaneDetails(targetLane, sourcePayload);
 
+  // A swap inside one race keeps the same athletes; across races each moved
+  // crew is checked against the race it joins
+  let eligibility;
+  if (!isSameRace) {
+    const checks = [
+      { raceDoc: sourceRace, lane: sourceLane },
+      { raceDoc: targetRace, lane: targetLane },
+    ];
+    const report = { errors: [], warnings: [] };
+    for (const { raceDoc, lane } of checks) {
+      const raceReport = await checkLaneEligibility({
+        competition,
+        raceId: raceDoc._id,
+        category: raceDoc.category,
+        boatClass: raceDoc.boatClass,
+        lanes: raceDoc.lanes,
+        startTime: raceDoc.startTime,
+      });
+      report.errors.push(
+        ...filterIssuesForLanes(raceReport.errors, [lane]).map((issue) => ({
+          ...issue,
+          raceId: raceDoc._id.toString(),
+        })),
+      );
+      report.warnings.push(
+        ...filterIssuesForLanes(raceReport.warnings, [lane]).map((issue) => ({
+          ...issue,
+          raceId: raceDoc._id.toString(),
+        })),
+      );
+    }
+
+    if (report.errors.length) {
+      const accepted = resolveEligibilityOverride(req, res, report);
+      if (!accepted) {
+        return;
+      }
+      checks.forEach(({ raceDoc }) => {
+        const issues = report.errors.filter(
+          (issue) => issue.raceId === raceDoc._id.toString(),
+        );
+        if (issues.length) {
+          raceDoc.eligibilityOverrides.push(
+            buildEligibilityOverride(issues, req.user?.id, accepted.reason),
+          );
+        }
+      });
+    }
+    eligibility = report;
+  }
+
   sourceRace.markModified("lanes");
   sourceRace.updatedBy = req.user?.id;
   if (!isSameRace) {
@@ -1001,18 +1389,22 @@ export const swapRaceLanes = asyncHandler(async (req, res) => {
 
   if (isSameRace) {
     await sourceRace.save();
+    publishRaceUpdate(sourceRace, "lanes");
     return res.json({ race: sourceRace.toObject() });
   }
 
   await Promise.all([sourceRace.save(), targetRace.save()]);
+  publishRaceUpdate(sourceRace, "lanes");
+  publishRaceUpdate(targetRace, "lanes");
 
   return res.json({
     source: sourceRace.toObject(),
     target: targetRace.toObject(),
+    eligibility,
   });
 });
 
-const sanitiseResultsUpdate = (lanes = []) => {
+const sanitiseResultsUpdate = (lanes = [], userId) => {
   if (!Array.isArray(lanes)) {
     throw new Error("Results payload must be an array");
   }
@@ -1056,6 +1448,14 @@ const sanitiseResultsUpdate = (lanes = []) => {
       update.result.elapsedMs = elapsedMs;
     }
 
+    if (laneResult.splits !== undefined) {
+      update.result.splits = sanitiseSplits(laneResult.splits);
+    }
+
+    if (laneResult.penalties !== undefined) {
+      update.result.penalties = sanitisePenalties(laneResult.penalties, userId);
+    }
+
     if (laneResult.notes) {
       update.result.notes = laneResult.notes.toString().trim();
     }
@@ -1066,6 +1466,146 @@ const sanitiseResultsUpdate = (lanes = []) => {
   return updates;
 };
 
+const appendResultsLog = (race, action, userId, reason) => {
+  race.resultsLog.push({
+    action,
+    at: new Date(),
+    by: userId,
+    reason: reason || undefined,
+  });
+};
+
+// Competition results are official once every scheduled race is signed off
+const syncCompetitionResultsStatus = async (competition) => {
+  const races = await CompetitionRace.find({
+    competition: competition._id,
+    status: { $ne: "cancelled" },
+  })
+    .select("resultsStatus")
+    .lean();
+
+  // Lean reads skip schema defaults: races created before results statuses
+  // existed have none stored and count as pending
+  const statuses = races.map((race) => race.resultsStatus || "pending");
+  const allOfficial =
+    statuses.length > 0 && statuses.every((status) => status === "official");
+  const anyResults = statuses.some((status) => status !== "pending");
+
+  const nextStatus = allOfficial
+    ? "official"
+    : anyResults
+      ? "unofficial"
+      : "pending";
+
+  if (competition.resultsStatus !== nextStatus) {
+    competition.resultsStatus = nextStatus;
+    if (nextStatus === "official") {
+      competition.resultsPublishedAt = new Date();
+    }
+    await competition.save();
+  }
+};
+
+// Merge validated lane results into the race, update its status and save.
+// Shared by manual entry and timing imports so both follow the same rules.
+const applyResultsUpdates = async (race, competition, updates, options) => {
+  const { status, markCompleted, recomputePositions, userId } = options;
+
+  const lanesByNumber = new Map();
+  for (const lane of race.lanes) {
+    lanesByNumber.set(lane.lane, lane);
+  }
+
+  for (const update of updates) {
+    const lane = lanesByNumber.get(update.lane);
+    if (!lane) {
+      throw new Error(`Lane ${update.lane} is not assigned in this race`);
+    }
+    mergeLaneResult(lane, update.result);
+  }
+
+  // Penalties can change the order, so positions may be derived from final times
+  if (recomputePositions) {
+    rerankByTime(race);
+  }
+
+  if (status && RACE_STATUSES.includes(status)) {
+    race.status = status;
+  } else if (markCompleted) {
+    race.status = "completed";
+  }
+
+  // Completing a race opens the protest window; until then results are provisional
+  if (
+    race.resultsStatus === "pending" &&
+    (updates.length || race.status === "completed")
+  ) {
+    race.resultsStatus = "provisional";
+    appendResultsLog(race, "provisional", userId);
+  }
+  if (race.status === "completed" && race.resultsStatus !== "protest_window") {
+    const windowMinutes = competition.protestWindowMinutes ?? 0;
+    race.resultsStatus = "protest_window";
+    race.protestWindowEndsAt = new Date(Date.now() + windowMinutes * 60000);
+  }
+
+  race.updatedBy = userId;
+  await race.save();
+  await syncCompetitionResultsStatus(competition);
+  publishRaceUpdate(race, "results");
+
+  // Fill the next rounds once the whole round is completed
+  if (race.progression?.system && race.status === "completed") {
+    try {
+      const summary = await advanceProgression(race, {
+        userId,
+        discipline: competition.discipline,
+        laneDraw: competition.laneDraw,
+      });
+      for (const raceId of summary.updatedRaces) {
+        publish(competition._id, "lanes", { raceId: raceId.toString() });
+      }
+    } catch (error) {
+      console.error("Failed to advance progression:", error);
+    }
+  }
+
+  return race;
+};
+
+// Results a crew can get without racing; anything else needs a passed weigh-in
+const NON_RACING_RESULT_STATUSES = ["dns", "dsq", "abs"];
+
+// Lanes of a lightweight race (or of a coxed race when the competition weighs
+// coxes) that would get a racing result without having passed the weigh-in of
+// the day
+const findWeighInBlockedLanes = async (race, competition, updates) => {
+  const evaluation = await evaluateRaceWeighIns(race, {
+    coxWeighIn: competition.coxWeighIn,
+  });
+  const blocked = getBlockedLanes(evaluation);
+  if (!blocked.size) {
+    return null;
+  }
+
+  const lanesByNumber = new Map(race.lanes.map((lane) => [lane.lane, lane]));
+  const lanes = updates
+    .filter((update) => blocked.has(update.lane))
+    .filter((update) => {
+      const status =
+        update.result.status ??
+        lanesByNumber.get(update.lane)?.result?.status ??
+        "ok";
+      return !NON_RACING_RESULT_STATUSES.includes(status);
+    })
+    .map((update) => update.lane);
+
+  return lanes.length ? { lanes, weighIn: evaluation } : null;
+};
+
+const weighInBlockedMessage = (lanes) =>
+  `Lane ${lanes.join(", ")} has not passed the weigh-in. Record it as DNS, DSQ or absent.`;
+
 export const recordRaceResults = asyncHandler(async (req, res) => {
   const { competitionId, raceId } = req.params;
   const competition = await resolveCompetitionOrRespond(competitionId, res);
@@ -1073,7 +1613,7 @@ export const recordRaceResults = asyncHandler(async (req, res) => {
     return;
   }
 
-  const updates = sanitiseResultsUpdate(req.body?.lanes || []);
+  const updates = sanitiseResultsUpdate(req.body?.lanes || [], req.user?.id);
   const race = await CompetitionRace.findOne({
     _id: raceId,
     competition: competition._id,
@@ -1083,38 +1623,542 @@ export const recordRaceResults = asyncHandler(async (req, res) => {
     return res.status(404).json({ message: "Race not found" });
   }
 
-  const lanesByNumber = new Map();
-  for (const lane of race.lanes) {
-    lanesByNumber.set(lane.lane, lane);
+  if (race.resultsStatus === "official") {
+    return res.status(409).json({ message: OFFICIAL_RESULTS_LOCKED_MESSAGE });
   }
 
-  for (const update of updates) {
-    const lane = lanesByNumber.get(update.lane);
-    if (!lane) {
-      throw new Error(`Lane ${update.lane} is not assigned in this race`);
-    }
-    const existingResult =
-      lane.result && typeof lane.result === "object"
-        ? (lane.result.toObject?.() ?? lane.result)
-        : {};
-    lane.result = {
-      ...existingResult,
-      ...update.result,
-    };
+  const weighInBlock = await findWeighInBlockedLanes(
+    race,
+    competition,
+    updates,
+  );
+  if (weighInBlock) {
+    return res.status(409).json({
+      message: weighInBlockedMessage(weighInBlock.lanes),
+      ...weighInBlock,
+    });
   }
 
-  if (req.body.status && RACE_STATUSES.includes(req.body.status)) {
-    race.status = req.body.status;
-  } else if (req.body.markCompleted) {
-    race.status = "completed";
+  await applyResultsUpdates(race, competition, updates, {
+    status: req.body.status,
+    markCompleted: req.body.markCompleted,
+    recomputePositions: req.body.recomputePositions,
+    userId: req.user?.id,
+  });
+
+  return res.json(race.toObject());
+});
+
+// Reads a timing-system export (multipart "file" or JSON "content").
+// Without apply=true only a preview of the differences is returned.
+export const importRaceResults = asyncHandler(async (req, res) => {
+  const { competitionId, raceId } = req.params;
+  const competition = await resolveCompetitionOrRespond(competitionId, res);
+  if (!competition) {
+    return;
+  }
+
+  const race = await CompetitionRace.findOne({
+    _id: raceId,
+    competition: competition._id,
+  });
+
+  if (!race) {
+    return res.status(404).json({ message: "Race not found" });
+  }
+
+  const content = req.file?.buffer
+    ? req.file.buffer.toString("utf-8")
+    : req.body?.content;
+  if (typeof content !== "string" || !content.trim()) {
+    return res.status(400).json({ message: "Timing file is required" });
   }
 
+  let parsed;
+  try {
+    parsed = parseTimingFile(content, {
+      format: req.body?.format || undefined,
+      fileName: req.file?.originalname,
+    });
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  const { matches, unmatched } = matchTimingRows(race, parsed.rows);
+  const summary = {
+    format: parsed.format,
+    rows: parsed.rows.length,
+    errors: parsed.errors,
+    unmatched,
+    preview: buildResultsPreview(matches),
+  };
+
+  const apply = req.body?.apply === true || req.body?.apply === "true";
+  if (!apply) {
+    return res.json({ ...summary, applied: false });
+  }
+
+  if (race.resultsStatus === "official") {
+    return res.status(409).json({ message: OFFICIAL_RESULTS_LOCKED_MESSAGE });
+  }
+  if (parsed.errors.length) {
+    return res.status(400).json({
+      ...summary,
+      message: "Fix the unreadable rows in the timing file before applying",
+    });
+  }
+  if (!matches.length) {
+    return res
+      .status(400)
+      .json({ ...summary, message: "No timing rows match this race" });
+  }
+
+  let updates;
+  try {
+    updates = sanitiseResultsUpdate(toResultsPayload(matches), req.user?.id);
+  } catch (error) {
+    return res.status(400).json({ ...summary, message: error.message });
+  }
+
+  const weighInBlock = await findWeighInBlockedLanes(
+    race,
+    competition,
+    updates,
+  );
+  if (weighInBlock) {
+    return res.status(409).json({
+      ...summary,
+      message: weighInBlockedMessage(weighInBlock.lanes),
+      ...weighInBlock,
+    });
+  }
+
+  const markCompleted =
+    req.body?.markCompleted === true || req.body?.markCompleted === "true";
+  await applyResultsUpdates(race, competition, updates, {
+    markCompleted,
+    recomputePositions: true,
+    userId: req.user?.id,
+  });
+
+  return res.json({ ...summary, applied: true, race: race.toObject() });
+});
+
+export const advanceRaceProgression = asyncHandler(async (req, res) => {
+  const { competitionId, raceId } = req.params;
+  const competition = await resolveCompetitionOrRespond(competitionId, res);
+  if (!competition) {
+    return;
+  }
+
+  const race = await CompetitionRace.findOne({
+    _id: raceId,
+    competition: competition._id,
+  });
+
+  if (!race) {
+    return res.status(404).json({ message: "Race not found" });
+  }
+
+  if (!race.progression?.system) {
+    return res
+      .status(400)
+      .json({ message: "Race is not part of a progression event" });
+  }
+
+  const summary = await advanceProgression(race, {
+    userId: req.user?.id,
+    discipline: competition.discipline,
+    laneDraw: competition.laneDraw,
+  });
+  if (!summary.ready) {
+    return res.status(409).json({
+      message: "All races of this round must be completed before advancing",
+    });
+  }
+
+  return res.json(summary);
+});
+
+export const signOffRaceResults = asyncHandler(async (req, res) => {
+  const { competitionId, raceId } = req.params;
+  const competition = await resolveCompetitionOrRespond(competitionId, res);
+  if (!competition) {
+    return;
+  }
+
+  const race = await CompetitionRace.findOne({
+    _id: raceId,
+    competition: competition._id,
+  });
+
+  if (!race) {
+    return res.status(404).json({ message: "Race not found" });
+  }
+
+  if (race.resultsStatus === "official") {
+    return res.status(409).json({ message: "Results are already official" });
+  }
+
+  if (race.status !== "completed") {
+    return res
+      .status(409)
+      .json({ message: "Only completed races can be signed off" });
+  }
+
+  if (race.protestWindowEndsAt && race.protestWindowEndsAt > new Date()) {
+    return res.status(409).json({
+      message: "The protest window is still open for this race",
+      protestWindowEndsAt: race.protestWindowEndsAt,
+    });
+  }
+
+  const openProtests = await Protest.countDocuments({
+    race: race._id,
+    status: { $in: OPEN_PROTEST_STATUSES },
+  });
+  if (openProtests > 0) {
+    return res.status(409).json({
+      message: "Open protests must be decided before signing off results",
+    });
+  }
+
+  race.resultsStatus = "official";
+  race.officialAt = new Date();
+  race.officialBy = req.user?.id;
+  appendResultsLog(race, "official", req.user?.id, req.body?.notes);
   race.updatedBy = req.user?.id;
   await race.save();
+  await syncCompetitionResultsStatus(competition);
+  publishRaceUpdate(race, "results");
 
   return res.json(race.toObject());
 });
 
+export const reopenRaceResults = asyncHandler(async (req, res) => {
+  const { competitionId, raceId } = req.params;
+  const competition = await resolveCompetitionOrRespond(competitionId, res);
+  if (!competition) {
+    return;
+  }
+
+  const reason = normaliseString(req.body?.reason);
+  if (!reason) {
+    return res
+      .status(400)
+      .json({ message: "A reason is required to reopen official results" });
+  }
+
+  const race = await CompetitionRace.findOne({
+    _id: raceId,
+    competition: competition._id,
+  });
+
+  if (!race) {
+    return res.status(404).json({ message: "Race not found" });
+  }
+
+  if (race.resultsStatus !== "official") {
+    return res.status(409).json({ message: "Results are not official" });
+  }
+
+  race.resultsStatus = "provisional";
+  race.officialAt = undefined;
+  race.officialBy = undefined;
+  race.protestWindowEndsAt = undefined;
+  appendResultsLog(race, "reopened", req.user?.id, reason);
+  race.updatedBy = req.user?.id;
+  await race.save();
+  await syncCompetitionResultsStatus(competition);
+  publishRaceUpdate(race, "results");
+
+  return res.json(race.toObject());
+});
+
+export const redrawRaceLanes = asyncHandler(async (req, res) => {
+  const { competitionId, raceId } = req.params;
+  const competition = await resolveCompetitionOrRespond(competitionId, res);
+  if (!competition) {
+    return;
+  }
+
+  const race = await CompetitionRace.findOne({
+    _id: raceId,
+    competition: competition._id,
+  });
+
+  if (!race) {
+    return res.status(404).json({ message: "Race not found" });
+  }
+
+  const hasResults = race.lanes.some(
+    (lane) =>
+      lane.result?.finishPosition !== undefined ||
+      lane.result?.elapsedMs !== undefined,
+  );
+  if (race.status === "completed" || hasResults) {
+    return res
+      .status(409)
+      .json({ message: "Lanes cannot be redrawn once results are recorded" });
+  }
+
+  const maxLanes = getMaxLanesForDiscipline(competition.discipline);
+  const courseLanes = race.progression?.system
+    ? PROGRESSION_LANES
+    : Math.min(Number(req.body?.courseLanes) || maxLanes, maxLanes);
+
+  race.lanes = drawLanes(rankLanesForDraw(race.lanes), {
+    discipline: competition.discipline,
+    laneDraw: competition.laneDraw,
+    courseLanes,
+  });
+  race.markModified("lanes");
+  race.updatedBy = req.user?.id;
+  await race.save();
+  publishRaceUpdate(race, "lanes");
+
+  return res.json(race.toObject());
+});
+
+// Puts a scheduled race in progress; lanes that were not checked in can be
+// marked abs or dns at the same time
+export const startRace = asyncHandler(async (req, res) => {
+  const { competitionId, raceId } = req.params;
+  const competition = await resolveCompetitionOrRespond(competitionId, res);
+  if (!competition) {
+    return;
+  }
+
+  const uncheckedLaneStatus = req.body?.uncheckedLaneStatus || null;
+  if (
+    uncheckedLaneStatus &&
+    !UNCHECKED_LANE_STATUSES.includes(uncheckedLaneStatus)
+  ) {
+    return res
+      .status(400)
+      .json({ message: "Unchecked lanes can only be marked as abs or dns" });
+  }
+
+  const race = await CompetitionRace.findOne({
+    _id: raceId,
+    competition: competition._id,
+  });
+
+  if (!race) {
+    return res.status(404).json({ message: "Race not found" });
+  }
+  if (race.status !== "scheduled") {
+    return res
+      .status(409)
+      .json({ message: "Only a scheduled race can be started" });
+  }
+
+  let markedLanes = [];
+  if (uncheckedLaneStatus) {
+    const evaluation = await evaluateRaceCheckIns(race);
+    markedLanes = markUncheckedLanes(race, uncheckedLaneStatus, evaluation);
+    race.markModified("lanes");
+  }
+
+  race.status = "in_progress";
+  race.updatedBy = req.user?.id;
+  await race.save();
+  publishRaceUpdate(race, "race-status");
+
+  return res.json({ race: race.toObject(), markedLanes });
+});
+
+const SCHEDULE_RACE_FIELDS =
+  "name category boatClass journeyIndex sessionLabel order startTime status lanes.lane lanes.athlete lanes.crew";
+
+const resolveMinRest = (value, competition) => {
+  if (value === undefined || value === null || value === "") {
+    return competition.minRestMinutes ?? DEFAULT_MIN_REST_MINUTES;
+  }
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    throw new Error("Minimum rest time must be zero or greater");
+  }
+  return minutes;
+};
+
+// Rest-time conflicts with athlete names, for display in the schedule view
+const describeRestConflicts = async (races, minRestMinutes) => {
+  const conflicts = detectRestConflicts(races, minRestMinutes);
+  if (!conflicts.length) {
+    return conflicts;
+  }
+
+  const athletes = await Athlete.find({
+    _id: { $in: [...new Set(conflicts.map((c) => c.athleteId))] },
+  })
+    .select("firstName lastName firstNameAr lastNameAr licenseNumber")
+    .lean();
+  const athleteById = new Map(
+    athletes.map((athlete) => [athlete._id.toString(), athlete]),
+  );
+
+  return conflicts.map((conflict) => ({
+    ...conflict,
+    athlete: athleteById.get(conflict.athleteId) || null,
+  }));
+};
+
+const loadScheduleRaces = (competitionId) =>
+  CompetitionRace.find({ competition: competitionId })
+    .select(SCHEDULE_RACE_FIELDS)
+    .sort({ journeyIndex: 1, order: 1, startTime: 1 })
+    .lean();
+
+// Proposes start times over the competition sessions without saving them
+export const previewRaceSchedule = asyncHandler(async (req, res) => {
+  const { competitionId } = req.params;
+  const competition = await resolveCompetitionOrRespond(competitionId, res);
+  if (!competition) {
+    return;
+  }
+
+  const { intervalMinutes, sequence = [] } = req.body || {};
+  if (!Array.isArray(sequence)) {
+    return res.status(400).json({ message: "Sequence must be an array" });
+  }
+  if (
+    intervalMinutes !== undefined &&
+    intervalMinutes !== null &&
+    intervalMinutes !== "" &&
+    !(Number(intervalMinutes) > 0)
+  ) {
+    return res
+      .status(400)
+      .json({ message: "Interval must be greater than zero" });
+  }
+
+  let minRestMinutes;
+  try {
+    minRestMinutes = resolveMinRest(req.body?.minRestMinutes, competition);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  const races = await loadScheduleRaces(competition._id);
+  const layout = layoutSchedule(races, competition.stages, {
+    intervalMinutes,
+    sequence,
+  });
+
+  // Conflicts are checked against the proposed times
+  const proposedById = new Map(layout.races.map((race) => [race.raceId, race]));
+  const proposedRaces = races.map((race) => {
+    const proposed = proposedById.get(race._id.toString());
+    return proposed ? { ...race, startTime: proposed.startTime } : race;
+  });
+
+  return res.json({
+    minRestMinutes,
+    races: layout.races,
+    unscheduled: layout.unscheduled,
+    conflicts: await describeRestConflicts(proposedRaces, minRestMinutes),
+  });
+});
+
+// Saves start times, session labels and race numbers from the schedule view
+export const saveRaceSchedule = asyncHandler(async (req, res) => {
+  const { competitionId } = req.params;
+  const competition = await resolveCompetitionOrRespond(competitionId, res);
+  if (!competition) {
+    return;
+  }
+
+  const entries = req.body?.races;
+  if (!Array.isArray(entries) || !entries.length) {
+    return res.status(400).json({ message: "No races to schedule" });
+  }
+
+  let minRestMinutes;
+  try {
+    minRestMinutes = resolveMinRest(req.body?.minRestMinutes, competition);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  const races = await loadScheduleRaces(competition._id);
+  const raceById = new Map(races.map((race) => [race._id.toString(), race]));
+
+  const operations = [];
+  for (const entry of entries) {
+    const race = raceById.get(entry?.raceId?.toString());
+    if (!race) {
+      return res
+        .status(400)
+        .json({ message: `Race ${entry?.raceId} not found in competition` });
+    }
+    if (!isReschedulable(race)) {
+      return res.status(409).json({
+        message: `Race ${race.order ?? race.name} has already started and cannot be rescheduled`,
+      });
+    }
+
+    const update = { updatedBy: req.user?.id };
+    if (entry.startTime !== undefined) {
+      const startTime = entry.startTime ? new Date(entry.startTime) : null;
+      if (startTime && Number.isNaN(startTime.getTime())) {
+        return res.status(400).json({ message: "Invalid start time" });
+      }
+      update.startTime = startTime;
+    }
+    if (entry.sessionLabel !== undefined) {
+      update.sessionLabel = normaliseString(entry.sessionLabel);
+    }
+    if (entry.order !== undefined) {
+      const order = Number(entry.order);
+      if (!Number.isInteger(order) || order < 0) {
+        return res
+          .status(400)
+          .json({ message: "Race number must be a positive integer" });
+      }
+      update.order = order;
+    }
+
+    Object.assign(race, update);
+    operations.push({
+      updateOne: { filter: { _id: race._id }, update: { $set: update } },
+    });
+  }
+
+  await CompetitionRace.bulkWrite(operations);
+
+  entries.forEach((entry) =>
+    publishRaceUpdate(raceById.get(entry.raceId.toString()), "race-status"),
+  );
+
+  return res.json({
+    updated: operations.length,
+    minRestMinutes,
+    conflicts: await describeRestConflicts(races, minRestMinutes),
+  });
+});
+
+export const getScheduleConflicts = asyncHandler(async (req, res) => {
+  const { competitionId } = req.params;
+  const competition = await resolveCompetitionOrRespond(competitionId, res);
+  if (!competition) {
+    return;
+  }
+
+  let minRestMinutes;
+  try {
+    minRestMinutes = resolveMinRest(req.query.minRestMinutes, competition);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  const races = await loadScheduleRaces(competition._id);
+  return res.json({
+    minRestMinutes,
+    conflicts: await describeRestConflicts(races, minRestMinutes),
+  });
+});
+
 const bestTimeSorter = (a, b) => {
   if (a.elapsedMs !== b.elapsedMs) {
     if (a.elapsedMs === undefined) {
@@ -1180,10 +2224,9 @@ export const computeCompetitionRankings = asyncHandler(async (req, res) => {
       }
       const result = lane.result || {};
       const { status = "ok" } = result;
+      const finalMs = getFinalTimeMs(result);
       const isTimed =
-        status === "ok" &&
-        result.elapsedMs !== undefined &&
-        result.elapsedMs !== null;
+        status === "ok" && finalMs !== undefined && finalMs !== null;
 
       container.entries.push({
         raceId: race._id,
@@ -1193,7 +2236,9 @@ export const computeCompetitionRankings = asyncHandler(async (req, res) => {
         athlete: lane.athlete,
         club: lane.club,
         finishPosition: result.finishPosition,
-        elapsedMs: isTimed ? result.elapsedMs : undefined,
+        elapsedMs: isTimed ? finalMs : undefined,
+        rawElapsedMs: isTimed ? result.elapsedMs : undefined,
+        penaltyMs: getPenaltyMs(result),
         status,
       });
 
@@ -1283,6 +2328,8 @@ export const computeCompetitionRankings = asyncHandler(async (req, res) => {
         licenseNumber: athlete?.licenseNumber,
         clubId: entry.club,
         elapsedMs: entry.elapsedMs,
+        rawElapsedMs: entry.rawElapsedMs,
+        penaltyMs: entry.penaltyMs,
         finishPosition: entry.finishPosition,
         status: entry.status,
         raceId: entry.raceId,
@@ -1,6 +1,8 @@
 import asyncHandler from "express-async-handler";
 import mongoose from "mongoose";
-import Competition from "../Models/competitionModel.js";
+import Competition, {
+  BOW_NUMBERING_METHODS,
+} from "../Models/competitionModel.js";
 import CompetitionEntry, {
   COMPETITION_ENTRY_STATUSES,
 } from "../Models/competitionEntryModel.js";
@@ -8,6 +10,44 @@ import Athlete from "../Models/athleteModel.js";
 import Club from "../Models/clubModel.js";
 import Category from "../Models/categoryModel.js";
 import BoatClass from "../Models/boatClassModel.js";
+import { validateCrewComposition } from "../Services/crewSeatService.js";
+import { canOverrideEligibility } from "../Services/raceEligibilityService.js";
+import {
+  athleteFitsCategory,
+  findSeasonAssignment,
+} from "../Services/categoryAssignmentService.js";
+import {
+  applySubstitution,
+  checkSubstitutionEligibility,
+  checkSubstitutionWindow,
+  findEntryRaces,
+  getCrewAthleteIds,
+  resolveSubstitutionRules,
+} from "../Services/substitutionService.js";
+import {
+  ensureClosedCompetitionsInvoiced,
+  generateCompetitionInvoices,
+  getOutstandingBalance,
+  hasEntryFees,
+  resolveEntryFees,
+} from "../Services/invoiceService.js";
+import {
+  checkEntryQuotas,
+  summariseClubQuotas,
+} from "../Services/entryQuotaService.js";
+import {
+  getLateEntriesCloseAt,
+  resolveRegistrationStatus,
+} from "../Services/registrationWindowService.js";
+import {
+  cancelEvent,
+  getUnderSubscribedEvents,
+  mergeEvent,
+} from "../Services/minimumEntriesService.js";
+import {
+  allocateBowNumbers,
+  getBowNumberSheet,
+} from "../Services/bowNumberService.js";
 
 const toObjectId = (value) => {
   if (!value) {
@@ -22,38 +62,6 @@ const toObjectId = (value) => {
   return null;
 };
 
-const resolveEffectiveRegistrationStatus = (competition) => {
-  if (!competition) return "not_open";
-  const { registrationStatus, registrationWindow } = competition;
-
-  // If explicitly closed, it overrides everything
-  if (registrationStatus === "closed") {
-    return "closed";
-  }
-
-  // If explicitly open, it overrides window checks (e.g. extended manually)
-  if (registrationStatus === "open") {
-    return "open";
-  }
-
-  // If status is 'not_open' (default), check if we are in the window
-  if (registrationWindow?.openAt && registrationWindow?.closeAt) {
-    const now = new Date();
-    const openAt = new Date(registrationWindow.openAt);
-    const closeAt = new Date(registrationWindow.closeAt);
-
-    if (now >= openAt && now <= closeAt) {
-      return "open";
-    }
-
-    if (now > closeAt) {
-      return "closed";
-    }
-  }
-
-  return registrationStatus;
-};
-
 const roleIsAdmin = (role) => role === "admin";
 const roleIsJury = (role) => role === "jury_president";
 const roleIsClubManager = (role) => role === "club_manager";
@@ -83,6 +91,7 @@ const serializeBoatClass = (boatClass) => {
     names: boatClass.names || {},
     type: boatClass.type || null,
     seats: boatClass.crewSize ?? boatClass.seats ?? null,
+    coxswain: Boolean(boatClass.coxswain),
   };
 };
 
@@ -149,6 +158,20 @@ const serializeAthlete = (athlete) => {
   };
 };
 
+const serializeSubstitution = (substitution) => ({
+  id: substitution._id?.toString?.() || null,
+  outgoing: serializeAthlete(substitution.outgoing),
+  incoming: serializeAthlete(substitution.incoming),
+  reason: substitution.reason || null,
+  status: substitution.status,
+  requestedAt: substitution.requestedAt || null,
+  requestedBy: serializeUser(substitution.requestedBy),
+  reviewedAt: substitution.reviewedAt || null,
+  reviewedBy: serializeUser(substitution.reviewedBy),
+  reviewerNotes: substitution.reviewerNotes || null,
+  raceCount: Array.isArray(substitution.races) ? substitution.races.length : 0,
+});
+
 const serializeEntry = (entry) => {
   if (!entry) {
     return null;
@@ -159,16 +182,24 @@ const serializeEntry = (entry) => {
     notes: entry.notes || null,
     reviewerNotes: entry.reviewerNotes || null,
     submittedAt: entry.submittedAt || entry.createdAt || null,
+    late: Boolean(entry.late),
     reviewedAt: entry.reviewedAt || null,
     club: serializeClub(entry.club),
     athlete: serializeAthlete(entry.athlete),
     crew: Array.isArray(entry.crew) ? entry.crew.map(serializeAthlete) : [],
+    coxswain: entry.coxswain
+      ? entry.coxswain._id?.toString?.() || entry.coxswain.toString()
+      : null,
     category: serializeCategory(entry.category),
     boatClass: serializeBoatClass(entry.boatClass),
     crewNumber: entry.crewNumber || 1,
+    bowNumber: entry.bowNumber || null,
     seed: entry.seed || null,
     submittedBy: serializeUser(entry.submittedBy),
     reviewedBy: serializeUser(entry.reviewedBy),
+    substitutions: Array.isArray(entry.substitutions)
+      ? entry.substitutions.map(serializeSubstitution)
+      : [],
   };
 };
 
@@ -184,8 +215,10 @@ const fetchCompetition = async (competitionId) => {
     })
     .populate({
       path: "allowedBoatClasses",
-      select: "code names type seats crewSize",
+      select: "code names type seats crewSize coxswain",
     })
+    .populate({ path: "entryQuotas.category", select: "abbreviation" })
+    .populate({ path: "entryQuotas.boatClass", select: "code" })
     .lean();
 };
 
@@ -247,60 +280,6 @@ const ensureMembershipForClub = (athlete, clubId, competitionSeason) => {
     : false;
 };
 
-const findSeasonAssignment = (athlete, season) => {
-  if (!Array.isArray(athlete.categoryAssignments) || !season) {
-    return null;
-  }
-  return athlete.categoryAssignments.find(
-    (assignment) =>
-      assignment &&
-      assignment.type === "national" &&
-      assignment.season === season &&
-      assignment.category
-  );
-};
-
-const athleteFitsCategory = (assignment, categoryDoc, allowUpCategory) => {
-  if (!assignment || !categoryDoc) {
-    return false;
-  }
-
-  const assignmentCategoryId = assignment.category?.toString?.();
-  if (
-    assignmentCategoryId &&
-    assignmentCategoryId === categoryDoc._id?.toString?.()
-  ) {
-    return true;
-  }
-
-  if (!allowUpCategory) {
-    return false;
-  }
-
-  if (
-    assignment.gender &&
-    categoryDoc.gender &&
-    assignment.gender !== categoryDoc.gender
-  ) {
-    return false;
-  }
-
-  if (typeof assignment.ageOnCutoff !== "number") {
-    return false;
-  }
-
-  const meetsMin =
-    typeof categoryDoc.minAge === "number"
-      ? assignment.ageOnCutoff >= categoryDoc.minAge
-      : true;
-  const meetsMax =
-    typeof categoryDoc.maxAge === "number"
-      ? assignment.ageOnCutoff <= categoryDoc.maxAge
-      : true;
-
-  return meetsMin && meetsMax;
-};
-
 const populateEntryDoc = async (entryDoc) =>
   entryDoc.populate([
     {
@@ -331,7 +310,7 @@ const populateEntryDoc = async (entryDoc) =>
     },
     {
       path: "boatClass",
-      select: "code names type seats",
+      select: "code names type seats crewSize coxswain",
     },
     {
       path: "submittedBy",
@@ -341,6 +320,14 @@ const populateEntryDoc = async (entryDoc) =>
       path: "reviewedBy",
       select: "firstName lastName role",
     },
+    {
+      path: "substitutions.outgoing substitutions.incoming",
+      select: "firstName lastName licenseNumber gender",
+    },
+    {
+      path: "substitutions.requestedBy substitutions.reviewedBy",
+      select: "firstName lastName role",
+    },
   ]);
 
 export const getRegistrationSummary = asyncHandler(async (req, res) => {
@@ -403,7 +390,7 @@ export const getRegistrationSummary = asyncHandler(async (req, res) => {
       },
       {
         path: "boatClass",
-        select: "code names type seats",
+        select: "code names type seats crewSize coxswain",
       },
       {
         path: "submittedBy",
@@ -413,6 +400,14 @@ export const getRegistrationSummary = asyncHandler(async (req, res) => {
         path: "reviewedBy",
         select: "firstName lastName role",
       },
+      {
+        path: "substitutions.outgoing substitutions.incoming",
+        select: "firstName lastName licenseNumber gender",
+      },
+      {
+        path: "substitutions.requestedBy substitutions.reviewedBy",
+        select: "firstName lastName role",
+      },
     ])
     .lean();
 
@@ -423,10 +418,10 @@ export const getRegistrationSummary = asyncHandler(async (req, res) => {
     ? competition.allowedBoatClasses.map(serializeBoatClass)
     : [];
 
-  const effectiveStatus = resolveEffectiveRegistrationStatus(competition);
+  const effectiveStatus = resolveRegistrationStatus(competition);
 
   const canSubmit =
-    effectiveStatus === "open" &&
+    ["open", "late"].includes(effectiveStatus) &&
     (roleIsClubManager(role)
       ? Boolean(clubContext.clubId)
       : hasManagementPrivileges(role) && Boolean(clubContext.clubId));
@@ -441,15 +436,32 @@ export const getRegistrationSummary = asyncHandler(async (req, res) => {
       competitionType: competition.competitionType,
       registrationStatus: effectiveStatus,
       registrationWindow: competition.registrationWindow || {},
+      lateEntries: {
+        enabled: Boolean(competition.lateEntries?.enabled),
+        closeAt: getLateEntriesCloseAt(competition),
+      },
       allowUpCategory: competition.allowUpCategory,
       allowedCategories,
       allowedBoatClasses,
+      entryFees: resolveEntryFees(competition),
+      blockUnpaidClubs: Boolean(competition.blockUnpaidClubs),
+      bowNumbering: {
+        method: competition.bowNumbering?.method || "event",
+        startAt: competition.bowNumbering?.startAt || 1,
+        assignedAt: competition.bowNumbering?.assignedAt || null,
+      },
     },
+    // Quotas applying to the selected club, with the places left
+    quotas: clubContext.clubDoc
+      ? summariseClubQuotas(competition, clubContext.clubDoc, entries)
+      : [],
     club: serializeClub(clubContext?.clubDoc),
     entries: entries.map(serializeEntry),
     permissions: {
       canSubmit,
-      canWithdraw: effectiveStatus === "open" && roleIsClubManager(role),
+      // After close a club may only withdraw its pending late entries
+      canWithdraw:
+        ["open", "late"].includes(effectiveStatus) && roleIsClubManager(role),
       canManageEntries: hasManagementPrivileges(role),
     },
   };
@@ -483,6 +495,8 @@ export const listEligibleAthletes = asyncHandler(async (req, res) => {
   }
 
   const categoryId = toObjectId(req.query.category);
+  // Coxswains may be of any gender or age, so category rules do not apply
+  const coxswainSearch = req.query.role === "cox";
   const searchTerm = q.toString().trim();
   const numericLimit = (() => {
     const parsed = Number(limit);
@@ -584,11 +598,12 @@ export const listEligibleAthletes = asyncHandler(async (req, res) => {
   const eligibleAthletes = athletes
     .map((athlete) => {
       const assignment = findSeasonAssignment(athlete, competition.season);
-      if (!assignment) {
+      if (!assignment && !coxswainSearch) {
         return null;
       }
 
       if (
+        !coxswainSearch &&
         allowedCategorySet &&
         !allowedCategorySet.has(assignment.category?.toString?.())
       ) {
@@ -596,6 +611,7 @@ export const listEligibleAthletes = asyncHandler(async (req, res) => {
       }
 
       if (
+        !coxswainSearch &&
         categoryId &&
         assignment.category?.toString?.() !== categoryId.toString()
       ) {
@@ -622,7 +638,7 @@ export const listEligibleAthletes = asyncHandler(async (req, res) => {
       }
 
       const existingEntry = existingEntryMap.get(athlete._id.toString());
-      const categoryDoc = categoryMap.get(assignment.category?.toString?.());
+      const categoryDoc = categoryMap.get(assignment?.category?.toString?.());
 
       return {
         athlete: serializeAthlete(athlete),
@@ -673,12 +689,14 @@ export const createCompetitionEntries = asyncHandler(async (req, res) => {
     return res.status(404).json({ message: "Competition not found" });
   }
 
-  const effectiveStatus = resolveEffectiveRegistrationStatus(competition);
-  if (effectiveStatus !== "open") {
+  const effectiveStatus = resolveRegistrationStatus(competition);
+  if (!["open", "late"].includes(effectiveStatus)) {
     return res
       .status(400)
       .json({ message: "Registration is not open for this competition" });
   }
+  // Late entries wait for jury approval and carry the late surcharge
+  const isLate = effectiveStatus === "late";
 
   const role = req.user?.role;
   if (!roleIsClubManager(role) && !hasManagementPrivileges(role)) {
@@ -694,6 +712,17 @@ export const createCompetitionEntries = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: error.message });
   }
 
+  if (competition.blockUnpaidClubs) {
+    await ensureClosedCompetitionsInvoiced();
+    const outstanding = await getOutstandingBalance(clubContext.clubId);
+    if (outstanding > 0) {
+      const { currency } = resolveEntryFees(competition);
+      return res.status(400).json({
+        message: `Registration is blocked until the club's unpaid balance of ${outstanding} ${currency} is settled`
+      });
+    }
+  }
+
   // Parse entries and normalize to crewIds
   const parsedEntries = entries.map((entry) => {
     const athleteId = toObjectId(entry.athleteId || entry.athlete);
@@ -706,8 +735,15 @@ export const createCompetitionEntries = asyncHandler(async (req, res) => {
       crewIds.push(athleteId);
     }
 
+    // The cox sits behind the stroke, so it goes last if not already listed
+    const coxId = toObjectId(entry.coxId || entry.coxswain);
+    if (coxId && !crewIds.some((id) => id.equals(coxId))) {
+      crewIds.push(coxId);
+    }
+
     return {
       crewIds,
+      coxId,
       categoryId: toObjectId(entry.categoryId || entry.category),
       boatClassId: toObjectId(entry.boatClassId || entry.boatClass),
       seed: entry.seed ? Number(entry.seed) : null,
@@ -758,13 +794,39 @@ export const createCompetitionEntries = asyncHandler(async (req, res) => {
   const boatClasses = await BoatClass.find({
     _id: { $in: Array.from(allBoatClassIds) },
   })
-    .select("code names crewSize")
+    .select("code names crewSize coxswain")
     .lean();
 
   const athleteMap = new Map(athletes.map((a) => [a._id.toString(), a]));
   const categoryMap = new Map(categories.map((c) => [c._id.toString(), c]));
   const boatClassMap = new Map(boatClasses.map((b) => [b._id.toString(), b]));
 
+  // Officials may enter boats beyond the club quotas
+  const bypassQuotas =
+    req.body.bypassQuotas === true && hasManagementPrivileges(role);
+  if (!bypassQuotas) {
+    const clubEntries = await CompetitionEntry.find({
+      competition: competition._id,
+      club: clubContext.clubId,
+      status: { $in: ["pending", "approved"] },
+    })
+      .select("category boatClass status")
+      .lean();
+    const quotaError = checkEntryQuotas(
+      competition,
+      clubContext.clubDoc,
+      clubEntries,
+      parsedEntries.map((entry) => ({
+        category: entry.categoryId,
+        boatClass: entry.boatClassId,
+      })),
+      { categoryMap, boatClassMap }
+    );
+    if (quotaError) {
+      return res.status(400).json({ message: quotaError });
+    }
+  }
+
   // Check for existing entries for ANY of the athletes
   const existingEntries = await CompetitionEntry.find({
     competition: competition._id,
@@ -840,11 +902,18 @@ export const createCompetitionEntries = asyncHandler(async (req, res) => {
       if (!boatClass) {
         return res.status(400).json({ message: "Boat class not found" });
       }
-      if (entry.crewIds.length !== boatClass.crewSize) {
-        return res.status(400).json({
-          message: `Boat class ${boatClass.code} requires ${boatClass.crewSize} athletes, but ${entry.crewIds.length} were provided`,
-        });
+      const crewError = validateCrewComposition({
+        crew: entry.crewIds,
+        coxswain: entry.coxId,
+        boatClass,
+      });
+      if (crewError) {
+        return res.status(400).json({ message: crewError });
       }
+    } else if (entry.coxId) {
+      return res
+        .status(400)
+        .json({ message: "Select a coxed boat class to register a coxswain" });
     }
 
     // Validate each athlete in the crew
@@ -917,6 +986,11 @@ export const createCompetitionEntries = asyncHandler(async (req, res) => {
         });
       }
 
+      // A coxswain may be of any gender or age
+      if (entry.coxId && entry.coxId.equals(athleteId)) {
+        continue;
+      }
+
       const assignment = findSeasonAssignment(athlete, competition.season);
       if (!assignment) {
         return res.status(400).json({
@@ -958,6 +1032,7 @@ export const createCompetitionEntries = asyncHandler(async (req, res) => {
       club: clubContext.clubId,
       athlete: isSingle ? entry.crewIds[0] : undefined,
       crew: entry.crewIds,
+      coxswain: entry.coxId || undefined,
       category: entry.categoryId,
       boatClass: entry.boatClassId || undefined,
       crewNumber: nextNumber,
@@ -966,6 +1041,7 @@ export const createCompetitionEntries = asyncHandler(async (req, res) => {
       notes: entry.notes,
       submittedBy: req.user.id,
       submittedAt: new Date(),
+      late: isLate,
     });
     creations.push(creation.save());
 
@@ -1011,12 +1087,24 @@ export const updateEntryStatus = asyncHandler(async (req, res) => {
     return res.status(404).json({ message: "Entry not found" });
   }
 
+  const previousStatus = entry.status;
   entry.status = normalisedStatus;
   entry.reviewedBy = req.user.id;
   entry.reviewedAt = new Date();
   entry.reviewerNotes = reviewerNotes || undefined;
 
   await entry.save();
+
+  // Late entries decided after the clubs were invoiced are billed too
+  if (
+    entry.late &&
+    previousStatus !== normalisedStatus &&
+    competition.invoicesGeneratedAt &&
+    hasEntryFees(competition)
+  ) {
+    await generateCompetitionInvoices(competition);
+  }
+
   await populateEntryDoc(entry);
 
   return res.json({ entry: serializeEntry(entry) });
@@ -1049,6 +1137,18 @@ export const withdrawEntry = asyncHandler(async (req, res) => {
         .status(403)
         .json({ message: "You may only withdraw your club's entries" });
     }
+
+    // Entries are frozen once registration closes, except late entries the
+    // jury has not decided yet
+    const registrationStatus = resolveRegistrationStatus(competition);
+    const pendingLateEntry =
+      registrationStatus === "late" && entry.late && entry.status === "pending";
+    if (registrationStatus !== "open" && !pendingLateEntry) {
+      return res.status(403).json({
+        message:
+          "Registration is closed and your entries are frozen; ask the jury to withdraw this entry",
+      });
+    }
   } else if (!isOfficial) {
     return res
       .status(403)
@@ -1166,3 +1266,517 @@ export const deleteEntry = asyncHandler(async (req, res) => {
     entryId: entry._id.toString() 
   });
 });
+
+/**
+ * Eligibility errors of a substitution block it (409), as they do a lane
+ * write, unless an admin or jury president sends overrideEligibility with an
+ * overrideReason.
+ *
+ * @returns {object|null} { reason } or null once responded
+ */
+const resolveSubstitutionEligibility = (req, res, report) => {
+  const { overrideEligibility, overrideReason } = req.body || {};
+  if (overrideEligibility !== true && overrideEligibility !== "true") {
+    res.status(409).json({
+      message: "The incoming athlete is not eligible for the crew's races",
+      eligibility: report,
+    });
+    return null;
+  }
+  if (!canOverrideEligibility(req.user)) {
+    res.status(403).json({
+      message:
+        "Only an admin or jury president can override eligibility errors",
+      eligibility: report,
+    });
+    return null;
+  }
+  const reason =
+    typeof overrideReason === "string" ? overrideReason.trim() : "";
+  if (!reason) {
+    res.status(400).json({
+      message: "A reason is required to override eligibility errors",
+      eligibility: report,
+    });
+    return null;
+  }
+  return { reason };
+};
+
+// Club asks to replace a crew member of an entry already placed in races
+export const requestSubstitution = asyncHandler(async (req, res) => {
+  const { competitionId, entryId } = req.params;
+
+  const competition = await Competition.findById(competitionId).lean();
+  if (!competition) {
+    return res.status(404).json({ message: "Competition not found" });
+  }
+
+  const entry = await CompetitionEntry.findOne({
+    _id: toObjectId(entryId),
+    competition: competition._id,
+  });
+  if (!entry) {
+    return res.status(404).json({ message: "Entry not found" });
+  }
+
+  const role = req.user?.role;
+  if (roleIsClubManager(role)) {
+    if (entry.club?.toString() !== req.user?.clubId) {
+      return res.status(403).json({
+        message: "You may only request substitutions for your club's entries",
+      });
+    }
+  } else if (!hasManagementPrivileges(role)) {
+    return res
+      .status(403)
+      .json({ message: "You are not allowed to request substitutions" });
+  }
+
+  if (entry.status !== "approved") {
+    return res
+      .status(400)
+      .json({ message: "Only approved entries can be substituted" });
+  }
+
+  const outgoingId = toObjectId(req.body?.outgoing);
+  const incomingId = toObjectId(req.body?.incoming);
+  if (!outgoingId || !incomingId) {
+    return res
+      .status(400)
+      .json({ message: "Outgoing and incoming athletes are required" });
+  }
+
+  const crewIds = getCrewAthleteIds(entry);
+  if (!crewIds.includes(outgoingId.toString())) {
+    return res
+      .status(400)
+      .json({ message: "The outgoing athlete is not in this crew" });
+  }
+  if (crewIds.includes(incomingId.toString())) {
+    return res
+      .status(400)
+      .json({ message: "The incoming athlete is already in this crew" });
+  }
+
+  const substitutions = entry.substitutions || [];
+  if (
+    substitutions.some(
+      (item) =>
+        item.status === "pending" && item.outgoing.equals(outgoingId)
+    )
+  ) {
+    return res.status(409).json({
+      message: "A substitution for this athlete is already waiting for review",
+    });
+  }
+
+  const rules = resolveSubstitutionRules(competition);
+  const used = substitutions.filter((item) =>
+    ["pending", "approved"].includes(item.status)
+  ).length;
+  if (used >= rules.maxSubstitutions) {
+    return res.status(400).json({
+      message: `This crew has used its ${rules.maxSubstitutions} substitution(s)`,
+    });
+  }
+
+  const races = await findEntryRaces(entry);
+  const windowError = checkSubstitutionWindow(races, rules);
+  if (windowError) {
+    return res.status(400).json({ message: windowError });
+  }
+
+  const incoming = await Athlete.findById(incomingId)
+    .select(
+      "firstName lastName gender categoryAssignments memberships licenseStatus"
+    )
+    .lean();
+  if (!incoming) {
+    return res.status(404).json({ message: "Incoming athlete not found" });
+  }
+
+  const incomingName = `${incoming.firstName} ${incoming.lastName}`;
+  if (!ensureMembershipForClub(incoming, entry.club, competition.season)) {
+    return res.status(400).json({
+      message: `${incomingName} does not have an active membership with this club for the season`,
+    });
+  }
+  if (incoming.licenseStatus !== "active") {
+    return res
+      .status(400)
+      .json({ message: `${incomingName} does not have an active license` });
+  }
+
+  // A new cox may be of any gender or age
+  const replacesCox = entry.coxswain?.equals(outgoingId);
+  if (!replacesCox) {
+    const categoryDoc = await Category.findById(entry.category)
+      .select("abbreviation gender minAge maxAge")
+      .lean();
+    const assignment = findSeasonAssignment(incoming, competition.season);
+    if (
+      !athleteFitsCategory(
+        assignment,
+        categoryDoc,
+        competition.allowUpCategory
+      )
+    ) {
+      return res.status(400).json({
+        message: `${incomingName} is not eligible for ${
+          categoryDoc?.abbreviation || "this category"
+        }`,
+      });
+    }
+  }
+
+  const eligibility = await checkSubstitutionEligibility(competition, entry, {
+    outgoing: outgoingId,
+    incoming: incomingId,
+  });
+  if (
+    eligibility.errors.length &&
+    !resolveSubstitutionEligibility(req, res, eligibility)
+  ) {
+    return;
+  }
+
+  entry.substitutions.push({
+    outgoing: outgoingId,
+    incoming: incomingId,
+    reason: typeof req.body?.reason === "string" ? req.body.reason : undefined,
+    status: "pending",
+    requestedBy: req.user.id,
+    requestedAt: new Date(),
+  });
+
+  await entry.save();
+  await populateEntryDoc(entry);
+
+  return res.status(201).json({ entry: serializeEntry(entry), eligibility });
+});
+
+// Jury decision on a substitution; approval updates the races still to row
+export const reviewSubstitution = asyncHandler(async (req, res) => {
+  const { competitionId, entryId, substitutionId } = req.params;
+  const { status, reviewerNotes } = req.body || {};
+
+  if (!hasManagementPrivileges(req.user?.role)) {
+    return res
+      .status(403)
+      .json({ message: "Only the jury may review substitutions" });
+  }
+
+  if (!["approved", "rejected"].includes(status)) {
+    return res
+      .status(400)
+      .json({ message: "Status must be approved or rejected" });
+  }
+
+  const competition = await Competition.findById(competitionId).lean();
+  if (!competition) {
+    return res.status(404).json({ message: "Competition not found" });
+  }
+
+  const entry = await CompetitionEntry.findOne({
+    _id: toObjectId(entryId),
+    competition: competition._id,
+  });
+  if (!entry) {
+    return res.status(404).json({ message: "Entry not found" });
+  }
+
+  const substitution = entry.substitutions.id(substitutionId);
+  if (!substitution) {
+    return res.status(404).json({ message: "Substitution not found" });
+  }
+  if (substitution.status !== "pending") {
+    return res
+      .status(400)
+      .json({ message: `Substitution is already ${substitution.status}` });
+  }
+
+  let eligibility;
+  if (status === "approved") {
+    if (!getCrewAthleteIds(entry).includes(substitution.outgoing.toString())) {
+      return res
+        .status(409)
+        .json({ message: "The outgoing athlete is no longer in this crew" });
+    }
+
+    const races = await findEntryRaces(entry);
+    const windowError = checkSubstitutionWindow(
+      races,
+      resolveSubstitutionRules(competition)
+    );
+    if (windowError) {
+      return res.status(400).json({ message: windowError });
+    }
+
+    // Checked again: licences, medicals and race times may have changed
+    // since the request
+    eligibility = await checkSubstitutionEligibility(
+      competition,
+      entry,
+      substitution
+    );
+    let eligibilityOverride;
+    if (eligibility.errors.length) {
+      const accepted = resolveSubstitutionEligibility(req, res, eligibility);
+      if (!accepted) {
+        return;
+      }
+      eligibilityOverride = {
+        issues: eligibility.errors,
+        userId: req.user.id,
+        reason: accepted.reason,
+      };
+    }
+
+    substitution.races = await applySubstitution(entry, substitution, {
+      eligibilityOverride,
+    });
+  }
+
+  substitution.status = status;
+  substitution.reviewedBy = req.user.id;
+  substitution.reviewedAt = new Date();
+  substitution.reviewerNotes =
+    typeof reviewerNotes === "string" ? reviewerNotes : undefined;
+
+  await entry.save();
+  await populateEntryDoc(entry);
+
+  return res.json({ entry: serializeEntry(entry), eligibility });
+});
+
+const serializeEventDecision = (decision) => ({
+  id: decision._id?.toString(),
+  category: serializeCategory(decision.category),
+  boatClass: serializeBoatClass(decision.boatClass),
+  action: decision.action,
+  mergedInto: serializeCategory(decision.mergedInto),
+  entries: decision.entries,
+  reason: decision.reason,
+  decidedBy: serializeUser(decision.decidedBy),
+  decidedAt: decision.decidedAt,
+});
+
+const loadEventDecisions = async (competitionId) => {
+  const competition = await Competition.findById(competitionId)
+    .select("eventDecisions")
+    .populate([
+      {
+        path: "eventDecisions.category eventDecisions.mergedInto",
+        select: "abbreviation titles gender minAge maxAge",
+      },
+      {
+        path: "eventDecisions.boatClass",
+        select: "code names type seats crewSize coxswain",
+      },
+      {
+        path: "eventDecisions.decidedBy",
+        select: "firstName lastName role",
+      },
+    ])
+    .lean();
+  return (competition?.eventDecisions || []).map(serializeEventDecision);
+};
+
+// Cancel and merge decisions are taken once registration has closed
+const resolveEventDecisionContext = async (req, res) => {
+  if (!hasManagementPrivileges(req.user?.role)) {
+    res
+      .status(403)
+      .json({ message: "Only administrators may cancel or merge events" });
+    return null;
+  }
+
+  const competition = await Competition.findById(
+    toObjectId(req.params.competitionId)
+  );
+  if (!competition) {
+    res.status(404).json({ message: "Competition not found" });
+    return null;
+  }
+  if (resolveRegistrationStatus(competition) !== "closed") {
+    res.status(400).json({
+      message: "Events can only be cancelled or merged once registration is closed",
+    });
+    return null;
+  }
+
+  const category = toObjectId(req.body?.category);
+  if (!category) {
+    res.status(400).json({ message: "Category is required" });
+    return null;
+  }
+  const boatClass = req.body?.boatClass
+    ? toObjectId(req.body.boatClass)
+    : null;
+  if (req.body?.boatClass && !boatClass) {
+    res.status(400).json({ message: "Invalid boat class" });
+    return null;
+  }
+
+  return { competition, event: { category, boatClass } };
+};
+
+// Events with fewer entries than the competition minimum, and past decisions
+export const getUnderSubscribedReport = asyncHandler(async (req, res) => {
+  if (!hasManagementPrivileges(req.user?.role)) {
+    return res
+      .status(403)
+      .json({ message: "Only administrators may view this report" });
+  }
+
+  const competition = await Competition.findById(
+    toObjectId(req.params.competitionId)
+  ).lean();
+  if (!competition) {
+    return res.status(404).json({ message: "Competition not found" });
+  }
+
+  const events = await getUnderSubscribedEvents(competition);
+
+  return res.json({
+    minEntriesPerEvent: competition.minEntriesPerEvent || 0,
+    registrationStatus: resolveRegistrationStatus(competition),
+    events: events.map((event) => ({
+      category: serializeCategory(event.category),
+      boatClass: serializeBoatClass(event.boatClass),
+      label: event.label,
+      entries: event.entries,
+      clubs: event.clubs.map(serializeClub),
+    })),
+    decisions: await loadEventDecisions(competition._id),
+  });
+});
+
+export const cancelUnderSubscribedEvent = asyncHandler(async (req, res) => {
+  const context = await resolveEventDecisionContext(req, res);
+  if (!context) {
+    return undefined;
+  }
+  const { competition, event } = context;
+
+  let result;
+  try {
+    result = await cancelEvent(competition, event, {
+      userId: req.user.id,
+      reason:
+        typeof req.body?.reason === "string" && req.body.reason.trim()
+          ? req.body.reason.trim()
+          : undefined,
+    });
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  await competition.save();
+
+  return res.json({
+    ...result,
+    decisions: await loadEventDecisions(competition._id),
+  });
+});
+
+export const mergeUnderSubscribedEvent = asyncHandler(async (req, res) => {
+  const context = await resolveEventDecisionContext(req, res);
+  if (!context) {
+    return undefined;
+  }
+  const { competition, event } = context;
+
+  const targetCategory = toObjectId(req.body?.targetCategory);
+  if (!targetCategory) {
+    return res
+      .status(400)
+      .json({ message: "Choose the category to merge into" });
+  }
+
+  let result;
+  try {
+    result = await mergeEvent(competition, event, targetCategory, {
+      userId: req.user.id,
+      reason:
+        typeof req.body?.reason === "string" && req.body.reason.trim()
+          ? req.body.reason.trim()
+          : undefined,
+    });
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  await competition.save();
+
+  return res.json({
+    ...result,
+    decisions: await loadEventDecisions(competition._id),
+  });
+});
+
+// Numbered crews, for the bow-number sticker sheet
+export const listBowNumbers = asyncHandler(async (req, res) => {
+  if (!hasManagementPrivileges(req.user?.role)) {
+    return res
+      .status(403)
+      .json({ message: "Only administrators may print bow numbers" });
+  }
+
+  const competition = await Competition.findById(
+    toObjectId(req.params.competitionId)
+  )
+    .select("code names bowNumbering")
+    .lean();
+  if (!competition) {
+    return res.status(404).json({ message: "Competition not found" });
+  }
+
+  return res.json({
+    bowNumbering: competition.bowNumbering || {},
+    crews: await getBowNumberSheet(competition),
+  });
+});
+
+// Allocate (again) the bow numbers of every crew still entered
+export const assignBowNumbers = asyncHandler(async (req, res) => {
+  if (!hasManagementPrivileges(req.user?.role)) {
+    return res
+      .status(403)
+      .json({ message: "Only administrators may allocate bow numbers" });
+  }
+
+  const competition = await Competition.findById(
+    toObjectId(req.params.competitionId)
+  ).lean();
+  if (!competition) {
+    return res.status(404).json({ message: "Competition not found" });
+  }
+  if (resolveRegistrationStatus(competition) !== "closed") {
+    return res.status(400).json({
+      message: "Bow numbers are allocated once registration is closed",
+    });
+  }
+
+  const { method, startAt } = req.body || {};
+  if (method !== undefined && !BOW_NUMBERING_METHODS.includes(method)) {
+    return res
+      .status(400)
+      .json({ message: "Unsupported bow numbering method" });
+  }
+  const firstNumber = startAt !== undefined ? Number(startAt) : undefined;
+  if (
+    firstNumber !== undefined &&
+    (!Number.isInteger(firstNumber) || firstNumber < 1)
+  ) {
+    return res
+      .status(400)
+      .json({ message: "Bow numbers must start at a whole number from 1" });
+  }
+
+  const result = await allocateBowNumbers(competition, {
+    method,
+    startAt: firstNumber,
+  });
+
+  return res.json(result);
+});
@@ -0,0 +1,245 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Competition from "../Models/competitionModel.js";
+import Invoice, {
+  INVOICE_STATUSES,
+  INVOICE_TYPES,
+  PAYMENT_METHODS,
+} from "../Models/invoiceModel.js";
+import {
+  applyPayment,
+  ensureClosedCompetitionsInvoiced,
+  generateCompetitionInvoices,
+  getClubBalance,
+  hasEntryFees,
+} from "../Services/invoiceService.js";
+import {
+  activatePaidLicences,
+  checkLicencePaymentAthletes,
+  getPaidLicenceAthleteIds,
+} from "../Services/licenceFeeService.js";
+
+const invoicePopulateConfig = [
+  { path: "competition", select: "code names startDate" },
+  { path: "club", select: "name code" },
+  { path: "payments.recordedBy", select: "firstName lastName role" },
+];
+
+const ensureObjectId = (value) => {
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    return new mongoose.Types.ObjectId(value);
+  }
+  return null;
+};
+
+const normaliseString = (value) =>
+  typeof value === "string" ? value.trim() || undefined : undefined;
+
+// Club managers only see the invoices of their own club
+const resolveClubScope = (req, requestedClubId) => {
+  if (req.user?.role === "club_manager") {
+    return ensureObjectId(req.user.clubId);
+  }
+  return requestedClubId ? ensureObjectId(requestedClubId) : undefined;
+};
+
+export const listInvoices = asyncHandler(async (req, res) => {
+  await ensureClosedCompetitionsInvoiced();
+
+  const filter = {};
+  const clubId = resolveClubScope(req, req.query.club);
+  if (clubId === null) {
+    return res.status(403).json({ message: "Club assignment not found" });
+  }
+  if (clubId) {
+    filter.club = clubId;
+  }
+
+  if (req.query.competition) {
+    const competitionId = ensureObjectId(req.query.competition);
+    if (!competitionId) {
+      return res
+        .status(400)
+        .json({ message: "Invalid competition identifier" });
+    }
+    filter.competition = competitionId;
+  }
+
+  if (req.query.type) {
+    if (!INVOICE_TYPES.includes(req.query.type)) {
+      return res.status(400).json({ message: "Unsupported invoice type" });
+    }
+    filter.type = req.query.type;
+  }
+
+  if (req.query.season) {
+    const season = Number(req.query.season);
+    if (!Number.isInteger(season)) {
+      return res.status(400).json({ message: "Season must be a number" });
+    }
+    filter.season = season;
+  }
+
+  if (req.query.status) {
+    if (!INVOICE_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({ message: "Unsupported invoice status" });
+    }
+    filter.status = req.query.status;
+  }
+
+  const invoices = await Invoice.find(filter)
+    .sort({ issuedAt: -1 })
+    .populate(invoicePopulateConfig)
+    .lean();
+
+  res.json(invoices);
+});
+
+export const getInvoiceById = asyncHandler(async (req, res) => {
+  const invoiceId = ensureObjectId(req.params.invoiceId);
+  if (!invoiceId) {
+    return res.status(400).json({ message: "Invalid invoice identifier" });
+  }
+
+  const invoice = await Invoice.findById(invoiceId)
+    .populate(invoicePopulateConfig)
+    .populate("lines.category", "abbreviation")
+    .populate("lines.boatClass", "code")
+    .populate("lines.athlete", "firstName lastName licenseNumber")
+    .lean();
+  if (!invoice) {
+    return res.status(404).json({ message: "Invoice not found" });
+  }
+
+  if (
+    req.user?.role === "club_manager" &&
+    invoice.club?._id?.toString() !== req.user.clubId
+  ) {
+    return res
+      .status(403)
+      .json({ message: "You may only view your club's invoices" });
+  }
+
+  res.json(invoice);
+});
+
+export const generateInvoices = asyncHandler(async (req, res) => {
+  const competitionId = ensureObjectId(req.body?.competition);
+  if (!competitionId) {
+    return res.status(400).json({ message: "Invalid competition identifier" });
+  }
+
+  const competition = await Competition.findById(competitionId)
+    .select("code entryFees registrationWindow")
+    .lean();
+  if (!competition) {
+    return res.status(404).json({ message: "Competition not found" });
+  }
+  if (!hasEntryFees(competition)) {
+    return res
+      .status(400)
+      .json({ message: "This competition has no entry fees" });
+  }
+
+  const invoices = await generateCompetitionInvoices(competition, {
+    userId: req.user?.id,
+  });
+
+  res.json({
+    message: `${invoices.length} invoice(s) generated`,
+    invoices,
+  });
+});
+
+export const recordPayment = asyncHandler(async (req, res) => {
+  const invoiceId = ensureObjectId(req.params.invoiceId);
+  if (!invoiceId) {
+    return res.status(400).json({ message: "Invalid invoice identifier" });
+  }
+
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) {
+    return res.status(404).json({ message: "Invoice not found" });
+  }
+
+  const method = req.body?.method || "bank_transfer";
+  if (!PAYMENT_METHODS.includes(method)) {
+    return res.status(400).json({ message: "Unsupported payment method" });
+  }
+
+  const paidAt = req.body?.paidAt ? new Date(req.body.paidAt) : new Date();
+  if (Number.isNaN(paidAt.getTime())) {
+    return res.status(400).json({ message: "Payment date must be valid" });
+  }
+
+  // Licence payments may name the athletes whose fee they settle
+  const athletes = Array.isArray(req.body?.athletes)
+    ? req.body.athletes.map(ensureObjectId)
+    : [];
+  if (athletes.length) {
+    if (invoice.type !== "licence_fees" || athletes.some((id) => !id)) {
+      return res
+        .status(400)
+        .json({ message: "Athletes can only be named on licence invoices" });
+    }
+    const athletesError = checkLicencePaymentAthletes(
+      invoice,
+      athletes,
+      Number(req.body?.amount),
+    );
+    if (athletesError) {
+      return res.status(400).json({ message: athletesError });
+    }
+  }
+
+  const error = applyPayment(invoice, {
+    amount: Number(req.body?.amount),
+    method,
+    reference: normaliseString(req.body?.reference),
+    notes: normaliseString(req.body?.notes),
+    paidAt,
+    athletes,
+    recordedBy: req.user?.id,
+  });
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  await invoice.save();
+  if (invoice.type === "licence_fees") {
+    await activatePaidLicences(invoice);
+  }
+  await invoice.populate(invoicePopulateConfig);
+
+  res.status(201).json(invoice);
+});
+
+export const getClubBalanceSummary = asyncHandler(async (req, res) => {
+  const clubId = ensureObjectId(req.params.clubId);
+  if (!clubId) {
+    return res.status(400).json({ message: "Invalid club identifier" });
+  }
+  if (
+    req.user?.role === "club_manager" &&
+    clubId.toString() !== req.user.clubId
+  ) {
+    return res
+      .status(403)
+      .json({ message: "You may only view your club's balance" });
+  }
+
+  await ensureClosedCompetitionsInvoiced();
+
+  const balance = await getClubBalance(clubId);
+  res.json({
+    ...balance,
+    invoices: balance.invoices.map((invoice) =>
+      invoice.type === "licence_fees"
+        ? {
+            ...invoice,
+            paidAthletes: [...getPaidLicenceAthleteIds(invoice)],
+          }
+        : invoice,
+    ),
+  });
+});
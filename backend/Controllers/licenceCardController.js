@@ -0,0 +1,87 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import { getSeasonYear } from "../Services/categoryAssignmentService.js";
+import {
+  getLicenceCards,
+  lookupLicence,
+} from "../Services/licenceCardService.js";
+
+const MAX_CARDS = 500;
+
+const parseSeason = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return getSeasonYear();
+  }
+  const season = Number.parseInt(value, 10);
+  return Number.isInteger(season) && season > 1900 ? season : null;
+};
+
+export const listLicenceCards = asyncHandler(async (req, res) => {
+  const season = parseSeason(req.query.season);
+  if (!season) {
+    return res.status(400).json({ message: "Season must be a valid year" });
+  }
+
+  const athleteIds = String(req.query.athleteIds || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => mongoose.Types.ObjectId.isValid(id));
+
+  let clubId = req.query.clubId;
+  if (req.user?.role === "club_manager") {
+    if (!req.user.clubId) {
+      return res
+        .status(403)
+        .json({ message: "You are not assigned to a club" });
+    }
+    clubId = req.user.clubId;
+  }
+  if (clubId && !mongoose.Types.ObjectId.isValid(clubId)) {
+    return res.status(400).json({ message: "Invalid club identifier" });
+  }
+  if (!clubId && !athleteIds.length) {
+    return res
+      .status(400)
+      .json({ message: "Choose a club or the athletes to print" });
+  }
+
+  const cards = await getLicenceCards({
+    season,
+    clubId: clubId ? new mongoose.Types.ObjectId(clubId) : undefined,
+    athleteIds,
+  });
+  if (cards.length > MAX_CARDS) {
+    return res.status(400).json({
+      message: `Too many cards (${cards.length}); print at most ${MAX_CARDS} at once`,
+    });
+  }
+
+  res.json({ season, cards });
+});
+
+// Control commission: licence by number or scanned QR code
+export const lookupLicenceCard = asyncHandler(async (req, res) => {
+  const season = parseSeason(req.query.season);
+  if (!season) {
+    return res.status(400).json({ message: "Season must be a valid year" });
+  }
+
+  const licenseNumber = String(req.query.licenseNumber || "").trim();
+  const qrToken = String(req.query.qr || "").trim();
+  if (!licenseNumber && !qrToken) {
+    return res
+      .status(400)
+      .json({ message: "Enter a licence number or scan a licence card" });
+  }
+
+  const licence = await lookupLicence({ licenseNumber, qrToken, season });
+  if (!licence) {
+    return res.status(404).json({
+      message: qrToken
+        ? "This licence card could not be verified"
+        : "No athlete with this licence number",
+    });
+  }
+
+  res.json(licence);
+});
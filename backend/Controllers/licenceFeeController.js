@@ -0,0 +1,171 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import LicenceTariff from "../Models/licenceTariffModel.js";
+import Club from "../Models/clubModel.js";
+import { getSeasonYear } from "../Services/categoryAssignmentService.js";
+import {
+  generateClubLicenceInvoice,
+  generateSeasonLicenceInvoices,
+  getSeasonLicenceSummary,
+} from "../Services/licenceFeeService.js";
+
+const ensureObjectId = (value) => {
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    return new mongoose.Types.ObjectId(value);
+  }
+  return null;
+};
+
+const parseSeason = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return getSeasonYear();
+  }
+  const season = Number.parseInt(value, 10);
+  return Number.isInteger(season) && season > 1900 ? season : null;
+};
+
+const parseAmount = (value, label) => {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new Error(`${label} must be zero or greater`);
+  }
+  return amount;
+};
+
+const sanitiseRates = (rates) => {
+  if (!Array.isArray(rates)) {
+    return [];
+  }
+  return rates
+    .map((rate) => {
+      const amount = parseAmount(rate?.amount, "Rate amount");
+      if (amount === undefined) {
+        return null;
+      }
+      const category = rate.category ? ensureObjectId(rate.category) : null;
+      const minAge = parseAmount(rate.minAge, "Minimum age");
+      const maxAge = parseAmount(rate.maxAge, "Maximum age");
+      if (!category && minAge === undefined && maxAge === undefined) {
+        throw new Error("Each rate needs a category or an age range");
+      }
+      if (minAge !== undefined && maxAge !== undefined && minAge > maxAge) {
+        throw new Error("Rate minimum age cannot be above its maximum age");
+      }
+      return {
+        label:
+          typeof rate.label === "string" && rate.label.trim()
+            ? rate.label.trim()
+            : undefined,
+        category: category || undefined,
+        minAge,
+        maxAge,
+        amount,
+      };
+    })
+    .filter(Boolean);
+};
+
+export const getTariff = asyncHandler(async (req, res) => {
+  const season = parseSeason(req.params.season);
+  if (!season) {
+    return res.status(400).json({ message: "Season must be a valid year" });
+  }
+
+  const tariff = await LicenceTariff.findOne({ season })
+    .populate("rates.category", "abbreviation titles")
+    .lean();
+
+  res.json(
+    tariff || {
+      season,
+      currency: "TND",
+      defaultAmount: 0,
+      rates: [],
+      requirePayment: false,
+    },
+  );
+});
+
+export const saveTariff = asyncHandler(async (req, res) => {
+  const season = parseSeason(req.params.season);
+  if (!season) {
+    return res.status(400).json({ message: "Season must be a valid year" });
+  }
+
+  let update;
+  try {
+    update = {
+      season,
+      currency:
+        typeof req.body?.currency === "string" && req.body.currency.trim()
+          ? req.body.currency.trim().toUpperCase()
+          : "TND",
+      defaultAmount: parseAmount(req.body?.defaultAmount, "Default fee") || 0,
+      rates: sanitiseRates(req.body?.rates),
+      requirePayment: Boolean(req.body?.requirePayment),
+      updatedBy: req.user?.id,
+    };
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  const tariff = await LicenceTariff.findOneAndUpdate({ season }, update, {
+    new: true,
+    upsert: true,
+    runValidators: true,
+  }).populate("rates.category", "abbreviation titles");
+
+  res.json({ message: "Licence tariff saved", tariff });
+});
+
+export const generateLicenceInvoices = asyncHandler(async (req, res) => {
+  const season = parseSeason(req.body?.season);
+  if (!season) {
+    return res.status(400).json({ message: "Season must be a valid year" });
+  }
+
+  const tariff = await LicenceTariff.findOne({ season }).lean();
+  if (!tariff) {
+    return res
+      .status(400)
+      .json({ message: `No licence tariff is set for ${season}` });
+  }
+
+  if (req.body?.club) {
+    const clubId = ensureObjectId(req.body.club);
+    if (!clubId || !(await Club.exists({ _id: clubId }))) {
+      return res.status(404).json({ message: "Club not found" });
+    }
+    const invoice = await generateClubLicenceInvoice(clubId, season, {
+      tariff,
+      userId: req.user?.id,
+    });
+    return res.json({
+      message: invoice
+        ? "Licence invoice generated"
+        : "No licence fee is due for this club",
+      invoices: invoice ? [invoice] : [],
+    });
+  }
+
+  const invoices = await generateSeasonLicenceInvoices(season, {
+    userId: req.user?.id,
+  });
+  res.json({
+    message: `${invoices.length} licence invoice(s) generated`,
+    invoices,
+  });
+});
+
+export const getLicenceSummary = asyncHandler(async (req, res) => {
+  const season = parseSeason(req.query.season);
+  if (!season) {
+    return res.status(400).json({ message: "Season must be a valid year" });
+  }
+
+  const clubs = await getSeasonLicenceSummary(season);
+  res.json({ season, clubs });
+});
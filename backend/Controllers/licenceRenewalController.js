@@ -0,0 +1,192 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import LicenceRenewalRequest, {
+  LICENCE_RENEWAL_STATUSES,
+} from "../Models/licenceRenewalRequestModel.js";
+import Club from "../Models/clubModel.js";
+import { getSeasonYear } from "../Services/categoryAssignmentService.js";
+import {
+  approveRenewalRequests,
+  rejectRenewalRequests,
+  submitRenewalRequests,
+} from "../Services/licenceRenewalService.js";
+
+const parseSeason = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return getSeasonYear();
+  }
+  const season = Number.parseInt(value, 10);
+  return Number.isInteger(season) && season > 1900 ? season : null;
+};
+
+const parseIds = (values) =>
+  Array.isArray(values)
+    ? [
+        ...new Set(
+          values
+            .filter((value) => mongoose.Types.ObjectId.isValid(value))
+            .map(String),
+        ),
+      ]
+    : [];
+
+const trimNote = (value) =>
+  typeof value === "string" && value.trim() ? value.trim() : undefined;
+
+const REQUEST_POPULATE = [
+  { path: "athlete", select: "firstName lastName licenseNumber licenseStatus" },
+  { path: "club", select: "name code" },
+  { path: "requestedBy", select: "firstName lastName role" },
+  { path: "decidedBy", select: "firstName lastName role" },
+];
+
+export const createRenewalRequests = asyncHandler(async (req, res) => {
+  const season = parseSeason(req.body?.season);
+  if (!season) {
+    return res.status(400).json({ message: "Season must be a valid year" });
+  }
+
+  const athleteIds = parseIds(req.body?.athleteIds);
+  if (!athleteIds.length) {
+    return res.status(400).json({ message: "Select at least one athlete" });
+  }
+
+  let clubId = req.body?.clubId;
+  if (req.user?.role === "club_manager") {
+    if (!req.user.clubId) {
+      return res
+        .status(403)
+        .json({ message: "You are not assigned to a club" });
+    }
+    clubId = req.user.clubId;
+  }
+  if (!mongoose.Types.ObjectId.isValid(clubId)) {
+    return res.status(400).json({ message: "A valid club is required" });
+  }
+  if (!(await Club.exists({ _id: clubId }))) {
+    return res.status(404).json({ message: "Club not found" });
+  }
+
+  const { created, skipped } = await submitRenewalRequests({
+    clubId,
+    athleteIds,
+    season,
+    userId: req.user.id,
+    notes: trimNote(req.body?.notes),
+  });
+
+  res.status(created.length ? 201 : 200).json({
+    message: `${created.length} renewal request(s) submitted${
+      skipped.length ? `, ${skipped.length} athlete(s) not eligible` : ""
+    }`,
+    created: created.length,
+    skipped,
+  });
+});
+
+export const listRenewalRequests = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.query.season) {
+    const season = parseSeason(req.query.season);
+    if (!season) {
+      return res.status(400).json({ message: "Season must be a valid year" });
+    }
+    filter.season = season;
+  }
+  if (req.query.status) {
+    if (!LICENCE_RENEWAL_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({ message: "Invalid request status" });
+    }
+    filter.status = req.query.status;
+  }
+
+  if (req.user?.role === "club_manager") {
+    if (!req.user.clubId) {
+      return res
+        .status(403)
+        .json({ message: "You are not assigned to a club" });
+    }
+    filter.club = req.user.clubId;
+  } else if (
+    req.query.clubId &&
+    mongoose.Types.ObjectId.isValid(req.query.clubId)
+  ) {
+    filter.club = req.query.clubId;
+  }
+
+  const requests = await LicenceRenewalRequest.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(500)
+    .populate(REQUEST_POPULATE)
+    .lean();
+
+  res.json(requests);
+});
+
+export const approveRenewals = asyncHandler(async (req, res) => {
+  const ids = parseIds(req.body?.ids);
+  if (!ids.length) {
+    return res.status(400).json({ message: "Select at least one request" });
+  }
+
+  const result = await approveRenewalRequests(ids, {
+    userId: req.user.id,
+    note: trimNote(req.body?.note),
+  });
+
+  res.json({
+    message: `${result.approved} licence(s) renewed${
+      result.awaitingFee
+        ? `, ${result.awaitingFee} waiting for the licence fee`
+        : ""
+    }${result.failed.length ? `, ${result.failed.length} not eligible` : ""}`,
+    ...result,
+  });
+});
+
+export const rejectRenewals = asyncHandler(async (req, res) => {
+  const ids = parseIds(req.body?.ids);
+  if (!ids.length) {
+    return res.status(400).json({ message: "Select at least one request" });
+  }
+
+  const rejected = await rejectRenewalRequests(ids, {
+    userId: req.user.id,
+    note: trimNote(req.body?.note),
+  });
+
+  res.json({ message: `${rejected} renewal request(s) rejected`, rejected });
+});
+
+export const cancelRenewalRequest = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: "Invalid request identifier" });
+  }
+
+  const request = await LicenceRenewalRequest.findById(id);
+  if (!request) {
+    return res.status(404).json({ message: "Renewal request not found" });
+  }
+  if (
+    req.user?.role === "club_manager" &&
+    request.club.toString() !== req.user.clubId
+  ) {
+    return res
+      .status(403)
+      .json({ message: "You are not authorized to cancel this request" });
+  }
+  if (request.status !== "pending") {
+    return res
+      .status(400)
+      .json({ message: "This renewal request has already been processed" });
+  }
+
+  request.status = "cancelled";
+  request.decidedBy = req.user.id;
+  request.decidedAt = new Date();
+  await request.save();
+
+  res.json({ message: "Renewal request cancelled", request });
+});
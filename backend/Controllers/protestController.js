@@ -0,0 +1,309 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Competition from "../Models/competitionModel.js";
+import CompetitionRace from "../Models/competitionRaceModel.js";
+import Protest, {
+  OPEN_PROTEST_STATUSES,
+  PROTEST_DECISION_ACTIONS,
+} from "../Models/protestModel.js";
+import { applyProtestDecision } from "../Services/protestService.js";
+import { advanceProgression } from "../Services/progressionService.js";
+import { publishRaceUpdate } from "../Services/liveFeedService.js";
+
+const protestPopulateConfig = [
+  { path: "club", select: "name nameAr code" },
+  { path: "filedBy", select: "firstName lastName role" },
+  { path: "deliberations.by", select: "firstName lastName role" },
+  { path: "decision.decidedBy", select: "firstName lastName role" },
+];
+
+const ensureObjectId = (value) => {
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    return new mongoose.Types.ObjectId(value);
+  }
+  return null;
+};
+
+const normaliseString = (value) =>
+  typeof value === "string" ? value.trim() : undefined;
+
+const loadRaceOrRespond = async (req, res) => {
+  const competitionId = ensureObjectId(req.params.competitionId);
+  const raceId = ensureObjectId(req.params.raceId);
+  if (!competitionId || !raceId) {
+    res.status(400).json({ message: "Invalid competition or race identifier" });
+    return null;
+  }
+
+  const competition = await Competition.findById(competitionId);
+  if (!competition) {
+    res.status(404).json({ message: "Competition not found" });
+    return null;
+  }
+
+  const race = await CompetitionRace.findOne({
+    _id: raceId,
+    competition: competition._id,
+  });
+  if (!race) {
+    res.status(404).json({ message: "Race not found" });
+    return null;
+  }
+
+  return { competition, race };
+};
+
+const loadProtestOrRespond = async (req, res, race) => {
+  const protestId = ensureObjectId(req.params.protestId);
+  const protest = protestId
+    ? await Protest.findOne({ _id: protestId, race: race._id })
+    : null;
+  if (!protest) {
+    res.status(404).json({ message: "Protest not found" });
+    return null;
+  }
+  return protest;
+};
+
+export const listRaceProtests = asyncHandler(async (req, res) => {
+  const context = await loadRaceOrRespond(req, res);
+  if (!context) {
+    return;
+  }
+
+  const filter = { race: context.race._id };
+
+  // Club managers only follow the protests lodged by their club
+  if (req.user?.role === "club_manager") {
+    const clubId = ensureObjectId(req.user.clubId);
+    if (!clubId) {
+      return res.status(403).json({ message: "Club assignment not found" });
+    }
+    filter.club = clubId;
+  }
+
+  const protests = await Protest.find(filter)
+    .sort({ createdAt: -1 })
+    .populate(protestPopulateConfig)
+    .lean();
+
+  res.json(protests);
+});
+
+export const fileProtest = asyncHandler(async (req, res) => {
+  const context = await loadRaceOrRespond(req, res);
+  if (!context) {
+    return;
+  }
+  const { race } = context;
+
+  const laneNumber = Number(req.body?.lane);
+  const grounds = normaliseString(req.body?.grounds);
+
+  if (!Number.isInteger(laneNumber) || laneNumber < 1) {
+    return res.status(400).json({ message: "A valid lane is required" });
+  }
+  if (!grounds) {
+    return res
+      .status(400)
+      .json({ message: "Grounds for the protest are required" });
+  }
+  if (!race.lanes.some((lane) => lane.lane === laneNumber)) {
+    return res
+      .status(400)
+      .json({ message: `Lane ${laneNumber} is not assigned in this race` });
+  }
+
+  const clubId =
+    req.user?.role === "club_manager"
+      ? ensureObjectId(req.user.clubId)
+      : ensureObjectId(req.body?.clubId);
+  if (!clubId) {
+    return res.status(400).json({ message: "Filing club is required" });
+  }
+  // Only a club racing in the race can protest its result
+  if (!race.lanes.some((lane) => lane.club?.equals(clubId))) {
+    return res
+      .status(403)
+      .json({ message: "The filing club has no crew in this race" });
+  }
+
+  if (race.resultsStatus === "official") {
+    return res
+      .status(409)
+      .json({ message: "Results are official; protests are closed" });
+  }
+
+  if (
+    req.user?.role === "club_manager" &&
+    race.protestWindowEndsAt &&
+    race.protestWindowEndsAt < new Date()
+  ) {
+    return res
+      .status(409)
+      .json({ message: "The protest window for this race has closed" });
+  }
+
+  const protest = await Protest.create({
+    competition: race.competition,
+    race: race._id,
+    lane: laneNumber,
+    club: clubId,
+    grounds,
+    status: "submitted",
+    filedBy: req.user?.id,
+  });
+
+  await protest.populate(protestPopulateConfig);
+
+  res.status(201).json(protest);
+});
+
+export const addProtestDeliberation = asyncHandler(async (req, res) => {
+  const context = await loadRaceOrRespond(req, res);
+  if (!context) {
+    return;
+  }
+  const protest = await loadProtestOrRespond(req, res, context.race);
+  if (!protest) {
+    return;
+  }
+
+  const note = normaliseString(req.body?.note);
+  if (!note) {
+    return res.status(400).json({ message: "Deliberation note is required" });
+  }
+
+  if (!OPEN_PROTEST_STATUSES.includes(protest.status)) {
+    return res.status(409).json({ message: "Protest is already closed" });
+  }
+
+  protest.deliberations.push({ note, by: req.user?.id, at: new Date() });
+  protest.status = "under_review";
+  await protest.save();
+  await protest.populate(protestPopulateConfig);
+
+  res.json(protest);
+});
+
+export const decideProtest = asyncHandler(async (req, res) => {
+  const context = await loadRaceOrRespond(req, res);
+  if (!context) {
+    return;
+  }
+  const { competition, race } = context;
+  const protest = await loadProtestOrRespond(req, res, race);
+  if (!protest) {
+    return;
+  }
+
+  if (!OPEN_PROTEST_STATUSES.includes(protest.status)) {
+    return res.status(409).json({ message: "Protest is already closed" });
+  }
+
+  const { upheld } = req.body || {};
+  const action = upheld ? req.body?.action || "none" : "none";
+  const reason = normaliseString(req.body?.reason);
+
+  if (!PROTEST_DECISION_ACTIONS.includes(action)) {
+    return res.status(400).json({ message: "Unsupported decision action" });
+  }
+
+  const decision = {
+    action,
+    reason,
+    decidedBy: req.user?.id,
+    decidedAt: new Date(),
+  };
+
+  if (action === "time_penalty") {
+    const penaltyMs = Number(req.body?.penaltyMs);
+    if (!Number.isFinite(penaltyMs) || penaltyMs <= 0) {
+      return res
+        .status(400)
+        .json({ message: "Time penalty must be greater than zero" });
+    }
+    decision.penaltyMs = penaltyMs;
+  }
+
+  if (action === "rerank") {
+    const finishPosition = Number(req.body?.finishPosition);
+    if (!Number.isInteger(finishPosition) || finishPosition < 1) {
+      return res
+        .status(400)
+        .json({ message: "Finish position must be a positive integer" });
+    }
+    decision.finishPosition = finishPosition;
+  }
+
+  if (action !== "none") {
+    if (race.resultsStatus === "official") {
+      return res.status(409).json({
+        message:
+          "Results are official. Reopen the race with a reason before applying the decision.",
+      });
+    }
+
+    try {
+      applyProtestDecision(race, protest.lane, decision);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    race.markModified("lanes");
+    race.updatedBy = req.user?.id;
+    await race.save();
+    publishRaceUpdate(race, "results");
+    decision.appliedAt = new Date();
+
+    // Results changed, so later rounds may need different crews
+    if (race.progression?.system && race.status === "completed") {
+      try {
+        await advanceProgression(race, {
+          userId: req.user?.id,
+          discipline: competition.discipline,
+          laneDraw: competition.laneDraw,
+        });
+      } catch (error) {
+        console.error("Failed to advance progression:", error);
+      }
+    }
+  }
+
+  protest.status = upheld ? "upheld" : "rejected";
+  protest.decision = decision;
+  await protest.save();
+  await protest.populate(protestPopulateConfig);
+
+  res.json({ protest, race: race.toObject() });
+});
+
+export const withdrawProtest = asyncHandler(async (req, res) => {
+  const context = await loadRaceOrRespond(req, res);
+  if (!context) {
+    return;
+  }
+  const protest = await loadProtestOrRespond(req, res, context.race);
+  if (!protest) {
+    return;
+  }
+
+  if (
+    req.user?.role === "club_manager" &&
+    protest.club.toString() !== req.user.clubId
+  ) {
+    return res
+      .status(403)
+      .json({ message: "You can only withdraw your club's protests" });
+  }
+
+  if (!OPEN_PROTEST_STATUSES.includes(protest.status)) {
+    return res.status(409).json({ message: "Protest is already closed" });
+  }
+
+  protest.status = "withdrawn";
+  await protest.save();
+  await protest.populate(protestPopulateConfig);
+
+  res.json(protest);
+});
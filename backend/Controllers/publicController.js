@@ -0,0 +1,232 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Competition from "../Models/competitionModel.js";
+import CompetitionRace from "../Models/competitionRaceModel.js";
+import { getRankingSummary } from "../Services/rankingService.js";
+import { getSeasonYear } from "../Services/categoryAssignmentService.js";
+import { verifyLicenceCard } from "../Services/licenceCardService.js";
+
+// Only these competitions are visible without logging in
+const PUBLIC_COMPETITION_STATUSES = ["published", "completed"];
+
+const PUBLIC_COMPETITION_FIELDS =
+  "code names discipline competitionType season startDate endDate venue status resultsStatus defaultDistance stages";
+
+// Names only: no CIN, birth date, licence or documents
+const PUBLIC_ATHLETE_FIELDS =
+  "firstName lastName firstNameAr lastNameAr gender";
+
+const PUBLIC_CLUB_FIELDS = "name nameAr code";
+
+const publicRacePopulate = [
+  { path: "lanes.athlete", select: PUBLIC_ATHLETE_FIELDS },
+  { path: "lanes.crew", select: PUBLIC_ATHLETE_FIELDS },
+  { path: "lanes.club", select: PUBLIC_CLUB_FIELDS },
+  { path: "category", select: "abbreviation titles gender" },
+  { path: "boatClass", select: "code names" },
+];
+
+const toPublicClub = (club) =>
+  club && typeof club === "object"
+    ? { _id: club._id, name: club.name, nameAr: club.nameAr, code: club.code }
+    : club;
+
+const toPublicResult = (result) => {
+  if (!result) {
+    return undefined;
+  }
+  return {
+    status: result.status,
+    finishPosition: result.finishPosition,
+    elapsedMs: result.elapsedMs,
+    adjustedMs: result.adjustedMs,
+    splits: result.splits,
+    penalties: (result.penalties || []).map(({ amountMs, reason }) => ({
+      amountMs,
+      reason,
+    })),
+  };
+};
+
+// Start list always; results only once the race is official
+const toPublicRace = (race) => {
+  const official = race.resultsStatus === "official";
+  return {
+    _id: race._id,
+    name: race.name,
+    raceNumber: race.raceNumber,
+    journeyIndex: race.journeyIndex,
+    sessionLabel: race.sessionLabel,
+    startTime: race.startTime,
+    distanceOverride: race.distanceOverride,
+    category: race.category,
+    boatClass: race.boatClass,
+    progression: race.progression,
+    status: race.status,
+    resultsStatus: race.resultsStatus || "pending",
+    officialAt: official ? race.officialAt : undefined,
+    lanes: (race.lanes || []).map((lane) => ({
+      lane: lane.lane,
+      crewNumber: lane.crewNumber,
+      bowNumber: lane.bowNumber,
+      athlete: lane.athlete,
+      crew: lane.crew,
+      coxswain: lane.coxswain,
+      club: lane.club,
+      result: official ? toPublicResult(lane.result) : undefined,
+    })),
+  };
+};
+
+const loadPublicCompetitionOrRespond = async (competitionId, res) => {
+  if (!mongoose.Types.ObjectId.isValid(competitionId)) {
+    res.status(400).json({ message: "Invalid competition identifier" });
+    return null;
+  }
+
+  const competition = await Competition.findOne({
+    _id: competitionId,
+    status: { $in: PUBLIC_COMPETITION_STATUSES },
+  })
+    .select(PUBLIC_COMPETITION_FIELDS)
+    .lean();
+
+  if (!competition) {
+    res.status(404).json({ message: "Competition not found" });
+    return null;
+  }
+  return competition;
+};
+
+export const listPublicCompetitions = asyncHandler(async (req, res) => {
+  const filters = { status: { $in: PUBLIC_COMPETITION_STATUSES } };
+
+  if (req.query.season) {
+    const season = Number(req.query.season);
+    if (!Number.isFinite(season)) {
+      return res.status(400).json({ message: "Season must be a number" });
+    }
+    filters.season = season;
+  }
+
+  const competitions = await Competition.find(filters)
+    .select(PUBLIC_COMPETITION_FIELDS)
+    .sort({ startDate: -1 })
+    .limit(100)
+    .lean();
+
+  res.json(competitions);
+});
+
+export const getPublicCompetition = asyncHandler(async (req, res) => {
+  const competition = await loadPublicCompetitionOrRespond(
+    req.params.competitionId,
+    res,
+  );
+  if (!competition) {
+    return;
+  }
+
+  res.json(competition);
+});
+
+export const listPublicRaces = asyncHandler(async (req, res) => {
+  const competition = await loadPublicCompetitionOrRespond(
+    req.params.competitionId,
+    res,
+  );
+  if (!competition) {
+    return;
+  }
+
+  const races = await CompetitionRace.find({
+    competition: competition._id,
+    status: { $ne: "cancelled" },
+  })
+    .sort({ journeyIndex: 1, order: 1, startTime: 1 })
+    .populate(publicRacePopulate)
+    .lean();
+
+  res.json(races.map(toPublicRace));
+});
+
+export const getPublicRace = asyncHandler(async (req, res) => {
+  const competition = await loadPublicCompetitionOrRespond(
+    req.params.competitionId,
+    res,
+  );
+  if (!competition) {
+    return;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.raceId)) {
+    return res.status(400).json({ message: "Invalid race identifier" });
+  }
+
+  const race = await CompetitionRace.findOne({
+    _id: req.params.raceId,
+    competition: competition._id,
+  })
+    .populate(publicRacePopulate)
+    .lean();
+
+  if (!race) {
+    return res.status(404).json({ message: "Race not found" });
+  }
+
+  res.json(toPublicRace(race));
+});
+
+// Rankings are built from official races only
+export const getPublicRankings = asyncHandler(async (req, res) => {
+  const competition = await loadPublicCompetitionOrRespond(
+    req.params.competitionId,
+    res,
+  );
+  if (!competition) {
+    return;
+  }
+
+  const { systemId } = req.query;
+  if (systemId && !mongoose.Types.ObjectId.isValid(systemId)) {
+    return res.status(400).json({ message: "Invalid ranking system" });
+  }
+
+  const summary = await getRankingSummary(competition._id, systemId || null, {
+    officialOnly: true,
+  });
+
+  const rankings = {};
+  for (const [groupKey, entries] of Object.entries(summary.rankings)) {
+    rankings[groupKey] = entries.map((entry) => ({
+      ...entry,
+      entity:
+        entry.entityType === "athlete"
+          ? {
+              _id: entry.entity?._id,
+              firstName: entry.entity?.firstName,
+              lastName: entry.entity?.lastName,
+              fullName: entry.entity?.fullName,
+            }
+          : toPublicClub(entry.entity),
+      club: toPublicClub(entry.club),
+    }));
+  }
+
+  res.json({ ...summary, rankings });
+});
+
+// QR code of a printed licence card: valid today or not, nothing private
+export const verifyPublicLicence = asyncHandler(async (req, res) => {
+  const result = await verifyLicenceCard(
+    req.params.licenseNumber,
+    req.query.s,
+    getSeasonYear(),
+  );
+  if (!result) {
+    return res
+      .status(404)
+      .json({ message: "This licence card could not be verified" });
+  }
+  res.json(result);
+});
@@ -193,17 +193,21 @@ export const syncPresets = async (req, res) => {
  *   - systemId: Ranking system ID
  *   - summary: "true" for simplified view
  *   - includeMasters: "true" or "false" to include/exclude masters categories
+ *   - officialOnly: "true" to only use races with official results
  */
 export const getCompetitionRanking = async (req, res) => {
   try {
     const { competitionId } = req.params;
-    const { systemId, summary, includeMasters } = req.query;
+    const { systemId, summary, includeMasters, officialOnly } = req.query;
 
     // Build options from query params
     const options = {};
     if (includeMasters !== undefined) {
       options.includeMasters = includeMasters === "true";
     }
+    if (officialOnly !== undefined) {
+      options.officialOnly = officialOnly === "true";
+    }
 
     let ranking;
     if (summary === "true") {
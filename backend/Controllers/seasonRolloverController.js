@@ -0,0 +1,128 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import SeasonRollover from "../Models/seasonRolloverModel.js";
+import { getSeasonYear } from "../Services/categoryAssignmentService.js";
+import {
+  buildRolloverReportCsv,
+  canResumeSeasonRollover,
+  previewSeasonRollover,
+  resumeSeasonRollover,
+  startSeasonRollover,
+} from "../Services/seasonRolloverService.js";
+
+const parseSeason = (value, fallback) => {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const season = Number.parseInt(value, 10);
+  return Number.isInteger(season) && season > 1900 ? season : null;
+};
+
+// From and to seasons, defaulting to the current season and the next one
+const parseSeasons = (source) => {
+  const fromSeason = parseSeason(source?.fromSeason, getSeasonYear());
+  const toSeason = parseSeason(
+    source?.toSeason,
+    fromSeason ? fromSeason + 1 : null,
+  );
+  if (!fromSeason || !toSeason) {
+    return { error: "Seasons must be valid years" };
+  }
+  if (toSeason <= fromSeason) {
+    return { error: "The new season must come after the current one" };
+  }
+  return { fromSeason, toSeason };
+};
+
+const serializeJob = (job) => ({
+  ...job,
+  changeCount: job.changeCount ?? 0,
+  canResume: canResumeSeasonRollover(job),
+});
+
+const findJob = (id) =>
+  mongoose.Types.ObjectId.isValid(id)
+    ? SeasonRollover.findById(id).lean()
+    : null;
+
+export const previewRollover = asyncHandler(async (req, res) => {
+  const seasons = parseSeasons(req.query);
+  if (seasons.error) {
+    return res.status(400).json({ message: seasons.error });
+  }
+
+  const preview = await previewSeasonRollover(
+    seasons.fromSeason,
+    seasons.toSeason,
+  );
+  res.json({
+    ...preview,
+    existingJob: preview.existingJob ? serializeJob(preview.existingJob) : null,
+  });
+});
+
+export const listRollovers = asyncHandler(async (req, res) => {
+  const jobs = await SeasonRollover.find()
+    .sort({ createdAt: -1 })
+    .limit(10)
+    .lean();
+  res.json(jobs.map(serializeJob));
+});
+
+export const startRollover = asyncHandler(async (req, res) => {
+  const seasons = parseSeasons(req.body);
+  if (seasons.error) {
+    return res.status(400).json({ message: seasons.error });
+  }
+
+  try {
+    const job = await startSeasonRollover({
+      ...seasons,
+      userId: req.user?.id,
+    });
+    res.status(202).json({
+      message: `Rollover to ${seasons.toSeason} started`,
+      job: serializeJob(job.toObject()),
+    });
+  } catch (error) {
+    res.status(409).json({ message: error.message });
+  }
+});
+
+export const getRollover = asyncHandler(async (req, res) => {
+  const job = await findJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ message: "Rollover not found" });
+  }
+  res.json(serializeJob(job));
+});
+
+export const resumeRollover = asyncHandler(async (req, res) => {
+  const job = await findJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ message: "Rollover not found" });
+  }
+  if (!resumeSeasonRollover(job)) {
+    return res.status(409).json({
+      message:
+        job.status === "completed"
+          ? "This rollover has already completed"
+          : "This rollover is already running",
+    });
+  }
+  res.status(202).json({
+    message: "Rollover resumed",
+    job: serializeJob(job),
+  });
+});
+
+export const downloadRolloverReport = asyncHandler(async (req, res) => {
+  const job = await findJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ message: "Rollover not found" });
+  }
+
+  res.attachment(`season-rollover-${job.fromSeason}-${job.toSeason}.csv`);
+  res.type("text/csv");
+  res.send(await buildRolloverReportCsv(job));
+});
@@ -0,0 +1,355 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Competition from "../Models/competitionModel.js";
+import CompetitionRace from "../Models/competitionRaceModel.js";
+import BoatClass from "../Models/boatClassModel.js";
+import Athlete from "../Models/athleteModel.js";
+import WeighIn from "../Models/weighInModel.js";
+import {
+  LIGHTWEIGHT_LIMITS,
+  COX_MIN_WEIGHT_KG,
+  COX_MAX_DEADWEIGHT_KG,
+  evaluateCoxWeighIn,
+  evaluateRaceWeighIns,
+  getCoxMinWeightKg,
+  getLaneRowerIds,
+} from "../Services/weighInService.js";
+import { getCrewRowers } from "../Services/crewSeatService.js";
+
+const ATHLETE_FIELDS =
+  "firstName lastName firstNameAr lastNameAr licenseNumber gender";
+
+const weighInPopulateConfig = [
+  { path: "athlete", select: ATHLETE_FIELDS },
+  { path: "official", select: "firstName lastName role" },
+];
+
+// Weights outside this range are typing mistakes
+const MIN_WEIGHT_KG = 20;
+const MAX_WEIGHT_KG = 200;
+
+const ensureObjectId = (value) => {
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    return new mongoose.Types.ObjectId(value);
+  }
+  return null;
+};
+
+const normaliseString = (value) =>
+  typeof value === "string" ? value.trim() : undefined;
+
+const loadCompetitionOrRespond = async (req, res) => {
+  const competitionId = ensureObjectId(req.params.competitionId);
+  if (!competitionId) {
+    res.status(400).json({ message: "Invalid competition identifier" });
+    return null;
+  }
+
+  const competition = await Competition.findById(competitionId)
+    .select("code names stages startDate coxWeighIn")
+    .lean();
+  if (!competition) {
+    res.status(404).json({ message: "Competition not found" });
+    return null;
+  }
+  return competition;
+};
+
+const parseJourney = (value) => {
+  const journeyIndex = Number(value);
+  return Number.isInteger(journeyIndex) && journeyIndex >= 1
+    ? journeyIndex
+    : null;
+};
+
+export const listWeighIns = asyncHandler(async (req, res) => {
+  const competition = await loadCompetitionOrRespond(req, res);
+  if (!competition) {
+    return;
+  }
+
+  const query = { competition: competition._id };
+  if (req.query.journey) {
+    const journeyIndex = parseJourney(req.query.journey);
+    if (!journeyIndex) {
+      return res
+        .status(400)
+        .json({ message: "Journey filter must be a positive integer" });
+    }
+    query.journeyIndex = journeyIndex;
+  }
+
+  const weighIns = await WeighIn.find(query)
+    .sort({ journeyIndex: 1, weighedAt: 1 })
+    .populate(weighInPopulateConfig)
+    .lean();
+
+  res.json(weighIns);
+});
+
+// Records (or corrects) the weigh-in of an athlete for a competition day
+export const recordWeighIn = asyncHandler(async (req, res) => {
+  const competition = await loadCompetitionOrRespond(req, res);
+  if (!competition) {
+    return;
+  }
+
+  const athleteId = ensureObjectId(req.body?.athlete);
+  if (!athleteId) {
+    return res.status(400).json({ message: "Athlete is required" });
+  }
+
+  const journeyIndex = parseJourney(req.body?.journeyIndex);
+  if (!journeyIndex) {
+    return res
+      .status(400)
+      .json({ message: "Journey index must be a positive integer" });
+  }
+
+  const weightKg = Number(req.body?.weightKg);
+  if (
+    !Number.isFinite(weightKg) ||
+    weightKg < MIN_WEIGHT_KG ||
+    weightKg > MAX_WEIGHT_KG
+  ) {
+    return res.status(400).json({
+      message: `Weight must be between ${MIN_WEIGHT_KG} and ${MAX_WEIGHT_KG} kg`,
+    });
+  }
+
+  const weighedAt = req.body?.weighedAt
+    ? new Date(req.body.weighedAt)
+    : new Date();
+  if (Number.isNaN(weighedAt.getTime())) {
+    return res.status(400).json({ message: "Invalid weigh-in time" });
+  }
+
+  const athleteExists = await Athlete.exists({ _id: athleteId });
+  if (!athleteExists) {
+    return res.status(404).json({ message: "Athlete not found" });
+  }
+
+  const weighIn = await WeighIn.findOneAndUpdate(
+    { competition: competition._id, journeyIndex, athlete: athleteId },
+    {
+      $set: {
+        weightKg,
+        weighedAt,
+        official: req.user?.id,
+        notes: normaliseString(req.body?.notes),
+      },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  )
+    .populate(weighInPopulateConfig)
+    .lean();
+
+  res.status(201).json(weighIn);
+});
+
+export const deleteWeighIn = asyncHandler(async (req, res) => {
+  const competition = await loadCompetitionOrRespond(req, res);
+  if (!competition) {
+    return;
+  }
+
+  const weighInId = ensureObjectId(req.params.weighInId);
+  const weighIn = weighInId
+    ? await WeighIn.findOneAndDelete({
+        _id: weighInId,
+        competition: competition._id,
+      }).lean()
+    : null;
+
+  if (!weighIn) {
+    return res.status(404).json({ message: "Weigh-in not found" });
+  }
+
+  res.json({ success: true });
+});
+
+// Athletes who weigh in on a day (lightweight rowers and coxes), grouped by
+// session. Used for the weigh-in desk and the printed weigh-in sheet.
+export const getWeighInSheet = asyncHandler(async (req, res) => {
+  const competition = await loadCompetitionOrRespond(req, res);
+  if (!competition) {
+    return;
+  }
+
+  const journeyIndex = parseJourney(req.query.journey || 1);
+  if (!journeyIndex) {
+    return res
+      .status(400)
+      .json({ message: "Journey must be a positive integer" });
+  }
+
+  // Coxes are only weighed when the competition asks for it
+  const coxWeighIn = Boolean(competition.coxWeighIn);
+  const weighedClasses = await BoatClass.find({
+    $or: [
+      { weightClass: "lightweight" },
+      ...(coxWeighIn ? [{ coxswain: true }] : []),
+    ],
+  })
+    .select("weightClass coxswain")
+    .lean();
+  const lightweightClassIds = new Set(
+    weighedClasses
+      .filter((boatClass) => boatClass.weightClass === "lightweight")
+      .map((boatClass) => boatClass._id.toString()),
+  );
+
+  const races = await CompetitionRace.find({
+    competition: competition._id,
+    journeyIndex,
+    status: { $ne: "cancelled" },
+    boatClass: { $in: weighedClasses.map((boatClass) => boatClass._id) },
+  })
+    .sort({ startTime: 1, order: 1 })
+    .select("name order startTime sessionLabel category boatClass lanes")
+    .populate([
+      { path: "lanes.athlete", select: ATHLETE_FIELDS },
+      { path: "lanes.crew", select: ATHLETE_FIELDS },
+      { path: "lanes.club", select: "name nameAr code" },
+      { path: "category", select: "abbreviation" },
+      { path: "boatClass", select: "code" },
+    ])
+    .lean();
+
+  const athleteIds = new Set();
+  races.forEach((race) =>
+    race.lanes.forEach((lane) => {
+      getLaneRowerIds(lane).forEach((id) => athleteIds.add(id));
+      if (coxWeighIn && lane.coxswain) {
+        athleteIds.add(lane.coxswain.toString());
+      }
+    }),
+  );
+
+  const weighIns = await WeighIn.find({
+    competition: competition._id,
+    journeyIndex,
+    athlete: { $in: [...athleteIds] },
+  })
+    .populate({ path: "official", select: "firstName lastName" })
+    .lean();
+  const weighInByAthlete = new Map(
+    weighIns.map((weighIn) => [weighIn.athlete.toString(), weighIn]),
+  );
+
+  // sessionLabel -> athleteId -> row
+  const sessions = new Map();
+  for (const race of races) {
+    const sessionLabel = race.sessionLabel || "No session";
+    if (!sessions.has(sessionLabel)) {
+      sessions.set(sessionLabel, new Map());
+    }
+    const rows = sessions.get(sessionLabel);
+
+    const lightweight = lightweightClassIds.has(race.boatClass?._id.toString());
+    for (const lane of race.lanes) {
+      const coxId = coxWeighIn ? lane.coxswain?.toString() : undefined;
+      const weighed = [
+        ...(lightweight ? getCrewRowers(lane) : []),
+        ...(coxId
+          ? lane.crew.filter((member) => member?._id.toString() === coxId)
+          : []),
+      ];
+      for (const athlete of weighed.filter(Boolean)) {
+        const key = athlete._id.toString();
+        if (!rows.has(key)) {
+          const weighIn = weighInByAthlete.get(key) || null;
+          if (key === coxId) {
+            const cox = evaluateCoxWeighIn(
+              key,
+              weighIn,
+              getCoxMinWeightKg(getCrewRowers(lane)),
+            );
+            rows.set(key, {
+              athlete,
+              club: lane.club,
+              seat: "cox",
+              minKg: cox.minKg,
+              maxKg: null,
+              deadweightKg: cox.deadweightKg,
+              weighIn,
+              status: cox.status,
+              races: [],
+            });
+          } else {
+            const limit = LIGHTWEIGHT_LIMITS[athlete.gender]?.maxKg ?? null;
+            rows.set(key, {
+              athlete,
+              club: lane.club,
+              seat: "rower",
+              minKg: null,
+              maxKg: limit,
+              deadweightKg: null,
+              weighIn,
+              status: !weighIn
+                ? "missing"
+                : limit !== null && weighIn.weightKg > limit
+                  ? "overweight"
+                  : "passed",
+              races: [],
+            });
+          }
+        }
+        rows.get(key).races.push({
+          raceId: race._id,
+          order: race.order,
+          name: race.name,
+          startTime: race.startTime,
+          category: race.category?.abbreviation,
+          boatClass: race.boatClass?.code,
+          lane: lane.lane,
+        });
+      }
+    }
+  }
+
+  res.json({
+    journeyIndex,
+    stage: competition.stages?.[journeyIndex - 1]?.name || null,
+    limits: LIGHTWEIGHT_LIMITS,
+    coxswain: coxWeighIn
+      ? {
+          minKg: COX_MIN_WEIGHT_KG,
+          maxDeadweightKg: COX_MAX_DEADWEIGHT_KG,
+        }
+      : null,
+    sessions: [...sessions].map(([sessionLabel, rows]) => ({
+      sessionLabel,
+      athletes: [...rows.values()].sort((a, b) =>
+        `${a.athlete.lastName} ${a.athlete.firstName}`.localeCompare(
+          `${b.athlete.lastName} ${b.athlete.firstName}`,
+        ),
+      ),
+    })),
+  });
+});
+
+export const getRaceWeighIns = asyncHandler(async (req, res) => {
+  const competition = await loadCompetitionOrRespond(req, res);
+  if (!competition) {
+    return;
+  }
+
+  const raceId = ensureObjectId(req.params.raceId);
+  const race = raceId
+    ? await CompetitionRace.findOne({
+        _id: raceId,
+        competition: competition._id,
+      })
+        .select("competition boatClass journeyIndex lanes")
+        .lean()
+    : null;
+  if (!race) {
+    return res.status(404).json({ message: "Race not found" });
+  }
+
+  const evaluation = await evaluateRaceWeighIns(race, {
+    coxWeighIn: competition.coxWeighIn,
+  });
+  res.json({ lightweight: Boolean(evaluation), ...(evaluation || {}) });
+});
@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+
+// Athlete presented at control commission, or crew presented with its boat
+// before a race. Each record is either for an athlete or for an entry and
+// the race it was checked in for.
+const competitionCheckInSchema = new mongoose.Schema(
+  {
+    competition: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Competition",
+      required: true,
+      index: true,
+    },
+    athlete: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Athlete",
+    },
+    // Crew check-in, valid for one race only
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CompetitionEntry",
+    },
+    race: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CompetitionRace",
+    },
+    checkedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Official who checked the licence
+    checkedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Licence as shown to the official at check-in
+    licenseStatus: {
+      type: String,
+    },
+    documentsStatus: {
+      type: String,
+    },
+    medicalExpiresAt: {
+      type: Date,
+    },
+    licenceValid: {
+      type: Boolean,
+      default: false,
+    },
+    // Identity checked against the licence photo or an ID document
+    idCheckOk: {
+      type: Boolean,
+      default: false,
+    },
+    // Boat inspected (bow number, bow ball, heel restraints); crews only
+    boatCheckOk: {
+      type: Boolean,
+      default: false,
+    },
+    // Checked in although the licence was not valid (jury decision)
+    override: {
+      type: Boolean,
+      default: false,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+competitionCheckInSchema.pre("validate", function requireAthleteOrEntry() {
+  if (!this.athlete === !this.entry) {
+    this.invalidate("athlete", "A check-in is for an athlete or an entry");
+  }
+  if (this.entry && !this.race) {
+    this.invalidate("race", "A crew check-in is for a race");
+  }
+});
+
+competitionCheckInSchema.index(
+  { competition: 1, athlete: 1 },
+  {
+    unique: true,
+    name: "unique_check_in_per_competition",
+    partialFilterExpression: { athlete: { $exists: true } },
+  },
+);
+
+competitionCheckInSchema.index(
+  { race: 1, entry: 1 },
+  {
+    unique: true,
+    name: "unique_crew_check_in_per_race",
+    partialFilterExpression: { entry: { $exists: true } },
+  },
+);
+
+const CompetitionCheckIn = mongoose.model(
+  "CompetitionCheckIn",
+  competitionCheckInSchema,
+);
+
+export default CompetitionCheckIn;
@@ -7,6 +7,60 @@ export const COMPETITION_ENTRY_STATUSES = [
   "withdrawn",
 ];
 
+export const SUBSTITUTION_STATUSES = ["pending", "approved", "rejected"];
+
+// Crew change requested by the club after entry, decided by the jury
+const substitutionSchema = new mongoose.Schema(
+  {
+    outgoing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Athlete",
+      required: true,
+    },
+    incoming: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Athlete",
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: SUBSTITUTION_STATUSES,
+      default: "pending",
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewerNotes: {
+      type: String,
+      trim: true,
+    },
+    // Races whose lanes were updated on approval; finished races keep the
+    // original crew
+    races: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CompetitionRace",
+      },
+    ],
+  }
+);
+
 const competitionEntrySchema = new mongoose.Schema(
   {
     competition: {
@@ -26,12 +80,18 @@ const competitionEntrySchema = new mongoose.Schema(
       ref: "Athlete",
       index: true,
     },
+    // Crew in seat order, bow first and stroke last; in coxed boats the
+    // coxswain is part of the crew and also referenced below
     crew: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Athlete",
       },
     ],
+    coxswain: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Athlete",
+    },
     category: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
@@ -46,6 +106,11 @@ const competitionEntrySchema = new mongoose.Schema(
       type: Number,
       default: 1,
     },
+    // Allocated when registration closes, printed on the boat
+    bowNumber: {
+      type: Number,
+      min: 1,
+    },
     seed: {
       type: Number,
       default: null,
@@ -72,6 +137,11 @@ const competitionEntrySchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Submitted after registration closed, during the late-entry period
+    late: {
+      type: Boolean,
+      default: false,
+    },
     reviewedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -79,6 +149,10 @@ const competitionEntrySchema = new mongoose.Schema(
     reviewedAt: {
       type: Date,
     },
+    substitutions: {
+      type: [substitutionSchema],
+      default: () => [],
+    },
     metadata: {
       type: Map,
       of: String,
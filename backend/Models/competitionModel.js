@@ -20,8 +20,15 @@ export const COMPETITION_STATUSES = [
   "completed",
   "archived",
 ];
-export const REGISTRATION_STATUSES = ["not_open", "open", "closed"];
+export const REGISTRATION_STATUSES = ["not_open", "open", "late", "closed"];
 export const RESULTS_STATUSES = ["pending", "unofficial", "official"];
+export const EVENT_DECISION_ACTIONS = ["cancelled", "merged"];
+// event: 1, 2, 3... in each event; sequential: one series across the
+// regatta; club: consecutive numbers for each club's boats
+export const BOW_NUMBERING_METHODS = ["event", "sequential", "club"];
+// centre: fastest crews in the centre lanes (World Rowing); sequential:
+// lane 1, 2, 3... in ranking order (see Services/laneDrawService.js)
+export const LANE_DRAW_METHODS = ["centre", "sequential"];
 
 export const STAGE_TYPES = [
   "stage",
@@ -115,10 +122,123 @@ const registrationWindowSchema = new mongoose.Schema(
   {
     openAt: { type: Date },
     closeAt: { type: Date },
+    // Registration reopened by hand after closeAt; the window stops moving
+    // the status forward until closeAt is set after this date
+    reopenedAt: { type: Date },
   },
   { _id: false },
 );
 
+// After the window closes, clubs may still enter boats until closeAt (the
+// competition start by default); each late entry needs jury approval and is
+// charged the late surcharge
+const lateEntriesSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    closeAt: { type: Date },
+  },
+  { _id: false },
+);
+
+const categoryFeeSchema = new mongoose.Schema(
+  {
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      required: true,
+    },
+    amount: { type: Number, min: 0, required: true },
+  },
+  { _id: false },
+);
+
+// Entry fee of a boat: category fee (or the per-boat fee when the category
+// has none) + per-seat fee x crew size (cox included) + late surcharge for
+// entries submitted after the registration window closed
+const entryFeesSchema = new mongoose.Schema(
+  {
+    currency: { type: String, trim: true, uppercase: true, default: "TND" },
+    perBoat: { type: Number, min: 0, default: 0 },
+    perSeat: { type: Number, min: 0, default: 0 },
+    lateSurcharge: { type: Number, min: 0, default: 0 },
+    categoryFees: { type: [categoryFeeSchema], default: [] },
+  },
+  { _id: false },
+);
+
+// Most boats a club may enter in the events a quota covers; an unset
+// category, boat class or club type matches any
+const entryQuotaSchema = new mongoose.Schema({
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+  },
+  boatClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "BoatClass",
+  },
+  clubType: {
+    type: String,
+    enum: ["club", "country", "centre_de_promotion", "ecole_federale"],
+  },
+  maxBoats: { type: Number, min: 0, required: true },
+});
+
+const bowNumberingSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: BOW_NUMBERING_METHODS,
+      default: "event",
+    },
+    startAt: { type: Number, min: 1, default: 1 },
+    // Set when numbers were last allocated
+    assignedAt: { type: Date },
+  },
+  { _id: false },
+);
+
+// Lane draw rule of the competition; unset fields use the discipline default
+const laneDrawSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: LANE_DRAW_METHODS,
+    },
+  },
+  { _id: false },
+);
+
+// Jury decision on an event left with too few entries after registration
+const eventDecisionSchema = new mongoose.Schema({
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+    required: true,
+  },
+  boatClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "BoatClass",
+  },
+  action: {
+    type: String,
+    enum: EVENT_DECISION_ACTIONS,
+    required: true,
+  },
+  // Category the entries joined when merged
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+  },
+  entries: { type: Number, min: 0, default: 0 },
+  reason: { type: String, trim: true },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  decidedAt: { type: Date, default: Date.now },
+});
+
 const competitionSchema = new mongoose.Schema(
   {
     code: {
@@ -181,6 +301,10 @@ const competitionSchema = new mongoose.Schema(
       type: registrationWindowSchema,
       default: () => ({}),
     },
+    lateEntries: {
+      type: lateEntriesSchema,
+      default: () => ({}),
+    },
     allowUpCategory: {
       type: Boolean,
       default: true,
@@ -201,6 +325,76 @@ const competitionSchema = new mongoose.Schema(
       type: Number,
       min: 0,
     },
+    // Minutes after a race is completed during which protests can be lodged
+    protestWindowMinutes: {
+      type: Number,
+      min: 0,
+      default: 20,
+    },
+    // Minimum time between two starts of the same athlete (schedule builder)
+    minRestMinutes: {
+      type: Number,
+      min: 0,
+      default: 60,
+    },
+    // Crew substitutions: approved changes allowed per entry, and how long
+    // before the crew's next race requests close
+    maxSubstitutions: {
+      type: Number,
+      min: 0,
+      default: 2,
+    },
+    substitutionDeadlineMinutes: {
+      type: Number,
+      min: 0,
+      default: 60,
+    },
+    entryQuotas: {
+      type: [entryQuotaSchema],
+      default: () => [],
+    },
+    // Events with fewer active entries are reported after registration
+    // closes, to be cancelled or merged (0 = no minimum)
+    minEntriesPerEvent: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    eventDecisions: {
+      type: [eventDecisionSchema],
+      default: () => [],
+    },
+    bowNumbering: {
+      type: bowNumberingSchema,
+      default: () => ({}),
+    },
+    laneDraw: {
+      type: laneDrawSchema,
+      default: () => ({}),
+    },
+    entryFees: {
+      type: entryFeesSchema,
+      default: () => ({}),
+    },
+    // Refuse new entries from clubs with an unpaid invoice balance
+    blockUnpaidClubs: {
+      type: Boolean,
+      default: false,
+    },
+    // Weigh coxes and hold back results of coxes who have not passed
+    coxWeighIn: {
+      type: Boolean,
+      default: false,
+    },
+    // Set once club invoices have been generated after registration closed
+    invoicesGeneratedAt: {
+      type: Date,
+    },
+    // Distance between intermediate split marks (e.g. 500 for 500m/1000m/1500m)
+    splitInterval: {
+      type: Number,
+      min: 0,
+    },
     categoryDistances: {
       type: [categoryDistanceSchema],
       default: () => [],
@@ -15,6 +15,85 @@ export const RACE_STATUSES = [
 // abs - Absent (did not show up at all)
 export const LANE_RESULT_STATUSES = ["ok", "dns", "dnf", "dsq", "abs"];
 
+// Per-race results lifecycle
+// pending - No results recorded yet
+// provisional - Results entered, race not yet completed
+// protest_window - Race completed, protests can be lodged until the window ends
+// official - Signed off by the jury president, results are locked
+export const RACE_RESULTS_STATUSES = [
+  "pending",
+  "provisional",
+  "protest_window",
+  "official",
+];
+
+export const RESULTS_LOG_ACTIONS = ["provisional", "official", "reopened"];
+
+// Lane eligibility problems (see Services/raceEligibilityService.js)
+export const ELIGIBILITY_ISSUE_CODES = [
+  "unknown_athlete",
+  "unregistered",
+  "licence_inactive",
+  "medical_expired",
+  "medical_not_approved",
+  "wrong_gender",
+  "duplicate_lane",
+  "double_booked",
+];
+
+// Progression rounds for classic regattas (heats -> repechage -> semis -> finals)
+export const PROGRESSION_ROUNDS = [
+  "heat",
+  "repechage",
+  "quarter_final",
+  "semi_final",
+  "final_a",
+  "final_b",
+  "final_c",
+];
+
+// Time penalty added to a crew's raw time (missed buoy, false start, ...)
+const penaltySchema = new mongoose.Schema(
+  {
+    amountMs: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+// Intermediate time at a split mark (e.g. 500m, 1000m, 1500m)
+const splitTimeSchema = new mongoose.Schema(
+  {
+    distance: {
+      type: Number,
+      min: 1,
+      required: true,
+    },
+    elapsedMs: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+  },
+  { _id: false },
+);
+
 const laneResultSchema = new mongoose.Schema(
   {
     status: {
@@ -26,10 +105,24 @@ const laneResultSchema = new mongoose.Schema(
       type: Number,
       min: 1,
     },
+    // Raw time as measured
     elapsedMs: {
       type: Number,
       min: 0,
     },
+    splits: {
+      type: [splitTimeSchema],
+      default: undefined,
+    },
+    penalties: {
+      type: [penaltySchema],
+      default: undefined,
+    },
+    // Raw time plus penalties, used for ranking
+    adjustedMs: {
+      type: Number,
+      min: 0,
+    },
     notes: {
       type: String,
       trim: true,
@@ -38,6 +131,42 @@ const laneResultSchema = new mongoose.Schema(
   { _id: false },
 );
 
+// Keep the adjusted time in sync with the raw time and penalties
+laneResultSchema.pre("validate", function syncAdjustedTime() {
+  if (this.elapsedMs === undefined || this.elapsedMs === null) {
+    this.adjustedMs = undefined;
+    return;
+  }
+  const penaltyMs = (this.penalties || []).reduce(
+    (total, penalty) => total + (penalty.amountMs || 0),
+    0,
+  );
+  this.adjustedMs = this.elapsedMs + penaltyMs;
+});
+
+// Where a crew qualified from when it was moved into a later round
+const laneQualificationSchema = new mongoose.Schema(
+  {
+    race: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CompetitionRace",
+    },
+    round: {
+      type: String,
+      enum: PROGRESSION_ROUNDS,
+    },
+    finishPosition: {
+      type: Number,
+      min: 1,
+    },
+    elapsedMs: {
+      type: Number,
+      min: 0,
+    },
+  },
+  { _id: false },
+);
+
 const laneAssignmentSchema = new mongoose.Schema(
   {
     lane: {
@@ -51,15 +180,24 @@ const laneAssignmentSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Athlete",
     },
+    // Seat order as in the entry (bow first); coxswain is also in crew
     crew: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Athlete",
       },
     ],
+    coxswain: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Athlete",
+    },
     crewNumber: {
       type: Number,
     },
+    // Copied from the entry
+    bowNumber: {
+      type: Number,
+    },
     club: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Club",
@@ -75,6 +213,85 @@ const laneAssignmentSchema = new mongoose.Schema(
       type: laneResultSchema,
       default: undefined,
     },
+    qualification: {
+      type: laneQualificationSchema,
+      default: undefined,
+    },
+  },
+  { _id: false },
+);
+
+const resultsLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: RESULTS_LOG_ACTIONS,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false },
+);
+
+// Eligibility errors a jury president accepted when saving the lanes
+const eligibilityOverrideSchema = new mongoose.Schema(
+  {
+    issues: [
+      {
+        _id: false,
+        code: { type: String, enum: ELIGIBILITY_ISSUE_CODES },
+        lane: { type: Number },
+        athlete: { type: mongoose.Schema.Types.ObjectId, ref: "Athlete" },
+        message: { type: String, trim: true },
+      },
+    ],
+    reason: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+const raceProgressionSchema = new mongoose.Schema(
+  {
+    // Code of the progression table (see Services/progressionService.js)
+    system: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    round: {
+      type: String,
+      enum: PROGRESSION_ROUNDS,
+      required: true,
+    },
+    // 1-based race number within the round (Heat 1, Heat 2, ...)
+    raceNumber: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
   },
   { _id: false },
 );
@@ -129,6 +346,34 @@ const raceSchema = new mongoose.Schema(
       default: "scheduled",
       index: true,
     },
+    progression: {
+      type: raceProgressionSchema,
+      default: undefined,
+    },
+    resultsStatus: {
+      type: String,
+      enum: RACE_RESULTS_STATUSES,
+      default: "pending",
+      index: true,
+    },
+    protestWindowEndsAt: {
+      type: Date,
+    },
+    officialAt: {
+      type: Date,
+    },
+    officialBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    resultsLog: {
+      type: [resultsLogSchema],
+      default: () => [],
+    },
+    eligibilityOverrides: {
+      type: [eligibilityOverrideSchema],
+      default: () => [],
+    },
     lanes: {
       type: [laneAssignmentSchema],
       default: () => [],
@@ -177,6 +422,11 @@ raceSchema.index(
 
 raceSchema.index({ competition: 1, "lanes.athlete": 1 });
 
+raceSchema.index(
+  { competition: 1, category: 1, boatClass: 1, "progression.round": 1 },
+  { name: "competition_event_progression" },
+);
+
 const CompetitionRace = mongoose.model("CompetitionRace", raceSchema);
 
 export default CompetitionRace;
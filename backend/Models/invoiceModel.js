@@ -0,0 +1,146 @@
+import mongoose from "mongoose";
+
+// issued - Waiting for payment
+// partially_paid - Some payments recorded, balance remaining
+// paid - Settled in full
+export const INVOICE_STATUSES = ["issued", "partially_paid", "paid"];
+
+// entry_fees - Competition entries of a club
+// licence_fees - Season licences of a club's athletes
+export const INVOICE_TYPES = ["entry_fees", "licence_fees"];
+
+export const PAYMENT_METHODS = ["cash", "bank_transfer", "cheque", "other"];
+
+// One line per billed entry (boat) or athlete licence
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CompetitionEntry",
+    },
+    athlete: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Athlete",
+    },
+    description: { type: String, trim: true },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    boatClass: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BoatClass",
+    },
+    seats: { type: Number, min: 0, default: 1 },
+    boatFee: { type: Number, min: 0, default: 0 },
+    seatFee: { type: Number, min: 0, default: 0 },
+    lateSurcharge: { type: Number, min: 0, default: 0 },
+    amount: { type: Number, min: 0, required: true },
+  },
+  { _id: false },
+);
+
+const paymentSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, min: 0, required: true },
+    method: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      default: "bank_transfer",
+    },
+    reference: { type: String, trim: true },
+    paidAt: { type: Date, default: Date.now },
+    notes: { type: String, trim: true },
+    // Licence invoices: athletes whose fee this payment settles. Amounts not
+    // tied to athletes are allocated to the remaining lines in order.
+    athletes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Athlete",
+      },
+    ],
+    // Federation official who recorded the payment
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true },
+);
+
+// Entry fees of one club for one competition, or licence fees of one club
+// for one season
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: INVOICE_TYPES,
+      default: "entry_fees",
+      index: true,
+    },
+    competition: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Competition",
+      required: function () {
+        return this.type === "entry_fees";
+      },
+      index: true,
+    },
+    season: {
+      type: Number,
+    },
+    club: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Club",
+      required: true,
+      index: true,
+    },
+    currency: { type: String, trim: true, default: "TND" },
+    lines: { type: [invoiceLineSchema], default: () => [] },
+    total: { type: Number, min: 0, default: 0 },
+    amountPaid: { type: Number, min: 0, default: 0 },
+    status: {
+      type: String,
+      enum: INVOICE_STATUSES,
+      default: "issued",
+      index: true,
+    },
+    payments: { type: [paymentSchema], default: () => [] },
+    issuedAt: { type: Date, default: Date.now },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+invoiceSchema.index(
+  { competition: 1, club: 1 },
+  {
+    unique: true,
+    name: "unique_invoice_per_club",
+    partialFilterExpression: { type: "entry_fees" },
+  },
+);
+invoiceSchema.index(
+  { season: 1, club: 1 },
+  {
+    unique: true,
+    name: "unique_licence_invoice_per_season",
+    partialFilterExpression: { type: "licence_fees" },
+  },
+);
+
+const Invoice = mongoose.model("Invoice", invoiceSchema);
+
+export default Invoice;
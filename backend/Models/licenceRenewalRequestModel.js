@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+export const LICENCE_RENEWAL_STATUSES = [
+  "pending",
+  "approved",
+  "rejected",
+  "cancelled",
+];
+
+// A club asking the federation to renew an athlete's licence for a season
+const licenceRenewalRequestSchema = new mongoose.Schema(
+  {
+    athlete: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Athlete",
+      required: true,
+    },
+    club: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Club",
+      required: true,
+    },
+    season: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: LICENCE_RENEWAL_STATUSES,
+      default: "pending",
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    // Not blocking, shown to the reviewer (e.g. medical certificate
+    // expiring during the season)
+    warnings: {
+      type: [String],
+      default: () => [],
+    },
+    medicalExpiresAt: {
+      type: Date,
+    },
+    // Licence status given on approval: "pending" while the fee is unpaid
+    licenseStatus: {
+      type: String,
+    },
+    decisionNote: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    decidedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true },
+);
+
+licenceRenewalRequestSchema.index(
+  { athlete: 1, season: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: "pending" },
+  },
+);
+licenceRenewalRequestSchema.index({ club: 1, season: 1, status: 1 });
+
+const LicenceRenewalRequest = mongoose.model(
+  "LicenceRenewalRequest",
+  licenceRenewalRequestSchema,
+);
+
+export default LicenceRenewalRequest;
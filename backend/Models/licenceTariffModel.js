@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// A rate applies to athletes of its category (season assignment) or, when
+// no category is set, to athletes whose age on the season cutoff is within
+// [minAge, maxAge]. The first matching rate wins.
+const licenceRateSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    minAge: { type: Number, min: 0 },
+    maxAge: { type: Number, min: 0 },
+    amount: { type: Number, min: 0, required: true },
+  },
+  { _id: false },
+);
+
+// Licence fees of one season
+const licenceTariffSchema = new mongoose.Schema(
+  {
+    season: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    currency: { type: String, trim: true, uppercase: true, default: "TND" },
+    // Fee of athletes matching no rate
+    defaultAmount: { type: Number, min: 0, default: 0 },
+    rates: { type: [licenceRateSchema], default: () => [] },
+    // Licences stay pending until the athlete's fee is paid
+    requirePayment: { type: Boolean, default: false },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const LicenceTariff = mongoose.model("LicenceTariff", licenceTariffSchema);
+
+export default LicenceTariff;
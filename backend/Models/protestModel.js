@@ -0,0 +1,141 @@
+import mongoose from "mongoose";
+
+// submitted - Filed by a club, waiting for the jury
+// under_review - Jury is deliberating
+// upheld - Jury accepted the protest, decision applied to the race
+// rejected - Jury dismissed the protest
+// withdrawn - Filing club withdrew the protest before a decision
+export const PROTEST_STATUSES = [
+  "submitted",
+  "under_review",
+  "upheld",
+  "rejected",
+  "withdrawn",
+];
+
+export const OPEN_PROTEST_STATUSES = ["submitted", "under_review"];
+
+// Action applied to the protested lane when a protest is upheld
+export const PROTEST_DECISION_ACTIONS = [
+  "none",
+  "dsq",
+  "time_penalty",
+  "rerank",
+];
+
+const deliberationSchema = new mongoose.Schema(
+  {
+    note: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+const decisionSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: PROTEST_DECISION_ACTIONS,
+      default: "none",
+    },
+    // Time added to the lane for a time_penalty decision
+    penaltyMs: {
+      type: Number,
+      min: 0,
+    },
+    // Finish position given to the lane for a rerank decision
+    finishPosition: {
+      type: Number,
+      min: 1,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    decidedAt: {
+      type: Date,
+    },
+    appliedAt: {
+      type: Date,
+    },
+  },
+  { _id: false },
+);
+
+const protestSchema = new mongoose.Schema(
+  {
+    competition: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Competition",
+      required: true,
+      index: true,
+    },
+    race: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CompetitionRace",
+      required: true,
+      index: true,
+    },
+    // Lane being protested against
+    lane: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Club lodging the protest
+    club: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Club",
+      required: true,
+    },
+    grounds: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: PROTEST_STATUSES,
+      default: "submitted",
+      index: true,
+    },
+    filedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    deliberations: {
+      type: [deliberationSchema],
+      default: () => [],
+    },
+    decision: {
+      type: decisionSchema,
+      default: undefined,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+protestSchema.index({ race: 1, status: 1 });
+protestSchema.index({ competition: 1, club: 1 });
+
+const Protest = mongoose.model("Protest", protestSchema);
+
+export default Protest;
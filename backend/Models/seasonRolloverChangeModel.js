@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+import { SEASON_ROLLOVER_STEPS } from "./seasonRolloverModel.js";
+
+// One change made to an athlete by a season rollover, for the downloadable
+// report. Kept out of the job document, which would outgrow MongoDB's
+// document size limit on a whole federation.
+const seasonRolloverChangeSchema = new mongoose.Schema({
+  rollover: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SeasonRollover",
+    required: true,
+  },
+  step: { type: String, enum: SEASON_ROLLOVER_STEPS, required: true },
+  athlete: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Athlete",
+  },
+  licenseNumber: { type: String },
+  name: { type: String },
+  club: { type: String },
+  from: { type: String },
+  to: { type: String },
+});
+
+seasonRolloverChangeSchema.index({ rollover: 1, step: 1, athlete: 1 });
+
+const SeasonRolloverChange = mongoose.model(
+  "SeasonRolloverChange",
+  seasonRolloverChangeSchema,
+);
+
+export default SeasonRolloverChange;
@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+
+export const SEASON_ROLLOVER_STATUSES = [
+  "pending",
+  "running",
+  "completed",
+  "failed",
+];
+
+// Steps run in this order
+export const SEASON_ROLLOVER_STEPS = ["memberships", "categories", "licences"];
+
+const rolloverStepSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed"],
+      default: "pending",
+    },
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    // Last athlete processed; the step resumes after it
+    cursor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Athlete",
+    },
+  },
+  { _id: false },
+);
+
+// Move from one season to the next: renew memberships, reassign national
+// categories and deactivate last season's licences
+const seasonRolloverSchema = new mongoose.Schema(
+  {
+    fromSeason: {
+      type: Number,
+      required: true,
+    },
+    toSeason: {
+      type: Number,
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: SEASON_ROLLOVER_STATUSES,
+      default: "pending",
+    },
+    currentStep: {
+      type: String,
+      enum: SEASON_ROLLOVER_STEPS,
+      default: SEASON_ROLLOVER_STEPS[0],
+    },
+    steps: {
+      memberships: { type: rolloverStepSchema, default: () => ({}) },
+      categories: { type: rolloverStepSchema, default: () => ({}) },
+      licences: { type: rolloverStepSchema, default: () => ({}) },
+    },
+    // Rows of the report, stored as SeasonRolloverChange documents
+    changeCount: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+    },
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const SeasonRollover = mongoose.model("SeasonRollover", seasonRolloverSchema);
+
+export default SeasonRollover;
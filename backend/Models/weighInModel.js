@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// One weigh-in per athlete per competition day (journey)
+const weighInSchema = new mongoose.Schema(
+  {
+    competition: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Competition",
+      required: true,
+      index: true,
+    },
+    athlete: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Athlete",
+      required: true,
+    },
+    // Competition day, matching race.journeyIndex (1-based)
+    journeyIndex: {
+      type: Number,
+      min: 1,
+      required: true,
+    },
+    weightKg: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    weighedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Official who recorded the weight
+    official: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+weighInSchema.index(
+  { competition: 1, journeyIndex: 1, athlete: 1 },
+  { unique: true, name: "unique_weigh_in_per_day" },
+);
+
+const WeighIn = mongoose.model("WeighIn", weighInSchema);
+
+export default WeighIn;
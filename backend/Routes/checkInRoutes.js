@@ -0,0 +1,37 @@
+import express from "express";
+import {
+  listCheckIns,
+  getAthleteCheckIn,
+  checkInAthlete,
+  checkInCrew,
+  getRaceCheckIns,
+  deleteCheckIn,
+} from "../Controllers/checkInController.js";
+import { protect, allowRoles } from "../Middleware/authMiddleware.js";
+
+const router = express.Router({ mergeParams: true });
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(allowRoles("admin", "jury_president", "umpire"), listCheckIns)
+  .post(allowRoles("admin", "jury_president", "umpire"), checkInAthlete);
+
+router
+  .route("/athletes/:athleteId")
+  .get(allowRoles("admin", "jury_president", "umpire"), getAthleteCheckIn);
+
+router
+  .route("/races/:raceId")
+  .get(allowRoles("admin", "jury_president", "umpire"), getRaceCheckIns);
+
+router
+  .route("/races/:raceId/entries/:entryId")
+  .post(allowRoles("admin", "jury_president", "umpire"), checkInCrew);
+
+router
+  .route("/:checkInId")
+  .delete(allowRoles("admin", "jury_president"), deleteCheckIn);
+
+export default router;
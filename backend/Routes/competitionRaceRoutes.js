@@ -1,4 +1,5 @@
 import express from "express";
+import multer from "multer";
 import {
   listRaces,
   getRace,
@@ -7,13 +8,26 @@ import {
   deleteRace,
   updateRaceLanes,
   recordRaceResults,
+  importRaceResults,
   swapRaceLanes,
   computeCompetitionRankings,
   autoGenerateRaces,
+  advanceRaceProgression,
+  redrawRaceLanes,
+  startRace,
+  signOffRaceResults,
+  reopenRaceResults,
+  previewRaceSchedule,
+  saveRaceSchedule,
+  getScheduleConflicts,
 } from "../Controllers/competitionRaceController.js";
 import { protect, allowRoles } from "../Middleware/authMiddleware.js";
 
 const router = express.Router({ mergeParams: true });
+const timingUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
 
 router.use(protect);
 
@@ -35,6 +49,18 @@ router
   .route("/auto-generate")
   .post(allowRoles("admin", "jury_president"), autoGenerateRaces);
 
+router
+  .route("/schedule")
+  .put(allowRoles("admin", "jury_president"), saveRaceSchedule);
+
+router
+  .route("/schedule/preview")
+  .post(allowRoles("admin", "jury_president"), previewRaceSchedule);
+
+router
+  .route("/schedule/conflicts")
+  .get(allowRoles("admin", "jury_president"), getScheduleConflicts);
+
 router
   .route("/:raceId")
   .get(allowRoles("admin", "jury_president", "club_manager", "coach"), getRace)
@@ -45,8 +71,36 @@ router
   .route("/:raceId/lanes")
   .put(allowRoles("admin", "jury_president"), updateRaceLanes);
 
+router
+  .route("/:raceId/lanes/redraw")
+  .post(allowRoles("admin", "jury_president"), redrawRaceLanes);
+
+router
+  .route("/:raceId/start")
+  .post(allowRoles("admin", "jury_president"), startRace);
+
 router
   .route("/:raceId/results")
   .put(allowRoles("admin", "jury_president"), recordRaceResults);
 
+router
+  .route("/:raceId/results/import")
+  .post(
+    allowRoles("admin", "jury_president"),
+    timingUpload.single("file"),
+    importRaceResults,
+  );
+
+router
+  .route("/:raceId/results/official")
+  .post(allowRoles("admin", "jury_president"), signOffRaceResults);
+
+router
+  .route("/:raceId/results/reopen")
+  .post(allowRoles("admin", "jury_president"), reopenRaceResults);
+
+router
+  .route("/:raceId/progression/advance")
+  .post(allowRoles("admin", "jury_president"), advanceRaceProgression);
+
 export default router;
@@ -8,6 +8,13 @@ import {
   withdrawEntry,
   deleteEntry,
   updateEntry,
+  requestSubstitution,
+  reviewSubstitution,
+  getUnderSubscribedReport,
+  cancelUnderSubscribedEvent,
+  mergeUnderSubscribedEvent,
+  listBowNumbers,
+  assignBowNumbers,
 } from "../Controllers/competitionRegistrationController.js";
 
 const router = express.Router({ mergeParams: true });
@@ -33,6 +40,41 @@ router.post(
   createCompetitionEntries
 );
 
+router.get(
+  "/events/under-subscribed",
+  protect,
+  allowRoles("admin", "jury_president"),
+  getUnderSubscribedReport
+);
+
+router.post(
+  "/events/cancel",
+  protect,
+  allowRoles("admin", "jury_president"),
+  cancelUnderSubscribedEvent
+);
+
+router.post(
+  "/events/merge",
+  protect,
+  allowRoles("admin", "jury_president"),
+  mergeUnderSubscribedEvent
+);
+
+router.get(
+  "/bow-numbers",
+  protect,
+  allowRoles("admin", "jury_president"),
+  listBowNumbers
+);
+
+router.post(
+  "/bow-numbers",
+  protect,
+  allowRoles("admin", "jury_president"),
+  assignBowNumbers
+);
+
 router.patch(
   "/:entryId/status",
   protect,
@@ -54,6 +96,20 @@ router.post(
   withdrawEntry
 );
 
+router.post(
+  "/:entryId/substitutions",
+  protect,
+  allowRoles("admin", "jury_president", "club_manager"),
+  requestSubstitution
+);
+
+router.patch(
+  "/:entryId/substitutions/:substitutionId",
+  protect,
+  allowRoles("admin", "jury_president"),
+  reviewSubstitution
+);
+
 router.delete(
   "/:entryId",
   protect,
@@ -2,6 +2,7 @@ import express from "express";
 import {
   listCompetitions,
   getCompetitionById,
+  streamCompetitionFeed,
   createCompetition,
   updateCompetition,
   updateCompetitionStatus,
@@ -13,6 +14,7 @@ const router = express.Router();
 
 router.get("/", protect, listCompetitions);
 router.get("/:id", protect, getCompetitionById);
+router.get("/:id/live", protect, streamCompetitionFeed);
 
 router.post(
   "/",
@@ -0,0 +1,34 @@
+import express from "express";
+import {
+  listInvoices,
+  getInvoiceById,
+  generateInvoices,
+  recordPayment,
+  getClubBalanceSummary,
+} from "../Controllers/invoiceController.js";
+import { protect, allowRoles } from "../Middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(allowRoles("admin", "jury_president", "club_manager"), listInvoices);
+
+router.route("/generate").post(allowRoles("admin"), generateInvoices);
+
+router
+  .route("/clubs/:clubId/balance")
+  .get(
+    allowRoles("admin", "jury_president", "club_manager"),
+    getClubBalanceSummary,
+  );
+
+router
+  .route("/:invoiceId")
+  .get(allowRoles("admin", "jury_president", "club_manager"), getInvoiceById);
+
+router.route("/:invoiceId/payments").post(allowRoles("admin"), recordPayment);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from "express";
+import {
+  listLicenceCards,
+  lookupLicenceCard,
+} from "../Controllers/licenceCardController.js";
+import { protect, allowRoles } from "../Middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route("/").get(allowRoles("admin", "club_manager"), listLicenceCards);
+
+router
+  .route("/lookup")
+  .get(allowRoles("admin", "jury_president", "umpire"), lookupLicenceCard);
+
+export default router;
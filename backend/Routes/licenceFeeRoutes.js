@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  getTariff,
+  saveTariff,
+  generateLicenceInvoices,
+  getLicenceSummary,
+} from "../Controllers/licenceFeeController.js";
+import { protect, allowRoles } from "../Middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+router
+  .route("/tariffs/:season")
+  .get(allowRoles("admin", "jury_president", "club_manager"), getTariff)
+  .put(allowRoles("admin"), saveTariff);
+
+router.route("/invoices").post(allowRoles("admin"), generateLicenceInvoices);
+
+router.route("/summary").get(allowRoles("admin"), getLicenceSummary);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from "express";
+import {
+  createRenewalRequests,
+  listRenewalRequests,
+  approveRenewals,
+  rejectRenewals,
+  cancelRenewalRequest,
+} from "../Controllers/licenceRenewalController.js";
+import { protect, allowRoles } from "../Middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(allowRoles("admin", "club_manager"), listRenewalRequests)
+  .post(allowRoles("admin", "club_manager"), createRenewalRequests);
+
+router.route("/approve").post(allowRoles("admin"), approveRenewals);
+
+router.route("/reject").post(allowRoles("admin"), rejectRenewals);
+
+router
+  .route("/:id")
+  .delete(allowRoles("admin", "club_manager"), cancelRenewalRequest);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  listRaceProtests,
+  fileProtest,
+  addProtestDeliberation,
+  decideProtest,
+  withdrawProtest,
+} from "../Controllers/protestController.js";
+import { protect, allowRoles } from "../Middleware/authMiddleware.js";
+
+const router = express.Router({ mergeParams: true });
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(allowRoles("admin", "jury_president", "club_manager"), listRaceProtests)
+  .post(allowRoles("admin", "club_manager"), fileProtest);
+
+router
+  .route("/:protestId/deliberations")
+  .post(allowRoles("admin", "jury_president"), addProtestDeliberation);
+
+router
+  .route("/:protestId/decision")
+  .post(allowRoles("admin", "jury_president"), decideProtest);
+
+router
+  .route("/:protestId/withdraw")
+  .post(allowRoles("admin", "club_manager"), withdrawProtest);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  listPublicCompetitions,
+  getPublicCompetition,
+  listPublicRaces,
+  getPublicRace,
+  getPublicRankings,
+  verifyPublicLicence,
+} from "../Controllers/publicController.js";
+
+// Read-only routes for spectators, press and athletes (no login required)
+const router = express.Router();
+
+router.get("/competitions", listPublicCompetitions);
+router.get("/competitions/:competitionId", getPublicCompetition);
+router.get("/competitions/:competitionId/races", listPublicRaces);
+router.get("/competitions/:competitionId/races/:raceId", getPublicRace);
+router.get("/competitions/:competitionId/rankings", getPublicRankings);
+router.get("/licences/:licenseNumber/verify", verifyPublicLicence);
+
+export default router;
@@ -0,0 +1,29 @@
+import express from "express";
+import {
+  previewRollover,
+  listRollovers,
+  startRollover,
+  getRollover,
+  resumeRollover,
+  downloadRolloverReport,
+} from "../Controllers/seasonRolloverController.js";
+import { protect, allowRoles } from "../Middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route("/preview").get(allowRoles("admin"), previewRollover);
+
+router
+  .route("/")
+  .get(allowRoles("admin"), listRollovers)
+  .post(allowRoles("admin"), startRollover);
+
+router.route("/:id").get(allowRoles("admin"), getRollover);
+
+router.route("/:id/resume").post(allowRoles("admin"), resumeRollover);
+
+router.route("/:id/report").get(allowRoles("admin"), downloadRolloverReport);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from "express";
+import {
+  listWeighIns,
+  recordWeighIn,
+  deleteWeighIn,
+  getWeighInSheet,
+  getRaceWeighIns,
+} from "../Controllers/weighInController.js";
+import { protect, allowRoles } from "../Middleware/authMiddleware.js";
+
+const router = express.Router({ mergeParams: true });
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(allowRoles("admin", "jury_president", "umpire"), listWeighIns)
+  .post(allowRoles("admin", "jury_president", "umpire"), recordWeighIn);
+
+router
+  .route("/sheet")
+  .get(allowRoles("admin", "jury_president", "umpire"), getWeighInSheet);
+
+router
+  .route("/races/:raceId")
+  .get(
+    allowRoles("admin", "jury_president", "umpire", "club_manager", "coach"),
+    getRaceWeighIns,
+  );
+
+router
+  .route("/:weighInId")
+  .delete(allowRoles("admin", "jury_president"), deleteWeighIn);
+
+export default router;
@@ -0,0 +1,297 @@
+/**
+ * Bow Number Service
+ *
+ * Stable numbers identifying each crew for the whole regatta.
+ *
+ * Key Features:
+ * - Allocation when registration closes, on request again afterwards:
+ *   per event (1, 2, 3... in each event), sequential across the regatta or
+ *   by club (consecutive numbers for each club's boats)
+ * - Events in programme order (first race start), then by name; crews by
+ *   club code and crew number
+ * - Numbers stored on entries and copied to the lanes of every race
+ * - Sticker sheet data for printing
+ */
+
+import Competition from "../Models/competitionModel.js";
+import CompetitionEntry from "../Models/competitionEntryModel.js";
+import CompetitionRace from "../Models/competitionRaceModel.js";
+import { getCrewAthleteIds } from "./substitutionService.js";
+
+const NUMBERED_ENTRY_STATUSES = ["pending", "approved"];
+
+const toId = (value) => (value?._id ?? value)?.toString();
+
+const eventKey = (holder) =>
+  `${toId(holder.category) || ""}:${toId(holder.boatClass) || ""}`;
+
+const describeEvent = (entry) =>
+  [entry.category?.abbreviation, entry.boatClass?.code]
+    .filter(Boolean)
+    .join(" ") || "Event";
+
+const compareCrews = (a, b) =>
+  (a.club?.code || a.club?.name || "").localeCompare(
+    b.club?.code || b.club?.name || "",
+  ) || (a.crewNumber || 1) - (b.crewNumber || 1);
+
+/**
+ * Entry of the same event and club sharing athletes with a lane
+ * @param {Array} entries - Entries of the race's event
+ * @param {object} lane - Race lane
+ * @returns {object|undefined} Entry
+ */
+export function findLaneEntry(entries, lane) {
+  const laneIds = new Set(getCrewAthleteIds(lane));
+  if (!laneIds.size) {
+    return undefined;
+  }
+  return entries.find(
+    (entry) =>
+      (!lane.club || toId(entry.club) === toId(lane.club)) &&
+      getCrewAthleteIds(entry).some((id) => laneIds.has(id)),
+  );
+}
+
+/**
+ * Copy the entries' bow numbers onto the lanes of a race (document or
+ * payload). Lanes without a matching entry lose their bow number.
+ *
+ * @param {string} competitionId - Competition id
+ * @param {object} race - { category, boatClass, lanes }
+ * @returns {Promise<object>} The race
+ */
+export async function assignLaneBowNumbers(competitionId, race) {
+  if (!race?.lanes?.length) {
+    return race;
+  }
+  const entries = await CompetitionEntry.find({
+    competition: competitionId,
+    category: race.category,
+    ...(race.boatClass ? { boatClass: race.boatClass } : {}),
+    status: { $in: NUMBERED_ENTRY_STATUSES },
+    bowNumber: { $exists: true },
+  })
+    .select("club athlete crew bowNumber")
+    .lean();
+
+  race.lanes.forEach((lane) => {
+    lane.bowNumber = findLaneEntry(entries, lane)?.bowNumber || undefined;
+  });
+  return race;
+}
+
+/**
+ * Update the lanes of every race of a competition from its entries
+ * @param {string} competitionId - Competition id
+ * @param {Array} entries - Numbered entries ({ category, boatClass, club, crew, bowNumber })
+ * @returns {Promise<number>} Races updated
+ */
+async function syncRaceBowNumbers(competitionId, entries) {
+  const entriesByEvent = new Map();
+  entries.forEach((entry) => {
+    const key = eventKey(entry);
+    if (!entriesByEvent.has(key)) {
+      entriesByEvent.set(key, []);
+    }
+    entriesByEvent.get(key).push(entry);
+  });
+
+  const races = await CompetitionRace.find({
+    competition: competitionId,
+    status: { $ne: "cancelled" },
+  });
+
+  let updated = 0;
+  for (const race of races) {
+    const eventEntries = entriesByEvent.get(eventKey(race)) || [];
+    let changed = false;
+    race.lanes.forEach((lane) => {
+      const bowNumber =
+        findLaneEntry(eventEntries, lane)?.bowNumber || undefined;
+      if (lane.bowNumber !== bowNumber) {
+        lane.bowNumber = bowNumber;
+        changed = true;
+      }
+    });
+    if (changed) {
+      await race.save();
+      updated += 1;
+    }
+  }
+  return updated;
+}
+
+// Event keys in programme order: first race start, then event name
+const orderEvents = async (competitionId, entries) => {
+  const firstStarts = await CompetitionRace.aggregate([
+    { $match: { competition: competitionId, status: { $ne: "cancelled" } } },
+    {
+      $group: {
+        _id: { category: "$category", boatClass: "$boatClass" },
+        startTime: { $min: "$startTime" },
+      },
+    },
+  ]);
+  const startByEvent = new Map(
+    firstStarts.map((item) => [
+      eventKey(item._id),
+      item.startTime ? new Date(item.startTime).getTime() : Infinity,
+    ]),
+  );
+
+  const labels = new Map();
+  entries.forEach((entry) => labels.set(eventKey(entry), describeEvent(entry)));
+
+  return [...labels.keys()].sort(
+    (a, b) =>
+      (startByEvent.get(a) ?? Infinity) - (startByEvent.get(b) ?? Infinity) ||
+      labels.get(a).localeCompare(labels.get(b)),
+  );
+};
+
+/**
+ * Allocate bow numbers to the pending and approved entries of a
+ * competition, replacing earlier numbers, and copy them to the race lanes
+ *
+ * @param {object} competition - Competition document
+ * @param {object} [options] - { method, startAt } overriding the competition settings
+ * @returns {Promise<object>} { method, entries, races }
+ */
+export async function allocateBowNumbers(competition, options = {}) {
+  const method = options.method || competition.bowNumbering?.method || "event";
+  const startAt = options.startAt || competition.bowNumbering?.startAt || 1;
+
+  const entries = await CompetitionEntry.find({
+    competition: competition._id,
+    status: { $in: NUMBERED_ENTRY_STATUSES },
+  })
+    .populate({ path: "category", select: "abbreviation" })
+    .populate({ path: "boatClass", select: "code" })
+    .populate({ path: "club", select: "code name" })
+    .lean();
+
+  const eventOrder = await orderEvents(competition._id, entries);
+  const eventIndex = new Map(eventOrder.map((key, index) => [key, index]));
+  const byEvent = (a, b) =>
+    eventIndex.get(eventKey(a)) - eventIndex.get(eventKey(b));
+
+  const numbers = new Map();
+  if (method === "club") {
+    const sorted = [...entries].sort(
+      (a, b) =>
+        (a.club?.code || a.club?.name || "").localeCompare(
+          b.club?.code || b.club?.name || "",
+        ) ||
+        byEvent(a, b) ||
+        (a.crewNumber || 1) - (b.crewNumber || 1),
+    );
+    sorted.forEach((entry, index) => numbers.set(toId(entry), startAt + index));
+  } else {
+    const sorted = [...entries].sort(
+      (a, b) => byEvent(a, b) || compareCrews(a, b),
+    );
+    let next = startAt;
+    let currentEvent = null;
+    sorted.forEach((entry) => {
+      if (method === "event" && eventKey(entry) !== currentEvent) {
+        currentEvent = eventKey(entry);
+        next = startAt;
+      }
+      numbers.set(toId(entry), next);
+      next += 1;
+    });
+  }
+
+  if (entries.length) {
+    await CompetitionEntry.bulkWrite(
+      entries.map((entry) => ({
+        updateOne: {
+          filter: { _id: entry._id },
+          update: { $set: { bowNumber: numbers.get(toId(entry)) } },
+        },
+      })),
+    );
+  }
+  // Withdrawn and rejected crews give their numbers up
+  await CompetitionEntry.updateMany(
+    {
+      competition: competition._id,
+      status: { $nin: NUMBERED_ENTRY_STATUSES },
+      bowNumber: { $exists: true },
+    },
+    { $unset: { bowNumber: "" } },
+  );
+
+  const races = await syncRaceBowNumbers(
+    competition._id,
+    entries.map((entry) => ({
+      ...entry,
+      bowNumber: numbers.get(toId(entry)),
+    })),
+  );
+
+  await Competition.updateOne(
+    { _id: competition._id },
+    {
+      $set: {
+        "bowNumbering.method": method,
+        "bowNumbering.startAt": startAt,
+        "bowNumbering.assignedAt": new Date(),
+      },
+    },
+  );
+
+  return { method, entries: entries.length, races };
+}
+
+/**
+ * Numbered crews of a competition, for the sticker sheet
+ * @param {object} competition - Competition document
+ * @returns {Promise<Array>} [{ bowNumber, club, event, crew }] by bow number
+ */
+export async function getBowNumberSheet(competition) {
+  const entries = await CompetitionEntry.find({
+    competition: competition._id,
+    status: { $in: NUMBERED_ENTRY_STATUSES },
+    bowNumber: { $exists: true },
+  })
+    .populate({ path: "category", select: "abbreviation" })
+    .populate({ path: "boatClass", select: "code" })
+    .populate({ path: "club", select: "code name" })
+    .populate({ path: "athlete crew", select: "firstName lastName" })
+    .lean();
+
+  return entries
+    .map((entry) => {
+      const crew = entry.crew?.length
+        ? entry.crew
+        : [entry.athlete].filter(Boolean);
+      return {
+        entry: toId(entry),
+        bowNumber: entry.bowNumber,
+        club: entry.club
+          ? {
+              id: toId(entry.club),
+              code: entry.club.code,
+              name: entry.club.name,
+            }
+          : null,
+        crewNumber: entry.crewNumber || 1,
+        event: describeEvent(entry),
+        crew: crew.map((athlete) =>
+          `${athlete.firstName || ""} ${athlete.lastName || ""}`.trim(),
+        ),
+      };
+    })
+    .sort(
+      (a, b) => a.bowNumber - b.bowNumber || a.event.localeCompare(b.event),
+    );
+}
+
+export default {
+  findLaneEntry,
+  assignLaneBowNumbers,
+  allocateBowNumbers,
+  getBowNumberSheet,
+};
@@ -237,6 +237,92 @@ const pickBestFromList = (categories) => {
   return bestMatch;
 };
 
+/**
+ * National category an athlete would be assigned for a season, without
+ * saving it.
+ */
+export const resolveNationalCategory = async (
+  athlete,
+  seasonYear,
+  cache = {},
+) => {
+  const age = calculateAgeOnSeasonCutoff(athlete?.birthDate, seasonYear);
+  if (age === null) {
+    return null;
+  }
+  const categories = await ensureCategoriesInCache(
+    cache,
+    CATEGORY_TYPES.national,
+  );
+  return pickMatchingCategory(categories, athlete.gender, age);
+};
+
+/**
+ * National category assignment of an athlete for a competition season.
+ */
+export const findSeasonAssignment = (athlete, season) => {
+  if (!Array.isArray(athlete.categoryAssignments) || !season) {
+    return null;
+  }
+  return athlete.categoryAssignments.find(
+    (assignment) =>
+      assignment &&
+      assignment.type === "national" &&
+      assignment.season === season &&
+      assignment.category,
+  );
+};
+
+/**
+ * Whether an athlete's assignment lets them row in a category: their own
+ * category, or (when up-category is allowed) one of the same gender whose
+ * age range includes their age on the season cutoff.
+ */
+export const athleteFitsCategory = (
+  assignment,
+  categoryDoc,
+  allowUpCategory,
+) => {
+  if (!assignment || !categoryDoc) {
+    return false;
+  }
+
+  const assignmentCategoryId = assignment.category?.toString?.();
+  if (
+    assignmentCategoryId &&
+    assignmentCategoryId === categoryDoc._id?.toString?.()
+  ) {
+    return true;
+  }
+
+  if (!allowUpCategory) {
+    return false;
+  }
+
+  if (
+    assignment.gender &&
+    categoryDoc.gender &&
+    assignment.gender !== categoryDoc.gender
+  ) {
+    return false;
+  }
+
+  if (typeof assignment.ageOnCutoff !== "number") {
+    return false;
+  }
+
+  const meetsMin =
+    typeof categoryDoc.minAge === "number"
+      ? assignment.ageOnCutoff >= categoryDoc.minAge
+      : true;
+  const meetsMax =
+    typeof categoryDoc.maxAge === "number"
+      ? assignment.ageOnCutoff <= categoryDoc.maxAge
+      : true;
+
+  return meetsMin && meetsMax;
+};
+
 const buildAssignmentPayload = (categoryDoc, seasonYear, age) => ({
   season: seasonYear,
   type: CATEGORY_TYPES.national,
@@ -386,17 +472,32 @@ export const ensureNationalCategoriesForAthletes = async (
   return updates;
 };
 
-export const assignNationalCategoriesForSeason = async (seasonYear) => {
-  const cache = {};
+/**
+ * Assign the national category of every athlete for a season. With
+ * `after` and `limit`, only the next batch of athletes (by id) is
+ * processed and `lastId` tells where to continue.
+ */
+export const assignNationalCategoriesForSeason = async (
+  seasonYear,
+  { after, limit, cache = {} } = {},
+) => {
   const categories = await ensureCategoriesInCache(
     cache,
     CATEGORY_TYPES.national,
   );
   if (!categories.length) {
-    return { updated: 0, total: 0 };
+    return { updated: 0, total: 0, lastId: null };
   }
 
-  const athletes = await Athlete.find({ birthDate: { $ne: null } });
+  const filter = { birthDate: { $ne: null } };
+  if (after) {
+    filter._id = { $gt: after };
+  }
+  const query = Athlete.find(filter).sort({ _id: 1 });
+  if (limit) {
+    query.limit(limit);
+  }
+  const athletes = await query;
   let updated = 0;
   for (const athlete of athletes) {
     const changed = await ensureNationalCategoryForAthlete(
@@ -409,5 +510,9 @@ export const assignNationalCategoriesForSeason = async (seasonYear) => {
     }
   }
 
-  return { updated, total: athletes.length };
+  return {
+    updated,
+    total: athletes.length,
+    lastId: athletes.length ? athletes[athletes.length - 1]._id : null,
+  };
 };
@@ -0,0 +1,111 @@
+/**
+ * Check-in Service
+ *
+ * Which crews presented themselves before a race.
+ *
+ * Key Features:
+ * - A lane is checked in when its entry has a crew check-in for that race;
+ *   the licence check at control commission is not presence at a race
+ * - Per-lane identity and boat checks
+ * - When a race starts, lanes that were not checked in and have no result
+ *   yet can be marked absent (abs) or did not start (dns)
+ */
+
+import CompetitionEntry from "../Models/competitionEntryModel.js";
+import CompetitionCheckIn from "../Models/competitionCheckInModel.js";
+import { findLaneEntry } from "./bowNumberService.js";
+
+// Result given to lanes that were not checked in when the race starts
+export const UNCHECKED_LANE_STATUSES = ["abs", "dns"];
+
+const CHECK_IN_ENTRY_STATUSES = ["pending", "approved"];
+
+const toId = (value) => (value?._id ?? value)?.toString();
+
+const hasResult = (lane) =>
+  Boolean(
+    lane.result &&
+    (lane.result.status !== "ok" ||
+      lane.result.finishPosition ||
+      lane.result.elapsedMs !== undefined),
+  );
+
+/**
+ * Check-in state of every lane of a race
+ *
+ * @param {object} race - Race with _id, competition, category, boatClass, lanes
+ * @returns {Promise<Array>} Per lane: { lane, bowNumber, entryId, checkedIn,
+ *   idCheckOk, boatCheckOk, checkedAt }
+ */
+export async function evaluateRaceCheckIns(race) {
+  const lanes = race.lanes || [];
+
+  const entries = await CompetitionEntry.find({
+    competition: race.competition,
+    category: race.category,
+    ...(race.boatClass ? { boatClass: race.boatClass } : {}),
+    status: { $in: CHECK_IN_ENTRY_STATUSES },
+  })
+    .select("club athlete crew bowNumber")
+    .lean();
+
+  const checkIns = await CompetitionCheckIn.find({
+    race: race._id,
+    entry: { $in: entries.map((entry) => entry._id) },
+  }).lean();
+  const byEntry = new Map(
+    checkIns.map((checkIn) => [toId(checkIn.entry), checkIn]),
+  );
+
+  return lanes.map((lane) => {
+    const entry = findLaneEntry(entries, lane);
+    const crewCheckIn = entry ? byEntry.get(toId(entry._id)) : null;
+
+    return {
+      lane: lane.lane,
+      bowNumber: lane.bowNumber,
+      entryId: entry?._id || null,
+      checkedIn: Boolean(crewCheckIn),
+      idCheckOk: Boolean(crewCheckIn?.idCheckOk),
+      boatCheckOk: Boolean(crewCheckIn?.boatCheckOk),
+      checkedAt: crewCheckIn?.checkedAt || null,
+    };
+  });
+}
+
+/**
+ * Give a result to the lanes that were not checked in, leaving lanes that
+ * already have one. The race document is changed but not saved.
+ *
+ * @param {object} race - Race document
+ * @param {string} status - "abs" or "dns"
+ * @param {Array} evaluation - From evaluateRaceCheckIns
+ * @returns {Array<number>} Lanes marked
+ */
+export function markUncheckedLanes(race, status, evaluation) {
+  if (!UNCHECKED_LANE_STATUSES.includes(status)) {
+    throw new Error("Unchecked lanes can only be marked as abs or dns");
+  }
+  const checkedLanes = new Set(
+    evaluation.filter((lane) => lane.checkedIn).map((lane) => lane.lane),
+  );
+
+  const marked = [];
+  for (const lane of race.lanes) {
+    if (checkedLanes.has(lane.lane) || hasResult(lane)) {
+      continue;
+    }
+    lane.result = {
+      status,
+      notes: "Not checked in before the start",
+    };
+    marked.push(lane.lane);
+  }
+  return marked;
+}
+
+export default {
+  UNCHECKED_LANE_STATUSES,
+  evaluateRaceCheckIns,
+  markUncheckedLanes,
+};
@@ -0,0 +1,133 @@
+/**
+ * Crew Seat Service
+ *
+ * Seat positions of crew boats.
+ *
+ * Key Features:
+ * - Crews are stored in seat order: bow first, stroke last
+ * - In coxed boats the coxswain is one of the crew (boat class crewSize
+ *   counts the cox) and is also referenced as `coxswain`
+ * - Crew composition checks: crew size, exactly one cox in coxed boats
+ * - The cox may be of any gender or age, so category rules skip the cox
+ */
+
+const toId = (value) => (value?._id ?? value)?.toString();
+
+/**
+ * Whether a boat class is steered by a coxswain
+ * @param {object} boatClass - Boat class document
+ * @returns {boolean}
+ */
+export function isCoxedBoatClass(boatClass) {
+  return Boolean(boatClass?.coxswain);
+}
+
+/**
+ * Number of rowing seats (crew size without the cox)
+ * @param {object} boatClass - Boat class document
+ * @returns {number}
+ */
+export function getRowingSeatCount(boatClass) {
+  const crewSize = Number(boatClass?.crewSize) || 1;
+  return isCoxedBoatClass(boatClass) ? crewSize - 1 : crewSize;
+}
+
+/**
+ * Position name of a rowing seat, counted from the bow (0-based)
+ * @param {number} index - Seat index, bow = 0
+ * @param {number} rowerCount - Number of rowing seats
+ * @returns {string} "bow", "2".."n-1", "stroke", or "single"
+ */
+export function getSeatPosition(index, rowerCount) {
+  if (rowerCount <= 1) {
+    return "single";
+  }
+  if (index === 0) {
+    return "bow";
+  }
+  if (index === rowerCount - 1) {
+    return "stroke";
+  }
+  return String(index + 1);
+}
+
+/**
+ * Rowers of a crew (entry or lane) in seat order, without the cox
+ * @param {object} crewHolder - Entry or lane ({ athlete, crew, coxswain })
+ * @returns {Array} Crew members (ids or documents)
+ */
+export function getCrewRowers(crewHolder) {
+  const crew = (crewHolder?.crew || []).filter(Boolean);
+  if (!crew.length) {
+    return crewHolder?.athlete ? [crewHolder.athlete] : [];
+  }
+  const coxId = toId(crewHolder.coxswain);
+  return coxId ? crew.filter((member) => toId(member) !== coxId) : crew;
+}
+
+/**
+ * Seats of a crew, bow to stroke, then the cox
+ * @param {object} crewHolder - Entry or lane ({ athlete, crew, coxswain })
+ * @returns {Array<{ position: string, athlete: * }>}
+ */
+export function getCrewSeats(crewHolder) {
+  const rowers = getCrewRowers(crewHolder);
+  const seats = rowers.map((athlete, index) => ({
+    position: getSeatPosition(index, rowers.length),
+    athlete,
+  }));
+  if (crewHolder?.coxswain) {
+    const coxId = toId(crewHolder.coxswain);
+    const cox =
+      (crewHolder.crew || []).find((member) => toId(member) === coxId) ||
+      crewHolder.coxswain;
+    seats.push({ position: "cox", athlete: cox });
+  }
+  return seats;
+}
+
+/**
+ * Check a crew against its boat class.
+ *
+ * @param {object} params
+ * @param {Array} params.crew - Crew member ids in seat order (cox included)
+ * @param {*} params.coxswain - Cox id, if any
+ * @param {object} params.boatClass - Boat class ({ code, crewSize, coxswain })
+ * @returns {string|null} Error message, or null when the crew is valid
+ */
+export function validateCrewComposition({ crew, coxswain, boatClass }) {
+  const memberIds = (crew || []).filter(Boolean).map(toId);
+  if (new Set(memberIds).size !== memberIds.length) {
+    return "The same athlete cannot take two seats in a crew";
+  }
+  if (!boatClass) {
+    return null;
+  }
+
+  const label = boatClass.code || "this boat class";
+  if (memberIds.length !== boatClass.crewSize) {
+    return `Boat class ${label} requires ${boatClass.crewSize} athletes, but ${memberIds.length} were provided`;
+  }
+
+  const coxId = toId(coxswain);
+  if (isCoxedBoatClass(boatClass)) {
+    if (!coxId) {
+      return `Boat class ${label} requires a coxswain`;
+    }
+    if (!memberIds.includes(coxId)) {
+      return "The coxswain must be one of the crew";
+    }
+  } else if (coxId) {
+    return `Boat class ${label} is not a coxed boat`;
+  }
+  return null;
+}
+
+export default {
+  isCoxedBoatClass,
+  getRowingSeatCount,
+  getSeatPosition,
+  getCrewRowers,
+  getCrewSeats,
+  validateCrewComposition,
+};
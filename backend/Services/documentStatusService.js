@@ -314,7 +314,12 @@ export const evaluateDocumentStatuses = (
   };
 };
 
-export const applyDocumentStatusToAthlete = (athlete) => {
+// licenceFeeDue: the season licence fee is required and not paid yet, so the
+// licence stays pending even when all documents are approved
+export const applyDocumentStatusToAthlete = (
+  athlete,
+  { licenceFeeDue = false } = {}
+) => {
   if (!athlete) {
     return null;
   }
@@ -326,7 +331,7 @@ export const applyDocumentStatusToAthlete = (athlete) => {
 
   // Auto-update licenseStatus based on document evaluation
   // License is active only when all required documents are approved
-  if (evaluation.status === "active") {
+  if (evaluation.status === "active" && !licenceFeeDue) {
     athlete.licenseStatus = "active";
   } else if (athlete.licenseStatus !== "suspended") {
     // If documents are pending/expired, set license to pending (unless manually suspended)
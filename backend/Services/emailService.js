@@ -71,3 +71,39 @@ Veuillez vous connecter sur ${resolvedLoginUrl} et changer votre mot de passe d
     html,
   });
 };
+
+export const sendEventChangeEmail = async ({
+  to,
+  clubName,
+  competitionName,
+  eventLabel,
+  mergedIntoLabel,
+  minEntries,
+}) => {
+  if (!to) {
+    return;
+  }
+
+  const transporter = createTransporter();
+  const change = mergedIntoLabel
+    ? `a été fusionnée avec la catégorie ${mergedIntoLabel}. Vos engagements y sont transférés.`
+    : `a été annulée. Vos engagements ont été retirés.`;
+
+  const subject = `${competitionName}: ${eventLabel} ${
+    mergedIntoLabel ? "fusionnée" : "annulée"
+  }`;
+  const text = `Bonjour ${clubName},
+
+L'épreuve ${eventLabel} de la compétition ${competitionName} n'a pas atteint le minimum de ${minEntries} engagements et ${change}`;
+
+  const html = `<p>Bonjour ${clubName},</p>
+<p>L'épreuve <strong>${eventLabel}</strong> de la compétition <strong>${competitionName}</strong> n'a pas atteint le minimum de ${minEntries} engagements et ${change}</p>`;
+
+  await transporter.sendMail({
+    to,
+    from: process.env.MAIL_FROM || "no-reply@trf-portal.local",
+    subject,
+    text,
+    html,
+  });
+};
@@ -0,0 +1,151 @@
+/**
+ * Entry Quota Service
+ *
+ * Limits on the number of boats a club may enter in a competition.
+ *
+ * Key Features:
+ * - Quotas by category, boat class and club type, any of them optional
+ *   (e.g. 2 boats per club in JM 1x, 4 boats in total for promotion centres)
+ * - Every quota covering an event applies; pending and approved entries
+ *   count, rejected and withdrawn ones do not
+ * - Remaining places per quota for the registration page
+ */
+
+const toId = (value) => (value?._id ?? value)?.toString();
+
+const COUNTED_ENTRY_STATUSES = ["pending", "approved"];
+
+const CLUB_TYPE_LABELS = {
+  club: "clubs",
+  country: "national teams",
+  centre_de_promotion: "promotion centres",
+  ecole_federale: "federal schools",
+};
+
+/**
+ * Whether a quota covers an event
+ * @param {object} quota - Quota ({ category, boatClass, clubType })
+ * @param {object} event - { category, boatClass }
+ * @returns {boolean}
+ */
+export function quotaCoversEvent(quota, event) {
+  if (quota.category && toId(quota.category) !== toId(event.category)) {
+    return false;
+  }
+  if (quota.boatClass && toId(quota.boatClass) !== toId(event.boatClass)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Quotas of a competition that apply to a club
+ * @param {object} competition - Competition document
+ * @param {string} [clubType] - Type of the club
+ * @returns {Array} Quotas
+ */
+export function getClubQuotas(competition, clubType) {
+  return (competition?.entryQuotas || []).filter(
+    (quota) => !quota.clubType || quota.clubType === clubType,
+  );
+}
+
+/**
+ * Readable name of the events a quota covers
+ * @param {object} quota - Quota, category and boat class populated or not
+ * @param {object} [lookups] - { categoryMap, boatClassMap } keyed by id
+ * @returns {string}
+ */
+export function describeQuota(quota, lookups = {}) {
+  const category = quota.category?.abbreviation
+    ? quota.category
+    : lookups.categoryMap?.get(toId(quota.category));
+  const boatClass = quota.boatClass?.code
+    ? quota.boatClass
+    : lookups.boatClassMap?.get(toId(quota.boatClass));
+
+  const event = [category?.abbreviation, boatClass?.code]
+    .filter(Boolean)
+    .join(" ");
+  return event || "all events";
+}
+
+const countQuotaUsage = (quota, entries) =>
+  entries.filter(
+    (entry) =>
+      COUNTED_ENTRY_STATUSES.includes(entry.status || "pending") &&
+      quotaCoversEvent(quota, entry),
+  ).length;
+
+/**
+ * Check new entries of a club against the quotas, counting the club's
+ * existing entries and the new ones in order
+ *
+ * @param {object} competition - Competition document
+ * @param {object} club - Club ({ type })
+ * @param {Array} existingEntries - Club entries ({ category, boatClass, status })
+ * @param {Array} newEntries - Entries to add ({ category, boatClass })
+ * @param {object} [lookups] - { categoryMap, boatClassMap } for messages
+ * @returns {string|null} Error message, or null when within quotas
+ */
+export function checkEntryQuotas(
+  competition,
+  club,
+  existingEntries,
+  newEntries,
+  lookups = {},
+) {
+  const quotas = getClubQuotas(competition, club?.type);
+  if (!quotas.length) {
+    return null;
+  }
+
+  const used = quotas.map((quota) => countQuotaUsage(quota, existingEntries));
+  for (const entry of newEntries) {
+    for (let index = 0; index < quotas.length; index += 1) {
+      const quota = quotas[index];
+      if (!quotaCoversEvent(quota, entry)) {
+        continue;
+      }
+      if (used[index] >= quota.maxBoats) {
+        const scope = quota.clubType
+          ? ` for ${CLUB_TYPE_LABELS[quota.clubType] || quota.clubType}`
+          : "";
+        return `Quota reached: at most ${quota.maxBoats} boat(s) per club in ${describeQuota(quota, lookups)}${scope}; your club already has ${used[index]}`;
+      }
+      used[index] += 1;
+    }
+  }
+  return null;
+}
+
+/**
+ * Used and remaining places of each quota applying to a club
+ * @param {object} competition - Competition, quota categories and boat classes populated
+ * @param {object} club - Club ({ type })
+ * @param {Array} entries - Club entries ({ category, boatClass, status })
+ * @returns {Array} [{ id, label, category, boatClass, clubType, maxBoats, used, remaining }]
+ */
+export function summariseClubQuotas(competition, club, entries) {
+  return getClubQuotas(competition, club?.type).map((quota) => {
+    const used = countQuotaUsage(quota, entries);
+    return {
+      id: toId(quota),
+      label: describeQuota(quota),
+      category: toId(quota.category) || null,
+      boatClass: toId(quota.boatClass) || null,
+      clubType: quota.clubType || null,
+      maxBoats: quota.maxBoats,
+      used,
+      remaining: Math.max(quota.maxBoats - used, 0),
+    };
+  });
+}
+
+export default {
+  quotaCoversEvent,
+  getClubQuotas,
+  describeQuota,
+  checkEntryQuotas,
+  summariseClubQuotas,
+};
@@ -0,0 +1,350 @@
+/**
+ * Invoice Service
+ *
+ * Entry fees and club invoices of competitions.
+ *
+ * Key Features:
+ * - Entry fee of a boat from the competition fee schedule: category fee
+ *   (or per-boat fee), per-seat fee and late-entry surcharge
+ * - One invoice per club and competition, billing its approved entries,
+ *   generated once registration has closed
+ * - Invoices without payments are refreshed when generated again, so late
+ *   approvals and withdrawals are picked up until the club starts paying;
+ *   after that, entries approved later are added to the invoice and billed
+ *   lines are kept
+ * - Payments recorded by the federation; club balance = unpaid invoices
+ */
+
+import Invoice from "../Models/invoiceModel.js";
+import Competition from "../Models/competitionModel.js";
+import CompetitionEntry from "../Models/competitionEntryModel.js";
+import Club from "../Models/clubModel.js";
+
+const toId = (value) => (value?._id ?? value)?.toString();
+
+// Amounts are kept to the millime (3 decimals)
+const roundAmount = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+
+/**
+ * Fee schedule of a competition, with defaults
+ * @param {object} competition - Competition document
+ * @returns {object} { currency, perBoat, perSeat, lateSurcharge, categoryFees }
+ */
+export function resolveEntryFees(competition) {
+  const fees = competition?.entryFees || {};
+  return {
+    currency: fees.currency || "TND",
+    perBoat: fees.perBoat || 0,
+    perSeat: fees.perSeat || 0,
+    lateSurcharge: fees.lateSurcharge || 0,
+    categoryFees: fees.categoryFees || [],
+  };
+}
+
+/**
+ * Whether a competition charges entry fees at all
+ * @param {object} competition - Competition document
+ * @returns {boolean}
+ */
+export function hasEntryFees(competition) {
+  const fees = resolveEntryFees(competition);
+  return (
+    fees.perBoat > 0 ||
+    fees.perSeat > 0 ||
+    fees.lateSurcharge > 0 ||
+    fees.categoryFees.some((item) => item.amount > 0)
+  );
+}
+
+/**
+ * Whether an entry was submitted after the registration window closed,
+ * during the late-entry period or not
+ * @param {object} entry - Competition entry
+ * @param {object} competition - Competition document
+ * @returns {boolean}
+ */
+export function isLateEntry(entry, competition) {
+  if (entry?.late) {
+    return true;
+  }
+  const closeAt = competition?.registrationWindow?.closeAt;
+  const submittedAt = entry?.submittedAt || entry?.createdAt;
+  return Boolean(
+    closeAt && submittedAt && new Date(submittedAt) > new Date(closeAt),
+  );
+}
+
+/**
+ * Entry fee of one boat
+ * @param {object} entry - Competition entry ({ category, crew, athlete })
+ * @param {object} competition - Competition document
+ * @returns {object} { seats, boatFee, seatFee, lateSurcharge, amount }
+ */
+export function computeEntryFee(entry, competition) {
+  const fees = resolveEntryFees(competition);
+  const seats = entry?.crew?.length || (entry?.athlete ? 1 : 0);
+
+  const categoryFee = fees.categoryFees.find(
+    (item) => toId(item.category) === toId(entry?.category),
+  );
+  const boatFee = categoryFee ? categoryFee.amount : fees.perBoat;
+  const seatFee = roundAmount(fees.perSeat * seats);
+  const lateSurcharge = isLateEntry(entry, competition)
+    ? fees.lateSurcharge
+    : 0;
+
+  return {
+    seats,
+    boatFee,
+    seatFee,
+    lateSurcharge,
+    amount: roundAmount(boatFee + seatFee + lateSurcharge),
+  };
+}
+
+const describeEntry = (entry) => {
+  const parts = [
+    entry.category?.abbreviation,
+    entry.boatClass?.code,
+    entry.crewNumber ? `crew ${entry.crewNumber}` : null,
+  ].filter(Boolean);
+  return parts.join(" ") || "Entry";
+};
+
+/**
+ * Recompute amount paid and status from the payments
+ * @param {object} invoice - Invoice document
+ */
+export function refreshInvoiceStatus(invoice) {
+  invoice.amountPaid = roundAmount(
+    (invoice.payments || []).reduce((sum, payment) => sum + payment.amount, 0),
+  );
+  if (invoice.amountPaid >= invoice.total) {
+    invoice.status = "paid";
+  } else if (invoice.amountPaid > 0) {
+    invoice.status = "partially_paid";
+  } else {
+    invoice.status = "issued";
+  }
+}
+
+/**
+ * Create (or refresh unpaid) club invoices for the approved entries of a
+ * competition. Clubs with nothing to pay get no invoice.
+ *
+ * @param {object} competition - Competition document
+ * @param {object} [options]
+ * @param {string} [options.userId] - User generating the invoices
+ * @returns {Promise<Array>} Invoices created or refreshed
+ */
+export async function generateCompetitionInvoices(competition, options = {}) {
+  const { userId } = options;
+  const fees = resolveEntryFees(competition);
+
+  const entries = await CompetitionEntry.find({
+    competition: competition._id,
+    status: "approved",
+  })
+    .populate("category", "abbreviation")
+    .populate("boatClass", "code")
+    .sort({ club: 1, submittedAt: 1 })
+    .lean();
+
+  const linesByClub = new Map();
+  entries.forEach((entry) => {
+    const fee = computeEntryFee(
+      { ...entry, category: entry.category?._id },
+      competition,
+    );
+    if (!fee.amount) {
+      return;
+    }
+    const clubId = toId(entry.club);
+    if (!linesByClub.has(clubId)) {
+      linesByClub.set(clubId, []);
+    }
+    linesByClub.get(clubId).push({
+      entry: entry._id,
+      description: describeEntry(entry),
+      category: entry.category?._id,
+      boatClass: entry.boatClass?._id,
+      ...fee,
+    });
+  });
+
+  const existingInvoices = await Invoice.find({
+    competition: competition._id,
+  });
+  const invoiceByClub = new Map(
+    existingInvoices.map((invoice) => [toId(invoice.club), invoice]),
+  );
+  const clubs = await Club.find({ _id: { $in: [...linesByClub.keys()] } })
+    .select("code")
+    .lean();
+  const clubCodeMap = new Map(clubs.map((club) => [toId(club), club.code]));
+
+  const saved = [];
+  for (const [clubId, lines] of linesByClub) {
+    const total = roundAmount(
+      lines.reduce((sum, line) => sum + line.amount, 0),
+    );
+    let invoice = invoiceByClub.get(clubId);
+
+    if (invoice?.payments.length) {
+      // Paid lines stay as billed; only entries not billed yet are added
+      const billed = new Set(invoice.lines.map((line) => toId(line.entry)));
+      const added = lines.filter((line) => !billed.has(toId(line.entry)));
+      if (!added.length) {
+        continue;
+      }
+      invoice.lines.push(...added);
+      invoice.total = roundAmount(
+        invoice.lines.reduce((sum, line) => sum + line.amount, 0),
+      );
+    } else if (invoice) {
+      invoice.lines = lines;
+      invoice.total = total;
+      invoice.currency = fees.currency;
+    } else {
+      const clubCode = clubCodeMap.get(clubId) || clubId.slice(-6);
+      invoice = new Invoice({
+        number: `${competition.code}-${clubCode}`,
+        competition: competition._id,
+        club: clubId,
+        currency: fees.currency,
+        lines,
+        total,
+        createdBy: userId,
+      });
+    }
+    refreshInvoiceStatus(invoice);
+    saved.push(await invoice.save());
+  }
+
+  // Unpaid invoices of clubs with no billable entry left
+  for (const [clubId, invoice] of invoiceByClub) {
+    if (!linesByClub.has(clubId) && !invoice.payments.length) {
+      await invoice.deleteOne();
+    }
+  }
+
+  await Competition.updateOne(
+    { _id: competition._id },
+    { $set: { invoicesGeneratedAt: new Date() } },
+  );
+
+  return saved;
+}
+
+/**
+ * Generate invoices of competitions whose registration has closed and that
+ * have not been invoiced yet.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of competitions invoiced
+ */
+export async function ensureClosedCompetitionsInvoiced(now = new Date()) {
+  const competitions = await Competition.find({
+    invoicesGeneratedAt: null,
+    $or: [
+      { registrationStatus: "closed" },
+      {
+        registrationStatus: { $in: ["not_open", "open"] },
+        "registrationWindow.closeAt": { $lt: now },
+        "lateEntries.enabled": { $ne: true },
+      },
+    ],
+  })
+    .select("code entryFees registrationWindow")
+    .lean();
+
+  let invoiced = 0;
+  for (const competition of competitions) {
+    if (!hasEntryFees(competition)) {
+      continue;
+    }
+    await generateCompetitionInvoices(competition);
+    invoiced += 1;
+  }
+  return invoiced;
+}
+
+/**
+ * Record a payment against an invoice. The invoice is modified but not saved.
+ *
+ * @param {object} invoice - Invoice document
+ * @param {object} payment - { amount, method, reference, paidAt, notes, recordedBy }
+ * @returns {string|null} Error message, or null when recorded
+ */
+export function applyPayment(invoice, payment) {
+  const amount = roundAmount(payment.amount);
+  if (!(amount > 0)) {
+    return "Payment amount must be greater than zero";
+  }
+  const outstanding = roundAmount(invoice.total - invoice.amountPaid);
+  if (amount > outstanding) {
+    return `Payment exceeds the outstanding amount of ${outstanding} ${invoice.currency}`;
+  }
+
+  invoice.payments.push({ ...payment, amount });
+  refreshInvoiceStatus(invoice);
+  return null;
+}
+
+/**
+ * Invoiced, paid and outstanding amounts of a club
+ * @param {string} clubId - Club id
+ * @returns {Promise<object>} { invoiced, paid, outstanding, invoices }
+ */
+export async function getClubBalance(clubId) {
+  const invoices = await Invoice.find({ club: clubId })
+    .populate("competition", "code names startDate")
+    .sort({ issuedAt: -1 })
+    .lean();
+
+  const invoiced = roundAmount(
+    invoices.reduce((sum, invoice) => sum + invoice.total, 0),
+  );
+  const paid = roundAmount(
+    invoices.reduce((sum, invoice) => sum + invoice.amountPaid, 0),
+  );
+
+  return {
+    invoiced,
+    paid,
+    outstanding: roundAmount(invoiced - paid),
+    invoices,
+  };
+}
+
+/**
+ * Unpaid amount of a club over all its invoices
+ * @param {string} clubId - Club id
+ * @returns {Promise<number>}
+ */
+export async function getOutstandingBalance(clubId) {
+  const invoices = await Invoice.find({
+    club: clubId,
+    status: { $ne: "paid" },
+  })
+    .select("total amountPaid")
+    .lean();
+  return roundAmount(
+    invoices.reduce(
+      (sum, invoice) => sum + (invoice.total - invoice.amountPaid),
+      0,
+    ),
+  );
+}
+
+export default {
+  resolveEntryFees,
+  hasEntryFees,
+  isLateEntry,
+  computeEntryFee,
+  refreshInvoiceStatus,
+  generateCompetitionInvoices,
+  ensureClosedCompetitionsInvoiced,
+  applyPayment,
+  getClubBalance,
+  getOutstandingBalance,
+};
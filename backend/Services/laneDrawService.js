@@ -0,0 +1,180 @@
+/**
+ * Lane Draw Service
+ *
+ * Lane allocation rules for races, configured per discipline and
+ * overridable per competition.
+ *
+ * Key Features:
+ * - "centre" rule (World Rowing): fastest crews in the centre lanes
+ *   (3/4, then 2/5, then 1/6 on a 6-lane course)
+ * - "sequential" rule: lane 1, 2, 3... in ranking order
+ * - Rule stored on the competition (laneDraw), the discipline default
+ *   otherwise
+ * - Ranking of crews from their previous-round position and time
+ */
+
+import { LANE_DRAW_METHODS } from "../Models/competitionModel.js";
+import { PROGRESSION_ROUNDS } from "../Models/competitionRaceModel.js";
+
+export { LANE_DRAW_METHODS };
+
+/**
+ * Default lane draw rule per discipline.
+ * Classic regattas use the World Rowing centre-out allocation; coastal, beach
+ * and indoor start lists are simply numbered in order.
+ */
+export const LANE_DRAW_RULES = {
+  classic: { method: "centre" },
+  coastal: { method: "sequential" },
+  beach: { method: "sequential" },
+  indoor: { method: "sequential" },
+};
+
+// Lane limits per discipline
+// Classic: 8 lanes (standard water lanes)
+// Coastal: 20 lanes (larger fields in coastal rowing)
+// Beach: 100 lanes (time trials can have many athletes running 1-2 at a time)
+// Indoor: 100 lanes (ergometer competitions can have many participants)
+export const LANE_LIMITS = {
+  classic: 8,
+  coastal: 20,
+  beach: 100,
+  indoor: 100,
+};
+
+export const getMaxLanesForDiscipline = (discipline) => {
+  return LANE_LIMITS[discipline] || 8;
+};
+
+/**
+ * Get the lane draw rule for a discipline
+ * @param {string} discipline - Competition discipline
+ * @param {object} [laneDraw] - Rule stored on the competition
+ * @returns {object} Rule ({ method })
+ */
+export function getLaneDrawRule(discipline, laneDraw) {
+  const defaults = LANE_DRAW_RULES[discipline] || LANE_DRAW_RULES.classic;
+  return {
+    ...defaults,
+    ...(LANE_DRAW_METHODS.includes(laneDraw?.method)
+      ? { method: laneDraw.method }
+      : {}),
+  };
+}
+
+/**
+ * Lanes in order of preference for a course.
+ * Centre: 6 lanes -> [3, 4, 2, 5, 1, 6], 8 lanes -> [4, 5, 3, 6, 2, 7, 1, 8]
+ *
+ * @param {number} courseLanes - Number of lanes on the course
+ * @param {string} method - Draw method ("centre" or "sequential")
+ * @returns {number[]} Lane numbers, best lane first
+ */
+export function getLaneOrder(courseLanes, method = "centre") {
+  const lanes = Array.from({ length: courseLanes }, (_, index) => index + 1);
+  if (method !== "centre") {
+    return lanes;
+  }
+
+  const middle = Math.ceil(courseLanes / 2);
+  const order = [];
+  for (let step = 0; order.length < courseLanes; step += 1) {
+    const lower = middle - step;
+    const upper = middle + 1 + step;
+    if (lower >= 1) {
+      order.push(lower);
+    }
+    if (upper <= courseLanes) {
+      order.push(upper);
+    }
+  }
+  return order;
+}
+
+const roundRank = (round) => {
+  const index = PROGRESSION_ROUNDS.indexOf(round);
+  return index === -1 ? Infinity : index;
+};
+
+/**
+ * Rank lanes for a draw, strongest first.
+ *
+ * Crews that qualified from an earlier round are ranked by that round
+ * (direct qualifiers from heats before repechage qualifiers), then finishing
+ * position, then time. Crews without qualification data follow, by seed and
+ * finally by their current lane.
+ *
+ * @param {Array} lanes - Lane assignments
+ * @returns {Array} New array of the same lanes, sorted
+ */
+export function rankLanesForDraw(lanes = []) {
+  return [...lanes].sort((a, b) => {
+    const aQualification = a.qualification || {};
+    const bQualification = b.qualification || {};
+
+    const roundDiff =
+      roundRank(aQualification.round) - roundRank(bQualification.round);
+    if (roundDiff !== 0 && !Number.isNaN(roundDiff)) {
+      return roundDiff;
+    }
+
+    const aPosition = aQualification.finishPosition ?? Infinity;
+    const bPosition = bQualification.finishPosition ?? Infinity;
+    if (aPosition !== bPosition) {
+      return aPosition - bPosition;
+    }
+
+    const aTime = aQualification.elapsedMs ?? Infinity;
+    const bTime = bQualification.elapsedMs ?? Infinity;
+    if (aTime !== bTime) {
+      return aTime - bTime;
+    }
+
+    const aSeed = a.seed ?? Infinity;
+    const bSeed = b.seed ?? Infinity;
+    if (aSeed !== bSeed) {
+      return aSeed - bSeed;
+    }
+
+    return (a.lane ?? Infinity) - (b.lane ?? Infinity);
+  });
+}
+
+/**
+ * Assign lane numbers to already-ranked crews according to the discipline rule.
+ * Lane objects are updated in place and returned in lane order.
+ *
+ * @param {Array} rankedLanes - Lane assignments, strongest first
+ * @param {object} options - Draw options
+ * @param {string} options.discipline - Competition discipline
+ * @param {object} [options.laneDraw] - Rule stored on the competition
+ * @param {number} options.courseLanes - Number of lanes on the course
+ * @returns {Array} The lanes, sorted by lane number
+ */
+export function drawLanes(
+  rankedLanes,
+  { discipline, laneDraw, courseLanes } = {},
+) {
+  const width = Math.max(courseLanes || 0, rankedLanes.length);
+  const order = getLaneOrder(
+    width,
+    getLaneDrawRule(discipline, laneDraw).method,
+  );
+
+  rankedLanes.forEach((lane, index) => {
+    lane.lane = order[index];
+  });
+
+  return [...rankedLanes].sort((a, b) => a.lane - b.lane);
+}
+
+export default {
+  LANE_DRAW_METHODS,
+  LANE_DRAW_RULES,
+  LANE_LIMITS,
+  getMaxLanesForDiscipline,
+  getLaneDrawRule,
+  getLaneOrder,
+  rankLanesForDraw,
+  drawLanes,
+};
@@ -0,0 +1,288 @@
+/**
+ * Licence Card Service
+ *
+ * Data for printed licence cards and the public check behind their QR code.
+ *
+ * Key Features:
+ * - Card data per athlete or per club: names in French and Arabic, photo,
+ *   club, national category and status for the season
+ * - Each card carries a signature of its licence number, so the QR code
+ *   cannot be forged for another licence and numbers cannot be enumerated
+ * - Public verification returning only what the card already shows and
+ *   whether the licence is valid today
+ * - Lookup for officials at control commission by licence number or by the
+ *   scanned QR code, with licence, documents and medical status
+ */
+
+import crypto from "crypto";
+import Athlete from "../Models/athleteModel.js";
+import { evaluateDocumentStatuses } from "./documentStatusService.js";
+
+const CARD_ATHLETE_FIELDS =
+  "firstName lastName firstNameAr lastNameAr licenseNumber birthDate gender licenseStatus documents memberships categoryAssignments updatedAt";
+
+const toId = (value) => (value?._id ?? value)?.toString();
+
+const signingSecret = () =>
+  process.env.LICENCE_CARD_SECRET ||
+  process.env.JWT_SECRET ||
+  "your_jwt_secret_key";
+
+/**
+ * Signature printed in the QR code of a licence card
+ * @param {string} licenseNumber - Licence number
+ * @returns {string} URL-safe signature
+ */
+export function signLicenceNumber(licenseNumber) {
+  return crypto
+    .createHmac("sha256", signingSecret())
+    .update(String(licenseNumber))
+    .digest("base64url")
+    .slice(0, 22);
+}
+
+const isValidSignature = (licenseNumber, signature) => {
+  if (typeof signature !== "string" || !signature) {
+    return false;
+  }
+  const expected = Buffer.from(signLicenceNumber(licenseNumber));
+  const received = Buffer.from(signature);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+// Membership the card is printed for: the club's, else the primary one
+const seasonMembership = (athlete, season, clubId) => {
+  const memberships = (athlete.memberships || []).filter(
+    (membership) =>
+      membership.season === season && membership.status !== "transferred",
+  );
+  return (
+    (clubId &&
+      memberships.find(
+        (membership) => toId(membership.club) === toId(clubId),
+      )) ||
+    memberships.find(
+      (membership) => membership.membershipType !== "secondary",
+    ) ||
+    memberships[0] ||
+    null
+  );
+};
+
+const seasonCategory = (athlete, season) =>
+  (athlete.categoryAssignments || []).find(
+    (assignment) =>
+      assignment.type === "national" && assignment.season === season,
+  ) || null;
+
+/**
+ * Whether a licence is valid for a season today: licence active, documents
+ * complete (medical certificate not expired) and an active membership
+ * @param {object} athlete - Athlete with documents and memberships
+ * @param {number} season - Season year
+ * @returns {boolean}
+ */
+export function isLicenceValid(athlete, season) {
+  const membership = seasonMembership(athlete, season);
+  return (
+    athlete.licenseStatus === "active" &&
+    evaluateDocumentStatuses(athlete).status === "active" &&
+    membership?.status === "active"
+  );
+}
+
+const toCard = (athlete, season, clubId) => {
+  const membership = seasonMembership(athlete, season, clubId);
+  const category = seasonCategory(athlete, season);
+  const photo = athlete.documents?.photo;
+  return {
+    _id: athlete._id,
+    licenseNumber: athlete.licenseNumber,
+    firstName: athlete.firstName,
+    lastName: athlete.lastName,
+    firstNameAr: athlete.firstNameAr,
+    lastNameAr: athlete.lastNameAr,
+    birthDate: athlete.birthDate,
+    gender: athlete.gender,
+    season,
+    club: membership?.club
+      ? {
+          _id: membership.club._id,
+          name: membership.club.name,
+          nameAr: membership.club.nameAr,
+          code: membership.club.code,
+        }
+      : null,
+    category: category
+      ? {
+          abbreviation: category.abbreviation,
+          titles: category.titles,
+        }
+      : null,
+    photo:
+      photo?.storagePath || photo?.url
+        ? { storagePath: photo.storagePath, url: photo.url }
+        : null,
+    updatedAt: athlete.updatedAt,
+    valid: isLicenceValid(athlete, season),
+    signature: athlete.licenseNumber
+      ? signLicenceNumber(athlete.licenseNumber)
+      : null,
+  };
+};
+
+/**
+ * Licence cards of the given athletes, or of every athlete of a club with
+ * a membership for the season
+ *
+ * @param {object} options - { season, clubId, athleteIds }
+ * @returns {Promise<Array>} Cards sorted by name; athletes without a
+ *   licence number are left out
+ */
+export async function getLicenceCards({ season, clubId, athleteIds }) {
+  const filter = { licenseNumber: { $exists: true, $ne: null } };
+  if (athleteIds?.length) {
+    filter._id = { $in: athleteIds };
+  }
+  if (clubId) {
+    filter.memberships = {
+      $elemMatch: {
+        club: clubId,
+        season,
+        status: { $ne: "transferred" },
+      },
+    };
+  }
+
+  const athletes = await Athlete.find(filter)
+    .select(CARD_ATHLETE_FIELDS)
+    .populate("memberships.club", "name nameAr code")
+    .lean();
+
+  return athletes
+    .map((athlete) => toCard(athlete, season, clubId))
+    .sort((a, b) =>
+      `${a.lastName || ""} ${a.firstName || ""}`.localeCompare(
+        `${b.lastName || ""} ${b.firstName || ""}`,
+      ),
+    );
+}
+
+/**
+ * Public check of a licence card: no birth date, identity numbers or
+ * documents
+ *
+ * @param {string} licenseNumber - Licence number from the QR code
+ * @param {string} signature - Signature from the QR code
+ * @param {number} season - Season to check
+ * @returns {Promise<object|null>} Null when the card is not genuine
+ */
+export async function verifyLicenceCard(licenseNumber, signature, season) {
+  if (!isValidSignature(licenseNumber, signature)) {
+    return null;
+  }
+  const athlete = await Athlete.findOne({ licenseNumber })
+    .select(CARD_ATHLETE_FIELDS)
+    .populate("memberships.club", "name nameAr code")
+    .lean();
+  if (!athlete) {
+    return null;
+  }
+
+  const card = toCard(athlete, season);
+  return {
+    licenseNumber: card.licenseNumber,
+    firstName: card.firstName,
+    lastName: card.lastName,
+    firstNameAr: card.firstNameAr,
+    lastNameAr: card.lastNameAr,
+    season,
+    club: card.club,
+    category: card.category?.abbreviation || null,
+    valid: card.valid,
+    checkedAt: new Date(),
+  };
+}
+
+/**
+ * Licence number and signature from a scanned QR code: the verification
+ * URL, its path and query, or a bare licence number
+ * @param {string} token - Scanned text
+ * @returns {object|null} { licenseNumber, signature }
+ */
+export function parseLicenceQrToken(token) {
+  const text = typeof token === "string" ? token.trim() : "";
+  if (!text) {
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(text, "http://localhost");
+  } catch {
+    return null;
+  }
+  const match = url.pathname.match(/\/verify\/licence\/([^/]+)\/?$/);
+  if (!match) {
+    return text.includes("/") ? null : { licenseNumber: text, signature: null };
+  }
+  return {
+    licenseNumber: decodeURIComponent(match[1]),
+    signature: url.searchParams.get("s") || "",
+  };
+}
+
+/**
+ * Licence check for officials at control commission
+ *
+ * @param {object} options - { licenseNumber, qrToken, season }; a QR token
+ *   must carry a genuine signature
+ * @returns {Promise<object|null>} Card with licenseStatus, documentsStatus,
+ *   documentsIssues and medicalExpiresAt, or null when not found
+ */
+export async function lookupLicence({ licenseNumber, qrToken, season }) {
+  let number = typeof licenseNumber === "string" ? licenseNumber.trim() : "";
+  if (qrToken) {
+    const parsed = parseLicenceQrToken(qrToken);
+    if (
+      !parsed ||
+      (parsed.signature !== null &&
+        !isValidSignature(parsed.licenseNumber, parsed.signature))
+    ) {
+      return null;
+    }
+    number = parsed.licenseNumber;
+  }
+  if (!number) {
+    return null;
+  }
+
+  const athlete = await Athlete.findOne({ licenseNumber: number })
+    .select(CARD_ATHLETE_FIELDS)
+    .populate("memberships.club", "name nameAr code")
+    .lean();
+  if (!athlete) {
+    return null;
+  }
+
+  const evaluation = evaluateDocumentStatuses(athlete);
+  const { signature, ...card } = toCard(athlete, season);
+  return {
+    ...card,
+    licenseStatus: athlete.licenseStatus,
+    documentsStatus: evaluation.status,
+    documentsIssues: evaluation.issues,
+    medicalExpiresAt: athlete.documents?.medicalCertificate?.expiresAt || null,
+  };
+}
+
+export default {
+  signLicenceNumber,
+  isLicenceValid,
+  getLicenceCards,
+  verifyLicenceCard,
+  parseLicenceQrToken,
+  lookupLicence,
+};
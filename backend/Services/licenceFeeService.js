@@ -0,0 +1,429 @@
+/**
+ * Licence Fee Service
+ *
+ * Season licence fees of athletes, billed to their club.
+ *
+ * Key Features:
+ * - Season tariff: rates by category or age on the season cutoff, with a
+ *   default fee for athletes matching no rate
+ * - One licence invoice per club and season, one line per athlete holding a
+ *   primary membership of the club for the season
+ * - A payment may name the athletes whose fee it settles; amounts not tied
+ *   to athletes are allocated to the remaining lines in order, so each
+ *   athlete's licence is either paid or unpaid
+ * - Optional rule: a licence is only activated once its fee is paid
+ */
+
+import Invoice from "../Models/invoiceModel.js";
+import LicenceTariff from "../Models/licenceTariffModel.js";
+import Athlete from "../Models/athleteModel.js";
+import Club from "../Models/clubModel.js";
+import { calculateAgeOnSeasonCutoff } from "./categoryAssignmentService.js";
+import { refreshInvoiceStatus } from "./invoiceService.js";
+
+const toId = (value) => (value?._id ?? value)?.toString();
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+
+const BILLED_MEMBERSHIP_STATUSES = ["active", "pending"];
+
+/**
+ * Tariff of a season
+ * @param {number} season - Season year
+ * @returns {Promise<object|null>} Tariff document (lean)
+ */
+export async function getLicenceTariff(season) {
+  return LicenceTariff.findOne({ season }).lean();
+}
+
+/**
+ * Licence fee of an athlete
+ * @param {object} athlete - Athlete ({ birthDate, categoryAssignments })
+ * @param {object} tariff - Season tariff
+ * @param {number} season - Season year
+ * @returns {object} { amount, label }
+ */
+export function resolveLicenceFee(athlete, tariff, season) {
+  if (!tariff) {
+    return { amount: 0, label: null };
+  }
+
+  const categoryIds = (athlete?.categoryAssignments || [])
+    .filter((assignment) => assignment?.season === season)
+    .map((assignment) => toId(assignment.category))
+    .filter(Boolean);
+  const age = calculateAgeOnSeasonCutoff(athlete?.birthDate, season);
+
+  const rate = (tariff.rates || []).find((candidate) => {
+    if (candidate.category) {
+      return categoryIds.includes(toId(candidate.category));
+    }
+    if (age === null) {
+      return false;
+    }
+    return (
+      (candidate.minAge === undefined ||
+        candidate.minAge === null ||
+        age >= candidate.minAge) &&
+      (candidate.maxAge === undefined ||
+        candidate.maxAge === null ||
+        age <= candidate.maxAge)
+    );
+  });
+
+  return rate
+    ? { amount: rate.amount, label: rate.label || null }
+    : { amount: tariff.defaultAmount || 0, label: null };
+}
+
+/**
+ * Athletes of an invoice whose fee is covered by the payments: the athletes
+ * a payment names, then the rest of the amount paid allocated to the other
+ * lines in order
+ * @param {object} invoice - Licence invoice (with payments)
+ * @returns {Set<string>} Athlete ids
+ */
+export function getPaidLicenceAthleteIds(invoice) {
+  const paid = new Set();
+  const lines = invoice?.lines || [];
+  let remaining = 0;
+  for (const payment of invoice?.payments || []) {
+    remaining += payment.amount;
+    const named = new Set((payment.athletes || []).map(toId));
+    for (const line of lines) {
+      const athleteId = toId(line.athlete);
+      if (named.has(athleteId) && !paid.has(athleteId)) {
+        paid.add(athleteId);
+        remaining -= line.amount;
+      }
+    }
+  }
+
+  for (const line of lines) {
+    const athleteId = toId(line.athlete);
+    if (paid.has(athleteId)) {
+      continue;
+    }
+    if (line.amount > remaining + 0.0005) {
+      break;
+    }
+    remaining -= line.amount;
+    if (athleteId) {
+      paid.add(athleteId);
+    }
+  }
+  return paid;
+}
+
+/**
+ * Check the athletes a licence payment names: each must be billed on the
+ * invoice and still unpaid, and the amount must cover their fees.
+ *
+ * @param {object} invoice - Licence invoice
+ * @param {Array<string>} athleteIds - Athletes the payment settles
+ * @param {number} amount - Payment amount
+ * @returns {string|null} Error message, or null when valid
+ */
+export function checkLicencePaymentAthletes(invoice, athleteIds, amount) {
+  const lineByAthlete = new Map(
+    (invoice.lines || []).map((line) => [toId(line.athlete), line]),
+  );
+  const paid = getPaidLicenceAthleteIds(invoice);
+  let due = 0;
+  for (const athleteId of athleteIds.map(toId)) {
+    const line = lineByAthlete.get(athleteId);
+    if (!line) {
+      return "The payment names an athlete who is not billed on this invoice";
+    }
+    if (paid.has(athleteId)) {
+      return `The licence fee of ${line.description || "this athlete"} is already paid`;
+    }
+    due += line.amount;
+  }
+  if (amount + 0.0005 < due) {
+    return `The payment does not cover the ${roundAmount(due)} due for these athletes`;
+  }
+  return null;
+}
+
+const membershipFilter = (clubId, season) => ({
+  club: clubId,
+  season,
+  status: { $in: BILLED_MEMBERSHIP_STATUSES },
+  membershipType: { $ne: "secondary" },
+});
+
+/**
+ * Create or update the licence invoice of a club for a season. Until the
+ * club pays, the invoice is rebuilt from its current athletes; afterwards
+ * only athletes not billed yet are added.
+ *
+ * @param {string} clubId - Club id
+ * @param {number} season - Season year
+ * @param {object} [options]
+ * @param {object} [options.tariff] - Season tariff (loaded when omitted)
+ * @param {string} [options.userId] - User generating the invoice
+ * @returns {Promise<object|null>} Invoice, or null when nothing is due
+ */
+export async function generateClubLicenceInvoice(clubId, season, options = {}) {
+  const tariff = options.tariff || (await getLicenceTariff(season));
+  if (!tariff) {
+    return null;
+  }
+
+  const athletes = await Athlete.find({
+    memberships: { $elemMatch: membershipFilter(clubId, season) },
+  })
+    .select("firstName lastName licenseNumber birthDate categoryAssignments")
+    .sort({ lastName: 1, firstName: 1 })
+    .lean();
+
+  const lines = athletes
+    .map((athlete) => {
+      const fee = resolveLicenceFee(athlete, tariff, season);
+      if (!fee.amount) {
+        return null;
+      }
+      const name = `${athlete.lastName || ""} ${athlete.firstName || ""}`;
+      return {
+        athlete: athlete._id,
+        description: [name.trim(), athlete.licenseNumber, fee.label]
+          .filter(Boolean)
+          .join(" - "),
+        seats: 1,
+        amount: fee.amount,
+      };
+    })
+    .filter(Boolean);
+
+  let invoice = await Invoice.findOne({
+    type: "licence_fees",
+    season,
+    club: clubId,
+  });
+
+  if (invoice?.payments.length) {
+    const billed = new Set(invoice.lines.map((line) => toId(line.athlete)));
+    const added = lines.filter((line) => !billed.has(toId(line.athlete)));
+    if (!added.length) {
+      return invoice;
+    }
+    invoice.lines.push(...added);
+  } else if (invoice) {
+    if (!lines.length) {
+      await invoice.deleteOne();
+      return null;
+    }
+    invoice.lines = lines;
+  } else {
+    if (!lines.length) {
+      return null;
+    }
+    const club = await Club.findById(clubId).select("code").lean();
+    invoice = new Invoice({
+      number: `LIC${season}-${club?.code || toId(clubId).slice(-6)}`,
+      type: "licence_fees",
+      season,
+      club: clubId,
+      lines,
+      createdBy: options.userId,
+    });
+  }
+
+  invoice.currency = tariff.currency || "TND";
+  invoice.total = roundAmount(
+    invoice.lines.reduce((sum, line) => sum + line.amount, 0),
+  );
+  refreshInvoiceStatus(invoice);
+  return invoice.save();
+}
+
+/**
+ * Generate the licence invoices of every club with athletes in a season
+ * @param {number} season - Season year
+ * @param {object} [options] - { userId }
+ * @returns {Promise<Array>} Invoices created or updated
+ */
+export async function generateSeasonLicenceInvoices(season, options = {}) {
+  const tariff = await getLicenceTariff(season);
+  if (!tariff) {
+    return [];
+  }
+
+  const clubIds = await Athlete.distinct("memberships.club", {
+    memberships: {
+      $elemMatch: {
+        season,
+        status: { $in: BILLED_MEMBERSHIP_STATUSES },
+        membershipType: { $ne: "secondary" },
+      },
+    },
+  });
+
+  const invoices = [];
+  for (const clubId of clubIds) {
+    const invoice = await generateClubLicenceInvoice(clubId, season, {
+      ...options,
+      tariff,
+    });
+    if (invoice) {
+      invoices.push(invoice);
+    }
+  }
+  return invoices;
+}
+
+/**
+ * Athletes (of the given ones) whose licence cannot be activated yet
+ * because the season fee is required and not paid
+ * @param {Array} athletes - Athletes ({ _id, birthDate, categoryAssignments })
+ * @param {number} season - Season year
+ * @returns {Promise<Set<string>>} Athlete ids
+ */
+export async function getLicenceFeeDueIds(athletes, season) {
+  const due = new Set();
+  const tariff = await getLicenceTariff(season);
+  if (!tariff?.requirePayment || !athletes?.length) {
+    return due;
+  }
+
+  const invoices = await Invoice.find({
+    type: "licence_fees",
+    season,
+    "lines.athlete": { $in: athletes.map((athlete) => athlete._id) },
+  })
+    .select("lines amountPaid payments")
+    .lean();
+  const paid = new Set();
+  invoices.forEach((invoice) =>
+    getPaidLicenceAthleteIds(invoice).forEach((id) => paid.add(id)),
+  );
+
+  athletes.forEach((athlete) => {
+    const id = toId(athlete);
+    if (
+      !paid.has(id) &&
+      resolveLicenceFee(athlete, tariff, season).amount > 0
+    ) {
+      due.add(id);
+    }
+  });
+  return due;
+}
+
+/**
+ * Whether an athlete's licence must wait for the season fee
+ * @param {object} athlete - Athlete document
+ * @param {number} season - Season year
+ * @returns {Promise<boolean>}
+ */
+export async function isLicenceFeeDue(athlete, season) {
+  const due = await getLicenceFeeDueIds([athlete], season);
+  return due.has(toId(athlete));
+}
+
+/**
+ * Activate the licences a payment has just covered: athletes whose
+ * documents are complete and whose licence was only waiting for the fee
+ * @param {object} invoice - Licence invoice
+ * @returns {Promise<number>} Number of licences activated
+ */
+export async function activatePaidLicences(invoice) {
+  const paidIds = [...getPaidLicenceAthleteIds(invoice)];
+  if (!paidIds.length) {
+    return 0;
+  }
+  const result = await Athlete.updateMany(
+    {
+      _id: { $in: paidIds },
+      documentsStatus: "active",
+      licenseStatus: "pending",
+    },
+    { $set: { licenseStatus: "active" } },
+  );
+  return result?.modifiedCount ?? 0;
+}
+
+/**
+ * Paid and unpaid licences per club for a season
+ * @param {number} season - Season year
+ * @returns {Promise<Array>} [{ club, athletes, invoiced, paid, unpaid, notInvoiced, ... }]
+ */
+export async function getSeasonLicenceSummary(season) {
+  const memberCounts = await Athlete.aggregate([
+    { $unwind: "$memberships" },
+    {
+      $match: {
+        "memberships.season": season,
+        "memberships.status": { $in: BILLED_MEMBERSHIP_STATUSES },
+        "memberships.membershipType": { $ne: "secondary" },
+      },
+    },
+    { $group: { _id: "$memberships.club", athletes: { $sum: 1 } } },
+  ]);
+
+  const invoices = await Invoice.find({ type: "licence_fees", season })
+    .select("number club lines total amountPaid payments status currency")
+    .lean();
+  const invoiceByClub = new Map(
+    invoices.map((invoice) => [toId(invoice.club), invoice]),
+  );
+
+  const clubIds = [
+    ...new Set([
+      ...memberCounts.map((item) => toId(item._id)),
+      ...invoiceByClub.keys(),
+    ]),
+  ];
+  const clubs = await Club.find({ _id: { $in: clubIds } })
+    .select("name code")
+    .lean();
+  const clubMap = new Map(clubs.map((club) => [toId(club), club]));
+  const countMap = new Map(
+    memberCounts.map((item) => [toId(item._id), item.athletes]),
+  );
+
+  return clubIds
+    .map((clubId) => {
+      const invoice = invoiceByClub.get(clubId);
+      const athletes = countMap.get(clubId) || 0;
+      const invoiced = invoice?.lines.length || 0;
+      const paid = invoice ? getPaidLicenceAthleteIds(invoice).size : 0;
+      return {
+        club: clubMap.get(clubId) || { _id: clubId },
+        athletes,
+        invoiced,
+        paid,
+        unpaid: invoiced - paid,
+        notInvoiced: Math.max(athletes - invoiced, 0),
+        invoice: invoice
+          ? {
+              _id: invoice._id,
+              number: invoice.number,
+              total: invoice.total,
+              amountPaid: invoice.amountPaid,
+              status: invoice.status,
+              currency: invoice.currency,
+            }
+          : null,
+      };
+    })
+    .sort((a, b) =>
+      (a.club.name || "").localeCompare(b.club.name || "", undefined, {
+        sensitivity: "base",
+      }),
+    );
+}
+
+export default {
+  getLicenceTariff,
+  resolveLicenceFee,
+  getPaidLicenceAthleteIds,
+  checkLicencePaymentAthletes,
+  generateClubLicenceInvoice,
+  generateSeasonLicenceInvoices,
+  getLicenceFeeDueIds,
+  isLicenceFeeDue,
+  activatePaidLicences,
+  getSeasonLicenceSummary,
+};
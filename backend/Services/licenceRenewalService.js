@@ -0,0 +1,281 @@
+/**
+ * Licence Renewal Service
+ *
+ * Licence renewals asked by clubs for their athletes and decided by the
+ * federation.
+ *
+ * Key Features:
+ * - Clubs request renewals for a season in bulk; athletes whose documents
+ *   are incomplete, whose medical certificate has expired or whose licence
+ *   is suspended are refused with the reasons
+ * - Medical certificates expiring before the end of the season are flagged
+ *   for the reviewer
+ * - Bulk approval: documents are checked again, the club membership of the
+ *   season activated (created if missing) and the licence activated, or
+ *   left pending while the season fee is unpaid
+ * - Bulk rejection with a note
+ */
+
+import Athlete from "../Models/athleteModel.js";
+import LicenceRenewalRequest from "../Models/licenceRenewalRequestModel.js";
+import { ensureNationalCategoryForAthlete } from "./categoryAssignmentService.js";
+import {
+  applyDocumentStatusToAthlete,
+  evaluateDocumentStatuses,
+} from "./documentStatusService.js";
+import { isLicenceFeeDue } from "./licenceFeeService.js";
+
+const toId = (value) => (value?._id ?? value)?.toString();
+
+const athleteName = (athlete) =>
+  `${athlete?.firstName || ""} ${athlete?.lastName || ""}`.trim();
+
+const clubMemberships = (athlete, clubId) =>
+  (athlete.memberships || []).filter(
+    (membership) => toId(membership.club) === toId(clubId),
+  );
+
+/**
+ * Whether an athlete's licence can be renewed for a season
+ *
+ * @param {object} athlete - Athlete with documents and memberships
+ * @param {number} season - Season year
+ * @returns {object} { issues, warnings, medicalExpiresAt }; renewable when
+ *   there are no issues
+ */
+export function checkRenewalEligibility(athlete, season) {
+  const evaluation = evaluateDocumentStatuses(athlete);
+  const issues = evaluation.status === "active" ? [] : [...evaluation.issues];
+  const warnings = [];
+
+  if (athlete.licenseStatus === "suspended") {
+    issues.push("licence_suspended");
+  }
+
+  const medical = athlete.documents?.medicalCertificate;
+  const medicalExpiresAt = medical?.expiresAt
+    ? new Date(medical.expiresAt)
+    : null;
+  const seasonEnd = new Date(season, 11, 31, 23, 59, 59, 999);
+  if (
+    medicalExpiresAt &&
+    !issues.includes("medical_certificate_expired") &&
+    medicalExpiresAt < seasonEnd
+  ) {
+    warnings.push("medical_certificate_expires_during_season");
+  }
+
+  return { issues, warnings, medicalExpiresAt };
+}
+
+/**
+ * Request licence renewals for athletes of a club
+ *
+ * @param {object} options - { clubId, athleteIds, season, userId, notes }
+ * @returns {Promise<object>} { created, skipped: [{ athlete, name, reasons }] }
+ */
+export async function submitRenewalRequests({
+  clubId,
+  athleteIds,
+  season,
+  userId,
+  notes,
+}) {
+  const athletes = await Athlete.find({ _id: { $in: athleteIds } })
+    .select(
+      "firstName lastName licenseNumber birthDate licenseStatus documents memberships",
+    )
+    .lean();
+  const pending = await LicenceRenewalRequest.find({
+    athlete: { $in: athleteIds },
+    season,
+    status: "pending",
+  })
+    .select("athlete")
+    .lean();
+  const pendingIds = new Set(pending.map((request) => toId(request.athlete)));
+
+  const created = [];
+  const skipped = [];
+  const found = new Set(athletes.map(toId));
+  athleteIds
+    .filter((id) => !found.has(toId(id)))
+    .forEach((id) =>
+      skipped.push({ athlete: toId(id), reasons: ["athlete_not_found"] }),
+    );
+
+  for (const athlete of athletes) {
+    const memberships = clubMemberships(athlete, clubId);
+    const seasonMembership = memberships.find(
+      (membership) => membership.season === season,
+    );
+    const otherClub = (athlete.memberships || []).find(
+      (membership) =>
+        membership.season === season &&
+        membership.status === "active" &&
+        membership.membershipType !== "secondary" &&
+        toId(membership.club) !== toId(clubId),
+    );
+
+    const reasons = [];
+    if (
+      !memberships.length ||
+      memberships.every((membership) => membership.status === "transferred")
+    ) {
+      reasons.push("not_a_club_member");
+    }
+    if (otherClub) {
+      reasons.push("member_of_another_club");
+    }
+    if (
+      athlete.licenseStatus === "active" &&
+      seasonMembership?.status === "active"
+    ) {
+      reasons.push("already_licensed");
+    }
+    if (pendingIds.has(toId(athlete))) {
+      reasons.push("request_pending");
+    }
+
+    const { issues, warnings, medicalExpiresAt } = checkRenewalEligibility(
+      athlete,
+      season,
+    );
+    reasons.push(...issues);
+
+    if (reasons.length) {
+      skipped.push({
+        athlete: toId(athlete),
+        name: athleteName(athlete),
+        licenseNumber: athlete.licenseNumber,
+        reasons,
+      });
+      continue;
+    }
+
+    created.push(
+      await LicenceRenewalRequest.create({
+        athlete: athlete._id,
+        club: clubId,
+        season,
+        requestedBy: userId,
+        notes,
+        warnings,
+        medicalExpiresAt: medicalExpiresAt || undefined,
+      }),
+    );
+  }
+
+  return { created, skipped };
+}
+
+// Activate (or create) the athlete's membership of the club for the season
+const activateSeasonMembership = (athlete, clubId, season) => {
+  const memberships = clubMemberships(athlete, clubId);
+  const existing = memberships.find(
+    (membership) => membership.season === season,
+  );
+  if (existing) {
+    existing.status = "active";
+    existing.endDate = undefined;
+    return;
+  }
+  const latest = [...memberships].sort((a, b) => b.season - a.season)[0];
+  athlete.memberships.push({
+    club: clubId,
+    season,
+    status: "active",
+    membershipType: latest?.membershipType || "primary",
+    startDate: new Date(),
+  });
+};
+
+/**
+ * Approve pending renewal requests. Requests whose athlete no longer
+ * qualifies stay pending and are reported.
+ *
+ * @param {Array} requestIds - Request ids
+ * @param {object} [options] - { userId, note }
+ * @returns {Promise<object>} { approved, awaitingFee, failed: [{ request, name, reasons }] }
+ */
+export async function approveRenewalRequests(requestIds, options = {}) {
+  const requests = await LicenceRenewalRequest.find({
+    _id: { $in: requestIds },
+    status: "pending",
+  });
+
+  const categoryCache = {};
+  let approved = 0;
+  let awaitingFee = 0;
+  const failed = [];
+
+  for (const request of requests) {
+    const athlete = await Athlete.findById(request.athlete);
+    if (!athlete) {
+      failed.push({ request: toId(request), reasons: ["athlete_not_found"] });
+      continue;
+    }
+    const { issues } = checkRenewalEligibility(athlete, request.season);
+    if (issues.length) {
+      failed.push({
+        request: toId(request),
+        name: athleteName(athlete),
+        reasons: issues,
+      });
+      continue;
+    }
+
+    activateSeasonMembership(athlete, request.club, request.season);
+    await ensureNationalCategoryForAthlete(
+      athlete,
+      request.season,
+      categoryCache,
+    );
+    const licenceFeeDue = await isLicenceFeeDue(athlete, request.season);
+    applyDocumentStatusToAthlete(athlete, { licenceFeeDue });
+    await athlete.save();
+
+    request.status = "approved";
+    request.licenseStatus = athlete.licenseStatus;
+    request.decisionNote = options.note || undefined;
+    request.decidedBy = options.userId;
+    request.decidedAt = new Date();
+    await request.save();
+
+    approved += 1;
+    if (athlete.licenseStatus !== "active") {
+      awaitingFee += 1;
+    }
+  }
+
+  return { approved, awaitingFee, failed };
+}
+
+/**
+ * Reject pending renewal requests
+ *
+ * @param {Array} requestIds - Request ids
+ * @param {object} [options] - { userId, note }
+ * @returns {Promise<number>} Requests rejected
+ */
+export async function rejectRenewalRequests(requestIds, options = {}) {
+  const result = await LicenceRenewalRequest.updateMany(
+    { _id: { $in: requestIds }, status: "pending" },
+    {
+      $set: {
+        status: "rejected",
+        ...(options.note ? { decisionNote: options.note } : {}),
+        decidedBy: options.userId,
+        decidedAt: new Date(),
+      },
+    },
+  );
+  return result?.modifiedCount ?? 0;
+}
+
+export default {
+  checkRenewalEligibility,
+  submitRenewalRequests,
+  approveRenewalRequests,
+  rejectRenewalRequests,
+};
@@ -0,0 +1,105 @@
+/**
+ * Live Feed Service
+ *
+ * Pushes race-day updates to connected clients over Server-Sent Events.
+ *
+ * Key Features:
+ * - One channel per competition, kept in memory
+ * - Race status, lane and results events
+ * - Heartbeats so proxies keep idle connections open
+ */
+
+export const LIVE_FEED_EVENTS = ["race-status", "lanes", "results"];
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// competitionId -> Set of open responses
+const channels = new Map();
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Register an SSE response on a competition channel
+ *
+ * @param {string} competitionId - Competition to follow
+ * @param {object} res - Express response (headers not yet sent)
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(competitionId, res) {
+  const key = competitionId.toString();
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+  writeEvent(res, "ready", { competitionId: key });
+
+  if (!channels.has(key)) {
+    channels.set(key, new Set());
+  }
+  channels.get(key).add(res);
+
+  const heartbeat = setInterval(() => {
+    res.write(": heartbeat\n\n");
+  }, HEARTBEAT_INTERVAL_MS);
+
+  return () => {
+    clearInterval(heartbeat);
+    const subscribers = channels.get(key);
+    if (!subscribers) {
+      return;
+    }
+    subscribers.delete(res);
+    if (subscribers.size === 0) {
+      channels.delete(key);
+    }
+  };
+}
+
+/**
+ * Send an event to every client following a competition
+ *
+ * @param {string} competitionId - Competition channel
+ * @param {string} event - One of LIVE_FEED_EVENTS
+ * @param {object} data - Event payload
+ */
+export function publish(competitionId, event, data) {
+  const subscribers = channels.get(competitionId?.toString());
+  if (!subscribers) {
+    return;
+  }
+  for (const res of subscribers) {
+    writeEvent(res, event, data);
+  }
+}
+
+/**
+ * Publish a change on a race. Clients reload the race for full details.
+ *
+ * @param {object} race - Race document or plain object
+ * @param {string} event - One of LIVE_FEED_EVENTS
+ */
+export function publishRaceUpdate(race, event) {
+  if (!race) {
+    return;
+  }
+  publish(race.competition, event, {
+    raceId: race._id.toString(),
+    status: race.status,
+    resultsStatus: race.resultsStatus,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+export default {
+  LIVE_FEED_EVENTS,
+  subscribe,
+  publish,
+  publishRaceUpdate,
+};
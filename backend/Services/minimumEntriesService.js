@@ -0,0 +1,468 @@
+/**
+ * Minimum Entries Service
+ *
+ * Events (category + boat class) left with too few entries once
+ * registration has closed.
+ *
+ * Key Features:
+ * - Report of the events under the competition's minimum, counting pending
+ *   and approved entries
+ * - Cancel an event: its entries are withdrawn, its races not rowed yet are
+ *   cancelled and the clubs notified
+ * - Merge an event into another category: entries and races not rowed yet
+ *   move to that category, crew numbers renumbered where clubs collide and
+ *   bow numbers (per event) continued after the target's
+ * - A merge is refused when a rower does not fit the target category
+ *   (gender and age); coxes may be of any gender or age
+ * - The merged event's races are drawn again from the combined crews, and
+ *   races left empty are cancelled
+ * - Decisions are recorded on the competition and unpaid invoices refreshed
+ */
+
+import mongoose from "mongoose";
+import CompetitionEntry from "../Models/competitionEntryModel.js";
+import CompetitionRace from "../Models/competitionRaceModel.js";
+import Category from "../Models/categoryModel.js";
+import BoatClass from "../Models/boatClassModel.js";
+import Club from "../Models/clubModel.js";
+import Athlete from "../Models/athleteModel.js";
+import { findLaneEntry } from "./bowNumberService.js";
+import {
+  athleteFitsCategory,
+  findSeasonAssignment,
+} from "./categoryAssignmentService.js";
+import {
+  drawLanes,
+  getMaxLanesForDiscipline,
+  rankLanesForDraw,
+} from "./laneDrawService.js";
+import {
+  PROGRESSION_LANES,
+  distributeIntoHeats,
+} from "./progressionService.js";
+import { generateCompetitionInvoices, hasEntryFees } from "./invoiceService.js";
+import { sendEventChangeEmail } from "./emailService.js";
+
+const ACTIVE_ENTRY_STATUSES = ["pending", "approved"];
+
+const toId = (value) => (value?._id ?? value)?.toString();
+
+const toObjectId = (value) =>
+  value instanceof mongoose.Types.ObjectId
+    ? value
+    : new mongoose.Types.ObjectId(toId(value));
+
+const eventFilter = (competition, event) => ({
+  competition: competition._id,
+  category: toObjectId(event.category),
+  boatClass: event.boatClass ? toObjectId(event.boatClass) : null,
+});
+
+const describeEvent = (category, boatClass) =>
+  [category?.abbreviation || category?.titles?.en, boatClass?.code]
+    .filter(Boolean)
+    .join(" ") || "Event";
+
+/**
+ * Events of a competition with fewer active entries than its minimum
+ * @param {object} competition - Competition document
+ * @returns {Promise<Array>} [{ category, boatClass, label, entries, clubs }]
+ */
+export async function getUnderSubscribedEvents(competition) {
+  const minimum = competition?.minEntriesPerEvent || 0;
+  if (!minimum) {
+    return [];
+  }
+
+  const counts = await CompetitionEntry.aggregate([
+    {
+      $match: {
+        competition: competition._id,
+        status: { $in: ACTIVE_ENTRY_STATUSES },
+      },
+    },
+    {
+      $group: {
+        _id: { category: "$category", boatClass: "$boatClass" },
+        entries: { $sum: 1 },
+        clubs: { $addToSet: "$club" },
+      },
+    },
+    { $match: { entries: { $lt: minimum } } },
+  ]);
+  if (!counts.length) {
+    return [];
+  }
+
+  const [categories, boatClasses, clubs] = await Promise.all([
+    Category.find({ _id: { $in: counts.map((item) => item._id.category) } })
+      .select("abbreviation titles")
+      .lean(),
+    BoatClass.find({
+      _id: { $in: counts.map((item) => item._id.boatClass).filter(Boolean) },
+    })
+      .select("code names")
+      .lean(),
+    Club.find({ _id: { $in: counts.flatMap((item) => item.clubs) } })
+      .select("name code")
+      .lean(),
+  ]);
+  const categoryMap = new Map(categories.map((item) => [toId(item), item]));
+  const boatClassMap = new Map(boatClasses.map((item) => [toId(item), item]));
+  const clubMap = new Map(clubs.map((item) => [toId(item), item]));
+
+  return counts
+    .map((item) => {
+      const category = categoryMap.get(toId(item._id.category)) || null;
+      const boatClass = boatClassMap.get(toId(item._id.boatClass)) || null;
+      return {
+        category: category || { _id: item._id.category },
+        boatClass,
+        label: describeEvent(category, boatClass),
+        entries: item.entries,
+        clubs: item.clubs.map((id) => clubMap.get(toId(id)) || { _id: id }),
+      };
+    })
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+const loadEventRaces = async (competition, event) => {
+  const races = await CompetitionRace.find({
+    ...eventFilter(competition, event),
+    status: { $ne: "cancelled" },
+  });
+  if (races.some((race) => race.status !== "scheduled")) {
+    throw new Error("This event has races already started or rowed");
+  }
+  return races;
+};
+
+const raceHasResults = (race) =>
+  (race.lanes || []).some(
+    (lane) =>
+      lane.result?.finishPosition !== undefined ||
+      lane.result?.elapsedMs !== undefined,
+  );
+
+// Rowers of the entries who do not fit the target category
+const findIneligibleRowers = async (competition, entries, target) => {
+  const rowerIds = entries.flatMap((entry) =>
+    [entry.athlete, ...(entry.crew || [])]
+      .filter(Boolean)
+      .map(toId)
+      .filter((id) => id !== toId(entry.coxswain)),
+  );
+  const athletes = await Athlete.find({ _id: { $in: [...new Set(rowerIds)] } })
+    .select("firstName lastName categoryAssignments")
+    .lean();
+  return athletes.filter(
+    (athlete) =>
+      !athleteFitsCategory(
+        findSeasonAssignment(athlete, competition.season),
+        target,
+        true,
+      ),
+  );
+};
+
+/**
+ * Draw the races of an event again from all of its crews. Races of the same
+ * day and round share their crews out (strongest spread across races), the
+ * lanes follow the competition's draw rule and races left without a crew
+ * are cancelled. Races with results are left alone.
+ *
+ * @param {object} competition - Competition document
+ * @param {Array} races - Scheduled race documents of the event
+ * @returns {Array} Races left empty (cancelled, not saved)
+ */
+const redrawEventRaces = (competition, races) => {
+  const stages = new Map();
+  races
+    .filter((race) => race.lanes?.length && !raceHasResults(race))
+    .forEach((race) => {
+      const key = `${race.journeyIndex ?? ""}|${race.progression?.round ?? ""}`;
+      if (!stages.has(key)) {
+        stages.set(key, []);
+      }
+      stages.get(key).push(race);
+    });
+
+  const emptied = [];
+  for (const stageRaces of stages.values()) {
+    const lanes = stageRaces.flatMap((race) =>
+      race.lanes.map((lane) => lane.toObject?.() ?? lane),
+    );
+    const courseLanes = stageRaces[0].progression?.system
+      ? PROGRESSION_LANES
+      : getMaxLanesForDiscipline(competition.discipline);
+    const raceCount = Math.min(
+      stageRaces.length,
+      Math.ceil(lanes.length / courseLanes),
+    );
+    const heats = distributeIntoHeats(rankLanesForDraw(lanes), raceCount);
+
+    stageRaces.forEach((race, index) => {
+      race.lanes = drawLanes(heats[index] || [], {
+        discipline: competition.discipline,
+        laneDraw: competition.laneDraw,
+        courseLanes,
+      });
+      race.markModified("lanes");
+      if (!race.lanes.length) {
+        race.status = "cancelled";
+        emptied.push(race);
+      }
+    });
+  }
+  return emptied;
+};
+
+const refreshInvoices = async (competition) => {
+  if (competition.invoicesGeneratedAt && hasEntryFees(competition)) {
+    await generateCompetitionInvoices(competition);
+  }
+};
+
+const notifyClubs = async (competition, clubIds, details) => {
+  const clubs = await Club.find({ _id: { $in: clubIds } })
+    .select("name email")
+    .lean();
+  await Promise.all(
+    clubs.map((club) =>
+      sendEventChangeEmail({
+        to: club.email,
+        clubName: club.name,
+        competitionName: competition.names?.fr || competition.code,
+        minEntries: competition.minEntriesPerEvent,
+        ...details,
+      }).catch((error) =>
+        console.error(`Failed to notify ${club.name} of event change`, error),
+      ),
+    ),
+  );
+};
+
+/**
+ * Cancel an event: withdraw its entries, cancel its races and notify the
+ * clubs. The competition is modified but not saved.
+ *
+ * @param {object} competition - Competition document
+ * @param {object} event - { category, boatClass }
+ * @param {object} [options] - { userId, reason }
+ * @returns {Promise<object>} { entries, races }
+ */
+export async function cancelEvent(competition, event, options = {}) {
+  const races = await loadEventRaces(competition, event);
+  const [category, boatClass] = await Promise.all([
+    Category.findById(event.category).select("abbreviation titles").lean(),
+    event.boatClass
+      ? BoatClass.findById(event.boatClass).select("code").lean()
+      : null,
+  ]);
+  if (!category) {
+    throw new Error("Category not found");
+  }
+
+  const entries = await CompetitionEntry.find({
+    ...eventFilter(competition, event),
+    status: { $in: ACTIVE_ENTRY_STATUSES },
+  });
+  const reason =
+    options.reason ||
+    `Event cancelled: fewer than ${competition.minEntriesPerEvent} entries`;
+  const now = new Date();
+  for (const entry of entries) {
+    entry.status = "withdrawn";
+    entry.reviewedBy = options.userId;
+    entry.reviewedAt = now;
+    entry.reviewerNotes = reason;
+    await entry.save();
+  }
+
+  for (const race of races) {
+    race.status = "cancelled";
+    race.updatedBy = options.userId;
+    await race.save();
+  }
+
+  competition.eventDecisions.push({
+    category: category._id,
+    boatClass: boatClass?._id,
+    action: "cancelled",
+    entries: entries.length,
+    reason,
+    decidedBy: options.userId,
+    decidedAt: now,
+  });
+
+  await refreshInvoices(competition);
+  await notifyClubs(
+    competition,
+    [...new Set(entries.map((entry) => toId(entry.club)))],
+    { eventLabel: describeEvent(category, boatClass) },
+  );
+
+  return { entries: entries.length, races: races.length };
+}
+
+/**
+ * Merge an event into another category of the same boat class. Entries
+ * and races not rowed yet move over and the merged event is drawn again;
+ * the clubs are notified. The competition is modified but not saved.
+ *
+ * @param {object} competition - Competition document
+ * @param {object} event - { category, boatClass }
+ * @param {string} targetCategoryId - Category receiving the entries
+ * @param {object} [options] - { userId, reason }
+ * @returns {Promise<object>} { entries, races, cancelledRaces }
+ */
+export async function mergeEvent(
+  competition,
+  event,
+  targetCategoryId,
+  options = {},
+) {
+  if (toId(targetCategoryId) === toId(event.category)) {
+    throw new Error("Choose a different category to merge into");
+  }
+  const allowed = (competition.allowedCategories || []).map(toId);
+  if (allowed.length && !allowed.includes(toId(targetCategoryId))) {
+    throw new Error("Target category is not enabled for this competition");
+  }
+
+  const races = await loadEventRaces(competition, event);
+  const [category, target, boatClass] = await Promise.all([
+    Category.findById(event.category).select("abbreviation titles").lean(),
+    Category.findById(targetCategoryId)
+      .select("abbreviation titles gender minAge maxAge")
+      .lean(),
+    event.boatClass
+      ? BoatClass.findById(event.boatClass).select("code").lean()
+      : null,
+  ]);
+  if (!category || !target) {
+    throw new Error("Category not found");
+  }
+  const targetEvent = { category: target._id, boatClass: event.boatClass };
+
+  const entries = await CompetitionEntry.find({
+    ...eventFilter(competition, event),
+    status: { $in: ACTIVE_ENTRY_STATUSES },
+  });
+
+  const ineligible = await findIneligibleRowers(competition, entries, target);
+  if (ineligible.length) {
+    throw new Error(
+      `Not eligible for ${describeEvent(target, boatClass)}: ${ineligible
+        .map((athlete) => `${athlete.firstName} ${athlete.lastName}`)
+        .join(", ")}`,
+    );
+  }
+
+  // Crew numbers are per club and event: renumber on collisions
+  const targetEntries = await CompetitionEntry.find({
+    ...eventFilter(competition, targetEvent),
+    status: { $ne: "withdrawn" },
+  })
+    .select("club crewNumber bowNumber")
+    .lean();
+  const usedNumbers = new Map();
+  targetEntries.forEach((entry) => {
+    const key = toId(entry.club);
+    if (!usedNumbers.has(key)) {
+      usedNumbers.set(key, new Set());
+    }
+    usedNumbers.get(key).add(entry.crewNumber || 1);
+  });
+
+  // Bow numbers restart in each event: moved crews follow the target's
+  const renumberBows =
+    competition.bowNumbering?.assignedAt &&
+    (competition.bowNumbering.method || "event") === "event";
+  let nextBowNumber =
+    Math.max(0, ...targetEntries.map((entry) => entry.bowNumber || 0)) + 1;
+
+  for (const entry of entries) {
+    const used = usedNumbers.get(toId(entry.club)) || new Set();
+    usedNumbers.set(toId(entry.club), used);
+    let crewNumber = entry.crewNumber || 1;
+    while (used.has(crewNumber)) {
+      crewNumber += 1;
+    }
+    used.add(crewNumber);
+
+    entry.category = target._id;
+    entry.crewNumber = crewNumber;
+    if (renumberBows && entry.bowNumber) {
+      entry.bowNumber = nextBowNumber;
+      nextBowNumber += 1;
+    }
+    entry.reviewerNotes = [
+      entry.reviewerNotes,
+      `Merged from ${describeEvent(category, boatClass)}`,
+    ]
+      .filter(Boolean)
+      .join(" - ");
+    await entry.save();
+  }
+
+  const sourcePrefix = category.abbreviation || "";
+  for (const race of races) {
+    race.category = target._id;
+    if (sourcePrefix && race.name?.startsWith(sourcePrefix)) {
+      race.name = `${target.abbreviation}${race.name.slice(sourcePrefix.length)}`;
+    }
+    race.lanes.forEach((lane) => {
+      const entry = findLaneEntry(entries, lane);
+      if (entry) {
+        lane.crewNumber = entry.crewNumber;
+        lane.bowNumber = entry.bowNumber || undefined;
+      }
+    });
+  }
+
+  // The target's own races are filled first: moved races are the ones
+  // left empty when the combined crews fit in fewer races
+  const targetRaces = await CompetitionRace.find({
+    ...eventFilter(competition, targetEvent),
+    status: "scheduled",
+  }).sort({ journeyIndex: 1, order: 1 });
+  const mergedRaces = [...targetRaces, ...races];
+  const cancelledRaces = redrawEventRaces(competition, mergedRaces);
+  for (const race of mergedRaces) {
+    race.updatedBy = options.userId;
+    await race.save();
+  }
+
+  competition.eventDecisions.push({
+    category: category._id,
+    boatClass: boatClass?._id,
+    action: "merged",
+    mergedInto: target._id,
+    entries: entries.length,
+    reason: options.reason,
+    decidedBy: options.userId,
+  });
+
+  await refreshInvoices(competition);
+  await notifyClubs(
+    competition,
+    [...new Set(entries.map((entry) => toId(entry.club)))],
+    {
+      eventLabel: describeEvent(category, boatClass),
+      mergedIntoLabel: describeEvent(target, boatClass),
+    },
+  );
+
+  return {
+    entries: entries.length,
+    races: races.length,
+    cancelledRaces: cancelledRaces.length,
+  };
+}
+
+export default {
+  getUnderSubscribedEvents,
+  cancelEvent,
+  mergeEvent,
+};
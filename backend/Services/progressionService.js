@@ -0,0 +1,399 @@
+/**
+ * Progression Service
+ *
+ * World Rowing-style progression system for classic regattas.
+ *
+ * Key Features:
+ * - Standard progression tables selected by number of entries
+ *   (e.g. 7-12 crews: 2 heats -> repechage -> Final A / Final B)
+ * - Distribution of entries into heats (serpentine on seed order)
+ * - Automatic filling of next-round lanes from recorded results, with lanes
+ *   allocated by the lane draw rules (see laneDrawService.js)
+ *
+ * Tables assume a 6-lane course, which is the standard for national regattas.
+ */
+
+import CompetitionRace from "../Models/competitionRaceModel.js";
+import { drawLanes, rankLanesForDraw } from "./laneDrawService.js";
+
+export const PROGRESSION_LANES = 6;
+
+export const ROUND_LABELS = {
+  heat: "Heat",
+  repechage: "Repechage",
+  quarter_final: "Quarterfinal",
+  semi_final: "Semifinal",
+  final_a: "Final A",
+  final_b: "Final B",
+  final_c: "Final C",
+};
+
+/**
+ * Progression tables.
+ *
+ * Each table lists the rounds (in racing order) with their race count, and for
+ * each round the rules moving crews on by finish position within their race.
+ * A rule without `to` takes every remaining position ("rest").
+ * Crews not covered by any rule are eliminated.
+ */
+export const PROGRESSION_TABLES = [
+  {
+    code: "FA_DIRECT",
+    minEntries: 1,
+    maxEntries: 6,
+    description: "Final A only",
+    rounds: [{ round: "final_a", races: 1 }],
+    rules: {},
+  },
+  {
+    code: "H2_R1_FAB",
+    minEntries: 7,
+    maxEntries: 8,
+    description: "2 heats -> 1 repechage -> Final A/B",
+    rounds: [
+      { round: "heat", races: 2 },
+      { round: "repechage", races: 1 },
+      { round: "final_b", races: 1 },
+      { round: "final_a", races: 1 },
+    ],
+    rules: {
+      heat: [
+        { from: 1, to: 1, next: "final_a" },
+        { from: 2, next: "repechage" },
+      ],
+      repechage: [
+        { from: 1, to: 4, next: "final_a" },
+        { from: 5, next: "final_b" },
+      ],
+    },
+  },
+  {
+    code: "H2_R2_FAB",
+    minEntries: 9,
+    maxEntries: 12,
+    description: "2 heats -> 2 repechages -> Final A/B",
+    rounds: [
+      { round: "heat", races: 2 },
+      { round: "repechage", races: 2 },
+      { round: "final_b", races: 1 },
+      { round: "final_a", races: 1 },
+    ],
+    rules: {
+      heat: [
+        { from: 1, to: 1, next: "final_a" },
+        { from: 2, next: "repechage" },
+      ],
+      repechage: [
+        { from: 1, to: 2, next: "final_a" },
+        { from: 3, next: "final_b" },
+      ],
+    },
+  },
+  {
+    code: "H3_R3_SF2_FABC",
+    minEntries: 13,
+    maxEntries: 18,
+    description: "3 heats -> 3 repechages -> 2 semifinals -> Final A/B/C",
+    rounds: [
+      { round: "heat", races: 3 },
+      { round: "repechage", races: 3 },
+      { round: "semi_final", races: 2 },
+      { round: "final_c", races: 1 },
+      { round: "final_b", races: 1 },
+      { round: "final_a", races: 1 },
+    ],
+    rules: {
+      heat: [
+        { from: 1, to: 1, next: "semi_final" },
+        { from: 2, next: "repechage" },
+      ],
+      repechage: [
+        { from: 1, to: 3, next: "semi_final" },
+        { from: 4, next: "final_c" },
+      ],
+      semi_final: [
+        { from: 1, to: 3, next: "final_a" },
+        { from: 4, to: 6, next: "final_b" },
+      ],
+    },
+  },
+  {
+    code: "H4_R4_SF2_FABC",
+    minEntries: 19,
+    maxEntries: 24,
+    description: "4 heats -> 4 repechages -> 2 semifinals -> Final A/B/C",
+    rounds: [
+      { round: "heat", races: 4 },
+      { round: "repechage", races: 4 },
+      { round: "semi_final", races: 2 },
+      { round: "final_c", races: 1 },
+      { round: "final_b", races: 1 },
+      { round: "final_a", races: 1 },
+    ],
+    rules: {
+      heat: [
+        { from: 1, to: 1, next: "semi_final" },
+        { from: 2, next: "repechage" },
+      ],
+      repechage: [
+        { from: 1, to: 2, next: "semi_final" },
+        { from: 3, to: 3, next: "final_c" },
+      ],
+      semi_final: [
+        { from: 1, to: 3, next: "final_a" },
+        { from: 4, to: 6, next: "final_b" },
+      ],
+    },
+  },
+];
+
+/**
+ * Get a progression table by code
+ * @param {string} code - Table code (e.g. "H2_R2_FAB")
+ * @returns {object|null} The table or null if unknown
+ */
+export function getProgressionTable(code) {
+  return PROGRESSION_TABLES.find((table) => table.code === code) || null;
+}
+
+/**
+ * Pick the standard progression table for a number of entries
+ * @param {number} entryCount - Number of crews in the event
+ * @returns {object|null} The matching table, or null when none applies
+ */
+export function selectProgressionTable(entryCount) {
+  return (
+    PROGRESSION_TABLES.find(
+      (table) =>
+        entryCount >= table.minEntries && entryCount <= table.maxEntries,
+    ) || null
+  );
+}
+
+/**
+ * Build a race label for a round, e.g. "Heat 2" or "Final A"
+ * @param {string} round - Progression round
+ * @param {number} raceNumber - 1-based race number within the round
+ * @param {number} raceCount - Number of races in the round
+ * @returns {string} Label
+ */
+export function formatRoundLabel(round, raceNumber, raceCount) {
+  const label = ROUND_LABELS[round] || round;
+  return raceCount > 1 ? `${label} ${raceNumber}` : label;
+}
+
+/**
+ * Distribute ordered entries into heats using a serpentine pattern
+ * (1 -> H1, 2 -> H2, 3 -> H2, 4 -> H1, ...) so seeds are spread evenly.
+ *
+ * @param {Array} orderedEntries - Entries, strongest first
+ * @param {number} heatCount - Number of heats
+ * @returns {Array<Array>} One array of entries per heat
+ */
+export function distributeIntoHeats(orderedEntries, heatCount) {
+  const heats = Array.from({ length: heatCount }, () => []);
+  orderedEntries.forEach((entry, index) => {
+    const pass = Math.floor(index / heatCount);
+    const offset = index % heatCount;
+    const heatIndex = pass % 2 === 0 ? offset : heatCount - 1 - offset;
+    heats[heatIndex].push(entry);
+  });
+  return heats;
+}
+
+const isInRule = (rule, position) =>
+  position >= rule.from && (rule.to === undefined || position <= rule.to);
+
+const compareQualifiers = (a, b) => {
+  if (a.finishPosition !== b.finishPosition) {
+    return a.finishPosition - b.finishPosition;
+  }
+  const aTime = a.elapsedMs ?? Infinity;
+  const bTime = b.elapsedMs ?? Infinity;
+  if (aTime !== bTime) {
+    return aTime - bTime;
+  }
+  return a.raceNumber - b.raceNumber;
+};
+
+const raceHasResults = (race) =>
+  race.status === "completed" ||
+  (race.lanes || []).some(
+    (lane) =>
+      lane.result?.finishPosition !== undefined ||
+      lane.result?.elapsedMs !== undefined,
+  );
+
+const toLaneDetails = (lane) => ({
+  athlete: lane.athlete || undefined,
+  crew: Array.isArray(lane.crew) ? lane.crew : [],
+  coxswain: lane.coxswain || undefined,
+  crewNumber: lane.crewNumber || undefined,
+  bowNumber: lane.bowNumber || undefined,
+  club: lane.club || undefined,
+  seed: lane.seed || undefined,
+});
+
+/**
+ * Place qualifiers into the races of a target round.
+ * Each qualifier goes to the least-filled race, alternating direction on
+ * ties so that strong crews are spread across the round.
+ */
+function placeQualifiers(targetRaces, qualifiers) {
+  qualifiers.forEach((qualifier, index) => {
+    const pass = Math.floor(index / targetRaces.length);
+    const candidates = targetRaces
+      .filter((race) => race.lanes.length < PROGRESSION_LANES)
+      .sort((a, b) => {
+        if (a.lanes.length !== b.lanes.length) {
+          return a.lanes.length - b.lanes.length;
+        }
+        const direction = pass % 2 === 0 ? 1 : -1;
+        return (
+          direction * (a.progression.raceNumber - b.progression.raceNumber)
+        );
+      });
+
+    const target = candidates[0];
+    if (!target) {
+      throw new Error(
+        `Not enough lanes in ${ROUND_LABELS[targetRaces[0].progression.round]} for all qualifiers`,
+      );
+    }
+
+    // Lane numbers are given by the lane draw once the round is complete
+    target.lanes.push({
+      ...qualifier.details,
+      qualification: {
+        race: qualifier.raceId,
+        round: qualifier.round,
+        finishPosition: qualifier.finishPosition,
+        elapsedMs: qualifier.elapsedMs,
+      },
+    });
+  });
+}
+
+/**
+ * Move crews from a completed round into the next rounds of the event.
+ *
+ * Runs once every race of the round has been completed. Lanes previously
+ * filled from the same round are replaced, so re-running after a result
+ * correction is safe. Target races that already have results are left alone.
+ *
+ * @param {object} race - Race document (with progression metadata)
+ * @param {object} options - Runtime options
+ * @param {string} options.userId - User triggering the update
+ * @param {string} options.discipline - Competition discipline (lane draw rule)
+ * @param {object} [options.laneDraw] - Lane draw rule stored on the competition
+ * @returns {object} { ready, updatedRaces, skippedRaces }
+ */
+export async function advanceProgression(race, options = {}) {
+  const summary = { ready: false, updatedRaces: [], skippedRaces: [] };
+
+  const system = race?.progression?.system;
+  const round = race?.progression?.round;
+  const table = getProgressionTable(system);
+  if (!table) {
+    return summary;
+  }
+
+  const rules = table.rules[round] || [];
+  if (!rules.length) {
+    return summary;
+  }
+
+  const eventRaces = await CompetitionRace.find({
+    competition: race.competition,
+    category: race.category,
+    boatClass: race.boatClass || null,
+    journeyIndex: race.journeyIndex,
+    "progression.system": system,
+  });
+
+  const roundRaces = eventRaces.filter(
+    (candidate) => candidate.progression?.round === round,
+  );
+  if (roundRaces.some((candidate) => candidate.status !== "completed")) {
+    return summary;
+  }
+  summary.ready = true;
+
+  // Collect qualifiers per target round
+  const qualifiersByRound = new Map();
+  for (const roundRace of roundRaces) {
+    for (const lane of roundRace.lanes || []) {
+      const result = lane.result;
+      if (!result || result.status !== "ok" || !result.finishPosition) {
+        continue;
+      }
+      const rule = rules.find((candidate) =>
+        isInRule(candidate, result.finishPosition),
+      );
+      if (!rule) {
+        continue;
+      }
+      if (!qualifiersByRound.has(rule.next)) {
+        qualifiersByRound.set(rule.next, []);
+      }
+      qualifiersByRound.get(rule.next).push({
+        raceId: roundRace._id,
+        raceNumber: roundRace.progression.raceNumber,
+        round,
+        finishPosition: result.finishPosition,
+        elapsedMs: result.elapsedMs,
+        details: toLaneDetails(lane),
+      });
+    }
+  }
+
+  for (const [targetRound, qualifiers] of qualifiersByRound) {
+    const targetRaces = eventRaces
+      .filter((candidate) => candidate.progression?.round === targetRound)
+      .sort((a, b) => a.progression.raceNumber - b.progression.raceNumber);
+
+    if (!targetRaces.length) {
+      continue;
+    }
+
+    const lockedRaces = targetRaces.filter(raceHasResults);
+    if (lockedRaces.length) {
+      summary.skippedRaces.push(...lockedRaces.map((target) => target._id));
+      continue;
+    }
+
+    // Drop crews placed by a previous run of this round
+    for (const target of targetRaces) {
+      target.lanes = target.lanes.filter(
+        (lane) => lane.qualification?.round !== round,
+      );
+    }
+
+    placeQualifiers(targetRaces, [...qualifiers].sort(compareQualifiers));
+
+    for (const target of targetRaces) {
+      target.lanes = drawLanes(rankLanesForDraw(target.lanes), {
+        discipline: options.discipline || "classic",
+        laneDraw: options.laneDraw,
+        courseLanes: PROGRESSION_LANES,
+      });
+      target.markModified("lanes");
+      target.updatedBy = options.userId || target.updatedBy;
+      await target.save();
+      summary.updatedRaces.push(target._id);
+    }
+  }
+
+  return summary;
+}
+
+export default {
+  PROGRESSION_LANES,
+  PROGRESSION_TABLES,
+  ROUND_LABELS,
+  getProgressionTable,
+  selectProgressionTable,
+  formatRoundLabel,
+  distributeIntoHeats,
+  advanceProgression,
+};
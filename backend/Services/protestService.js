@@ -0,0 +1,92 @@
+/**
+ * Protest Service
+ *
+ * Applies jury decisions on protests to race results.
+ *
+ * Key Features:
+ * - Disqualification of the protested lane
+ * - Time penalties recorded on the lane result
+ * - Re-ranking of finish positions after a decision
+ */
+
+import {
+  compactPositions,
+  computeAdjustedMs,
+  moveLaneToPosition,
+  rerankByTime,
+} from "./raceResultService.js";
+
+const readResult = (lane) =>
+  lane.result && typeof lane.result === "object"
+    ? (lane.result.toObject?.() ?? lane.result)
+    : {};
+
+const appendNote = (existing, note) =>
+  existing ? `${existing}; ${note}` : note;
+
+/**
+ * Apply an upheld protest decision to the protested lane
+ *
+ * @param {object} race - Race document (saved by the caller)
+ * @param {number} laneNumber - Protested lane
+ * @param {object} decision - Decision ({ action, penaltyMs, finishPosition, reason, decidedBy })
+ * @returns {object} The race
+ */
+export function applyProtestDecision(race, laneNumber, decision) {
+  const lane = race.lanes.find((candidate) => candidate.lane === laneNumber);
+  if (!lane) {
+    throw new Error(`Lane ${laneNumber} is not assigned in this race`);
+  }
+
+  const result = readResult(lane);
+  const reason = decision.reason ? ` (${decision.reason})` : "";
+
+  switch (decision.action) {
+    case "dsq":
+      lane.result = {
+        ...result,
+        status: "dsq",
+        finishPosition: undefined,
+        notes: appendNote(result.notes, `Disqualified on protest${reason}`),
+      };
+      return compactPositions(race);
+
+    case "time_penalty": {
+      if (result.elapsedMs === undefined || result.elapsedMs === null) {
+        throw new Error("A time penalty needs a recorded time for the lane");
+      }
+      const penalties = [
+        ...(result.penalties || []),
+        {
+          amountMs: decision.penaltyMs,
+          reason: decision.reason || "Protest decision",
+          issuedBy: decision.decidedBy,
+          issuedAt: new Date(),
+        },
+      ];
+      lane.result = {
+        ...result,
+        penalties,
+        adjustedMs: computeAdjustedMs({ ...result, penalties }),
+      };
+      return rerankByTime(race);
+    }
+
+    case "rerank":
+      lane.result = {
+        ...result,
+        notes: appendNote(
+          result.notes,
+          `Placed ${decision.finishPosition} on protest${reason}`,
+        ),
+      };
+      return moveLaneToPosition(race, laneNumber, decision.finishPosition);
+
+    default:
+      return race;
+  }
+}
+
+export default {
+  applyProtestDecision,
+};
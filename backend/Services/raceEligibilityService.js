@@ -0,0 +1,294 @@
+/**
+ * Race Eligibility Service
+ *
+ * Checks the athletes placed in race lanes before the lanes are saved.
+ *
+ * Key Features:
+ * - Registration: an approved entry in the race category and boat class
+ * - Active licence and a medical certificate valid on race day
+ *   (see documentStatusService.js)
+ * - Athlete gender against the category gender (not for the coxswain, who
+ *   may be of any gender)
+ * - Double booking: same athlete in two lanes, or in another race starting
+ *   at the same time
+ * - Errors block the write unless an admin or jury president overrides them
+ */
+
+import Athlete from "../Models/athleteModel.js";
+import Category from "../Models/categoryModel.js";
+import CompetitionEntry from "../Models/competitionEntryModel.js";
+import CompetitionRace from "../Models/competitionRaceModel.js";
+import { evaluateDocumentStatuses } from "./documentStatusService.js";
+
+export const ELIGIBILITY_OVERRIDE_ROLES = ["admin", "jury_president"];
+
+const CATEGORY_GENDERS = {
+  men: "male",
+  women: "female",
+};
+
+const ATHLETE_FIELDS =
+  "firstName lastName firstNameAr lastNameAr gender birthDate licenseNumber licenseStatus documents";
+
+const toId = (value) => (value?._id ?? value)?.toString();
+
+const formatName = (athlete) =>
+  [athlete?.firstName, athlete?.lastName].filter(Boolean).join(" ") ||
+  "Unknown athlete";
+
+/**
+ * Athletes of a lane (single athlete or crew members)
+ * @param {object} lane - Lane assignment
+ * @returns {Array<string>} Athlete ids
+ */
+const getLaneAthleteIds = (lane) => {
+  const ids = [];
+  if (lane?.athlete) {
+    ids.push(toId(lane.athlete));
+  }
+  (lane?.crew || []).forEach((member) => {
+    if (member) {
+      ids.push(toId(member));
+    }
+  });
+  return [...new Set(ids)];
+};
+
+/**
+ * Check the lanes of a race.
+ *
+ * @param {object} params
+ * @param {object} params.competition - Competition (lean)
+ * @param {string} params.category - Race category id
+ * @param {string} [params.boatClass] - Race boat class id
+ * @param {Array} params.lanes - Lane assignments ({ lane, athlete, crew,
+ *   coxswain })
+ * @param {string} [params.raceId] - Race being written (excluded from double booking)
+ * @param {Date} [params.startTime] - Race start, also the medical reference date
+ * @returns {Promise<object>} { errors: [issue], warnings: [issue] } where an
+ *   issue is { code, lane, athleteId, athleteName, message }
+ */
+export async function checkLaneEligibility({
+  competition,
+  category,
+  boatClass,
+  lanes = [],
+  raceId,
+  startTime,
+}) {
+  const errors = [];
+  const warnings = [];
+
+  const laneAthletes = lanes
+    .filter(Boolean)
+    .map((lane) => ({
+      lane: lane.lane,
+      athleteIds: getLaneAthleteIds(lane),
+      coxswainId: lane.coxswain ? toId(lane.coxswain) : null,
+    }))
+    .filter((lane) => lane.athleteIds.length);
+
+  const athleteIds = [
+    ...new Set(laneAthletes.flatMap((lane) => lane.athleteIds)),
+  ];
+  if (!athleteIds.length) {
+    return { errors, warnings };
+  }
+
+  const raceDay = new Date(startTime || competition.startDate || Date.now());
+
+  const [athletes, categoryDoc, entries, concurrentRaces] = await Promise.all([
+    Athlete.find({ _id: { $in: athleteIds } })
+      .select(ATHLETE_FIELDS)
+      .lean(),
+    category ? Category.findById(category).select("gender").lean() : null,
+    CompetitionEntry.find({
+      competition: competition._id,
+      category,
+      ...(boatClass ? { boatClass } : {}),
+      status: { $ne: "withdrawn" },
+      $or: [{ athlete: { $in: athleteIds } }, { crew: { $in: athleteIds } }],
+    })
+      .select("athlete crew status")
+      .lean(),
+    startTime
+      ? CompetitionRace.find({
+          competition: competition._id,
+          ...(raceId ? { _id: { $ne: raceId } } : {}),
+          startTime: new Date(startTime),
+          status: { $ne: "cancelled" },
+          $or: [
+            { "lanes.athlete": { $in: athleteIds } },
+            { "lanes.crew": { $in: athleteIds } },
+          ],
+        })
+          .select("name order lanes.athlete lanes.crew")
+          .lean()
+      : [],
+  ]);
+
+  const athleteById = new Map(
+    athletes.map((athlete) => [athlete._id.toString(), athlete]),
+  );
+
+  // athleteId -> best entry status found ("approved" wins)
+  const entryStatus = new Map();
+  entries.forEach((entry) => {
+    getLaneAthleteIds(entry).forEach((id) => {
+      if (entryStatus.get(id) !== "approved") {
+        entryStatus.set(id, entry.status);
+      }
+    });
+  });
+
+  // athleteId -> race starting at the same time
+  const bookedElsewhere = new Map();
+  concurrentRaces.forEach((race) => {
+    (race.lanes || []).forEach((lane) => {
+      getLaneAthleteIds(lane).forEach((id) => bookedElsewhere.set(id, race));
+    });
+  });
+
+  const expectedGender = CATEGORY_GENDERS[categoryDoc?.gender];
+  const seenLanes = new Map();
+
+  const addIssue = (list, code, lane, athleteId, message) => {
+    const athlete = athleteById.get(athleteId);
+    list.push({
+      code,
+      lane,
+      athleteId,
+      athleteName: formatName(athlete),
+      message: `${formatName(athlete)}: ${message}`,
+    });
+  };
+
+  for (const { lane, athleteIds: ids, coxswainId } of laneAthletes) {
+    for (const athleteId of ids) {
+      const athlete = athleteById.get(athleteId);
+      if (!athlete) {
+        addIssue(errors, "unknown_athlete", lane, athleteId, "not found");
+        continue;
+      }
+
+      if (seenLanes.has(athleteId)) {
+        addIssue(
+          errors,
+          "duplicate_lane",
+          lane,
+          athleteId,
+          `already in lane ${seenLanes.get(athleteId)} of this race`,
+        );
+      } else {
+        seenLanes.set(athleteId, lane);
+      }
+
+      const otherRace = bookedElsewhere.get(athleteId);
+      if (otherRace) {
+        addIssue(
+          errors,
+          "double_booked",
+          lane,
+          athleteId,
+          `also racing in ${otherRace.name || `race ${otherRace.order}`} at the same time`,
+        );
+      }
+
+      const status = entryStatus.get(athleteId);
+      if (status !== "approved") {
+        addIssue(
+          errors,
+          "unregistered",
+          lane,
+          athleteId,
+          status
+            ? `entry in this category is ${status}, not approved`
+            : "no entry in this category and boat class",
+        );
+      }
+
+      if (athlete.licenseStatus !== "active") {
+        addIssue(
+          errors,
+          "licence_inactive",
+          lane,
+          athleteId,
+          `licence is ${athlete.licenseStatus || "inactive"}`,
+        );
+      }
+
+      const { documentStates } = evaluateDocumentStatuses(athlete, raceDay);
+      const medical = documentStates.medicalCertificate;
+      if (medical === "expired") {
+        addIssue(
+          errors,
+          "medical_expired",
+          lane,
+          athleteId,
+          "medical certificate expired on race day",
+        );
+      } else if (medical !== "approved") {
+        addIssue(
+          warnings,
+          "medical_not_approved",
+          lane,
+          athleteId,
+          `medical certificate is ${medical}`,
+        );
+      }
+
+      if (
+        expectedGender &&
+        athleteId !== coxswainId &&
+        athlete.gender !== expectedGender
+      ) {
+        addIssue(
+          errors,
+          "wrong_gender",
+          lane,
+          athleteId,
+          `not eligible for a ${categoryDoc.gender} category`,
+        );
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Whether a user may override blocking eligibility errors
+ * @param {object} user - req.user
+ * @returns {boolean}
+ */
+export function canOverrideEligibility(user) {
+  return ELIGIBILITY_OVERRIDE_ROLES.includes(user?.role);
+}
+
+/**
+ * Override record stored on the race
+ * @param {Array} issues - Overridden errors
+ * @param {string} userId - Jury president
+ * @param {string} reason - Why the errors were accepted
+ * @returns {object} Entry for race.eligibilityOverrides
+ */
+export function buildEligibilityOverride(issues, userId, reason) {
+  return {
+    issues: issues.map(({ code, lane, athleteId, message }) => ({
+      code,
+      lane,
+      athlete: athleteId,
+      message,
+    })),
+    reason,
+    by: userId,
+    at: new Date(),
+  };
+}
+
+export default {
+  ELIGIBILITY_OVERRIDE_ROLES,
+  checkLaneEligibility,
+  canOverrideEligibility,
+  buildEligibilityOverride,
+};
@@ -0,0 +1,234 @@
+/**
+ * Race Result Service
+ *
+ * Helpers for lane results shared by results entry, protests and rankings.
+ *
+ * Key Features:
+ * - Structured time penalties and adjusted (final) times
+ * - Intermediate split times at the competition's split marks
+ * - Re-ranking of finish positions from final times
+ * - Position adjustments keeping the relative order of other crews
+ */
+
+const readResult = (lane) =>
+  lane.result && typeof lane.result === "object"
+    ? (lane.result.toObject?.() ?? lane.result)
+    : {};
+
+const hasValue = (value) => value !== undefined && value !== null;
+
+/**
+ * Total of all penalties on a lane result
+ * @param {object} result - Lane result
+ * @returns {number} Penalty in milliseconds
+ */
+export function getPenaltyMs(result) {
+  return (result?.penalties || []).reduce(
+    (total, penalty) => total + (Number(penalty.amountMs) || 0),
+    0,
+  );
+}
+
+/**
+ * Raw elapsed time plus penalties
+ * @param {object} result - Lane result
+ * @returns {number|undefined} Adjusted time in milliseconds
+ */
+export function computeAdjustedMs(result) {
+  if (!hasValue(result?.elapsedMs)) {
+    return undefined;
+  }
+  return result.elapsedMs + getPenaltyMs(result);
+}
+
+/**
+ * Time used for ranking: adjusted time when available, raw time otherwise
+ * (results recorded before penalties existed have no adjusted time).
+ *
+ * @param {object} result - Lane result
+ * @returns {number|undefined} Final time in milliseconds
+ */
+export function getFinalTimeMs(result) {
+  if (hasValue(result?.adjustedMs)) {
+    return result.adjustedMs;
+  }
+  return computeAdjustedMs(result);
+}
+
+/**
+ * Validate a penalties payload
+ *
+ * @param {Array} penalties - Penalties ({ amountMs, reason, issuedBy, issuedAt })
+ * @param {string} userId - Issuer for penalties without one
+ * @returns {Array} Sanitised penalties
+ */
+export function sanitisePenalties(penalties, userId) {
+  if (!Array.isArray(penalties)) {
+    throw new Error("Penalties must be an array");
+  }
+
+  return penalties.map((penalty) => {
+    const amountMs = Number(penalty?.amountMs);
+    if (!Number.isFinite(amountMs) || amountMs <= 0) {
+      throw new Error("Penalty amount must be greater than zero");
+    }
+    const reason = penalty.reason?.toString().trim();
+    if (!reason) {
+      throw new Error("Penalty reason is required");
+    }
+    return {
+      amountMs,
+      reason,
+      issuedBy: penalty.issuedBy || userId,
+      issuedAt: penalty.issuedAt ? new Date(penalty.issuedAt) : new Date(),
+    };
+  });
+}
+
+/**
+ * Validate a splits payload. Splits are returned ordered by distance and
+ * must not get faster along the course.
+ *
+ * @param {Array} splits - Split times ({ distance, elapsedMs })
+ * @returns {Array} Sanitised splits
+ */
+export function sanitiseSplits(splits) {
+  if (!Array.isArray(splits)) {
+    throw new Error("Splits must be an array");
+  }
+
+  const seen = new Set();
+  const sanitised = splits
+    .filter(
+      (split) => split && hasValue(split.elapsedMs) && split.elapsedMs !== "",
+    )
+    .map((split) => {
+      const distance = Number(split.distance);
+      if (!Number.isFinite(distance) || distance <= 0) {
+        throw new Error("Split distance must be greater than zero");
+      }
+      if (seen.has(distance)) {
+        throw new Error(`Duplicate split at ${distance}m`);
+      }
+      seen.add(distance);
+      const elapsedMs = Number(split.elapsedMs);
+      if (!Number.isFinite(elapsedMs) || elapsedMs < 0) {
+        throw new Error("Split time must be zero or greater");
+      }
+      return { distance, elapsedMs };
+    })
+    .sort((a, b) => a.distance - b.distance);
+
+  sanitised.forEach((split, index) => {
+    if (index > 0 && split.elapsedMs < sanitised[index - 1].elapsedMs) {
+      throw new Error(
+        `Split at ${split.distance}m is faster than the previous split`,
+      );
+    }
+  });
+
+  return sanitised;
+}
+
+/**
+ * Merge a result update over a lane's result. The adjusted time is
+ * recomputed so that a new time or penalty counts before the race is saved
+ * (the model only refreshes it on validation).
+ *
+ * @param {object} lane - Lane (document or plain object)
+ * @param {object} update - Result fields to set
+ * @returns {object} The merged result, also set on the lane
+ */
+export function mergeLaneResult(lane, update) {
+  const merged = { ...readResult(lane), ...update };
+  merged.adjustedMs = computeAdjustedMs(merged);
+  lane.result = merged;
+  return merged;
+}
+
+/**
+ * Recompute finish positions from final times.
+ * Only finishers with status "ok" and a time are ranked; every other lane
+ * loses its finish position.
+ *
+ * @param {object} race - Race document
+ * @returns {object} The race
+ */
+export function rerankByTime(race) {
+  const finishers = race.lanes
+    .filter(
+      (lane) =>
+        lane.result &&
+        (lane.result.status || "ok") === "ok" &&
+        hasValue(getFinalTimeMs(lane.result)),
+    )
+    .sort((a, b) => getFinalTimeMs(a.result) - getFinalTimeMs(b.result));
+
+  for (const lane of race.lanes) {
+    if (lane.result && !finishers.includes(lane)) {
+      lane.result = { ...readResult(lane), finishPosition: undefined };
+    }
+  }
+
+  finishers.forEach((lane, index) => {
+    lane.result = { ...readResult(lane), finishPosition: index + 1 };
+  });
+
+  return race;
+}
+
+/**
+ * Renumber finish positions 1..n, keeping the current order.
+ * Used after a lane loses its place (e.g. disqualification).
+ *
+ * @param {object} race - Race document
+ * @returns {object} The race
+ */
+export function compactPositions(race) {
+  race.lanes
+    .filter((lane) => hasValue(lane.result?.finishPosition))
+    .sort((a, b) => a.result.finishPosition - b.result.finishPosition)
+    .forEach((lane, index) => {
+      lane.result = { ...readResult(lane), finishPosition: index + 1 };
+    });
+
+  return race;
+}
+
+/**
+ * Move a lane to a given finish position, shifting the other finishers
+ * while keeping their relative order.
+ *
+ * @param {object} race - Race document
+ * @param {number} laneNumber - Lane to move
+ * @param {number} position - New finish position (1-based)
+ * @returns {object} The race
+ */
+export function moveLaneToPosition(race, laneNumber, position) {
+  const target = race.lanes.find((lane) => lane.lane === laneNumber);
+  const others = race.lanes
+    .filter((lane) => lane !== target && hasValue(lane.result?.finishPosition))
+    .sort((a, b) => a.result.finishPosition - b.result.finishPosition);
+
+  const targetIndex = Math.min(Math.max(position, 1), others.length + 1) - 1;
+  const ordered = [...others];
+  ordered.splice(targetIndex, 0, target);
+
+  ordered.forEach((lane, index) => {
+    lane.result = { ...readResult(lane), finishPosition: index + 1 };
+  });
+
+  return race;
+}
+
+export default {
+  getPenaltyMs,
+  computeAdjustedMs,
+  getFinalTimeMs,
+  sanitisePenalties,
+  sanitiseSplits,
+  mergeLaneResult,
+  rerankByTime,
+  compactPositions,
+  moveLaneToPosition,
+};
@@ -20,6 +20,7 @@ import BoatClass from "../Models/boatClassModel.js";
 import RankingSystem, {
   DEFAULT_POINT_TABLE,
 } from "../Models/rankingSystemModel.js";
+import { getFinalTimeMs, getPenaltyMs } from "./raceResultService.js";
 
 /**
  * Get points for a finish position using the ranking system's point table
@@ -140,7 +141,8 @@ export function calculateCombinedTimeRanking(races) {
 
   for (const race of races) {
     for (const lane of race.lanes || []) {
-      if (lane.result?.status === "ok" && lane.result?.elapsedMs) {
+      const finalMs = getFinalTimeMs(lane.result);
+      if (lane.result?.status === "ok" && finalMs) {
         const key = `${lane.club}_${race.category}_${race.boatClass}`;
 
         if (!crewTimes.has(key)) {
@@ -156,9 +158,9 @@ export function calculateCombinedTimeRanking(races) {
         }
 
         const entry = crewTimes.get(key);
-        entry.totalTime += lane.result.elapsedMs;
+        entry.totalTime += finalMs;
         entry.raceCount++;
-        entry.times.push(lane.result.elapsedMs);
+        entry.times.push(finalMs);
         entry.positions.push(lane.result.finishPosition);
       }
     }
@@ -184,6 +186,7 @@ export function calculateCombinedTimeRanking(races) {
  * @param {string} rankingSystemId - Ranking system ID (or null for default)
  * @param {object} options - Runtime options
  * @param {boolean} options.includeMasters - Whether to include masters categories (default: from system or true)
+ * @param {boolean} options.officialOnly - Only use races whose results are official (default: false)
  * @returns {object} Ranking results grouped as configured
  */
 export async function buildCompetitionRanking(
@@ -225,10 +228,14 @@ export async function buildCompetitionRanking(
       : config.includeMastersDefault !== false;
 
   // Load all completed races for this competition
-  const races = await CompetitionRace.find({
+  const raceFilter = {
     competition: competitionId,
     status: "completed",
-  })
+  };
+  if (options.officialOnly) {
+    raceFilter.resultsStatus = "official";
+  }
+  const races = await CompetitionRace.find(raceFilter)
     .populate("category")
     .populate("boatClass")
     .populate("lanes.club")
@@ -306,6 +313,7 @@ export async function buildCompetitionRanking(
     groupBy: config.groupBy,
     entityType: config.entityType || "club",
     scoringMode: config.scoringMode || "points",
+    officialOnly: Boolean(options.officialOnly),
     rankings,
     groupMetadata,
     // Include stage/journey info for display
@@ -410,7 +418,9 @@ function calculateGroupRanking(group, config) {
         category: race.category?.abbreviation,
         position: pointResult.effectivePosition,
         points: pointResult.points,
-        time: lane.result?.elapsedMs,
+        time: getFinalTimeMs(lane.result),
+        rawTime: lane.result?.elapsedMs,
+        penaltyMs: getPenaltyMs(lane.result),
         status: lane.result?.status,
         appliedDnfRule: pointResult.appliedDnfRule,
       };
@@ -448,7 +458,7 @@ function calculateGroupRanking(group, config) {
 
           const entry = pointsMap.get(athleteId);
           entry.totalPoints += pointResult.points;
-          entry.totalTime += lane.result?.elapsedMs || 0;
+          entry.totalTime += raceResult.time || 0;
           entry.raceResults.push({ ...raceResult });
 
           // Track points per journey
@@ -483,7 +493,7 @@ function calculateGroupRanking(group, config) {
 
         const entry = pointsMap.get(clubId);
         entry.totalPoints += pointResult.points;
-        entry.totalTime += lane.result?.elapsedMs || 0;
+        entry.totalTime += raceResult.time || 0;
         entry.raceResults.push({
           ...raceResult,
           athletes: athletes.map((a) => ({
@@ -0,0 +1,192 @@
+/**
+ * Registration Window Service
+ *
+ * Opens and closes competition registration from its window.
+ *
+ * Key Features:
+ * - Registration phases in order: not_open, open, late, closed
+ * - The window moves a competition forward through the phases; a status set
+ *   by hand may run ahead of the window (e.g. closing early) but not behind,
+ *   except a reopening after the window closed, which holds until a close
+ *   date later than the reopening is set
+ * - Optional late-entry period between the window close and the late close
+ *   (competition start by default)
+ * - In-process scheduler applying the window every minute; once
+ *   registration is closed clubs are invoiced and bow numbers allocated
+ */
+
+import Competition, {
+  REGISTRATION_STATUSES,
+} from "../Models/competitionModel.js";
+import { generateCompetitionInvoices, hasEntryFees } from "./invoiceService.js";
+import { allocateBowNumbers } from "./bowNumberService.js";
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+let schedulerTimer = null;
+
+// Registration statuses are listed in phase order
+const phaseIndex = (status) =>
+  Math.max(REGISTRATION_STATUSES.indexOf(status), 0);
+
+/**
+ * End of the late-entry period, or null when late entries are disabled
+ * @param {object} competition - Competition document
+ * @returns {Date|null}
+ */
+export function getLateEntriesCloseAt(competition) {
+  if (!competition?.lateEntries?.enabled) {
+    return null;
+  }
+  const closeAt = competition.lateEntries.closeAt || competition.startDate;
+  return closeAt ? new Date(closeAt) : null;
+}
+
+/**
+ * Phase the registration window alone puts a competition in
+ * @param {object} competition - Competition document
+ * @param {Date} [now]
+ * @returns {string} Registration phase
+ */
+export function getScheduledRegistrationStatus(competition, now = new Date()) {
+  const { openAt, closeAt } = competition?.registrationWindow || {};
+
+  if (closeAt && now > new Date(closeAt)) {
+    const lateCloseAt = getLateEntriesCloseAt(competition);
+    return lateCloseAt && now <= lateCloseAt ? "late" : "closed";
+  }
+  if (openAt && now >= new Date(openAt)) {
+    return "open";
+  }
+  return "not_open";
+}
+
+/**
+ * Whether registration was reopened by hand after the window closed and no
+ * later close date has been set since
+ * @param {object} competition - Competition document
+ * @returns {boolean}
+ */
+export function isReopenedByHand(competition) {
+  const { closeAt, reopenedAt } = competition?.registrationWindow || {};
+  return Boolean(
+    reopenedAt && (!closeAt || new Date(closeAt) <= new Date(reopenedAt)),
+  );
+}
+
+/**
+ * Current registration status: the stored status, moved forward when the
+ * window has reached a later phase (unless reopened by hand)
+ * @param {object} competition - Competition document
+ * @param {Date} [now]
+ * @returns {string} Registration phase
+ */
+export function resolveRegistrationStatus(competition, now = new Date()) {
+  if (!competition) {
+    return "not_open";
+  }
+  const stored = competition.registrationStatus || "not_open";
+  if (isReopenedByHand(competition)) {
+    return stored;
+  }
+  const scheduled = getScheduledRegistrationStatus(competition, now);
+  return phaseIndex(scheduled) > phaseIndex(stored) ? scheduled : stored;
+}
+
+/**
+ * Bring the stored registration status of open competitions up to date
+ * with their windows, invoicing and numbering those that just closed
+ * @param {Date} [now]
+ * @returns {Promise<Array>} [{ competition, code, from, to }] changes applied
+ */
+export async function applyRegistrationWindows(now = new Date()) {
+  const competitions = await Competition.find({
+    registrationStatus: { $ne: "closed" },
+    status: { $in: ["draft", "published"] },
+    $or: [
+      { "registrationWindow.openAt": { $lte: now } },
+      { "registrationWindow.closeAt": { $lt: now } },
+    ],
+  })
+    .select(
+      "code startDate registrationStatus registrationWindow lateEntries entryFees invoicesGeneratedAt bowNumbering",
+    )
+    .lean();
+
+  const changes = [];
+  for (const competition of competitions) {
+    const next = resolveRegistrationStatus(competition, now);
+    if (next === competition.registrationStatus) {
+      continue;
+    }
+
+    // Guard against a concurrent manual change since the read
+    const result = await Competition.updateOne(
+      {
+        _id: competition._id,
+        registrationStatus: competition.registrationStatus,
+      },
+      { $set: { registrationStatus: next } },
+    );
+    if (!result.modifiedCount) {
+      continue;
+    }
+    changes.push({
+      competition: competition._id,
+      code: competition.code,
+      from: competition.registrationStatus,
+      to: next,
+    });
+
+    if (next !== "closed") {
+      continue;
+    }
+    if (!competition.invoicesGeneratedAt && hasEntryFees(competition)) {
+      await generateCompetitionInvoices(competition);
+    }
+    if (!competition.bowNumbering?.assignedAt) {
+      await allocateBowNumbers(competition);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Start applying registration windows periodically. Safe to call once at
+ * server start; further calls are ignored.
+ * @param {object} [options]
+ * @param {number} [options.intervalMs] - Time between runs
+ */
+export function startRegistrationScheduler(options = {}) {
+  if (schedulerTimer) {
+    return;
+  }
+  const intervalMs = options.intervalMs || SCHEDULER_INTERVAL_MS;
+
+  const run = async () => {
+    try {
+      const changes = await applyRegistrationWindows();
+      changes.forEach((change) =>
+        console.log(
+          `Registration of ${change.code}: ${change.from} -> ${change.to}`,
+        ),
+      );
+    } catch (error) {
+      console.error("Registration scheduler failed", error);
+    }
+  };
+
+  schedulerTimer = setInterval(run, intervalMs);
+  // Do not keep the process alive for the scheduler alone
+  schedulerTimer.unref?.();
+  run();
+}
+
+export default {
+  getLateEntriesCloseAt,
+  getScheduledRegistrationStatus,
+  isReopenedByHand,
+  resolveRegistrationStatus,
+  applyRegistrationWindows,
+  startRegistrationScheduler,
+};
@@ -0,0 +1,299 @@
+/**
+ * Schedule Service
+ *
+ * Lays races out over the sessions of a competition and checks rest times.
+ *
+ * Key Features:
+ * - Races of journey N go into the sessions of stages[N - 1], in session order
+ * - Each race takes one interval slot; a session is full once the next slot
+ *   would end after its end time
+ * - Only "scheduled" races are moved; started and completed races keep their
+ *   time and the layout continues after them
+ * - Rest-time conflicts for athletes entered in several races (single sculler
+ *   or crew member)
+ */
+
+export const DEFAULT_SCHEDULE_INTERVAL_MINUTES = 10;
+export const DEFAULT_MIN_REST_MINUTES = 60;
+
+const MINUTE_MS = 60000;
+
+const toId = (value) => (value?._id ?? value)?.toString();
+
+const toTime = (value) => {
+  if (!value) {
+    return null;
+  }
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Whether the schedule builder may move a race
+ * @param {object} race - Race document or plain object
+ * @returns {boolean}
+ */
+export function isReschedulable(race) {
+  return race.status === "scheduled";
+}
+
+/**
+ * Sorted, timed sessions of a stage
+ * @param {object} stage - Competition stage
+ * @returns {Array} [{ name, start, end }] with times in ms (end may be null)
+ */
+function getStageSessions(stage) {
+  return [...(stage?.sessions || [])]
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .map((session) => ({
+      name: session.name,
+      start: toTime(session.startTime),
+      end: toTime(session.endTime),
+    }))
+    .filter((session) => session.start !== null);
+}
+
+/**
+ * Lay the races of a competition out over its stages and sessions.
+ *
+ * @param {Array} races - Races of the competition (plain objects)
+ * @param {Array} stages - Competition stages, in journey order
+ * @param {object} options - { intervalMinutes, sequence: [raceId] }
+ * @returns {object} { races: [{ raceId, journeyIndex, order, startTime,
+ *   sessionLabel, moved }], unscheduled: [{ raceId, reason }] }
+ */
+export function layoutSchedule(races, stages = [], options = {}) {
+  const intervalMinutes =
+    Number(options.intervalMinutes) > 0
+      ? Number(options.intervalMinutes)
+      : DEFAULT_SCHEDULE_INTERVAL_MINUTES;
+  const intervalMs = intervalMinutes * MINUTE_MS;
+
+  const activeRaces = races.filter((race) => race.status !== "cancelled");
+
+  // Requested sequence first, then the remaining races in their current order
+  const position = new Map(
+    (options.sequence || []).map((raceId, index) => [raceId.toString(), index]),
+  );
+  const rank = (race) => position.get(toId(race)) ?? Number.MAX_SAFE_INTEGER;
+  const sorted = [...activeRaces].sort(
+    (a, b) =>
+      (a.journeyIndex ?? 1) - (b.journeyIndex ?? 1) ||
+      rank(a) - rank(b) ||
+      (a.order ?? 0) - (b.order ?? 0) ||
+      (toTime(a.startTime) ?? 0) - (toTime(b.startTime) ?? 0),
+  );
+
+  const byJourney = new Map();
+  sorted.forEach((race) => {
+    const journey = race.journeyIndex ?? 1;
+    if (!byJourney.has(journey)) {
+      byJourney.set(journey, []);
+    }
+    byJourney.get(journey).push(race);
+  });
+
+  const placed = [];
+  const unscheduled = [];
+
+  for (const [journey, journeyRaces] of byJourney) {
+    const sessions = getStageSessions(stages[journey - 1]);
+    const fixed = journeyRaces.filter((race) => !isReschedulable(race));
+    const movable = journeyRaces.filter(isReschedulable);
+
+    fixed.forEach((race) => {
+      placed.push({
+        race,
+        startTime: toTime(race.startTime),
+        sessionLabel: race.sessionLabel,
+        moved: false,
+      });
+    });
+
+    if (!movable.length) {
+      continue;
+    }
+
+    if (!sessions.length) {
+      movable.forEach((race) =>
+        unscheduled.push({
+          race,
+          reason: stages[journey - 1]
+            ? `No timed sessions defined for stage "${stages[journey - 1].name}"`
+            : `No stage defined for journey ${journey}`,
+        }),
+      );
+      continue;
+    }
+
+    // Resume after the last race that already started in this journey
+    const lastFixed = Math.max(
+      ...fixed.map((race) => toTime(race.startTime) ?? -Infinity),
+    );
+
+    let sessionIndex = 0;
+    let cursor = null;
+    for (const race of movable) {
+      while (sessionIndex < sessions.length) {
+        const session = sessions[sessionIndex];
+        if (cursor === null) {
+          cursor = Math.max(session.start, lastFixed + intervalMs);
+        }
+        if (session.end === null || cursor + intervalMs <= session.end) {
+          break;
+        }
+        sessionIndex += 1;
+        cursor = null;
+      }
+
+      if (sessionIndex >= sessions.length) {
+        unscheduled.push({
+          race,
+          reason: "Not enough session time left in this stage",
+        });
+        continue;
+      }
+
+      placed.push({
+        race,
+        startTime: cursor,
+        sessionLabel: sessions[sessionIndex].name,
+        moved: true,
+      });
+      cursor += intervalMs;
+    }
+  }
+
+  // Moved races reuse their own race numbers, renumbered in running order
+  const movedEntries = [
+    ...placed.filter((entry) => entry.moved),
+    ...unscheduled.map((entry) => ({ ...entry, moved: true, unplaced: true })),
+  ];
+  const orderPool = movedEntries
+    .map((entry) => entry.race.order)
+    .filter((order) => Number.isFinite(order))
+    .sort((a, b) => a - b);
+  const newOrders = new Map();
+  movedEntries
+    .sort(
+      (a, b) =>
+        (a.race.journeyIndex ?? 1) - (b.race.journeyIndex ?? 1) ||
+        Number(Boolean(a.unplaced)) - Number(Boolean(b.unplaced)) ||
+        (a.startTime ?? 0) - (b.startTime ?? 0),
+    )
+    .forEach((entry, index) => {
+      newOrders.set(toId(entry.race), orderPool[index] ?? entry.race.order);
+    });
+
+  const toResult = (entry) => ({
+    raceId: toId(entry.race),
+    journeyIndex: entry.race.journeyIndex ?? 1,
+    order: newOrders.get(toId(entry.race)) ?? entry.race.order,
+    startTime:
+      entry.startTime !== null && entry.startTime !== undefined
+        ? new Date(entry.startTime)
+        : null,
+    sessionLabel: entry.sessionLabel,
+    moved: entry.moved,
+  });
+
+  return {
+    races: placed
+      .map(toResult)
+      .sort(
+        (a, b) =>
+          a.journeyIndex - b.journeyIndex ||
+          (toTime(a.startTime) ?? 0) - (toTime(b.startTime) ?? 0) ||
+          (a.order ?? 0) - (b.order ?? 0),
+      ),
+    unscheduled: unscheduled.map((entry) => ({
+      raceId: toId(entry.race),
+      order: newOrders.get(toId(entry.race)) ?? entry.race.order,
+      reason: entry.reason,
+    })),
+  };
+}
+
+/**
+ * Athletes racing in a race (single athlete and crew members)
+ * @param {object} race - Race with lanes
+ * @returns {Array<string>} Unique athlete ids
+ */
+export function getRaceAthleteIds(race) {
+  const ids = new Set();
+  (race.lanes || []).forEach((lane) => {
+    if (lane.athlete) {
+      ids.add(toId(lane.athlete));
+    }
+    (lane.crew || []).forEach((member) => {
+      if (member) {
+        ids.add(toId(member));
+      }
+    });
+  });
+  return [...ids];
+}
+
+/**
+ * Find athletes racing twice with less than the minimum rest in between.
+ *
+ * @param {Array} races - Races with lanes and startTime (cancelled ignored)
+ * @param {number} minRestMinutes - Minimum time between two starts
+ * @returns {Array} [{ athleteId, first: { raceId, startTime },
+ *   second: { raceId, startTime }, gapMinutes }]
+ */
+export function detectRestConflicts(races, minRestMinutes) {
+  const minRest = Number(minRestMinutes);
+  if (!Number.isFinite(minRest) || minRest <= 0) {
+    return [];
+  }
+
+  // athleteId -> [{ raceId, time }]
+  const starts = new Map();
+  races.forEach((race) => {
+    const time = toTime(race.startTime);
+    if (race.status === "cancelled" || time === null) {
+      return;
+    }
+    getRaceAthleteIds(race).forEach((athleteId) => {
+      if (!starts.has(athleteId)) {
+        starts.set(athleteId, []);
+      }
+      starts.get(athleteId).push({ raceId: toId(race), time });
+    });
+  });
+
+  const conflicts = [];
+  for (const [athleteId, athleteStarts] of starts) {
+    athleteStarts.sort((a, b) => a.time - b.time);
+    for (let index = 1; index < athleteStarts.length; index += 1) {
+      const previous = athleteStarts[index - 1];
+      const current = athleteStarts[index];
+      const gapMinutes = (current.time - previous.time) / MINUTE_MS;
+      if (gapMinutes < minRest) {
+        conflicts.push({
+          athleteId,
+          first: {
+            raceId: previous.raceId,
+            startTime: new Date(previous.time),
+          },
+          second: { raceId: current.raceId, startTime: new Date(current.time) },
+          gapMinutes,
+        });
+      }
+    }
+  }
+
+  return conflicts.sort(
+    (a, b) => a.second.startTime.getTime() - b.second.startTime.getTime(),
+  );
+}
+
+export default {
+  DEFAULT_SCHEDULE_INTERVAL_MINUTES,
+  DEFAULT_MIN_REST_MINUTES,
+  isReschedulable,
+  layoutSchedule,
+  getRaceAthleteIds,
+  detectRestConflicts,
+};
@@ -0,0 +1,539 @@
+/**
+ * Season Rollover Service
+ *
+ * Moves the federation from one season to the next in a single process.
+ *
+ * Key Features:
+ * - Preview of the impact: memberships to renew, athletes changing
+ *   national category and licences to deactivate
+ * - Resumable job: steps run in order over batches of athletes and record
+ *   their progress, so a failed or interrupted rollover continues where it
+ *   stopped
+ * - Next-season memberships created for athletes active this season, the
+ *   previous season's memberships closed
+ * - National categories reassigned through assignNationalCategoriesForSeason
+ * - Licences left active or pending deactivated until renewed; athletes
+ *   already renewed for the new season (approved renewal request, or an
+ *   active membership of that season not created by the rollover) keep
+ *   theirs
+ * - Report of every change, stored as one document per change and
+ *   downloadable as CSV
+ */
+
+import Athlete from "../Models/athleteModel.js";
+import LicenceRenewalRequest from "../Models/licenceRenewalRequestModel.js";
+import SeasonRollover, {
+  SEASON_ROLLOVER_STEPS,
+} from "../Models/seasonRolloverModel.js";
+import SeasonRolloverChange from "../Models/seasonRolloverChangeModel.js";
+import {
+  assignNationalCategoriesForSeason,
+  resolveNationalCategory,
+} from "./categoryAssignmentService.js";
+
+const BATCH_SIZE = 200;
+const PREVIEW_SAMPLE_SIZE = 50;
+const DEACTIVATED_LICENSE_STATUSES = ["active", "pending"];
+
+// Jobs running in this process; a "running" job not in here was interrupted
+const runningJobs = new Set();
+
+const toId = (value) => (value?._id ?? value)?.toString();
+
+const athleteName = (athlete) =>
+  `${athlete.lastName || ""} ${athlete.firstName || ""}`.trim();
+
+const nationalAbbreviation = (athlete, seasonYear) =>
+  (athlete.categoryAssignments || []).find(
+    (assignment) =>
+      assignment.type === "national" && assignment.season === seasonYear,
+  )?.abbreviation || null;
+
+const activeMembershipFilter = (seasonYear) => ({
+  memberships: { $elemMatch: { season: seasonYear, status: "active" } },
+});
+
+// Licences to deactivate, leaving athletes already renewed for the new
+// season. Memberships the rollover created (from its start) do not count.
+const licencesFilter = async (job) => {
+  const renewed = await LicenceRenewalRequest.distinct("athlete", {
+    season: job.toSeason,
+    status: "approved",
+  });
+  return {
+    _id: { $nin: renewed },
+    licenseStatus: { $in: DEACTIVATED_LICENSE_STATUSES },
+    memberships: {
+      $not: {
+        $elemMatch: {
+          season: job.toSeason,
+          status: "active",
+          ...(job.startedAt
+            ? { startDate: { $not: { $gte: job.startedAt } } }
+            : {}),
+        },
+      },
+    },
+  };
+};
+
+const stepFilters = {
+  memberships: (job) => activeMembershipFilter(job.fromSeason),
+  categories: () => ({ birthDate: { $ne: null } }),
+  licences: licencesFilter,
+};
+
+const nextBatch = (filter, cursor, select) =>
+  Athlete.find(
+    cursor ? { ...filter, _id: { ...filter._id, $gt: cursor } } : filter,
+  )
+    .sort({ _id: 1 })
+    .limit(BATCH_SIZE)
+    .select(select)
+    .populate({ path: "memberships.club", select: "code name" })
+    .lean();
+
+/**
+ * Impact of rolling over from one season to the next, without changing
+ * anything
+ *
+ * @param {number} fromSeason - Season ending
+ * @param {number} toSeason - Season starting
+ * @returns {Promise<object>} { memberships, categories, licences, existingJob }
+ */
+export async function previewSeasonRollover(fromSeason, toSeason) {
+  const [toRenew, alreadyRenewed, licencesToDeactivate, existingJob] =
+    await Promise.all([
+      Athlete.countDocuments({
+        ...activeMembershipFilter(fromSeason),
+        "memberships.season": { $ne: toSeason },
+      }),
+      Athlete.countDocuments({
+        ...activeMembershipFilter(fromSeason),
+        "memberships.season": toSeason,
+      }),
+      stepFilters
+        .licences({ toSeason })
+        .then((filter) => Athlete.countDocuments(filter)),
+      SeasonRollover.findOne({ toSeason }).sort({ createdAt: -1 }).lean(),
+    ]);
+
+  // Counted in batches, as the rollover reassigns them
+  const cache = {};
+  const categories = { changing: 0, unchanged: 0, unassigned: 0, sample: [] };
+  let cursor = null;
+  for (;;) {
+    const athletes = await nextBatch(
+      stepFilters.categories(),
+      cursor,
+      "firstName lastName licenseNumber birthDate gender categoryAssignments",
+    );
+    if (!athletes.length) {
+      break;
+    }
+    cursor = athletes[athletes.length - 1]._id;
+
+    for (const athlete of athletes) {
+      const category = await resolveNationalCategory(athlete, toSeason, cache);
+      const from = nationalAbbreviation(athlete, fromSeason);
+      const to = category?.abbreviation || null;
+      if (!to) {
+        categories.unassigned += 1;
+      } else if (from === to) {
+        categories.unchanged += 1;
+      } else {
+        categories.changing += 1;
+        if (categories.sample.length < PREVIEW_SAMPLE_SIZE) {
+          categories.sample.push({
+            athlete: toId(athlete),
+            licenseNumber: athlete.licenseNumber,
+            name: athleteName(athlete),
+            from,
+            to,
+          });
+        }
+      }
+    }
+  }
+
+  return {
+    fromSeason,
+    toSeason,
+    memberships: { toRenew, alreadyRenewed },
+    categories,
+    licences: { toDeactivate: licencesToDeactivate },
+    existingJob,
+  };
+}
+
+// Next-season memberships for one batch; last season's are closed
+async function rollMemberships(job, cursor) {
+  const athletes = await nextBatch(
+    stepFilters.memberships(job),
+    cursor,
+    "firstName lastName licenseNumber memberships",
+  );
+  const now = new Date();
+  const operations = [];
+  const changes = [];
+
+  athletes.forEach((athlete) => {
+    const memberships = athlete.memberships || [];
+    const renewedClubs = new Set(
+      memberships
+        .filter((membership) => membership.season === job.toSeason)
+        .map((membership) => toId(membership.club)),
+    );
+    const created = memberships
+      .filter(
+        (membership) =>
+          membership.club &&
+          membership.season === job.fromSeason &&
+          membership.status === "active" &&
+          !renewedClubs.has(toId(membership.club)),
+      )
+      .map((membership) => ({
+        club: membership.club,
+        membershipType: membership.membershipType,
+      }));
+
+    operations.push({
+      updateOne: {
+        filter: { _id: athlete._id },
+        update: {
+          $set: {
+            "memberships.$[ended].status": "inactive",
+            "memberships.$[ended].endDate": now,
+          },
+        },
+        arrayFilters: [
+          { "ended.season": job.fromSeason, "ended.status": "active" },
+        ],
+      },
+    });
+    if (!created.length) {
+      return;
+    }
+    operations.push({
+      updateOne: {
+        filter: { _id: athlete._id },
+        update: {
+          $push: {
+            memberships: {
+              $each: created.map((membership) => ({
+                club: membership.club._id,
+                season: job.toSeason,
+                status: "active",
+                membershipType: membership.membershipType || "primary",
+                startDate: now,
+              })),
+            },
+          },
+        },
+      },
+    });
+    created.forEach((membership) =>
+      changes.push({
+        step: "memberships",
+        athlete: athlete._id,
+        licenseNumber: athlete.licenseNumber,
+        name: athleteName(athlete),
+        club: membership.club?.code || membership.club?.name,
+        from: String(job.fromSeason),
+        to: String(job.toSeason),
+      }),
+    );
+  });
+
+  if (operations.length) {
+    await Athlete.bulkWrite(operations);
+  }
+  return {
+    processed: athletes.length,
+    updated: new Set(changes.map((change) => toId(change.athlete))).size,
+    changes,
+    lastId: athletes.length ? athletes[athletes.length - 1]._id : null,
+  };
+}
+
+// National categories for one batch, through the category assignment service
+async function rollCategories(job, cursor, cache) {
+  const athletes = await nextBatch(
+    stepFilters.categories(),
+    cursor,
+    "firstName lastName licenseNumber memberships categoryAssignments",
+  );
+  if (!athletes.length) {
+    return { processed: 0, updated: 0, changes: [], lastId: null };
+  }
+
+  const { lastId } = await assignNationalCategoriesForSeason(job.toSeason, {
+    after: cursor,
+    limit: BATCH_SIZE,
+    cache,
+  });
+  const reassigned = await Athlete.find({
+    _id: { $in: athletes.map((athlete) => athlete._id) },
+  })
+    .select("categoryAssignments")
+    .lean();
+  const assignments = new Map(
+    reassigned.map((athlete) => [toId(athlete), athlete]),
+  );
+
+  const changes = [];
+  athletes.forEach((athlete) => {
+    const from = nationalAbbreviation(athlete, job.fromSeason);
+    const to = nationalAbbreviation(
+      assignments.get(toId(athlete)) || athlete,
+      job.toSeason,
+    );
+    if (to && from !== to) {
+      const club = athlete.memberships?.find(
+        (membership) => membership.season === job.fromSeason,
+      )?.club;
+      changes.push({
+        step: "categories",
+        athlete: athlete._id,
+        licenseNumber: athlete.licenseNumber,
+        name: athleteName(athlete),
+        club: club?.code || club?.name,
+        from: from || "",
+        to,
+      });
+    }
+  });
+
+  return {
+    processed: athletes.length,
+    updated: changes.length,
+    changes,
+    lastId: lastId || athletes[athletes.length - 1]._id,
+  };
+}
+
+// Licences of one batch deactivated until renewed for the new season
+async function rollLicences(job, cursor) {
+  const athletes = await nextBatch(
+    await stepFilters.licences(job),
+    cursor,
+    "firstName lastName licenseNumber licenseStatus memberships",
+  );
+  if (athletes.length) {
+    await Athlete.updateMany(
+      {
+        _id: { $in: athletes.map((athlete) => athlete._id) },
+        licenseStatus: { $in: DEACTIVATED_LICENSE_STATUSES },
+      },
+      { $set: { licenseStatus: "inactive" } },
+    );
+  }
+  const changes = athletes.map((athlete) => {
+    const club = athlete.memberships?.find(
+      (membership) => membership.season === job.fromSeason,
+    )?.club;
+    return {
+      step: "licences",
+      athlete: athlete._id,
+      licenseNumber: athlete.licenseNumber,
+      name: athleteName(athlete),
+      club: club?.code || club?.name,
+      from: athlete.licenseStatus,
+      to: "inactive",
+    };
+  });
+  return {
+    processed: athletes.length,
+    updated: athletes.length,
+    changes,
+    lastId: athletes.length ? athletes[athletes.length - 1]._id : null,
+  };
+}
+
+const stepRunners = {
+  memberships: rollMemberships,
+  categories: rollCategories,
+  licences: rollLicences,
+};
+
+/**
+ * Run (or continue) a rollover job from its current step and cursor.
+ * Failures are recorded on the job rather than thrown.
+ *
+ * @param {string} jobId - SeasonRollover id
+ * @returns {Promise<object|null>} The job once finished
+ */
+export async function runSeasonRollover(jobId) {
+  const key = toId(jobId);
+  if (runningJobs.has(key)) {
+    return null;
+  }
+  runningJobs.add(key);
+
+  const job = await SeasonRollover.findById(jobId);
+  if (!job || job.status === "completed") {
+    runningJobs.delete(key);
+    return job;
+  }
+
+  try {
+    job.status = "running";
+    job.error = undefined;
+    job.startedAt = job.startedAt || new Date();
+    await job.save();
+
+    const cache = {};
+    const firstStep = SEASON_ROLLOVER_STEPS.indexOf(job.currentStep);
+    for (const step of SEASON_ROLLOVER_STEPS.slice(Math.max(firstStep, 0))) {
+      const progress = job.steps[step];
+      if (progress.status === "completed") {
+        continue;
+      }
+      job.currentStep = step;
+      // A batch interrupted before its progress was saved runs again
+      job.changeCount -= (
+        await SeasonRolloverChange.deleteMany({
+          rollover: job._id,
+          step,
+          ...(progress.cursor ? { athlete: { $gt: progress.cursor } } : {}),
+        })
+      ).deletedCount;
+      if (progress.status === "pending") {
+        progress.status = "running";
+        progress.total = await Athlete.countDocuments(
+          await stepFilters[step](job),
+        );
+      }
+      await job.save();
+
+      for (;;) {
+        const result = await stepRunners[step](job, progress.cursor, cache);
+        if (!result.processed) {
+          break;
+        }
+        progress.processed += result.processed;
+        progress.updated += result.updated;
+        progress.cursor = result.lastId;
+        if (result.changes.length) {
+          await SeasonRolloverChange.insertMany(
+            result.changes.map((change) => ({ ...change, rollover: job._id })),
+          );
+        }
+        job.changeCount += result.changes.length;
+        await job.save();
+      }
+
+      progress.status = "completed";
+      await job.save();
+    }
+
+    job.status = "completed";
+    job.completedAt = new Date();
+    await job.save();
+  } catch (error) {
+    console.error(`Season rollover ${key} failed`, error);
+    job.status = "failed";
+    job.error = error.message;
+    await job.save().catch(() => {});
+  } finally {
+    runningJobs.delete(key);
+  }
+  return job;
+}
+
+/**
+ * Create a rollover job and run it in the background
+ *
+ * @param {object} options - { fromSeason, toSeason, userId }
+ * @returns {Promise<object>} The job, status "pending"
+ */
+export async function startSeasonRollover({ fromSeason, toSeason, userId }) {
+  const existing = await SeasonRollover.findOne({ toSeason })
+    .sort({ createdAt: -1 })
+    .select("status")
+    .lean();
+  if (existing?.status === "completed") {
+    throw new Error(`Season ${toSeason} has already been rolled over`);
+  }
+  if (existing) {
+    throw new Error(
+      `A rollover to ${toSeason} already exists: resume it instead`,
+    );
+  }
+
+  const job = await SeasonRollover.create({
+    fromSeason,
+    toSeason,
+    startedBy: userId,
+  });
+  setImmediate(() => runSeasonRollover(job._id));
+  return job;
+}
+
+/**
+ * Whether a job can be resumed: it failed, or it is marked running but
+ * this process is not running it (server restarted)
+ * @param {object} job - SeasonRollover
+ * @returns {boolean}
+ */
+export const canResumeSeasonRollover = (job) =>
+  job.status === "failed" ||
+  (["pending", "running"].includes(job.status) && !runningJobs.has(toId(job)));
+
+/**
+ * Resume a failed or interrupted job in the background
+ * @param {object} job - SeasonRollover
+ * @returns {boolean} Whether the job was resumed
+ */
+export function resumeSeasonRollover(job) {
+  if (!canResumeSeasonRollover(job)) {
+    return false;
+  }
+  setImmediate(() => runSeasonRollover(job._id));
+  return true;
+}
+
+/**
+ * Report of the changes made by a job, as CSV
+ * @param {object} job - SeasonRollover
+ * @returns {Promise<string>} CSV content
+ */
+export async function buildRolloverReportCsv(job) {
+  const escape = (value) => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [
+    ["Step", "License number", "Athlete", "Club", "From", "To"]
+      .map(escape)
+      .join(","),
+  ];
+  const changes = SeasonRolloverChange.find({ rollover: job._id })
+    .sort({ _id: 1 })
+    .lean()
+    .cursor();
+  for await (const change of changes) {
+    lines.push(
+      [
+        change.step,
+        change.licenseNumber,
+        change.name,
+        change.club,
+        change.from,
+        change.to,
+      ]
+        .map(escape)
+        .join(","),
+    );
+  }
+  return lines.join("\n");
+}
+
+export default {
+  previewSeasonRollover,
+  runSeasonRollover,
+  startSeasonRollover,
+  canResumeSeasonRollover,
+  resumeSeasonRollover,
+  buildRolloverReportCsv,
+};
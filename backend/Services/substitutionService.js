@@ -0,0 +1,281 @@
+/**
+ * Substitution Service
+ *
+ * Crew changes on an entry once it has been placed in races.
+ *
+ * Key Features:
+ * - Per competition rules: approved substitutions allowed per entry and
+ *   how long before the crew's next race requests close
+ * - Finds the races of an entry (lanes of the same club, category and boat
+ *   class holding the crew)
+ * - Race eligibility of the incoming athlete in every race still to be
+ *   rowed (see raceEligibilityService.js)
+ * - Approved changes replace the athlete in the entry and in every race
+ *   still to be rowed; finished races keep the original crew as history
+ * - A substituted cox stays the cox, in the same seat
+ */
+
+import CompetitionRace from "../Models/competitionRaceModel.js";
+import { publishRaceUpdate } from "./liveFeedService.js";
+import {
+  buildEligibilityOverride,
+  checkLaneEligibility,
+} from "./raceEligibilityService.js";
+
+export const DEFAULT_MAX_SUBSTITUTIONS = 2;
+export const DEFAULT_SUBSTITUTION_DEADLINE_MINUTES = 60;
+
+const toId = (value) => (value?._id ?? value)?.toString();
+
+/**
+ * Substitution rules of a competition, with defaults
+ * @param {object} competition - Competition document
+ * @returns {object} { maxSubstitutions, deadlineMinutes }
+ */
+export function resolveSubstitutionRules(competition) {
+  return {
+    maxSubstitutions:
+      competition?.maxSubstitutions ?? DEFAULT_MAX_SUBSTITUTIONS,
+    deadlineMinutes:
+      competition?.substitutionDeadlineMinutes ??
+      DEFAULT_SUBSTITUTION_DEADLINE_MINUTES,
+  };
+}
+
+/**
+ * Athletes of an entry or lane (single athlete and crew)
+ * @param {object} holder - Entry or lane
+ * @returns {Array<string>} Athlete ids
+ */
+export function getCrewAthleteIds(holder) {
+  const ids = (holder?.crew || []).filter(Boolean).map(toId);
+  if (holder?.athlete) {
+    ids.push(toId(holder.athlete));
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * Whether a race has been (or is being) rowed, so its lanes are history
+ * @param {object} race - Race document
+ * @returns {boolean}
+ */
+export function isRaceClosedForSubstitution(race) {
+  return (
+    ["in_progress", "completed"].includes(race.status) ||
+    (race.lanes || []).some(
+      (lane) =>
+        lane.result?.finishPosition !== undefined ||
+        lane.result?.elapsedMs !== undefined,
+    )
+  );
+}
+
+const findEntryLane = (race, entry) => {
+  const entryIds = new Set(getCrewAthleteIds(entry));
+  return (race.lanes || []).find(
+    (lane) =>
+      (!entry.club || toId(lane.club) === toId(entry.club)) &&
+      getCrewAthleteIds(lane).some((id) => entryIds.has(id)),
+  );
+};
+
+/**
+ * Races (not cancelled) with a lane holding the entry's crew
+ * @param {object} entry - Competition entry
+ * @returns {Promise<Array>} Race documents, by start time
+ */
+export async function findEntryRaces(entry) {
+  const athleteIds = getCrewAthleteIds(entry);
+  if (!athleteIds.length) {
+    return [];
+  }
+
+  const races = await CompetitionRace.find({
+    competition: entry.competition,
+    category: entry.category,
+    ...(entry.boatClass ? { boatClass: entry.boatClass } : {}),
+    status: { $ne: "cancelled" },
+    $or: [
+      { "lanes.athlete": { $in: athleteIds } },
+      { "lanes.crew": { $in: athleteIds } },
+    ],
+  }).sort({ startTime: 1, order: 1 });
+
+  return races.filter((race) => findEntryLane(race, entry));
+}
+
+/**
+ * Check that substitutions are still open for an entry.
+ *
+ * @param {Array} races - Races of the entry (findEntryRaces)
+ * @param {object} rules - resolveSubstitutionRules result
+ * @param {Date} [now]
+ * @returns {string|null} Error message, or null when open
+ */
+export function checkSubstitutionWindow(races, rules, now = new Date()) {
+  const upcoming = races.filter((race) => !isRaceClosedForSubstitution(race));
+  if (races.length && !upcoming.length) {
+    return "This crew has no races left to row";
+  }
+
+  const nextStart = upcoming
+    .map((race) => (race.startTime ? new Date(race.startTime) : null))
+    .filter(Boolean)
+    .sort((a, b) => a - b)[0];
+  if (
+    nextStart &&
+    nextStart.getTime() - rules.deadlineMinutes * 60000 < now.getTime()
+  ) {
+    return `Substitutions close ${rules.deadlineMinutes} minutes before the crew's next race`;
+  }
+  return null;
+}
+
+const replaceMember = (holder, outgoingId, incomingId) => {
+  if (Array.isArray(holder.crew)) {
+    holder.crew = holder.crew.map((member) =>
+      toId(member) === outgoingId ? incomingId : member,
+    );
+  }
+  if (toId(holder.athlete) === outgoingId) {
+    holder.athlete = incomingId;
+  }
+  if (toId(holder.coxswain) === outgoingId) {
+    holder.coxswain = incomingId;
+  }
+};
+
+// Lane of the entry's club holding the outgoing athlete
+const findOutgoingLane = (race, entry, outgoingId) =>
+  race.lanes.find(
+    (candidate) =>
+      toId(candidate.club) === toId(entry.club) &&
+      getCrewAthleteIds(candidate).includes(outgoingId),
+  );
+
+/**
+ * Race eligibility of the incoming athlete in every race still to be rowed,
+ * checked on the lanes as they would be after the substitution. The
+ * incoming athlete is not reported as unregistered: approval adds them to
+ * the entry.
+ *
+ * @param {object} competition - Competition (lean)
+ * @param {object} entry - Competition entry, crew before the change
+ * @param {object} substitution - { outgoing, incoming }
+ * @returns {Promise<object>} { errors, warnings }, each issue with a raceId
+ */
+export async function checkSubstitutionEligibility(
+  competition,
+  entry,
+  substitution,
+) {
+  const outgoingId = toId(substitution.outgoing);
+  const incomingId = toId(substitution.incoming);
+  const report = { errors: [], warnings: [] };
+
+  const races = await findEntryRaces(entry);
+  for (const race of races) {
+    if (isRaceClosedForSubstitution(race)) {
+      continue;
+    }
+    const lane = findOutgoingLane(race, entry, outgoingId);
+    if (!lane) {
+      continue;
+    }
+    const substituted = {
+      lane: lane.lane,
+      athlete: lane.athlete,
+      crew: [...(lane.crew || [])],
+      coxswain: lane.coxswain,
+    };
+    replaceMember(substituted, outgoingId, incomingId);
+
+    const raceReport = await checkLaneEligibility({
+      competition,
+      raceId: race._id,
+      category: race.category,
+      boatClass: race.boatClass,
+      lanes: race.lanes.map((candidate) =>
+        candidate.lane === lane.lane ? substituted : candidate,
+      ),
+      startTime: race.startTime,
+    });
+    const concernsIncoming = (issue) =>
+      issue.athleteId === incomingId && issue.code !== "unregistered";
+    const withRace = (issue) => ({ ...issue, raceId: race._id.toString() });
+    report.errors.push(
+      ...raceReport.errors.filter(concernsIncoming).map(withRace),
+    );
+    report.warnings.push(
+      ...raceReport.warnings.filter(concernsIncoming).map(withRace),
+    );
+  }
+  return report;
+}
+
+/**
+ * Apply an approved substitution to the entry and its races still to be
+ * rowed. The entry is modified but not saved.
+ *
+ * @param {object} entry - Competition entry document
+ * @param {object} substitution - Substitution subdocument
+ * @param {object} [options]
+ * @param {object} [options.eligibilityOverride] - { issues, userId, reason }
+ *   accepted eligibility errors (checkSubstitutionEligibility), recorded on
+ *   their races
+ * @returns {Promise<Array>} Ids of the races whose lanes were updated
+ */
+export async function applySubstitution(
+  entry,
+  substitution,
+  { eligibilityOverride } = {},
+) {
+  const outgoingId = toId(substitution.outgoing);
+  const incomingId = substitution.incoming;
+
+  // Look the races up with the crew as it was before the change
+  const races = await findEntryRaces(entry);
+  replaceMember(entry, outgoingId, incomingId);
+
+  const updated = [];
+  for (const race of races) {
+    if (isRaceClosedForSubstitution(race)) {
+      continue;
+    }
+    const lane = findOutgoingLane(race, entry, outgoingId);
+    if (!lane) {
+      continue;
+    }
+    replaceMember(lane, outgoingId, incomingId);
+    const overridden = (eligibilityOverride?.issues || []).filter(
+      (issue) => issue.raceId === race._id.toString(),
+    );
+    if (overridden.length) {
+      race.eligibilityOverrides.push(
+        buildEligibilityOverride(
+          overridden,
+          eligibilityOverride.userId,
+          eligibilityOverride.reason,
+        ),
+      );
+    }
+    race.markModified("lanes");
+    await race.save();
+    publishRaceUpdate(race, "lanes");
+    updated.push(race._id);
+  }
+  return updated;
+}
+
+export default {
+  DEFAULT_MAX_SUBSTITUTIONS,
+  DEFAULT_SUBSTITUTION_DEADLINE_MINUTES,
+  resolveSubstitutionRules,
+  getCrewAthleteIds,
+  isRaceClosedForSubstitution,
+  findEntryRaces,
+  checkSubstitutionWindow,
+  checkSubstitutionEligibility,
+  applySubstitution,
+};
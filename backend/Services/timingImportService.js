@@ -0,0 +1,396 @@
+/**
+ * Timing Import Service
+ *
+ * Reads timing-system export files and turns them into lane results.
+ *
+ * Key Features:
+ * - CSV exports (lane and/or bow number, time, status, optional split columns)
+ * - FinishLynx-style .lif files
+ * - Fixed-width photo-finish listings
+ * - Matching of timing rows to race lanes by lane or bow number
+ * - Preview of the differences with the results already recorded
+ */
+
+import { parse } from "csv-parse/sync";
+import { getFinalTimeMs } from "./raceResultService.js";
+
+export const TIMING_IMPORT_FORMATS = ["csv", "lif", "fixed"];
+
+// Fixed-width photo-finish listing, one crew per line (0-based column ranges):
+//   PL  LN   BOW         TIME   ST
+//    1   3    12      6:45.23
+//        5    14               DNS
+export const FIXED_WIDTH_LAYOUT = {
+  place: [0, 4],
+  lane: [4, 8],
+  bowNumber: [8, 14],
+  time: [14, 27],
+  status: [27, 32],
+};
+
+// Status codes used by timing systems, mapped to lane result statuses
+const STATUS_CODES = {
+  OK: "ok",
+  DNS: "dns",
+  DNF: "dnf",
+  DQ: "dsq",
+  DSQ: "dsq",
+  DNA: "abs",
+  ABS: "abs",
+};
+
+const CSV_COLUMNS = {
+  lane: ["lane", "ln", "station"],
+  bowNumber: ["bow", "bow number", "bownumber", "crew", "crew number", "bib"],
+  place: ["place", "pos", "position", "rank"],
+  time: ["time", "finish", "finish time", "elapsed", "result"],
+  status: ["status", "irm"],
+};
+
+const readColumn = (record, keys) => {
+  const recordKeys = Object.keys(record);
+  for (const key of keys) {
+    const matchedKey = recordKeys.find(
+      (candidate) => candidate.trim().toLowerCase() === key,
+    );
+    const value = matchedKey ? record[matchedKey]?.toString().trim() : "";
+    if (value) {
+      return value;
+    }
+  }
+  return "";
+};
+
+const toPositiveInteger = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+};
+
+/**
+ * Parse a timing value ("6:45.23", "1:06:45.234", "405.23") into milliseconds
+ * @param {string} value - Time as exported by the timing system
+ * @returns {number|undefined} Milliseconds, or undefined when unreadable
+ */
+export function parseTimingValue(value) {
+  const trimmed = value?.toString().trim();
+  if (!trimmed) {
+    return undefined;
+  }
+
+  const parts = trimmed.split(":");
+  const secondsMatch = parts.pop().match(/^(\d+)(?:[.,](\d{1,3}))?$/);
+  if (
+    !secondsMatch ||
+    parts.length > 2 ||
+    parts.some((part) => !/^\d+$/.test(part))
+  ) {
+    return undefined;
+  }
+
+  const [minutes = 0, hours = 0] = [...parts].reverse().map(Number);
+  const seconds = Number(secondsMatch[1]);
+  if (
+    (parts.length > 0 && seconds >= 60) ||
+    (parts.length > 1 && minutes >= 60)
+  ) {
+    return undefined;
+  }
+  const millis = secondsMatch[2] ? Number(secondsMatch[2].padEnd(3, "0")) : 0;
+
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + millis;
+}
+
+const readStatus = (value) =>
+  STATUS_CODES[value?.toString().trim().toUpperCase()];
+
+// A time column may carry a status code instead of a time (e.g. "DNF")
+const buildRow = (line, { lane, bowNumber, place, time, status }) => {
+  const row = {
+    line,
+    lane: toPositiveInteger(lane),
+    bowNumber: toPositiveInteger(bowNumber),
+    place: toPositiveInteger(place),
+    status: readStatus(status) || readStatus(time) || readStatus(place) || "ok",
+  };
+
+  if (!row.lane && !row.bowNumber) {
+    return { error: "Row has no lane or bow number" };
+  }
+
+  if (row.status === "ok") {
+    row.elapsedMs = parseTimingValue(time);
+    if (row.elapsedMs === undefined) {
+      return { error: `Unreadable time "${time || ""}"` };
+    }
+  }
+
+  return { row };
+};
+
+const CSV_DELIMITERS = [",", ";", "\t"];
+
+// The header holds no times, so its most frequent separator is the file's
+// delimiter. Parsing with one delimiter keeps decimal commas ("6:45,23")
+// inside a single value when the file is separated by ";" or tabs.
+const detectCsvDelimiter = (content) => {
+  const header = content.split(/\r?\n/).find((text) => text.trim()) || "";
+  const counts = CSV_DELIMITERS.map(
+    (delimiter) => header.split(delimiter).length - 1,
+  );
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? CSV_DELIMITERS[best] : ",";
+};
+
+const parseCsv = (content) => {
+  const records = parse(content, {
+    columns: true,
+    skip_empty_lines: true,
+    bom: true,
+    trim: true,
+    delimiter: detectCsvDelimiter(content),
+    relax_column_count: true,
+  });
+
+  const rows = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const line = index + 2;
+    const { row, error } = buildRow(line, {
+      lane: readColumn(record, CSV_COLUMNS.lane),
+      bowNumber: readColumn(record, CSV_COLUMNS.bowNumber),
+      place: readColumn(record, CSV_COLUMNS.place),
+      time: readColumn(record, CSV_COLUMNS.time),
+      status: readColumn(record, CSV_COLUMNS.status),
+    });
+    if (error) {
+      errors.push({ line, message: error });
+      return;
+    }
+
+    // Columns named after a distance ("500m", "1000 m") hold split times
+    const splits = [];
+    for (const [column, value] of Object.entries(record)) {
+      const distanceMatch = column.trim().match(/^(\d+)\s*m$/i);
+      const elapsedMs = distanceMatch ? parseTimingValue(value) : undefined;
+      if (elapsedMs !== undefined) {
+        splits.push({ distance: Number(distanceMatch[1]), elapsedMs });
+      }
+    }
+    if (splits.length) {
+      row.splits = splits;
+    }
+
+    rows.push(row);
+  });
+
+  return { rows, errors };
+};
+
+// .lif: first line describes the race, then
+// place, id (bow number), lane, last name, first name, affiliation, time, ...
+const parseLif = (content) => {
+  const records = parse(content, {
+    skip_empty_lines: true,
+    bom: true,
+    trim: true,
+    relax_column_count: true,
+    from_line: 2,
+  });
+
+  const rows = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const line = index + 2;
+    const [place, bowNumber, lane, , , , time] = record;
+    const { row, error } = buildRow(line, { lane, bowNumber, place, time });
+    if (error) {
+      errors.push({ line, message: error });
+      return;
+    }
+    rows.push(row);
+  });
+
+  return { rows, errors };
+};
+
+const parseFixedWidth = (content) => {
+  const rows = [];
+  const errors = [];
+  const slice = (text, [start, end]) => text.slice(start, end).trim();
+
+  content.split(/\r?\n/).forEach((text, index) => {
+    const line = index + 1;
+    const lane = slice(text, FIXED_WIDTH_LAYOUT.lane);
+    const bowNumber = slice(text, FIXED_WIDTH_LAYOUT.bowNumber);
+
+    // Skip blank lines, titles and column headings
+    if (!/^\d+$/.test(lane) && !/^\d+$/.test(bowNumber)) {
+      return;
+    }
+
+    const { row, error } = buildRow(line, {
+      lane,
+      bowNumber,
+      place: slice(text, FIXED_WIDTH_LAYOUT.place),
+      time: slice(text, FIXED_WIDTH_LAYOUT.time),
+      status: slice(text, FIXED_WIDTH_LAYOUT.status),
+    });
+    if (error) {
+      errors.push({ line, message: error });
+      return;
+    }
+    rows.push(row);
+  });
+
+  return { rows, errors };
+};
+
+/**
+ * Guess the format of a timing file from its name and content
+ * @param {string} content - File content
+ * @param {string} fileName - Original file name
+ * @returns {string} One of TIMING_IMPORT_FORMATS
+ */
+export function detectTimingFormat(content, fileName = "") {
+  if (/\.lif$/i.test(fileName)) {
+    return "lif";
+  }
+  const firstLine = content.split(/\r?\n/).find((text) => text.trim()) || "";
+  return /[,;\t]/.test(firstLine) ? "csv" : "fixed";
+}
+
+/**
+ * Parse a timing export into result rows
+ *
+ * @param {string} content - File content
+ * @param {object} options - { format, fileName }
+ * @returns {object} { format, rows, errors }
+ */
+export function parseTimingFile(content, { format, fileName } = {}) {
+  const resolvedFormat = format || detectTimingFormat(content, fileName);
+  if (!TIMING_IMPORT_FORMATS.includes(resolvedFormat)) {
+    throw new Error(`Unsupported timing format "${resolvedFormat}"`);
+  }
+
+  const parsers = { csv: parseCsv, lif: parseLif, fixed: parseFixedWidth };
+  let parsed;
+  try {
+    parsed = parsers[resolvedFormat](content);
+  } catch (error) {
+    throw new Error(`Unable to read timing file: ${error.message}`);
+  }
+
+  return { format: resolvedFormat, ...parsed };
+}
+
+/**
+ * Match timing rows to race lanes, by lane number first and bow number
+ * otherwise (crew number for lanes without a bow number).
+ *
+ * @param {object} race - Race document
+ * @param {Array} rows - Parsed timing rows
+ * @returns {object} { matches: [{ lane, row }], unmatched: [{ ...row, reason }] }
+ */
+export function matchTimingRows(race, rows) {
+  const matches = [];
+  const unmatched = [];
+  const used = new Set();
+
+  for (const row of rows) {
+    const lane =
+      (row.lane &&
+        race.lanes.find((candidate) => candidate.lane === row.lane)) ||
+      (row.bowNumber &&
+        race.lanes.find(
+          (candidate) =>
+            (candidate.bowNumber ?? candidate.crewNumber) === row.bowNumber,
+        ));
+
+    if (!lane) {
+      unmatched.push({ ...row, reason: "No lane or bow number in this race" });
+      continue;
+    }
+    if (used.has(lane.lane)) {
+      unmatched.push({ ...row, reason: `Lane ${lane.lane} appears twice` });
+      continue;
+    }
+    used.add(lane.lane);
+    matches.push({ lane, row });
+  }
+
+  return { matches, unmatched };
+}
+
+const summariseResult = (result) => ({
+  status: result?.status || (result ? "ok" : undefined),
+  finishPosition: result?.finishPosition,
+  elapsedMs: result?.elapsedMs,
+  finalMs: getFinalTimeMs(result),
+});
+
+/**
+ * Compare matched rows with the results already recorded
+ *
+ * @param {Array} matches - Output of matchTimingRows
+ * @returns {Array} One entry per lane with current and incoming values
+ */
+export function buildResultsPreview(matches) {
+  return matches.map(({ lane, row }) => {
+    const current = summariseResult(lane.result);
+    const incoming = {
+      status: row.status,
+      place: row.place,
+      elapsedMs: row.elapsedMs,
+      splits: row.splits,
+    };
+    const changes = [];
+    if (current.status !== incoming.status) {
+      changes.push("status");
+    }
+    if (current.elapsedMs !== incoming.elapsedMs) {
+      changes.push("elapsedMs");
+    }
+
+    return {
+      lane: lane.lane,
+      crewNumber: lane.crewNumber,
+      bowNumber: lane.bowNumber,
+      club: lane.club,
+      line: row.line,
+      current,
+      incoming,
+      changes,
+    };
+  });
+}
+
+/**
+ * Turn matched rows into the lanes payload accepted by results entry
+ * @param {Array} matches - Output of matchTimingRows
+ * @returns {Array} Lane results ({ lane, status, elapsedMs, splits })
+ */
+export function toResultsPayload(matches) {
+  return matches.map(({ lane, row }) => {
+    const payload = { lane: lane.lane, status: row.status };
+    if (row.status === "ok") {
+      payload.elapsedMs = row.elapsedMs;
+    }
+    if (row.splits) {
+      payload.splits = row.splits;
+    }
+    return payload;
+  });
+}
+
+export default {
+  TIMING_IMPORT_FORMATS,
+  FIXED_WIDTH_LAYOUT,
+  parseTimingValue,
+  detectTimingFormat,
+  parseTimingFile,
+  matchTimingRows,
+  buildResultsPreview,
+  toResultsPayload,
+};
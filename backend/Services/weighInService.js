@@ -0,0 +1,274 @@
+/**
+ * Weigh-in Service
+ *
+ * Lightweight rowing weight limits and weigh-in checks for races.
+ *
+ * Key Features:
+ * - World Rowing limits: men 72.5 kg maximum and 70 kg crew average,
+ *   women 59 kg maximum and 57 kg crew average
+ * - Coxswains weigh at least 55 kg for men's and mixed crews and 50 kg for
+ *   women's crews, made up with at most 15 kg of deadweight; the cox does not
+ *   count in the crew average
+ * - Coxes are only weighed when the competition asks for it (coxWeighIn)
+ * - Per-lane evaluation from the weigh-ins of the race day (journey)
+ * - Lanes that have not passed cannot be given a finishing result
+ */
+
+import Athlete from "../Models/athleteModel.js";
+import BoatClass from "../Models/boatClassModel.js";
+import WeighIn from "../Models/weighInModel.js";
+import { getCrewRowers, isCoxedBoatClass } from "./crewSeatService.js";
+
+export const LIGHTWEIGHT_LIMITS = {
+  male: { maxKg: 72.5, crewAverageKg: 70 },
+  female: { maxKg: 59, crewAverageKg: 57 },
+};
+
+// Keyed by crew gender: women's crews, otherwise men's or mixed crews
+export const COX_MIN_WEIGHT_KG = { male: 55, female: 50 };
+export const COX_MAX_DEADWEIGHT_KG = 15;
+
+// passed - every athlete weighed within the limits
+// missing - at least one athlete has not been weighed that day
+// overweight - an athlete is over the individual maximum
+// crew_average - the crew average is over the limit
+// cox_underweight - the cox is too light even with the maximum deadweight
+export const WEIGH_IN_STATUSES = [
+  "passed",
+  "missing",
+  "overweight",
+  "crew_average",
+  "cox_underweight",
+];
+
+const toId = (value) => (value?._id ?? value)?.toString();
+
+/**
+ * Whether a boat class is raced under lightweight rules
+ * @param {object} boatClass - Boat class document
+ * @returns {boolean}
+ */
+export function isLightweightBoatClass(boatClass) {
+  return boatClass?.weightClass === "lightweight";
+}
+
+/**
+ * Athletes rowing in a lane (the crew without the cox, or the single athlete)
+ * @param {object} lane - Lane assignment
+ * @returns {Array<string>} Athlete ids
+ */
+export function getLaneRowerIds(lane) {
+  return getCrewRowers(lane).map(toId);
+}
+
+/**
+ * Minimum cox weight for a crew: the women's minimum when every rower is a
+ * woman, otherwise the men's minimum (men's and mixed crews)
+ *
+ * @param {Array} rowers - Rowers with gender ({ gender })
+ * @returns {number} Kilograms
+ */
+export function getCoxMinWeightKg(rowers = []) {
+  const womenCrew =
+    rowers.length > 0 && rowers.every((rower) => rower?.gender === "female");
+  return womenCrew ? COX_MIN_WEIGHT_KG.female : COX_MIN_WEIGHT_KG.male;
+}
+
+/**
+ * Check a coxswain against the minimum weight.
+ *
+ * @param {string} athleteId - Cox id
+ * @param {object} [weighIn] - Weigh-in of the day
+ * @param {number} [minKg] - Minimum for the crew (see getCoxMinWeightKg)
+ * @returns {object} { athleteId, weightKg, weighedAt, minKg, deadweightKg,
+ *   status }
+ */
+export function evaluateCoxWeighIn(
+  athleteId,
+  weighIn,
+  minKg = COX_MIN_WEIGHT_KG.male,
+) {
+  let status = "passed";
+  let deadweightKg = null;
+  if (!weighIn) {
+    status = "missing";
+  } else if (weighIn.weightKg < minKg - COX_MAX_DEADWEIGHT_KG) {
+    status = "cox_underweight";
+  } else {
+    deadweightKg = Math.max(0, minKg - weighIn.weightKg);
+  }
+  return {
+    athleteId: toId(athleteId),
+    weightKg: weighIn?.weightKg,
+    weighedAt: weighIn?.weighedAt,
+    minKg,
+    deadweightKg,
+    status,
+  };
+}
+
+/**
+ * Check one crew against the lightweight limits.
+ *
+ * @param {Array} athletes - Athletes with gender ({ _id, gender })
+ * @param {Map} weighInsByAthlete - athleteId -> weigh-in of the day
+ * @returns {object} { status, passed, averageKg, athletes: [{ athleteId,
+ *   weightKg, weighedAt, status }] }
+ */
+export function evaluateCrewWeighIn(athletes, weighInsByAthlete) {
+  const rows = athletes.map((athlete) => {
+    const weighIn = weighInsByAthlete.get(toId(athlete));
+    const limits = LIGHTWEIGHT_LIMITS[athlete.gender];
+    let status = "passed";
+    if (!weighIn) {
+      status = "missing";
+    } else if (limits && weighIn.weightKg > limits.maxKg) {
+      status = "overweight";
+    }
+    return {
+      athleteId: toId(athlete),
+      weightKg: weighIn?.weightKg,
+      weighedAt: weighIn?.weighedAt,
+      status,
+    };
+  });
+
+  let status = "passed";
+  if (rows.some((row) => row.status === "missing")) {
+    status = "missing";
+  } else if (rows.some((row) => row.status === "overweight")) {
+    status = "overweight";
+  }
+
+  let averageKg = null;
+  if (rows.length > 1 && rows.every((row) => row.weightKg !== undefined)) {
+    averageKg =
+      rows.reduce((total, row) => total + row.weightKg, 0) / rows.length;
+
+    // Average limit only applies to single-gender crews
+    const genders = new Set(athletes.map((athlete) => athlete.gender));
+    const limits =
+      genders.size === 1 ? LIGHTWEIGHT_LIMITS[[...genders][0]] : null;
+    if (status === "passed" && limits && averageKg > limits.crewAverageKg) {
+      status = "crew_average";
+    }
+  }
+
+  return { status, passed: status === "passed", averageKg, athletes: rows };
+}
+
+/**
+ * Weigh-in state of every lane in a lightweight or coxed race. Rowers are
+ * only weighed in lightweight races; coxes in coxed races of competitions
+ * with coxWeighIn set.
+ *
+ * @param {object} race - Race with competition, boatClass, journeyIndex, lanes
+ * @param {object} [options]
+ * @param {boolean} [options.coxWeighIn] - Weigh coxes (competition setting)
+ * @returns {Promise<object|null>} null when nobody has to weigh in,
+ *   otherwise { journeyIndex, lanes: [{ lane, ...evaluateCrewWeighIn,
+ *   coxswain }] }
+ */
+export async function evaluateRaceWeighIns(race, { coxWeighIn = false } = {}) {
+  if (!race?.boatClass) {
+    return null;
+  }
+  const boatClass =
+    race.boatClass.weightClass !== undefined
+      ? race.boatClass
+      : await BoatClass.findById(race.boatClass)
+          .select("weightClass coxswain")
+          .lean();
+  const lightweight = isLightweightBoatClass(boatClass);
+  const weighCoxes = coxWeighIn && isCoxedBoatClass(boatClass);
+  if (!lightweight && !weighCoxes) {
+    return null;
+  }
+
+  const lanes = (race.lanes || []).filter(
+    (lane) => getLaneRowerIds(lane).length,
+  );
+  // Rower genders are also needed for the cox minimum
+  const athleteIds = [
+    ...new Set(
+      lanes.flatMap((lane) => [
+        ...getLaneRowerIds(lane),
+        ...(weighCoxes && lane.coxswain ? [toId(lane.coxswain)] : []),
+      ]),
+    ),
+  ];
+
+  const [athletes, weighIns] = await Promise.all([
+    Athlete.find({ _id: { $in: athleteIds } })
+      .select("gender")
+      .lean(),
+    WeighIn.find({
+      competition: toId(race.competition),
+      journeyIndex: race.journeyIndex,
+      athlete: { $in: athleteIds },
+    }).lean(),
+  ]);
+
+  const athleteById = new Map(
+    athletes.map((athlete) => [athlete._id.toString(), athlete]),
+  );
+  const weighInsByAthlete = new Map(
+    weighIns.map((weighIn) => [weighIn.athlete.toString(), weighIn]),
+  );
+
+  return {
+    journeyIndex: race.journeyIndex,
+    lanes: lanes.map((lane) => {
+      const rowers = getLaneRowerIds(lane).map(
+        (id) => athleteById.get(id) || { _id: id },
+      );
+      const crew = lightweight
+        ? evaluateCrewWeighIn(rowers, weighInsByAthlete)
+        : { status: "passed", averageKg: null, athletes: [] };
+      const coxswain =
+        weighCoxes && lane.coxswain
+          ? evaluateCoxWeighIn(
+              lane.coxswain,
+              weighInsByAthlete.get(toId(lane.coxswain)),
+              getCoxMinWeightKg(rowers),
+            )
+          : null;
+      const status =
+        crew.status === "passed" && coxswain ? coxswain.status : crew.status;
+      return {
+        lane: lane.lane,
+        ...crew,
+        status,
+        passed: status === "passed",
+        coxswain,
+      };
+    }),
+  };
+}
+
+/**
+ * Lane numbers that have not passed the weigh-in
+ * @param {object|null} evaluation - Result of evaluateRaceWeighIns
+ * @returns {Set<number>}
+ */
+export function getBlockedLanes(evaluation) {
+  return new Set(
+    (evaluation?.lanes || [])
+      .filter((lane) => !lane.passed)
+      .map((lane) => lane.lane),
+  );
+}
+
+export default {
+  LIGHTWEIGHT_LIMITS,
+  COX_MIN_WEIGHT_KG,
+  COX_MAX_DEADWEIGHT_KG,
+  WEIGH_IN_STATUSES,
+  isLightweightBoatClass,
+  getLaneRowerIds,
+  getCoxMinWeightKg,
+  evaluateCoxWeighIn,
+  evaluateCrewWeighIn,
+  evaluateRaceWeighIns,
+  getBlockedLanes,
+};
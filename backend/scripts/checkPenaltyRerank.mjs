@@ -0,0 +1,56 @@
+/**
+ * Check that a penalty added to an existing result changes the finish order
+ * when positions are recomputed from final times (as results entry and
+ * timing imports do).
+ *
+ * Run with: node backend/scripts/checkPenaltyRerank.mjs
+ */
+
+import assert from "node:assert/strict";
+import {
+  mergeLaneResult,
+  rerankByTime,
+} from "../Services/raceResultService.js";
+
+const race = {
+  lanes: [
+    {
+      lane: 1,
+      result: {
+        status: "ok",
+        elapsedMs: 400000,
+        adjustedMs: 400000,
+        finishPosition: 1,
+      },
+    },
+    {
+      lane: 2,
+      result: {
+        status: "ok",
+        elapsedMs: 405000,
+        adjustedMs: 405000,
+        finishPosition: 2,
+      },
+    },
+  ],
+};
+
+// 10 s penalty on the winner, sent as an update over the stored result
+mergeLaneResult(race.lanes[0], {
+  penalties: [{ amountMs: 10000, reason: "Lane infringement" }],
+});
+rerankByTime(race);
+
+assert.equal(race.lanes[0].result.adjustedMs, 410000);
+assert.equal(race.lanes[0].result.finishPosition, 2);
+assert.equal(race.lanes[1].result.finishPosition, 1);
+
+// Corrected time on the penalised lane
+mergeLaneResult(race.lanes[0], { elapsedMs: 390000 });
+rerankByTime(race);
+
+assert.equal(race.lanes[0].result.adjustedMs, 400000);
+assert.equal(race.lanes[0].result.finishPosition, 1);
+assert.equal(race.lanes[1].result.finishPosition, 2);
+
+console.log("✅ Penalties and corrected times change the finish order");
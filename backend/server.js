@@ -16,9 +16,19 @@ import categoryRoutes from "./Routes/categoryRoutes.js";
 import boatClassRoutes from "./Routes/boatClassRoutes.js";
 import competitionRoutes from "./Routes/competitionRoutes.js";
 import competitionRaceRoutes from "./Routes/competitionRaceRoutes.js";
+import protestRoutes from "./Routes/protestRoutes.js";
+import weighInRoutes from "./Routes/weighInRoutes.js";
+import checkInRoutes from "./Routes/checkInRoutes.js";
 import competitionRegistrationRoutes from "./Routes/competitionRegistrationRoutes.js";
 import rankingRoutes from "./Routes/rankingRoutes.js";
+import invoiceRoutes from "./Routes/invoiceRoutes.js";
+import licenceFeeRoutes from "./Routes/licenceFeeRoutes.js";
+import seasonRolloverRoutes from "./Routes/seasonRolloverRoutes.js";
+import licenceRenewalRoutes from "./Routes/licenceRenewalRoutes.js";
+import licenceCardRoutes from "./Routes/licenceCardRoutes.js";
 import beachSprintRoutes from "./Routes/beachSprintRoutes.js";
+import publicRoutes from "./Routes/publicRoutes.js";
+import { startRegistrationScheduler } from "./Services/registrationWindowService.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -44,12 +54,14 @@ app.use((req, res, next) => {
 });
 
 connectDB(); // Connect to the database
+startRegistrationScheduler(); // Open and close registration on schedule
 
 // Test route
 app.get("/api/test", (req, res) => {
   res.json({ message: "Backend is working!" });
 });
 
+app.use("/api/public", publicRoutes);
 app.use("/api/users", protect, userRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/clubs", clubRoutes);
@@ -58,13 +70,24 @@ app.use("/api/athlete-transfers", transferRoutes);
 app.use("/api/athlete-deletions", athleteDeletionRoutes);
 app.use("/api/categories", categoryRoutes);
 app.use("/api/boat-classes", boatClassRoutes);
+app.use(
+  "/api/competitions/:competitionId/races/:raceId/protests",
+  protestRoutes,
+);
 app.use("/api/competitions/:competitionId/races", competitionRaceRoutes);
+app.use("/api/competitions/:competitionId/weigh-ins", weighInRoutes);
+app.use("/api/competitions/:competitionId/check-ins", checkInRoutes);
 app.use(
   "/api/competitions/:competitionId/registration",
   competitionRegistrationRoutes,
 );
 app.use("/api/competitions", competitionRoutes);
 app.use("/api/rankings", rankingRoutes);
+app.use("/api/invoices", invoiceRoutes);
+app.use("/api/licence-fees", licenceFeeRoutes);
+app.use("/api/season-rollover", seasonRolloverRoutes);
+app.use("/api/licence-renewals", licenceRenewalRoutes);
+app.use("/api/licence-cards", licenceCardRoutes);
 app.use("/api/beach-sprint", beachSprintRoutes);
 
 // Error handling middleware
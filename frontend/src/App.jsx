@@ -27,6 +27,10 @@ import CompetitionRankings from "./pages/CompetitionRankings";
 import RankingSystemManagement from "./pages/RankingSystemManagement";
 import BeachSprintCompetition from "./pages/BeachSprintCompetition";
 import RaceDetail from "./pages/RaceDetail";
+import PublicCompetitions from "./pages/PublicCompetitions";
+import PublicCompetition from "./pages/PublicCompetition";
+import LicenceVerification from "./pages/LicenceVerification";
+import ControlCommission from "./pages/ControlCommission";
 
 function App() {
   return (
@@ -46,6 +50,15 @@ function App() {
         />
         <Routes>
           <Route path="/login" element={<LoginPage />} />
+          <Route path="/public" element={<PublicCompetitions />} />
+          <Route
+            path="/public/competitions/:competitionId"
+            element={<PublicCompetition />}
+          />
+          <Route
+            path="/verify/licence/:licenseNumber"
+            element={<LicenceVerification />}
+          />
           <Route
             path="/"
             element={
@@ -115,7 +128,9 @@ function App() {
           <Route
             path="/competitions/:competitionId/races/:raceId"
             element={
-              <ProtectedRoute allowedRoles={["admin", "jury_president"]}>
+              <ProtectedRoute
+                allowedRoles={["admin", "jury_president", "club_manager"]}
+              >
                 <RaceDetail />
               </ProtectedRoute>
             }
@@ -156,6 +171,16 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/control-commission"
+            element={
+              <ProtectedRoute
+                allowedRoles={["admin", "jury_president", "umpire"]}
+              >
+                <ControlCommission />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/clubs/:clubId"
             element={
@@ -0,0 +1,160 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import jsPDF from "jspdf";
+import { Hash, Printer } from "lucide-react";
+import { Button } from "./ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+
+const API_BASE_URL = "";
+
+const BOW_NUMBERING_LABELS = {
+  event: "per event",
+  sequential: "sequential across the regatta",
+  club: "by club",
+};
+
+// A4 sheet of 3 x 8 labels (70 x 37 mm)
+const STICKER_LAYOUT = {
+  columns: 3,
+  rows: 8,
+  width: 70,
+  height: 37.125,
+};
+
+const BowNumbersCard = ({ competitionId, competition, token, onUpdated }) => {
+  const [submitting, setSubmitting] = useState(false);
+
+  const baseUrl = `${API_BASE_URL}/api/competitions/${competitionId}/registration/bow-numbers`;
+  const bowNumbering = competition?.bowNumbering || {};
+
+  const allocate = async () => {
+    if (
+      bowNumbering.assignedAt &&
+      !window.confirm(
+        "Allocate bow numbers again? Numbers already printed may change.",
+      )
+    ) {
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const res = await fetch(baseUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({}),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Allocation failed");
+      toast.success(
+        `Bow numbers allocated to ${data.entries} crews (${data.races} races updated)`,
+      );
+      onUpdated?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const exportStickerSheetPDF = async () => {
+    setSubmitting(true);
+    try {
+      const res = await fetch(baseUrl, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to load numbers");
+      if (!data.crews?.length) {
+        toast.info("No bow numbers allocated yet");
+        return;
+      }
+
+      const doc = new jsPDF({
+        orientation: "portrait",
+        unit: "mm",
+        format: "a4",
+      });
+      const { columns, rows, width, height } = STICKER_LAYOUT;
+      const perPage = columns * rows;
+      const title = competition?.code || competition?.names?.en || "";
+
+      data.crews.forEach((crew, index) => {
+        if (index > 0 && index % perPage === 0) doc.addPage();
+        const slot = index % perPage;
+        const x = (slot % columns) * width;
+        const y = Math.floor(slot / columns) * height;
+        const center = x + width / 2;
+
+        doc.setDrawColor(200, 200, 200);
+        doc.rect(x + 1, y + 1, width - 2, height - 2);
+
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(44);
+        doc.text(String(crew.bowNumber), center, y + 21, { align: "center" });
+
+        doc.setFontSize(10);
+        const clubLabel = crew.club?.code || crew.club?.name || "";
+        doc.text(
+          `${clubLabel}${crew.crewNumber > 1 ? ` ${crew.crewNumber}` : ""} - ${crew.event}`,
+          center,
+          y + 28,
+          { align: "center" },
+        );
+
+        doc.setFont("helvetica", "normal");
+        doc.setFontSize(7);
+        doc.text(title, center, y + 33, { align: "center" });
+      });
+
+      doc.save(`bow-numbers-${competition?.code || "competition"}.pdf`);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-lg">
+          <Hash className="h-5 w-5" /> Bow numbers
+        </CardTitle>
+        <p className="text-sm text-slate-500">
+          Numbered{" "}
+          {BOW_NUMBERING_LABELS[bowNumbering.method] ||
+            BOW_NUMBERING_LABELS.event}
+          , starting at {bowNumbering.startAt || 1}.{" "}
+          {bowNumbering.assignedAt
+            ? `Last allocated ${new Date(bowNumbering.assignedAt).toLocaleString()}.`
+            : "Not allocated yet."}
+        </p>
+      </CardHeader>
+      <CardContent className="flex flex-wrap gap-2">
+        <Button
+          type="button"
+          size="sm"
+          variant={bowNumbering.assignedAt ? "outline" : "default"}
+          disabled={submitting}
+          onClick={allocate}
+        >
+          {bowNumbering.assignedAt ? "Allocate again" : "Allocate bow numbers"}
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          variant="outline"
+          disabled={submitting || !bowNumbering.assignedAt}
+          onClick={exportStickerSheetPDF}
+        >
+          <Printer className="mr-2 h-4 w-4" /> Sticker sheet (PDF)
+        </Button>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BowNumbersCard;
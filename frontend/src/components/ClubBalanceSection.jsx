@@ -0,0 +1,379 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { Wallet } from "lucide-react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Select } from "./ui/select";
+import { Badge } from "./ui/badge";
+
+const API_BASE_URL = "";
+
+const INVOICE_STATUS_BADGES = {
+  issued: { variant: "warning", label: "Unpaid" },
+  partially_paid: { variant: "warning", label: "Partially paid" },
+  paid: { variant: "success", label: "Paid" },
+};
+
+const PAYMENT_METHOD_LABELS = {
+  bank_transfer: "Bank transfer",
+  cash: "Cash",
+  cheque: "Cheque",
+  other: "Other",
+};
+
+const formatAmount = (value, currency) =>
+  `${(Number(value) || 0).toFixed(3)}${currency ? ` ${currency}` : ""}`;
+
+// athletes - licence lines the payment settles (licence invoices only)
+const emptyPayment = {
+  amount: "",
+  method: "bank_transfer",
+  reference: "",
+  athletes: [],
+};
+
+const ClubBalanceSection = ({ clubId, token, canRecordPayments }) => {
+  const [balance, setBalance] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [payment, setPayment] = useState(emptyPayment);
+  const [saving, setSaving] = useState(false);
+
+  const loadBalance = useCallback(async () => {
+    if (!clubId || !token) return;
+    setLoading(true);
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/invoices/clubs/${clubId}/balance`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to load balance");
+      setBalance(data);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [clubId, token]);
+
+  useEffect(() => {
+    loadBalance();
+  }, [loadBalance]);
+
+  const toggleInvoice = (invoiceId) => {
+    setExpandedId((previous) => (previous === invoiceId ? null : invoiceId));
+    setPayment(emptyPayment);
+  };
+
+  // Ticking licences fills in the amount due for them
+  const togglePaymentAthlete = (invoice, athleteId) =>
+    setPayment((prev) => {
+      const athletes = prev.athletes.includes(athleteId)
+        ? prev.athletes.filter((id) => id !== athleteId)
+        : [...prev.athletes, athleteId];
+      const due = invoice.lines
+        .filter((line) => athletes.includes(line.athlete))
+        .reduce((sum, line) => sum + line.amount, 0);
+      return {
+        ...prev,
+        athletes,
+        amount: athletes.length ? due.toFixed(3) : prev.amount,
+      };
+    });
+
+  const recordPayment = async (invoice) => {
+    if (!Number(payment.amount)) {
+      toast.error("Enter the amount paid");
+      return;
+    }
+    setSaving(true);
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/invoices/${invoice._id}/payments`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({
+            amount: Number(payment.amount),
+            method: payment.method,
+            reference: payment.reference,
+            athletes: payment.athletes.length ? payment.athletes : undefined,
+          }),
+        },
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to record payment");
+      toast.success("Payment recorded");
+      setPayment(emptyPayment);
+      await loadBalance();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const invoices = balance?.invoices || [];
+  const currency = invoices[0]?.currency || "TND";
+
+  return (
+    <section className="space-y-4 rounded-2xl border border-slate-200 bg-white p-6 shadow-sm">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div className="space-y-1">
+          <h2 className="flex items-center gap-2 text-lg font-semibold text-slate-900">
+            <Wallet className="h-5 w-5" /> Balance
+          </h2>
+          <p className="text-sm text-slate-500">
+            Season licence fees and competition entry fees invoiced to the club.
+          </p>
+        </div>
+        {balance ? (
+          <div className="grid grid-cols-3 gap-4 text-right text-sm">
+            <div>
+              <p className="text-xs uppercase text-slate-400">Invoiced</p>
+              <p className="font-semibold text-slate-900">
+                {formatAmount(balance.invoiced, currency)}
+              </p>
+            </div>
+            <div>
+              <p className="text-xs uppercase text-slate-400">Paid</p>
+              <p className="font-semibold text-emerald-700">
+                {formatAmount(balance.paid, currency)}
+              </p>
+            </div>
+            <div>
+              <p className="text-xs uppercase text-slate-400">Outstanding</p>
+              <p
+                className={
+                  balance.outstanding > 0
+                    ? "font-semibold text-rose-600"
+                    : "font-semibold text-slate-900"
+                }
+              >
+                {formatAmount(balance.outstanding, currency)}
+              </p>
+            </div>
+          </div>
+        ) : null}
+      </div>
+
+      {loading && !balance ? (
+        <p className="text-sm text-slate-500">Loading invoices...</p>
+      ) : !invoices.length ? (
+        <p className="text-sm text-slate-500">No invoices yet.</p>
+      ) : (
+        <table className="w-full text-left text-sm">
+          <thead className="text-xs uppercase text-slate-400">
+            <tr>
+              <th className="py-1">Invoice</th>
+              <th className="py-1">For</th>
+              <th className="py-1 text-right">Total</th>
+              <th className="py-1 text-right">Paid</th>
+              <th className="py-1">Status</th>
+              <th className="py-1" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {invoices.map((invoice) => {
+              const badge = INVOICE_STATUS_BADGES[invoice.status];
+              const expanded = expandedId === invoice._id;
+              const isLicence = invoice.type === "licence_fees";
+              const selectLicences =
+                isLicence && canRecordPayments && invoice.status !== "paid";
+              const paidAthletes = new Set(invoice.paidAthletes || []);
+              return (
+                <React.Fragment key={invoice._id}>
+                  <tr>
+                    <td className="py-2 font-mono text-xs text-slate-700">
+                      {invoice.number}
+                    </td>
+                    <td className="py-2 text-slate-700">
+                      {isLicence
+                        ? `Licences ${invoice.season}`
+                        : invoice.competition?.names?.en ||
+                          invoice.competition?.code ||
+                          "-"}
+                    </td>
+                    <td className="py-2 text-right font-mono">
+                      {formatAmount(invoice.total, invoice.currency)}
+                    </td>
+                    <td className="py-2 text-right font-mono">
+                      {formatAmount(invoice.amountPaid, invoice.currency)}
+                    </td>
+                    <td className="py-2">
+                      <Badge variant={badge?.variant}>
+                        {badge?.label || invoice.status}
+                      </Badge>
+                    </td>
+                    <td className="py-2 text-right">
+                      <Button
+                        type="button"
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => toggleInvoice(invoice._id)}
+                      >
+                        {expanded ? "Hide" : "Details"}
+                      </Button>
+                    </td>
+                  </tr>
+                  {expanded ? (
+                    <tr>
+                      <td colSpan={6} className="bg-slate-50 p-4">
+                        <div className="space-y-4">
+                          <table className="w-full text-xs">
+                            <thead className="uppercase text-slate-400">
+                              <tr>
+                                {selectLicences ? (
+                                  <th className="py-1 text-left">Paying</th>
+                                ) : null}
+                                <th className="py-1 text-left">
+                                  {isLicence ? "Athlete" : "Entry"}
+                                </th>
+                                {!isLicence ? (
+                                  <>
+                                    <th className="py-1 text-right">Boat</th>
+                                    <th className="py-1 text-right">Seats</th>
+                                    <th className="py-1 text-right">Late</th>
+                                  </>
+                                ) : null}
+                                <th className="py-1 text-right">Amount</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {invoice.lines.map((line, index) => (
+                                <tr key={line.entry || line.athlete || index}>
+                                  {selectLicences ? (
+                                    <td className="py-1">
+                                      {paidAthletes.has(line.athlete) ? (
+                                        <span className="text-emerald-700">
+                                          Paid
+                                        </span>
+                                      ) : line.athlete ? (
+                                        <input
+                                          type="checkbox"
+                                          checked={payment.athletes.includes(
+                                            line.athlete,
+                                          )}
+                                          onChange={() =>
+                                            togglePaymentAthlete(
+                                              invoice,
+                                              line.athlete,
+                                            )
+                                          }
+                                        />
+                                      ) : null}
+                                    </td>
+                                  ) : null}
+                                  <td className="py-1">{line.description}</td>
+                                  {!isLicence ? (
+                                    <>
+                                      <td className="py-1 text-right font-mono">
+                                        {formatAmount(line.boatFee)}
+                                      </td>
+                                      <td className="py-1 text-right font-mono">
+                                        {line.seats} /{" "}
+                                        {formatAmount(line.seatFee)}
+                                      </td>
+                                      <td className="py-1 text-right font-mono">
+                                        {line.lateSurcharge
+                                          ? formatAmount(line.lateSurcharge)
+                                          : "-"}
+                                      </td>
+                                    </>
+                                  ) : null}
+                                  <td className="py-1 text-right font-mono">
+                                    {formatAmount(line.amount)}
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+
+                          {invoice.payments?.length ? (
+                            <ul className="space-y-1 text-xs text-slate-600">
+                              {invoice.payments.map((item) => (
+                                <li key={item._id}>
+                                  {new Date(item.paidAt).toLocaleDateString()} -{" "}
+                                  {formatAmount(item.amount, invoice.currency)}{" "}
+                                  (
+                                  {PAYMENT_METHOD_LABELS[item.method] ||
+                                    item.method}
+                                  {item.reference ? `, ${item.reference}` : ""})
+                                </li>
+                              ))}
+                            </ul>
+                          ) : null}
+
+                          {canRecordPayments && invoice.status !== "paid" ? (
+                            <div className="flex flex-wrap items-end gap-2">
+                              <Input
+                                type="number"
+                                min="0"
+                                step="0.001"
+                                className="w-32"
+                                placeholder="Amount"
+                                value={payment.amount}
+                                onChange={(e) =>
+                                  setPayment((prev) => ({
+                                    ...prev,
+                                    amount: e.target.value,
+                                  }))
+                                }
+                              />
+                              <Select
+                                value={payment.method}
+                                onChange={(e) =>
+                                  setPayment((prev) => ({
+                                    ...prev,
+                                    method: e.target.value,
+                                  }))
+                                }
+                              >
+                                {Object.entries(PAYMENT_METHOD_LABELS).map(
+                                  ([value, label]) => (
+                                    <option key={value} value={value}>
+                                      {label}
+                                    </option>
+                                  ),
+                                )}
+                              </Select>
+                              <Input
+                                className="w-48"
+                                placeholder="Reference"
+                                value={payment.reference}
+                                onChange={(e) =>
+                                  setPayment((prev) => ({
+                                    ...prev,
+                                    reference: e.target.value,
+                                  }))
+                                }
+                              />
+                              <Button
+                                type="button"
+                                size="sm"
+                                disabled={saving}
+                                onClick={() => recordPayment(invoice)}
+                              >
+                                Record payment
+                              </Button>
+                            </div>
+                          ) : null}
+                        </div>
+                      </td>
+                    </tr>
+                  ) : null}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+};
+
+export default ClubBalanceSection;
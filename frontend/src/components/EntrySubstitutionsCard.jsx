@@ -0,0 +1,330 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { toast } from "react-toastify";
+import { ArrowRightLeft } from "lucide-react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Select } from "./ui/select";
+import { Label } from "./ui/label";
+import { Badge } from "./ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { getSeatTag } from "../lib/crewSeats";
+import {
+  formatEligibilityIssues,
+  promptEligibilityOverride,
+} from "../lib/eligibility";
+import { useAuth } from "../contexts/AuthContext";
+
+const API_BASE_URL = "";
+
+const SUBSTITUTION_STATUS_STYLES = {
+  pending: "warning",
+  approved: "success",
+  rejected: "error",
+};
+
+const formatName = (athlete) =>
+  athlete
+    ? `${athlete.firstName || ""} ${athlete.lastName || ""}`.trim() ||
+      athlete.licenseNumber ||
+      "Athlete"
+    : "-";
+
+const emptyRequest = { outgoing: "", incoming: "", reason: "" };
+
+const EntrySubstitutionsCard = ({
+  competitionId,
+  entry,
+  token,
+  canReview,
+  onClose,
+  onUpdated,
+}) => {
+  const [form, setForm] = useState(emptyRequest);
+  const [candidates, setCandidates] = useState([]);
+  const [reviewNotes, setReviewNotes] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const { user } = useAuth();
+
+  const baseUrl = `${API_BASE_URL}/api/competitions/${competitionId}/registration`;
+
+  const crew = useMemo(() => {
+    if (entry?.crew?.length) return entry.crew;
+    return entry?.athlete ? [entry.athlete] : [];
+  }, [entry]);
+  const crewIds = useMemo(
+    () => new Set(crew.map((member) => member?.id)),
+    [crew],
+  );
+  const replacesCox = Boolean(
+    form.outgoing && form.outgoing === entry?.coxswain,
+  );
+
+  // Athletes of the club who may come in for the outgoing athlete
+  useEffect(() => {
+    if (!entry?.category?.id || !form.outgoing) {
+      setCandidates([]);
+      return;
+    }
+    const params = new URLSearchParams();
+    params.set("limit", "100");
+    params.set("category", entry.category.id);
+    if (entry.club?.id) params.set("clubId", entry.club.id);
+    if (replacesCox) params.set("role", "cox");
+
+    fetch(`${baseUrl}/eligible?${params.toString()}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then((res) => (res.ok ? res.json() : { athletes: [] }))
+      .then((data) => setCandidates(data.athletes || []))
+      .catch(() => setCandidates([]));
+  }, [
+    baseUrl,
+    entry?.category?.id,
+    entry?.club?.id,
+    form.outgoing,
+    replacesCox,
+    token,
+  ]);
+
+  const sendRequest = async (url, method, body, successMessage) => {
+    setSubmitting(true);
+    try {
+      const send = (payload) =>
+        fetch(url, {
+          method,
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify(payload),
+        });
+      let res = await send(body);
+      let data = await res.json().catch(() => ({}));
+      // Same eligibility rules as lane writes: the jury may accept errors
+      if (res.status === 409 && data.eligibility) {
+        const overrideReason = promptEligibilityOverride(
+          data.eligibility,
+          user,
+        );
+        if (overrideReason) {
+          res = await send({
+            ...body,
+            overrideEligibility: true,
+            overrideReason,
+          });
+          data = await res.json().catch(() => ({}));
+        }
+      }
+      if (!res.ok) {
+        throw new Error(
+          data.eligibility?.errors?.length
+            ? `${data.message}\n${formatEligibilityIssues(data.eligibility.errors)}`
+            : data.message || "Request failed",
+        );
+      }
+      toast.success(successMessage);
+      if (data.eligibility?.warnings?.length) {
+        toast.warning(formatEligibilityIssues(data.eligibility.warnings));
+      }
+      onUpdated?.(data.entry);
+      return true;
+    } catch (err) {
+      toast.error(err.message);
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    if (!form.outgoing || !form.incoming) {
+      toast.error("Choose who goes out and who comes in");
+      return;
+    }
+    const done = await sendRequest(
+      `${baseUrl}/${entry.id}/substitutions`,
+      "POST",
+      form,
+      "Substitution requested",
+    );
+    if (done) setForm(emptyRequest);
+  };
+
+  const handleReview = (substitutionId, status) =>
+    sendRequest(
+      `${baseUrl}/${entry.id}/substitutions/${substitutionId}`,
+      "PATCH",
+      { status, reviewerNotes: reviewNotes[substitutionId] || undefined },
+      status === "approved" ? "Substitution approved" : "Substitution rejected",
+    );
+
+  if (!entry) return null;
+
+  const substitutions = entry.substitutions || [];
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="flex items-center gap-2 text-lg">
+          <ArrowRightLeft className="h-5 w-5" /> Substitutions -{" "}
+          {entry.club?.code && entry.crewNumber
+            ? `${entry.club.code} ${entry.crewNumber}`
+            : formatName(crew[0])}{" "}
+          ({entry.category?.abbreviation || "-"})
+        </CardTitle>
+        <Button type="button" variant="ghost" onClick={onClose}>
+          Close
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {substitutions.length === 0 ? (
+          <p className="text-sm text-slate-500">No substitutions yet.</p>
+        ) : (
+          <ul className="space-y-3">
+            {substitutions.map((substitution) => (
+              <li
+                key={substitution.id}
+                className="space-y-2 rounded-lg border border-slate-200 p-3 text-sm"
+              >
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <span className="font-medium text-slate-900">
+                    {formatName(substitution.outgoing)} &rarr;{" "}
+                    {formatName(substitution.incoming)}
+                  </span>
+                  <Badge
+                    variant={SUBSTITUTION_STATUS_STYLES[substitution.status]}
+                  >
+                    {substitution.status}
+                  </Badge>
+                </div>
+                {substitution.reason && (
+                  <p className="text-slate-600">{substitution.reason}</p>
+                )}
+                <p className="text-xs text-slate-500">
+                  Requested{" "}
+                  {substitution.requestedAt
+                    ? new Date(substitution.requestedAt).toLocaleString()
+                    : "-"}
+                  {substitution.status === "approved" &&
+                    ` - ${substitution.raceCount} race(s) updated`}
+                </p>
+                {substitution.reviewerNotes && (
+                  <p className="text-xs text-slate-500">
+                    Jury: {substitution.reviewerNotes}
+                  </p>
+                )}
+                {canReview && substitution.status === "pending" && (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <Input
+                      className="max-w-xs"
+                      placeholder="Jury notes (optional)"
+                      value={reviewNotes[substitution.id] || ""}
+                      onChange={(e) =>
+                        setReviewNotes((prev) => ({
+                          ...prev,
+                          [substitution.id]: e.target.value,
+                        }))
+                      }
+                    />
+                    <Button
+                      type="button"
+                      size="sm"
+                      disabled={submitting}
+                      onClick={() => handleReview(substitution.id, "approved")}
+                    >
+                      Approve
+                    </Button>
+                    <Button
+                      type="button"
+                      size="sm"
+                      variant="outline"
+                      disabled={submitting}
+                      onClick={() => handleReview(substitution.id, "rejected")}
+                    >
+                      Reject
+                    </Button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {entry.status === "approved" && (
+          <form
+            onSubmit={handleRequest}
+            className="grid gap-4 rounded-lg border border-slate-200 bg-slate-50 p-4 md:grid-cols-3"
+          >
+            <div className="space-y-2">
+              <Label htmlFor="substitutionOutgoing">Out</Label>
+              <Select
+                id="substitutionOutgoing"
+                value={form.outgoing}
+                onChange={(e) =>
+                  setForm((prev) => ({
+                    ...prev,
+                    outgoing: e.target.value,
+                    incoming: "",
+                  }))
+                }
+              >
+                <option value="">Select athlete</option>
+                {crew.map((member, index) => (
+                  <option key={member.id} value={member.id}>
+                    {getSeatTag(crew, index, entry.coxswain)}
+                    {formatName(member)}
+                  </option>
+                ))}
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="substitutionIncoming">In</Label>
+              <Select
+                id="substitutionIncoming"
+                value={form.incoming}
+                onChange={(e) =>
+                  setForm((prev) => ({ ...prev, incoming: e.target.value }))
+                }
+                disabled={!form.outgoing}
+              >
+                <option value="">Select athlete</option>
+                {candidates
+                  .filter((candidate) => !crewIds.has(candidate.athlete?.id))
+                  .map((candidate) => (
+                    <option
+                      key={candidate.athlete.id}
+                      value={candidate.athlete.id}
+                    >
+                      {formatName(candidate.athlete)}
+                      {candidate.athlete.licenseNumber
+                        ? ` (${candidate.athlete.licenseNumber})`
+                        : ""}
+                    </option>
+                  ))}
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="substitutionReason">Reason</Label>
+              <Input
+                id="substitutionReason"
+                value={form.reason}
+                onChange={(e) =>
+                  setForm((prev) => ({ ...prev, reason: e.target.value }))
+                }
+                placeholder="Illness, injury..."
+              />
+            </div>
+            <div className="md:col-span-3 flex justify-end">
+              <Button type="submit" disabled={submitting}>
+                Request substitution
+              </Button>
+            </div>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default EntrySubstitutionsCard;
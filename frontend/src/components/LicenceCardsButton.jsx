@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { IdCard } from "lucide-react";
+import { Button } from "./ui/button";
+import { exportLicenceCardsPDF } from "../lib/licenceCards";
+
+const API_BASE_URL = "";
+
+/**
+ * Print the licence cards of a club (or of given athletes) for a season.
+ * Only valid licences are printed unless includeInvalid is set.
+ */
+const LicenceCardsButton = ({
+  token,
+  clubId,
+  athleteIds,
+  season = new Date().getFullYear(),
+  fileName,
+  includeInvalid = false,
+  size = "sm",
+  variant = "outline",
+  label = "Print licence cards",
+}) => {
+  const [printing, setPrinting] = useState(false);
+
+  const print = async () => {
+    setPrinting(true);
+    try {
+      const params = new URLSearchParams({ season: String(season) });
+      if (clubId) params.set("clubId", clubId);
+      if (athleteIds?.length) params.set("athleteIds", athleteIds.join(","));
+      const res = await fetch(`${API_BASE_URL}/api/licence-cards?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to load cards");
+
+      const cards = includeInvalid
+        ? data.cards
+        : data.cards.filter((card) => card.valid);
+      if (!cards.length) {
+        toast.info(`No valid licence to print for ${data.season}`);
+        return;
+      }
+      await exportLicenceCardsPDF(
+        cards,
+        fileName || `licence-cards-${data.season}.pdf`,
+      );
+      const skipped = data.cards.length - cards.length;
+      if (skipped) {
+        toast.info(`${skipped} athlete(s) without a valid licence skipped`);
+      }
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setPrinting(false);
+    }
+  };
+
+  return (
+    <Button
+      type="button"
+      size={size}
+      variant={variant}
+      disabled={printing}
+      onClick={print}
+    >
+      <IdCard className="mr-2 h-4 w-4" />
+      {printing ? "Preparing cards..." : label}
+    </Button>
+  );
+};
+
+export default LicenceCardsButton;
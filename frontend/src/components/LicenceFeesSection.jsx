@@ -0,0 +1,420 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { Plus, Receipt, Trash2 } from "lucide-react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Select } from "./ui/select";
+import { Label } from "./ui/label";
+import { Badge } from "./ui/badge";
+
+const API_BASE_URL = "";
+
+const INVOICE_STATUS_BADGES = {
+  issued: { variant: "warning", label: "Unpaid" },
+  partially_paid: { variant: "warning", label: "Partially paid" },
+  paid: { variant: "success", label: "Paid" },
+};
+
+const currentSeason = () => new Date().getFullYear();
+
+const formatAmount = (value, currency) =>
+  `${(Number(value) || 0).toFixed(3)}${currency ? ` ${currency}` : ""}`;
+
+const emptyRate = {
+  label: "",
+  category: "",
+  minAge: "",
+  maxAge: "",
+  amount: "",
+};
+
+const toFormTariff = (tariff) => ({
+  currency: tariff?.currency || "TND",
+  defaultAmount: tariff?.defaultAmount ?? "",
+  requirePayment: Boolean(tariff?.requirePayment),
+  rates: (tariff?.rates || []).map((rate) => ({
+    label: rate.label || "",
+    category: rate.category?._id || rate.category || "",
+    minAge: rate.minAge ?? "",
+    maxAge: rate.maxAge ?? "",
+    amount: rate.amount ?? "",
+  })),
+});
+
+const LicenceFeesSection = ({ token }) => {
+  const [season, setSeason] = useState(String(currentSeason()));
+  const [tariff, setTariff] = useState(toFormTariff(null));
+  const [categories, setCategories] = useState([]);
+  const [summary, setSummary] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [generating, setGenerating] = useState(false);
+
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const loadSeason = useCallback(async () => {
+    if (!token || !/^\d{4}$/.test(season)) return;
+    setLoading(true);
+    try {
+      const [tariffRes, summaryRes] = await Promise.all([
+        fetch(`${API_BASE_URL}/api/licence-fees/tariffs/${season}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        }),
+        fetch(`${API_BASE_URL}/api/licence-fees/summary?season=${season}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        }),
+      ]);
+      const tariffData = await tariffRes.json().catch(() => ({}));
+      const summaryData = await summaryRes.json().catch(() => ({}));
+      if (!tariffRes.ok) {
+        throw new Error(tariffData.message || "Failed to load tariff");
+      }
+      if (!summaryRes.ok) {
+        throw new Error(summaryData.message || "Failed to load licences");
+      }
+      setTariff(toFormTariff(tariffData));
+      setSummary(summaryData.clubs || []);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [season, token]);
+
+  useEffect(() => {
+    loadSeason();
+  }, [loadSeason]);
+
+  useEffect(() => {
+    if (!token) return;
+    fetch(`${API_BASE_URL}/api/categories?includeInactive=true`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then((res) => (res.ok ? res.json() : []))
+      .then((data) => setCategories(Array.isArray(data) ? data : []))
+      .catch(() => setCategories([]));
+  }, [token]);
+
+  const updateRate = (index, field, value) => {
+    setTariff((prev) => ({
+      ...prev,
+      rates: prev.rates.map((rate, i) =>
+        i === index ? { ...rate, [field]: value } : rate,
+      ),
+    }));
+  };
+
+  const saveTariff = async () => {
+    setSaving(true);
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/licence-fees/tariffs/${season}`,
+        {
+          method: "PUT",
+          headers: { ...headers, "Content-Type": "application/json" },
+          body: JSON.stringify({
+            ...tariff,
+            rates: tariff.rates.map((rate) => ({
+              ...rate,
+              category: rate.category || undefined,
+            })),
+          }),
+        },
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to save tariff");
+      toast.success(data.message || "Licence tariff saved");
+      setTariff(toFormTariff(data.tariff));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const generateInvoices = async () => {
+    setGenerating(true);
+    try {
+      const res = await fetch(`${API_BASE_URL}/api/licence-fees/invoices`, {
+        method: "POST",
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify({ season: Number(season) }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to invoice clubs");
+      toast.success(data.message);
+      await loadSeason();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const totals = summary.reduce(
+    (acc, row) => ({
+      paid: acc.paid + row.paid,
+      unpaid: acc.unpaid + row.unpaid,
+      notInvoiced: acc.notInvoiced + row.notInvoiced,
+    }),
+    { paid: 0, unpaid: 0, notInvoiced: 0 },
+  );
+
+  return (
+    <div className="space-y-6 rounded-2xl border border-slate-200 bg-white p-6 shadow-sm">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div className="space-y-1">
+          <h3 className="flex items-center gap-2 text-lg font-semibold text-slate-900">
+            <Receipt className="h-5 w-5" /> Licence Fees
+          </h3>
+          <p className="text-sm text-slate-500">
+            Season tariff, club licence invoices and paid vs unpaid licences.
+          </p>
+        </div>
+        <div className="flex items-end gap-2">
+          <div className="space-y-1">
+            <Label htmlFor="licence-season">Season</Label>
+            <Input
+              id="licence-season"
+              className="w-28"
+              inputMode="numeric"
+              value={season}
+              onChange={(e) => setSeason(e.target.value.trim())}
+            />
+          </div>
+          <Button
+            type="button"
+            disabled={generating || loading}
+            onClick={generateInvoices}
+          >
+            {generating ? "Invoicing..." : "Generate licence invoices"}
+          </Button>
+        </div>
+      </div>
+
+      <fieldset className="space-y-3 rounded-xl border border-slate-200 p-4">
+        <legend className="px-1 text-sm font-medium text-slate-700">
+          Tariff {season}
+        </legend>
+        <div className="flex flex-wrap items-end gap-4">
+          <div className="space-y-1">
+            <Label htmlFor="licence-currency">Currency</Label>
+            <Input
+              id="licence-currency"
+              className="w-24"
+              value={tariff.currency}
+              onChange={(e) =>
+                setTariff((prev) => ({ ...prev, currency: e.target.value }))
+              }
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="licence-default">Default fee</Label>
+            <Input
+              id="licence-default"
+              type="number"
+              min="0"
+              step="0.001"
+              className="w-32"
+              value={tariff.defaultAmount}
+              onChange={(e) =>
+                setTariff((prev) => ({
+                  ...prev,
+                  defaultAmount: e.target.value,
+                }))
+              }
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-slate-700">
+            <input
+              type="checkbox"
+              checked={tariff.requirePayment}
+              onChange={(e) =>
+                setTariff((prev) => ({
+                  ...prev,
+                  requirePayment: e.target.checked,
+                }))
+              }
+            />
+            Only activate licences once the fee is paid
+          </label>
+        </div>
+
+        <div className="space-y-2">
+          <p className="text-xs text-slate-500">
+            Rates apply by category or by age on the season cutoff; the first
+            matching rate wins, other athletes pay the default fee.
+          </p>
+          {tariff.rates.map((rate, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2">
+              <Input
+                className="w-40"
+                placeholder="Label"
+                value={rate.label}
+                onChange={(e) => updateRate(index, "label", e.target.value)}
+              />
+              <Select
+                value={rate.category}
+                onChange={(e) => updateRate(index, "category", e.target.value)}
+              >
+                <option value="">Any category</option>
+                {categories.map((category) => (
+                  <option key={category._id} value={category._id}>
+                    {category.abbreviation || category.code}
+                  </option>
+                ))}
+              </Select>
+              <Input
+                type="number"
+                min="0"
+                className="w-24"
+                placeholder="Min age"
+                disabled={Boolean(rate.category)}
+                value={rate.minAge}
+                onChange={(e) => updateRate(index, "minAge", e.target.value)}
+              />
+              <Input
+                type="number"
+                min="0"
+                className="w-24"
+                placeholder="Max age"
+                disabled={Boolean(rate.category)}
+                value={rate.maxAge}
+                onChange={(e) => updateRate(index, "maxAge", e.target.value)}
+              />
+              <Input
+                type="number"
+                min="0"
+                step="0.001"
+                className="w-32"
+                placeholder="Amount"
+                value={rate.amount}
+                onChange={(e) => updateRate(index, "amount", e.target.value)}
+              />
+              <Button
+                type="button"
+                size="sm"
+                variant="ghost"
+                onClick={() =>
+                  setTariff((prev) => ({
+                    ...prev,
+                    rates: prev.rates.filter((_, i) => i !== index),
+                  }))
+                }
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+          <div className="flex gap-2">
+            <Button
+              type="button"
+              size="sm"
+              variant="outline"
+              onClick={() =>
+                setTariff((prev) => ({
+                  ...prev,
+                  rates: [...prev.rates, { ...emptyRate }],
+                }))
+              }
+            >
+              <Plus className="mr-1 h-4 w-4" /> Add rate
+            </Button>
+            <Button
+              type="button"
+              size="sm"
+              disabled={saving}
+              onClick={saveTariff}
+            >
+              {saving ? "Saving..." : "Save tariff"}
+            </Button>
+          </div>
+        </div>
+      </fieldset>
+
+      {loading && !summary.length ? (
+        <p className="text-sm text-slate-500">Loading licences...</p>
+      ) : !summary.length ? (
+        <p className="text-sm text-slate-500">
+          No club has athletes registered for {season}.
+        </p>
+      ) : (
+        <table className="w-full text-left text-sm">
+          <thead className="text-xs uppercase text-slate-400">
+            <tr>
+              <th className="py-1">Club</th>
+              <th className="py-1 text-right">Athletes</th>
+              <th className="py-1 text-right">Paid</th>
+              <th className="py-1 text-right">Unpaid</th>
+              <th className="py-1 text-right">Not invoiced</th>
+              <th className="py-1 text-right">Invoice</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {summary.map((row) => {
+              const badge = INVOICE_STATUS_BADGES[row.invoice?.status];
+              return (
+                <tr key={row.club._id}>
+                  <td className="py-2 text-slate-700">
+                    {row.club.name || "-"}
+                    {row.club.code ? (
+                      <span className="ml-1 text-xs text-slate-400">
+                        {row.club.code}
+                      </span>
+                    ) : null}
+                  </td>
+                  <td className="py-2 text-right">{row.athletes}</td>
+                  <td className="py-2 text-right text-emerald-700">
+                    {row.paid}
+                  </td>
+                  <td
+                    className={
+                      row.unpaid
+                        ? "py-2 text-right text-rose-600"
+                        : "py-2 text-right"
+                    }
+                  >
+                    {row.unpaid}
+                  </td>
+                  <td className="py-2 text-right text-slate-500">
+                    {row.notInvoiced}
+                  </td>
+                  <td className="py-2 text-right">
+                    {row.invoice ? (
+                      <span className="inline-flex items-center gap-2">
+                        <span className="font-mono text-xs">
+                          {formatAmount(
+                            row.invoice.amountPaid,
+                            row.invoice.currency,
+                          )}{" "}
+                          / {formatAmount(row.invoice.total)}
+                        </span>
+                        <Badge variant={badge?.variant}>
+                          {badge?.label || row.invoice.status}
+                        </Badge>
+                      </span>
+                    ) : (
+                      "-"
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+          <tfoot className="text-xs font-semibold text-slate-600">
+            <tr>
+              <td className="py-2">Total</td>
+              <td />
+              <td className="py-2 text-right">{totals.paid}</td>
+              <td className="py-2 text-right">{totals.unpaid}</td>
+              <td className="py-2 text-right">{totals.notInvoiced}</td>
+              <td />
+            </tr>
+          </tfoot>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default LicenceFeesSection;
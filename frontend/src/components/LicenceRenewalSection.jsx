@@ -0,0 +1,484 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { toast } from "react-toastify";
+import { BadgeCheck } from "lucide-react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Select } from "./ui/select";
+import { Label } from "./ui/label";
+import { Badge } from "./ui/badge";
+
+const API_BASE_URL = "";
+
+const REQUEST_STATUS_BADGES = {
+  pending: { variant: "warning", label: "Pending" },
+  approved: { variant: "success", label: "Approved" },
+  rejected: { variant: "error", label: "Rejected" },
+  cancelled: { variant: "default", label: "Cancelled" },
+};
+
+const DOCUMENT_STATUS_BADGES = {
+  active: { variant: "success", label: "Documents OK" },
+  pending_documents: { variant: "warning", label: "Documents pending" },
+  expired_medical: { variant: "error", label: "Medical expired" },
+  suspended: { variant: "error", label: "Suspended" },
+};
+
+// From September on, renewals are for the next season
+const comingSeason = () => {
+  const now = new Date();
+  return now.getMonth() >= 8 ? now.getFullYear() + 1 : now.getFullYear();
+};
+
+const formatReason = (reason) =>
+  reason
+    ? reason.charAt(0).toUpperCase() + reason.slice(1).replace(/_/g, " ")
+    : "";
+
+const personName = (person) =>
+  `${person?.firstName || ""} ${person?.lastName || ""}`.trim() || "Unknown";
+
+/**
+ * Licence renewal requests: clubs select athletes for the coming season,
+ * admins approve or reject pending requests in bulk. Without a clubId the
+ * requests of every club are listed.
+ */
+const LicenceRenewalSection = ({
+  token,
+  clubId,
+  athletes = [],
+  canRequest,
+  canDecide,
+}) => {
+  const [season, setSeason] = useState(String(comingSeason()));
+  const [statusFilter, setStatusFilter] = useState("pending");
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [search, setSearch] = useState("");
+  const [selectedAthletes, setSelectedAthletes] = useState([]);
+  const [selectedRequests, setSelectedRequests] = useState([]);
+  const [note, setNote] = useState("");
+  const [skipped, setSkipped] = useState([]);
+
+  const baseUrl = `${API_BASE_URL}/api/licence-renewals`;
+
+  const loadRequests = useCallback(async () => {
+    if (!token || !/^\d{4}$/.test(season)) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ season });
+      if (statusFilter) params.set("status", statusFilter);
+      if (clubId) params.set("clubId", clubId);
+      const res = await fetch(`${baseUrl}?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json().catch(() => []);
+      if (!res.ok) throw new Error(data.message || "Failed to load requests");
+      setRequests(Array.isArray(data) ? data : []);
+      setSelectedRequests([]);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [baseUrl, clubId, season, statusFilter, token]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  const candidates = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    const unique = new Map();
+    athletes.forEach((athlete) => {
+      if (athlete?._id && !unique.has(athlete._id)) {
+        unique.set(athlete._id, athlete);
+      }
+    });
+    return [...unique.values()]
+      .filter(
+        (athlete) =>
+          !term ||
+          `${athlete.firstName || ""} ${athlete.lastName || ""} ${
+            athlete.licenseNumber || ""
+          }`
+            .toLowerCase()
+            .includes(term),
+      )
+      .sort((a, b) =>
+        `${a.lastName || ""} ${a.firstName || ""}`.localeCompare(
+          `${b.lastName || ""} ${b.firstName || ""}`,
+        ),
+      );
+  }, [athletes, search]);
+
+  const toggle = (setter) => (id) =>
+    setter((prev) =>
+      prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id],
+    );
+  const toggleAthlete = toggle(setSelectedAthletes);
+  const toggleRequest = toggle(setSelectedRequests);
+
+  const post = async (path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.message || "Request failed");
+    return data;
+  };
+
+  const submitRequests = async () => {
+    if (!selectedAthletes.length) {
+      toast.error("Select the athletes to renew");
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const data = await post("", {
+        season,
+        clubId,
+        athleteIds: selectedAthletes,
+      });
+      if (data.created) {
+        toast.success(data.message);
+      } else {
+        toast.warn(data.message);
+      }
+      setSkipped(data.skipped || []);
+      setSelectedAthletes([]);
+      await loadRequests();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const decide = async (action) => {
+    if (!selectedRequests.length) return;
+    if (
+      !window.confirm(
+        `${action === "approve" ? "Approve" : "Reject"} ${selectedRequests.length} renewal request(s)?`,
+      )
+    ) {
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const data = await post(`/${action}`, {
+        ids: selectedRequests,
+        note: note || undefined,
+      });
+      toast.success(data.message);
+      if (data.failed?.length) {
+        toast.warn(
+          data.failed
+            .map(
+              (item) =>
+                `${item.name || "Athlete"}: ${item.reasons.map(formatReason).join(", ")}`,
+            )
+            .join("; "),
+        );
+      }
+      setNote("");
+      await loadRequests();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const cancelRequest = async (id) => {
+    if (!window.confirm("Cancel this renewal request?")) return;
+    try {
+      const res = await fetch(`${baseUrl}/${id}`, {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to cancel");
+      toast.success(data.message);
+      await loadRequests();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const pendingIds = requests
+    .filter((request) => request.status === "pending")
+    .map((request) => request._id);
+  const allPendingSelected =
+    pendingIds.length > 0 &&
+    pendingIds.every((id) => selectedRequests.includes(id));
+
+  return (
+    <section className="space-y-6 rounded-2xl border border-slate-200 bg-white p-6 shadow-sm">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div className="space-y-1">
+          <h2 className="flex items-center gap-2 text-lg font-semibold text-slate-900">
+            <BadgeCheck className="h-5 w-5" /> Licence Renewals
+          </h2>
+          <p className="text-sm text-slate-500">
+            {canDecide
+              ? "Requests from clubs to renew licences for the season."
+              : "Ask the federation to renew your athletes' licences."}
+          </p>
+        </div>
+        <div className="flex items-end gap-2">
+          <div className="space-y-1">
+            <Label htmlFor="renewal-season">Season</Label>
+            <Input
+              id="renewal-season"
+              className="w-24"
+              inputMode="numeric"
+              value={season}
+              onChange={(e) => setSeason(e.target.value.trim())}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="renewal-status">Status</Label>
+            <Select
+              id="renewal-status"
+              className="w-36"
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+            >
+              <option value="">All</option>
+              {Object.entries(REQUEST_STATUS_BADGES).map(([value, badge]) => (
+                <option key={value} value={value}>
+                  {badge.label}
+                </option>
+              ))}
+            </Select>
+          </div>
+        </div>
+      </div>
+
+      {canRequest && athletes.length > 0 && (
+        <fieldset className="space-y-3 rounded-xl border border-slate-200 p-4">
+          <legend className="px-1 text-sm font-medium text-slate-700">
+            Request renewals for {season}
+          </legend>
+          <div className="flex flex-wrap items-center gap-2">
+            <Input
+              className="max-w-xs"
+              placeholder="Search athletes..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+            <Button
+              type="button"
+              size="sm"
+              variant="outline"
+              onClick={() =>
+                setSelectedAthletes(
+                  candidates
+                    .filter((athlete) => athlete.documentsStatus === "active")
+                    .map((athlete) => athlete._id),
+                )
+              }
+            >
+              Select athletes with complete documents
+            </Button>
+            <Button
+              type="button"
+              size="sm"
+              disabled={submitting || !selectedAthletes.length}
+              onClick={submitRequests}
+            >
+              Request {selectedAthletes.length || ""} renewal
+              {selectedAthletes.length === 1 ? "" : "s"}
+            </Button>
+          </div>
+          <ul className="max-h-72 divide-y divide-slate-100 overflow-y-auto rounded-lg border border-slate-100 text-sm">
+            {candidates.map((athlete) => {
+              const badge = DOCUMENT_STATUS_BADGES[athlete.documentsStatus];
+              return (
+                <li key={athlete._id}>
+                  <label className="flex cursor-pointer items-center gap-3 px-3 py-2 hover:bg-slate-50">
+                    <input
+                      type="checkbox"
+                      checked={selectedAthletes.includes(athlete._id)}
+                      onChange={() => toggleAthlete(athlete._id)}
+                    />
+                    <span className="flex-1 text-slate-800">
+                      {personName(athlete)}
+                      {athlete.licenseNumber ? (
+                        <span className="ml-2 font-mono text-xs text-slate-500">
+                          {athlete.licenseNumber}
+                        </span>
+                      ) : null}
+                    </span>
+                    {badge && (
+                      <Badge variant={badge.variant}>{badge.label}</Badge>
+                    )}
+                  </label>
+                </li>
+              );
+            })}
+          </ul>
+          {skipped.length > 0 && (
+            <div className="space-y-1 rounded-lg bg-amber-50 p-3 text-xs text-amber-800">
+              <p className="font-medium">Not requested:</p>
+              {skipped.map((item) => (
+                <p key={item.athlete}>
+                  {item.name || item.athlete}:{" "}
+                  {item.reasons.map(formatReason).join(", ")}
+                </p>
+              ))}
+            </div>
+          )}
+        </fieldset>
+      )}
+
+      {canDecide && pendingIds.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <Input
+            className="max-w-sm"
+            placeholder="Decision note (optional)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+          />
+          <Button
+            type="button"
+            size="sm"
+            disabled={submitting || !selectedRequests.length}
+            onClick={() => decide("approve")}
+          >
+            Approve selected
+          </Button>
+          <Button
+            type="button"
+            size="sm"
+            variant="outline"
+            disabled={submitting || !selectedRequests.length}
+            onClick={() => decide("reject")}
+          >
+            Reject selected
+          </Button>
+        </div>
+      )}
+
+      {loading && !requests.length ? (
+        <p className="text-sm text-slate-500">Loading requests...</p>
+      ) : !requests.length ? (
+        <p className="text-sm text-slate-500">No renewal requests.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-xs uppercase text-slate-500">
+              <tr>
+                {canDecide && (
+                  <th className="py-2 pr-3">
+                    <input
+                      type="checkbox"
+                      checked={allPendingSelected}
+                      disabled={!pendingIds.length}
+                      onChange={() =>
+                        setSelectedRequests(
+                          allPendingSelected ? [] : pendingIds,
+                        )
+                      }
+                    />
+                  </th>
+                )}
+                <th className="py-2 pr-3">Athlete</th>
+                {!clubId && <th className="py-2 pr-3">Club</th>}
+                <th className="py-2 pr-3">Requested</th>
+                <th className="py-2 pr-3">Medical until</th>
+                <th className="py-2 pr-3">Status</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {requests.map((request) => {
+                const badge = REQUEST_STATUS_BADGES[request.status];
+                return (
+                  <tr key={request._id}>
+                    {canDecide && (
+                      <td className="py-2 pr-3">
+                        <input
+                          type="checkbox"
+                          disabled={request.status !== "pending"}
+                          checked={selectedRequests.includes(request._id)}
+                          onChange={() => toggleRequest(request._id)}
+                        />
+                      </td>
+                    )}
+                    <td className="py-2 pr-3 text-slate-800">
+                      {personName(request.athlete)}
+                      {request.athlete?.licenseNumber ? (
+                        <span className="ml-2 font-mono text-xs text-slate-500">
+                          {request.athlete.licenseNumber}
+                        </span>
+                      ) : null}
+                      {request.warnings?.length ? (
+                        <p className="text-xs text-amber-700">
+                          {request.warnings.map(formatReason).join(", ")}
+                        </p>
+                      ) : null}
+                    </td>
+                    {!clubId && (
+                      <td className="py-2 pr-3 text-slate-600">
+                        {request.club?.code || request.club?.name || "-"}
+                      </td>
+                    )}
+                    <td className="py-2 pr-3 text-xs text-slate-500">
+                      {new Date(request.createdAt).toLocaleDateString()}
+                      <br />
+                      {personName(request.requestedBy)}
+                    </td>
+                    <td className="py-2 pr-3 text-xs text-slate-500">
+                      {request.medicalExpiresAt
+                        ? new Date(
+                            request.medicalExpiresAt,
+                          ).toLocaleDateString()
+                        : "-"}
+                    </td>
+                    <td className="py-2 pr-3">
+                      {badge && (
+                        <Badge variant={badge.variant}>{badge.label}</Badge>
+                      )}
+                      {request.status === "approved" &&
+                      request.licenseStatus === "pending" ? (
+                        <p className="text-xs text-amber-700">
+                          Awaiting licence fee
+                        </p>
+                      ) : null}
+                      {request.decisionNote ? (
+                        <p className="text-xs text-slate-500">
+                          {request.decisionNote}
+                        </p>
+                      ) : null}
+                    </td>
+                    <td className="py-2 text-right">
+                      {canRequest && request.status === "pending" ? (
+                        <Button
+                          type="button"
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => cancelRequest(request._id)}
+                        >
+                          Cancel
+                        </Button>
+                      ) : null}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default LicenceRenewalSection;
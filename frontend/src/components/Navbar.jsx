@@ -107,6 +107,12 @@ export const Navbar = () => {
             to: "/competitions",
             roles: ["admin", "jury_president", "club_manager"],
           },
+          {
+            key: "control-commission",
+            label: "Control Commission",
+            to: "/control-commission",
+            roles: ["admin", "jury_president", "umpire"],
+          },
           {
             key: "ranking-systems",
             label: "Ranking Systems",
@@ -0,0 +1,218 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { CheckCircle2, ClipboardCheck, Circle, Play } from "lucide-react";
+import { Button } from "./ui/button";
+import { Select } from "./ui/select";
+import { Label } from "./ui/label";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+
+const API_BASE_URL = "";
+
+const UNCHECKED_OPTIONS = [
+  { value: "", label: "Leave unchecked lanes as they are" },
+  { value: "abs", label: "Mark unchecked lanes ABS (absent)" },
+  { value: "dns", label: "Mark unchecked lanes DNS (did not start)" },
+];
+
+/**
+ * Crews presented before this race (identity and boat checks) and the race
+ * start, which can mark the lanes that were not checked in. A check-in
+ * counts for this race only.
+ */
+const RaceCheckInCard = ({ competitionId, race, token, onRaceUpdated }) => {
+  const [lanes, setLanes] = useState([]);
+  const [checks, setChecks] = useState({});
+  const [uncheckedStatus, setUncheckedStatus] = useState("abs");
+  const [saving, setSaving] = useState(false);
+
+  const loadCheckIns = useCallback(async () => {
+    if (!race?._id || !token) return;
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/competitions/${competitionId}/check-ins/races/${race._id}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to load check-ins");
+      setLanes(data.lanes || []);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }, [competitionId, race?._id, token]);
+
+  useEffect(() => {
+    loadCheckIns();
+  }, [loadCheckIns, race?.lanes]);
+
+  const laneChecks = (lane) =>
+    checks[lane.lane] || { idCheckOk: true, boatCheckOk: true };
+
+  const setLaneCheck = (lane, field, value) =>
+    setChecks((prev) => ({
+      ...prev,
+      [lane.lane]: { ...laneChecks(lane), [field]: value },
+    }));
+
+  const checkInCrew = async (lane) => {
+    setSaving(true);
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/competitions/${competitionId}/check-ins/races/${race._id}/entries/${lane.entryId}`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify(laneChecks(lane)),
+        },
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Check-in failed");
+      await loadCheckIns();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startRace = async () => {
+    const unchecked = lanes.filter((lane) => !lane.checkedIn).length;
+    if (
+      uncheckedStatus &&
+      unchecked &&
+      !window.confirm(
+        `Start the race and mark ${unchecked} lane(s) ${uncheckedStatus.toUpperCase()}?`,
+      )
+    ) {
+      return;
+    }
+    setSaving(true);
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/competitions/${competitionId}/races/${race._id}/start`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({
+            uncheckedLaneStatus: uncheckedStatus || undefined,
+          }),
+        },
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to start race");
+      toast.success(
+        data.markedLanes?.length
+          ? `Race started; lanes ${data.markedLanes.join(", ")} marked ${uncheckedStatus.toUpperCase()}`
+          : "Race started",
+      );
+      onRaceUpdated?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const checkedCount = lanes.filter((lane) => lane.checkedIn).length;
+
+  return (
+    <Card className="border-none shadow-sm ring-1 ring-slate-200">
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center gap-2 text-sm font-bold uppercase tracking-wider text-slate-500">
+          <ClipboardCheck className="h-4 w-4" /> Check-in ({checkedCount}/
+          {lanes.length})
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <ul className="space-y-2 text-xs">
+          {lanes.map((lane) => (
+            <li
+              key={lane.lane}
+              className="flex flex-wrap items-center justify-between gap-2"
+            >
+              <span className="flex items-center gap-2 font-semibold text-slate-700">
+                {lane.checkedIn ? (
+                  <CheckCircle2 className="h-4 w-4 text-emerald-600" />
+                ) : (
+                  <Circle className="h-4 w-4 text-slate-300" />
+                )}
+                Lane {lane.lane}
+                {lane.bowNumber ? ` (#${lane.bowNumber})` : ""}
+              </span>
+              {lane.checkedIn ? (
+                <span className="text-slate-500">
+                  ID {lane.idCheckOk ? "OK" : "-"} / Boat{" "}
+                  {lane.boatCheckOk ? "OK" : "-"}
+                </span>
+              ) : lane.entryId && race.status === "scheduled" ? (
+                <span className="flex items-center gap-2 text-slate-600">
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={laneChecks(lane).idCheckOk}
+                      onChange={(e) =>
+                        setLaneCheck(lane, "idCheckOk", e.target.checked)
+                      }
+                    />
+                    ID
+                  </label>
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={laneChecks(lane).boatCheckOk}
+                      onChange={(e) =>
+                        setLaneCheck(lane, "boatCheckOk", e.target.checked)
+                      }
+                    />
+                    Boat
+                  </label>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    disabled={saving}
+                    onClick={() => checkInCrew(lane)}
+                  >
+                    Check in
+                  </Button>
+                </span>
+              ) : (
+                <span className="text-slate-400">Not checked in</span>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {race.status === "scheduled" && (
+          <div className="space-y-2 border-t pt-3">
+            <Label className="text-xs">At the start</Label>
+            <Select
+              value={uncheckedStatus}
+              onChange={(e) => setUncheckedStatus(e.target.value)}
+            >
+              {UNCHECKED_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </Select>
+            <Button
+              size="sm"
+              className="w-full"
+              disabled={saving}
+              onClick={startRace}
+            >
+              <Play className="mr-2 h-4 w-4" /> Start race
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RaceCheckInCard;
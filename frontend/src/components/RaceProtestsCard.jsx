@@ -0,0 +1,412 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { Gavel } from "lucide-react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Select } from "./ui/select";
+import { Label } from "./ui/label";
+import { Badge } from "./ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+
+const API_BASE_URL = "";
+
+const PROTEST_STATUS_STYLES = {
+  submitted: "warning",
+  under_review: "secondary",
+  upheld: "success",
+  rejected: "error",
+  withdrawn: "default",
+};
+
+const PROTEST_STATUS_LABELS = {
+  submitted: "Submitted",
+  under_review: "Under review",
+  upheld: "Upheld",
+  rejected: "Rejected",
+  withdrawn: "Withdrawn",
+};
+
+const DECISION_ACTION_LABELS = {
+  none: "No change to results",
+  dsq: "Disqualify lane",
+  time_penalty: "Time penalty",
+  rerank: "Change finish position",
+};
+
+const OPEN_STATUSES = ["submitted", "under_review"];
+
+const emptyDecision = {
+  upheld: true,
+  action: "dsq",
+  penaltySeconds: "",
+  finishPosition: "",
+  reason: "",
+};
+
+const describeDecision = (decision) => {
+  if (!decision) return null;
+  const label = DECISION_ACTION_LABELS[decision.action] || decision.action;
+  if (decision.action === "time_penalty" && decision.penaltyMs) {
+    return `${label} (+${decision.penaltyMs / 1000}s)`;
+  }
+  if (decision.action === "rerank" && decision.finishPosition) {
+    return `${label} (${decision.finishPosition})`;
+  }
+  return label;
+};
+
+const RaceProtestsCard = ({
+  competitionId,
+  race,
+  token,
+  user,
+  onRaceUpdated,
+}) => {
+  const [protests, setProtests] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [fileForm, setFileForm] = useState({ lane: "", grounds: "" });
+  const [notes, setNotes] = useState({});
+  const [decisions, setDecisions] = useState({});
+
+  const raceId = race?._id;
+  const isJury = user?.role === "admin" || user?.role === "jury_president";
+  // Only clubs with a crew in the race can protest it
+  const canFile =
+    user?.role === "club_manager" &&
+    (race?.lanes || []).some(
+      (lane) => String(lane.club?._id ?? lane.club) === String(user.clubId),
+    );
+  const windowClosed =
+    race?.resultsStatus === "official" ||
+    (race?.protestWindowEndsAt &&
+      new Date(race.protestWindowEndsAt) < new Date() &&
+      user?.role === "club_manager");
+
+  const baseUrl = `${API_BASE_URL}/api/competitions/${competitionId}/races/${raceId}/protests`;
+
+  const loadProtests = useCallback(async () => {
+    if (!token || !raceId) return;
+    try {
+      const res = await fetch(baseUrl, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!res.ok) throw new Error("Failed to load protests");
+      const data = await res.json();
+      setProtests(Array.isArray(data) ? data : []);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }, [baseUrl, raceId, token]);
+
+  useEffect(() => {
+    loadProtests();
+  }, [loadProtests]);
+
+  const postAction = async (path, body, successMessage) => {
+    setSubmitting(true);
+    try {
+      const res = await fetch(`${baseUrl}${path}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Request failed");
+      toast.success(successMessage);
+      await loadProtests();
+      return data;
+    } catch (err) {
+      toast.error(err.message);
+      return null;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleFile = async (event) => {
+    event.preventDefault();
+    if (!fileForm.lane || !fileForm.grounds.trim()) {
+      toast.error("Select a lane and describe the grounds");
+      return;
+    }
+    const created = await postAction(
+      "",
+      { lane: Number(fileForm.lane), grounds: fileForm.grounds.trim() },
+      "Protest submitted",
+    );
+    if (created) {
+      setFileForm({ lane: "", grounds: "" });
+    }
+  };
+
+  const handleDeliberation = async (protestId) => {
+    const note = notes[protestId]?.trim();
+    if (!note) return;
+    const updated = await postAction(
+      `/${protestId}/deliberations`,
+      { note },
+      "Deliberation recorded",
+    );
+    if (updated) {
+      setNotes((prev) => ({ ...prev, [protestId]: "" }));
+    }
+  };
+
+  const handleDecision = async (protestId) => {
+    const form = decisions[protestId] || emptyDecision;
+    const body = {
+      upheld: form.upheld,
+      action: form.upheld ? form.action : "none",
+      reason: form.reason.trim() || undefined,
+    };
+    if (body.action === "time_penalty") {
+      body.penaltyMs = Math.round(Number(form.penaltySeconds) * 1000);
+    }
+    if (body.action === "rerank") {
+      body.finishPosition = Number(form.finishPosition);
+    }
+    const result = await postAction(
+      `/${protestId}/decision`,
+      body,
+      "Decision recorded",
+    );
+    if (result && body.action !== "none") {
+      onRaceUpdated?.();
+    }
+  };
+
+  const handleWithdraw = async (protestId) => {
+    if (!window.confirm("Withdraw this protest?")) return;
+    await postAction(`/${protestId}/withdraw`, {}, "Protest withdrawn");
+  };
+
+  const updateDecision = (protestId, field, value) => {
+    setDecisions((prev) => ({
+      ...prev,
+      [protestId]: { ...(prev[protestId] || emptyDecision), [field]: value },
+    }));
+  };
+
+  return (
+    <Card className="border-none shadow-sm ring-1 ring-slate-200">
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center gap-2 text-sm font-bold uppercase tracking-wider text-slate-500">
+          <Gavel className="h-4 w-4" /> Protests
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {protests.length === 0 && (
+          <p className="text-sm text-slate-500">No protests for this race.</p>
+        )}
+
+        {protests.map((protest) => {
+          const isOpen = OPEN_STATUSES.includes(protest.status);
+          const decisionForm = decisions[protest._id] || emptyDecision;
+          return (
+            <div key={protest._id} className="space-y-2 rounded-lg border p-3">
+              <div className="flex items-center justify-between gap-2">
+                <span className="text-sm font-semibold text-slate-900">
+                  Lane {protest.lane}
+                  {protest.club?.name ? ` · ${protest.club.name}` : ""}
+                </span>
+                <Badge variant={PROTEST_STATUS_STYLES[protest.status]}>
+                  {PROTEST_STATUS_LABELS[protest.status] || protest.status}
+                </Badge>
+              </div>
+              <p className="text-sm text-slate-700">{protest.grounds}</p>
+
+              {protest.deliberations?.length > 0 && isJury && (
+                <ul className="space-y-1 border-l-2 border-slate-200 pl-3">
+                  {protest.deliberations.map((entry, index) => (
+                    <li key={index} className="text-xs text-slate-600">
+                      {entry.note}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {protest.decision && (
+                <p className="text-xs text-slate-600">
+                  <span className="font-semibold">Decision:</span>{" "}
+                  {describeDecision(protest.decision)}
+                  {protest.decision.reason
+                    ? ` — ${protest.decision.reason}`
+                    : ""}
+                </p>
+              )}
+
+              {isOpen && isJury && (
+                <div className="space-y-3 border-t pt-3">
+                  <div className="flex gap-2">
+                    <Input
+                      value={notes[protest._id] || ""}
+                      onChange={(e) =>
+                        setNotes((prev) => ({
+                          ...prev,
+                          [protest._id]: e.target.value,
+                        }))
+                      }
+                      placeholder="Deliberation note"
+                    />
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={submitting}
+                      onClick={() => handleDeliberation(protest._id)}
+                    >
+                      Add
+                    </Button>
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-2">
+                    <div className="space-y-1">
+                      <Label className="text-xs">Outcome</Label>
+                      <Select
+                        value={decisionForm.upheld ? "upheld" : "rejected"}
+                        onChange={(e) =>
+                          updateDecision(
+                            protest._id,
+                            "upheld",
+                            e.target.value === "upheld",
+                          )
+                        }
+                      >
+                        <option value="upheld">Uphold</option>
+                        <option value="rejected">Reject</option>
+                      </Select>
+                    </div>
+                    {decisionForm.upheld && (
+                      <div className="space-y-1">
+                        <Label className="text-xs">Action</Label>
+                        <Select
+                          value={decisionForm.action}
+                          onChange={(e) =>
+                            updateDecision(
+                              protest._id,
+                              "action",
+                              e.target.value,
+                            )
+                          }
+                        >
+                          {Object.entries(DECISION_ACTION_LABELS).map(
+                            ([value, label]) => (
+                              <option key={value} value={value}>
+                                {label}
+                              </option>
+                            ),
+                          )}
+                        </Select>
+                      </div>
+                    )}
+                    {decisionForm.upheld &&
+                      decisionForm.action === "time_penalty" && (
+                        <div className="space-y-1">
+                          <Label className="text-xs">Penalty (seconds)</Label>
+                          <Input
+                            type="number"
+                            min="0"
+                            step="0.1"
+                            value={decisionForm.penaltySeconds}
+                            onChange={(e) =>
+                              updateDecision(
+                                protest._id,
+                                "penaltySeconds",
+                                e.target.value,
+                              )
+                            }
+                          />
+                        </div>
+                      )}
+                    {decisionForm.upheld &&
+                      decisionForm.action === "rerank" && (
+                        <div className="space-y-1">
+                          <Label className="text-xs">New position</Label>
+                          <Input
+                            type="number"
+                            min="1"
+                            value={decisionForm.finishPosition}
+                            onChange={(e) =>
+                              updateDecision(
+                                protest._id,
+                                "finishPosition",
+                                e.target.value,
+                              )
+                            }
+                          />
+                        </div>
+                      )}
+                  </div>
+                  <Input
+                    value={decisionForm.reason}
+                    onChange={(e) =>
+                      updateDecision(protest._id, "reason", e.target.value)
+                    }
+                    placeholder="Reason for the decision"
+                  />
+                  <Button
+                    size="sm"
+                    className="w-full"
+                    disabled={submitting}
+                    onClick={() => handleDecision(protest._id)}
+                  >
+                    Record decision
+                  </Button>
+                </div>
+              )}
+
+              {isOpen && user?.role === "club_manager" && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  disabled={submitting}
+                  onClick={() => handleWithdraw(protest._id)}
+                >
+                  Withdraw
+                </Button>
+              )}
+            </div>
+          );
+        })}
+
+        {canFile && !windowClosed && race?.lanes?.length > 0 && (
+          <form onSubmit={handleFile} className="space-y-2 border-t pt-4">
+            <Label className="text-xs font-semibold uppercase text-slate-500">
+              Lodge a protest
+            </Label>
+            <Select
+              value={fileForm.lane}
+              onChange={(e) =>
+                setFileForm((prev) => ({ ...prev, lane: e.target.value }))
+              }
+            >
+              <option value="">Select lane</option>
+              {race.lanes.map((lane) => (
+                <option key={lane.lane} value={lane.lane}>
+                  Lane {lane.lane}
+                  {lane.club?.name ? ` · ${lane.club.name}` : ""}
+                </option>
+              ))}
+            </Select>
+            <textarea
+              value={fileForm.grounds}
+              onChange={(e) =>
+                setFileForm((prev) => ({ ...prev, grounds: e.target.value }))
+              }
+              rows={3}
+              placeholder="Grounds for the protest"
+              className="w-full rounded-md border border-slate-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-slate-400"
+            />
+            <Button type="submit" size="sm" disabled={submitting}>
+              Submit protest
+            </Button>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RaceProtestsCard;
@@ -0,0 +1,353 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { toast } from "react-toastify";
+import { AlertTriangle, CalendarClock, GripVertical } from "lucide-react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Badge } from "./ui/badge";
+
+const API_BASE_URL = "";
+
+const formatClock = (value) =>
+  value
+    ? new Date(value).toLocaleTimeString("en-GB", {
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "--:--";
+
+const formatAthleteName = (athlete) => {
+  if (!athlete) return "Unknown athlete";
+  const parts = [athlete.firstName, athlete.lastName].filter(Boolean);
+  if (parts.length) return parts.join(" ");
+  return [athlete.firstNameAr, athlete.lastNameAr].filter(Boolean).join(" ");
+};
+
+// Race ids per journey, in the current running order
+const buildSequence = (races) => {
+  const sequence = {};
+  [...races]
+    .filter((race) => race.status !== "cancelled")
+    .sort(
+      (a, b) =>
+        (a.journeyIndex || 1) - (b.journeyIndex || 1) ||
+        (a.order || 0) - (b.order || 0),
+    )
+    .forEach((race) => {
+      const journey = race.journeyIndex || 1;
+      sequence[journey] = [...(sequence[journey] || []), race._id];
+    });
+  return sequence;
+};
+
+const RaceScheduleBuilder = ({
+  competitionId,
+  competition,
+  races,
+  token,
+  onScheduleSaved,
+}) => {
+  const [sequence, setSequence] = useState(() => buildSequence(races));
+  const [intervalMinutes, setIntervalMinutes] = useState("10");
+  const [minRestMinutes, setMinRestMinutes] = useState(
+    (competition?.minRestMinutes ?? 60).toString(),
+  );
+  const [preview, setPreview] = useState(null);
+  const [conflicts, setConflicts] = useState([]);
+  const [dragged, setDragged] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const raceById = useMemo(
+    () => new Map(races.map((race) => [race._id, race])),
+    [races],
+  );
+
+  const proposedById = useMemo(
+    () => new Map((preview?.races || []).map((race) => [race.raceId, race])),
+    [preview],
+  );
+
+  const unscheduledById = useMemo(
+    () =>
+      new Map(
+        (preview?.unscheduled || []).map((entry) => [entry.raceId, entry]),
+      ),
+    [preview],
+  );
+
+  const conflictRaceIds = useMemo(() => {
+    const ids = new Set();
+    conflicts.forEach((conflict) => {
+      ids.add(conflict.first.raceId);
+      ids.add(conflict.second.raceId);
+    });
+    return ids;
+  }, [conflicts]);
+
+  const scheduleUrl = `${API_BASE_URL}/api/competitions/${competitionId}/races/schedule`;
+
+  const loadConflicts = useCallback(async () => {
+    if (!competitionId || !token) return;
+    try {
+      const res = await fetch(`${scheduleUrl}/conflicts`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to load conflicts");
+      setConflicts(data.conflicts || []);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }, [competitionId, token, scheduleUrl]);
+
+  useEffect(() => {
+    setSequence(buildSequence(races));
+    setPreview(null);
+    loadConflicts();
+  }, [races, loadConflicts]);
+
+  const handleDrop = (journey, targetId) => {
+    if (
+      !dragged ||
+      dragged.journey !== journey ||
+      dragged.raceId === targetId
+    ) {
+      setDragged(null);
+      return;
+    }
+    setSequence((prev) => {
+      const ids = prev[journey].filter((id) => id !== dragged.raceId);
+      const targetIndex = ids.indexOf(targetId);
+      ids.splice(targetIndex, 0, dragged.raceId);
+      return { ...prev, [journey]: ids };
+    });
+    setDragged(null);
+    setPreview(null);
+  };
+
+  const runPreview = async () => {
+    setSubmitting(true);
+    try {
+      const res = await fetch(`${scheduleUrl}/preview`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          intervalMinutes: Number(intervalMinutes),
+          minRestMinutes: Number(minRestMinutes),
+          sequence: Object.values(sequence).flat(),
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Schedule preview failed");
+      setPreview(data);
+      setConflicts(data.conflicts || []);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const saveSchedule = async () => {
+    const moved = (preview?.races || []).filter((race) => race.moved);
+    if (!moved.length) {
+      toast.info("No races to reschedule");
+      return;
+    }
+    if (
+      conflicts.length > 0 &&
+      !window.confirm(
+        `${conflicts.length} rest-time conflict(s) remain. Save the schedule anyway?`,
+      )
+    ) {
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const res = await fetch(scheduleUrl, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          minRestMinutes: Number(minRestMinutes),
+          races: moved.map(({ raceId, startTime, sessionLabel, order }) => ({
+            raceId,
+            startTime,
+            sessionLabel,
+            order,
+          })),
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to save schedule");
+      toast.success(`Schedule saved for ${data.updated} races`);
+      setPreview(null);
+      setConflicts(data.conflicts || []);
+      onScheduleSaved?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const journeys = Object.keys(sequence)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  return (
+    <section className="space-y-6 rounded-2xl border border-slate-200 bg-white/95 p-6 shadow-sm">
+      <div className="space-y-2">
+        <h2 className="flex items-center gap-2 text-lg font-semibold text-slate-900">
+          <CalendarClock className="h-5 w-5" /> Schedule builder
+        </h2>
+        <p className="text-sm text-slate-500">
+          Drag races into running order, then lay them out over the sessions of
+          each stage. Athletes racing twice with less than the minimum rest are
+          flagged before the schedule is saved.
+        </p>
+      </div>
+
+      <div className="grid items-end gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        <div className="space-y-2">
+          <Label htmlFor="scheduleInterval">Interval (minutes)</Label>
+          <Input
+            id="scheduleInterval"
+            type="number"
+            min="1"
+            value={intervalMinutes}
+            onChange={(e) => setIntervalMinutes(e.target.value)}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="scheduleMinRest">Minimum rest (minutes)</Label>
+          <Input
+            id="scheduleMinRest"
+            type="number"
+            min="0"
+            value={minRestMinutes}
+            onChange={(e) => setMinRestMinutes(e.target.value)}
+          />
+        </div>
+        <Button
+          type="button"
+          variant="outline"
+          onClick={runPreview}
+          disabled={submitting || !races.length}
+        >
+          Preview schedule
+        </Button>
+        <Button
+          type="button"
+          onClick={saveSchedule}
+          disabled={submitting || !preview}
+        >
+          Save schedule
+        </Button>
+      </div>
+
+      {conflicts.length > 0 && (
+        <div className="space-y-2 rounded-xl border border-red-200 bg-red-50 p-4">
+          <p className="flex items-center gap-2 text-sm font-semibold text-red-700">
+            <AlertTriangle className="h-4 w-4" />
+            {conflicts.length} rest-time conflict(s)
+          </p>
+          <ul className="space-y-1 text-xs text-red-700">
+            {conflicts.map((conflict) => {
+              const first = raceById.get(conflict.first.raceId);
+              const second = raceById.get(conflict.second.raceId);
+              return (
+                <li
+                  key={`${conflict.athleteId}-${conflict.first.raceId}-${conflict.second.raceId}`}
+                >
+                  {formatAthleteName(conflict.athlete)}: race{" "}
+                  {first?.order ?? "?"} ({formatClock(conflict.first.startTime)}
+                  ) and race {second?.order ?? "?"} (
+                  {formatClock(conflict.second.startTime)}), only{" "}
+                  {Math.round(conflict.gapMinutes)} min apart
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      {journeys.length === 0 && (
+        <p className="text-sm text-slate-500">No races to schedule yet.</p>
+      )}
+
+      <div className="grid gap-4 lg:grid-cols-2">
+        {journeys.map((journey) => {
+          const stage = competition?.stages?.[journey - 1];
+          return (
+            <div
+              key={journey}
+              className="space-y-2 rounded-xl border border-slate-200 p-4"
+            >
+              <p className="text-sm font-semibold text-slate-900">
+                {stage?.name || `Journey ${journey}`}
+                {!stage?.sessions?.length && (
+                  <span className="ml-2 text-xs font-normal text-amber-600">
+                    No sessions defined
+                  </span>
+                )}
+              </p>
+              <ul className="space-y-1">
+                {sequence[journey].map((raceId) => {
+                  const race = raceById.get(raceId);
+                  if (!race) return null;
+                  const proposed = proposedById.get(raceId);
+                  const unscheduled = unscheduledById.get(raceId);
+                  const movable = race.status === "scheduled";
+                  const hasConflict = conflictRaceIds.has(raceId);
+                  return (
+                    <li
+                      key={raceId}
+                      draggable={movable}
+                      onDragStart={() => setDragged({ journey, raceId })}
+                      onDragOver={(e) => e.preventDefault()}
+                      onDrop={() => handleDrop(journey, raceId)}
+                      className={`flex items-center gap-2 rounded-md border px-2 py-1.5 text-sm ${
+                        hasConflict
+                          ? "border-red-300 bg-red-50"
+                          : "border-slate-200 bg-white"
+                      } ${movable ? "cursor-move" : "opacity-60"}`}
+                    >
+                      <GripVertical className="h-4 w-4 shrink-0 text-slate-400" />
+                      <span className="w-10 font-mono text-xs text-slate-500">
+                        #{proposed?.order ?? race.order ?? "-"}
+                      </span>
+                      <span className="min-w-0 flex-1 truncate">
+                        {race.name}
+                      </span>
+                      {unscheduled ? (
+                        <span title={unscheduled.reason}>
+                          <Badge variant="error">Unscheduled</Badge>
+                        </span>
+                      ) : (
+                        <span className="font-mono text-xs text-slate-600">
+                          {formatClock(proposed?.startTime ?? race.startTime)}
+                          {proposed?.sessionLabel || race.sessionLabel
+                            ? ` · ${proposed?.sessionLabel || race.sessionLabel}`
+                            : ""}
+                        </span>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+};
+
+export default RaceScheduleBuilder;
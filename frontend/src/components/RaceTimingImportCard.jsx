@@ -0,0 +1,201 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { Upload } from "lucide-react";
+import { Button } from "./ui/button";
+import { Select } from "./ui/select";
+import { Label } from "./ui/label";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+
+const API_BASE_URL = "";
+
+const FORMAT_OPTIONS = [
+  { value: "", label: "Detect automatically" },
+  { value: "csv", label: "CSV (lane / bow number / time)" },
+  { value: "lif", label: "Photo-finish .lif" },
+  { value: "fixed", label: "Fixed-width listing" },
+];
+
+const formatElapsedTime = (ms) => {
+  if (ms === undefined || ms === null) return "-";
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  const centis = Math.floor((ms % 1000) / 10);
+  if (minutes > 0) {
+    return `${minutes}:${seconds.toString().padStart(2, "0")}.${centis.toString().padStart(2, "0")}`;
+  }
+  return `${seconds}.${centis.toString().padStart(2, "0")}`;
+};
+
+const formatOutcome = ({ status, elapsedMs } = {}) => {
+  if (!status) return "-";
+  return status !== "ok" ? status.toUpperCase() : formatElapsedTime(elapsedMs);
+};
+
+const RaceTimingImportCard = ({
+  competitionId,
+  race,
+  token,
+  onRaceUpdated,
+}) => {
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState("");
+  const [markCompleted, setMarkCompleted] = useState(true);
+  const [summary, setSummary] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const submit = async (apply) => {
+    if (!file) {
+      toast.error("Select a timing file first");
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const body = new FormData();
+      body.append("file", file);
+      if (format) body.append("format", format);
+      body.append("apply", apply ? "true" : "false");
+      body.append("markCompleted", markCompleted ? "true" : "false");
+
+      const res = await fetch(
+        `${API_BASE_URL}/api/competitions/${competitionId}/races/${race._id}/results/import`,
+        {
+          method: "POST",
+          headers: { Authorization: `Bearer ${token}` },
+          body,
+        },
+      );
+      const data = await res.json().catch(() => ({}));
+      if (data.preview) setSummary(data);
+      if (!res.ok) throw new Error(data.message || "Timing import failed");
+
+      if (apply) {
+        toast.success(`Imported results for ${data.preview.length} lanes`);
+        setSummary(null);
+        setFile(null);
+        onRaceUpdated?.();
+      }
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card className="border-none shadow-sm ring-1 ring-slate-200">
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center gap-2 text-sm font-bold uppercase tracking-wider text-slate-500">
+          <Upload className="h-4 w-4" /> Timing Import
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <input
+          type="file"
+          accept=".csv,.txt,.lif"
+          onChange={(e) => {
+            setFile(e.target.files?.[0] || null);
+            setSummary(null);
+          }}
+          className="block w-full text-sm text-slate-600"
+        />
+        <div className="space-y-1">
+          <Label className="text-xs">Format</Label>
+          <Select value={format} onChange={(e) => setFormat(e.target.value)}>
+            {FORMAT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </Select>
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          className="w-full"
+          disabled={submitting || !file}
+          onClick={() => submit(false)}
+        >
+          Preview
+        </Button>
+
+        {summary && (
+          <div className="space-y-3 border-t pt-3">
+            <table className="w-full text-left text-xs">
+              <thead className="text-slate-500">
+                <tr>
+                  <th className="py-1">Lane</th>
+                  <th className="py-1">Current</th>
+                  <th className="py-1">Imported</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.preview.map((entry) => (
+                  <tr
+                    key={entry.lane}
+                    className={entry.changes.length ? "bg-amber-50" : ""}
+                  >
+                    <td className="py-1 font-semibold">
+                      {entry.lane}
+                      {entry.bowNumber || entry.crewNumber
+                        ? ` (#${entry.bowNumber || entry.crewNumber})`
+                        : ""}
+                    </td>
+                    <td className="py-1 font-mono">
+                      {formatOutcome(entry.current)}
+                    </td>
+                    <td className="py-1 font-mono">
+                      {formatOutcome(entry.incoming)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {summary.unmatched.length > 0 && (
+              <ul className="space-y-1 text-xs text-amber-700">
+                {summary.unmatched.map((row) => (
+                  <li key={row.line}>
+                    Line {row.line}: {row.reason}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {summary.errors.length > 0 && (
+              <ul className="space-y-1 text-xs text-red-600">
+                {summary.errors.map((error) => (
+                  <li key={error.line}>
+                    Line {error.line}: {error.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <label className="flex items-center gap-2 text-xs text-slate-600">
+              <input
+                type="checkbox"
+                checked={markCompleted}
+                onChange={(e) => setMarkCompleted(e.target.checked)}
+              />
+              Mark race as completed
+            </label>
+            <Button
+              size="sm"
+              className="w-full"
+              disabled={
+                submitting ||
+                summary.errors.length > 0 ||
+                summary.preview.length === 0
+              }
+              onClick={() => submit(true)}
+            >
+              Apply {summary.preview.length} results
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RaceTimingImportCard;
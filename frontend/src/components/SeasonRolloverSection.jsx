@@ -0,0 +1,332 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { CalendarClock, Download } from "lucide-react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Badge } from "./ui/badge";
+
+const API_BASE_URL = "";
+
+const POLL_INTERVAL_MS = 3000;
+
+const STEP_LABELS = {
+  memberships: "Memberships renewed",
+  categories: "Categories reassigned",
+  licences: "Licences deactivated",
+};
+
+const STATUS_BADGES = {
+  pending: { variant: "secondary", label: "Pending" },
+  running: { variant: "warning", label: "Running" },
+  completed: { variant: "success", label: "Completed" },
+  failed: { variant: "error", label: "Failed" },
+};
+
+const currentSeason = () => new Date().getFullYear();
+
+const SeasonRolloverSection = ({ token }) => {
+  const [fromSeason, setFromSeason] = useState(String(currentSeason()));
+  const [toSeason, setToSeason] = useState(String(currentSeason() + 1));
+  const [preview, setPreview] = useState(null);
+  const [job, setJob] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const baseUrl = `${API_BASE_URL}/api/season-rollover`;
+  const isRunning = job && ["pending", "running"].includes(job.status);
+
+  const loadLatestJob = useCallback(async () => {
+    if (!token) return;
+    try {
+      const res = await fetch(baseUrl, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json().catch(() => []);
+      if (!res.ok) throw new Error(data.message || "Failed to load rollovers");
+      setJob(data[0] || null);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }, [baseUrl, token]);
+
+  useEffect(() => {
+    loadLatestJob();
+  }, [loadLatestJob]);
+
+  // Follow the job while it runs
+  useEffect(() => {
+    if (!isRunning || job.canResume) return undefined;
+    const timer = setInterval(async () => {
+      try {
+        const res = await fetch(`${baseUrl}/${job._id}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        const data = await res.json().catch(() => ({}));
+        if (res.ok) setJob(data);
+      } catch {
+        // Keep polling; the next tick may succeed
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [baseUrl, isRunning, job?._id, job?.canResume, token]);
+
+  const loadPreview = async () => {
+    if (!/^\d{4}$/.test(fromSeason) || !/^\d{4}$/.test(toSeason)) {
+      toast.error("Enter both seasons as years");
+      return;
+    }
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ fromSeason, toSeason });
+      const res = await fetch(`${baseUrl}/preview?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to load preview");
+      setPreview(data);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submit = async (url, successMessage) => {
+    setSubmitting(true);
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ fromSeason, toSeason }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Request failed");
+      toast.success(successMessage);
+      setJob({ ...data.job, canResume: false });
+      setPreview(null);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const startRollover = () => {
+    if (
+      !window.confirm(
+        `Roll over from ${fromSeason} to ${toSeason}? Memberships are renewed, categories reassigned and licences deactivated until renewed.`,
+      )
+    ) {
+      return;
+    }
+    submit(baseUrl, `Rollover to ${toSeason} started`);
+  };
+
+  const downloadReport = async () => {
+    try {
+      const res = await fetch(`${baseUrl}/${job._id}/report`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.message || "Failed to download report");
+      }
+      const blob = await res.blob();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `season-rollover-${job.fromSeason}-${job.toSeason}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const badge = job ? STATUS_BADGES[job.status] : null;
+
+  return (
+    <div className="space-y-6 rounded-2xl border border-slate-200 bg-white p-6 shadow-sm">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div className="space-y-1">
+          <h3 className="flex items-center gap-2 text-lg font-semibold text-slate-900">
+            <CalendarClock className="h-5 w-5" /> Season Rollover
+          </h3>
+          <p className="text-sm text-slate-500">
+            Renew memberships, reassign national categories and deactivate
+            licences for the new season.
+          </p>
+        </div>
+        <div className="flex items-end gap-2">
+          <div className="space-y-1">
+            <Label htmlFor="rollover-from">From</Label>
+            <Input
+              id="rollover-from"
+              className="w-24"
+              inputMode="numeric"
+              value={fromSeason}
+              onChange={(e) => setFromSeason(e.target.value.trim())}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="rollover-to">To</Label>
+            <Input
+              id="rollover-to"
+              className="w-24"
+              inputMode="numeric"
+              value={toSeason}
+              onChange={(e) => setToSeason(e.target.value.trim())}
+            />
+          </div>
+          <Button
+            type="button"
+            variant="outline"
+            disabled={loading || submitting}
+            onClick={loadPreview}
+          >
+            {loading ? "Loading..." : "Preview"}
+          </Button>
+          <Button
+            type="button"
+            disabled={!preview || preview.existingJob || submitting}
+            onClick={startRollover}
+          >
+            Start rollover
+          </Button>
+        </div>
+      </div>
+
+      {preview && (
+        <div className="space-y-3 rounded-xl border border-slate-200 p-4">
+          <div className="grid gap-3 text-sm sm:grid-cols-3">
+            <div>
+              <p className="text-slate-500">Memberships to renew</p>
+              <p className="text-xl font-semibold text-slate-900">
+                {preview.memberships.toRenew}
+              </p>
+              {preview.memberships.alreadyRenewed ? (
+                <p className="text-xs text-slate-500">
+                  {preview.memberships.alreadyRenewed} already renewed
+                </p>
+              ) : null}
+            </div>
+            <div>
+              <p className="text-slate-500">Athletes changing category</p>
+              <p className="text-xl font-semibold text-slate-900">
+                {preview.categories.changing}
+              </p>
+              {preview.categories.unassigned ? (
+                <p className="text-xs text-slate-500">
+                  {preview.categories.unassigned} without a matching category
+                </p>
+              ) : null}
+            </div>
+            <div>
+              <p className="text-slate-500">Licences to deactivate</p>
+              <p className="text-xl font-semibold text-slate-900">
+                {preview.licences.toDeactivate}
+              </p>
+            </div>
+          </div>
+          {preview.existingJob && (
+            <p className="text-sm text-amber-700">
+              A rollover to {preview.toSeason} already exists (
+              {preview.existingJob.status}).
+            </p>
+          )}
+          {preview.categories.sample.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-xs">
+                <thead className="text-left text-slate-500">
+                  <tr>
+                    <th className="py-1 pr-4">License</th>
+                    <th className="py-1 pr-4">Athlete</th>
+                    <th className="py-1 pr-4">{preview.fromSeason}</th>
+                    <th className="py-1 pr-4">{preview.toSeason}</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100 text-slate-700">
+                  {preview.categories.sample.map((change) => (
+                    <tr key={change.athlete}>
+                      <td className="py-1 pr-4">{change.licenseNumber}</td>
+                      <td className="py-1 pr-4">{change.name}</td>
+                      <td className="py-1 pr-4">{change.from || "-"}</td>
+                      <td className="py-1 pr-4">{change.to}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {preview.categories.changing >
+                preview.categories.sample.length && (
+                <p className="mt-2 text-xs text-slate-500">
+                  and{" "}
+                  {preview.categories.changing -
+                    preview.categories.sample.length}{" "}
+                  more
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {job && (
+        <div className="space-y-3 rounded-xl border border-slate-200 p-4">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="flex items-center gap-2 text-sm font-medium text-slate-700">
+              Rollover {job.fromSeason} to {job.toSeason}
+              {badge && <Badge variant={badge.variant}>{badge.label}</Badge>}
+            </div>
+            <div className="flex gap-2">
+              {job.canResume && (
+                <Button
+                  type="button"
+                  size="sm"
+                  disabled={submitting}
+                  onClick={() =>
+                    submit(`${baseUrl}/${job._id}/resume`, "Rollover resumed")
+                  }
+                >
+                  Resume
+                </Button>
+              )}
+              <Button
+                type="button"
+                size="sm"
+                variant="outline"
+                disabled={!job.changeCount}
+                onClick={downloadReport}
+              >
+                <Download className="mr-2 h-4 w-4" /> Report (CSV)
+              </Button>
+            </div>
+          </div>
+          {job.error && <p className="text-sm text-red-600">{job.error}</p>}
+          <ul className="space-y-1 text-sm text-slate-600">
+            {Object.entries(STEP_LABELS).map(([step, label]) => {
+              const progress = job.steps?.[step] || {};
+              return (
+                <li key={step} className="flex justify-between gap-4">
+                  <span>{label}</span>
+                  <span>
+                    {progress.status === "pending"
+                      ? "Waiting"
+                      : `${progress.updated || 0} updated (${progress.processed || 0}/${progress.total || 0} checked)`}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SeasonRolloverSection;
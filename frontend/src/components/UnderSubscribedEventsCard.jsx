@@ -0,0 +1,253 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { AlertTriangle } from "lucide-react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Select } from "./ui/select";
+import { Badge } from "./ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+
+const API_BASE_URL = "";
+
+const DECISION_LABELS = {
+  cancelled: { variant: "error", label: "Cancelled" },
+  merged: { variant: "warning", label: "Merged" },
+};
+
+const eventKey = (event) =>
+  `${event.category?.id || ""}:${event.boatClass?.id || ""}`;
+
+const describeEvent = (event) =>
+  [event.category?.abbreviation, event.boatClass?.code]
+    .filter(Boolean)
+    .join(" ") || "Event";
+
+const UnderSubscribedEventsCard = ({
+  competitionId,
+  token,
+  categories,
+  onUpdated,
+}) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [mergeTargets, setMergeTargets] = useState({});
+  const [reasons, setReasons] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const baseUrl = `${API_BASE_URL}/api/competitions/${competitionId}/registration/events`;
+
+  const loadReport = useCallback(async () => {
+    if (!competitionId || !token) return;
+    setLoading(true);
+    try {
+      const res = await fetch(`${baseUrl}/under-subscribed`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to load report");
+      setReport(data);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [baseUrl, competitionId, token]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const decide = async (event, action) => {
+    const key = eventKey(event);
+    if (action === "merge" && !mergeTargets[key]) {
+      toast.error("Choose the category to merge into");
+      return;
+    }
+    const label = describeEvent(event);
+    const confirmation =
+      action === "merge"
+        ? `Merge ${label} into another category? Entries and races not rowed yet will move.`
+        : `Cancel ${label}? Its entries will be withdrawn and the clubs notified.`;
+    if (!window.confirm(confirmation)) return;
+
+    setSubmitting(true);
+    try {
+      const res = await fetch(`${baseUrl}/${action}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          category: event.category?.id,
+          boatClass: event.boatClass?.id || undefined,
+          targetCategory: action === "merge" ? mergeTargets[key] : undefined,
+          reason: reasons[key] || undefined,
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Request failed");
+      toast.success(
+        action === "merge"
+          ? `${label} merged (${data.entries} entries moved)`
+          : `${label} cancelled (${data.entries} entries withdrawn)`,
+      );
+      if (action === "merge" && data.cancelledRaces) {
+        toast.info(
+          `Races drawn again; ${data.cancelledRaces} race(s) left empty were cancelled`,
+        );
+      }
+      await loadReport();
+      onUpdated?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const events = report?.events || [];
+  const decisions = report?.decisions || [];
+
+  if (report && !report.minEntriesPerEvent && !decisions.length) {
+    return null;
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-lg">
+          <AlertTriangle className="h-5 w-5" /> Under-subscribed events
+        </CardTitle>
+        {report?.minEntriesPerEvent ? (
+          <p className="text-sm text-slate-500">
+            Events with fewer than {report.minEntriesPerEvent} pending or
+            approved entries.
+          </p>
+        ) : null}
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {loading && !report ? (
+          <p className="text-sm text-slate-500">Loading report...</p>
+        ) : !events.length ? (
+          <p className="text-sm text-slate-500">
+            Every event has enough entries.
+          </p>
+        ) : (
+          <ul className="space-y-3">
+            {events.map((event) => {
+              const key = eventKey(event);
+              return (
+                <li
+                  key={key}
+                  className="space-y-2 rounded-lg border border-slate-200 p-3 text-sm"
+                >
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <span className="font-medium text-slate-900">
+                      {event.label || describeEvent(event)}
+                    </span>
+                    <span className="text-xs text-slate-500">
+                      {event.entries} entr{event.entries === 1 ? "y" : "ies"}
+                      {event.clubs?.length
+                        ? ` - ${event.clubs
+                            .map((club) => club?.code || club?.name)
+                            .filter(Boolean)
+                            .join(", ")}`
+                        : ""}
+                    </span>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <Input
+                      className="max-w-xs"
+                      placeholder="Reason (optional)"
+                      value={reasons[key] || ""}
+                      onChange={(e) =>
+                        setReasons((prev) => ({
+                          ...prev,
+                          [key]: e.target.value,
+                        }))
+                      }
+                    />
+                    <Select
+                      value={mergeTargets[key] || ""}
+                      onChange={(e) =>
+                        setMergeTargets((prev) => ({
+                          ...prev,
+                          [key]: e.target.value,
+                        }))
+                      }
+                    >
+                      <option value="">Merge into...</option>
+                      {categories
+                        .filter(
+                          (category) => category.id !== event.category?.id,
+                        )
+                        .map((category) => (
+                          <option key={category.id} value={category.id}>
+                            {category.abbreviation || category.id}
+                          </option>
+                        ))}
+                    </Select>
+                    <Button
+                      type="button"
+                      size="sm"
+                      variant="outline"
+                      disabled={submitting || !mergeTargets[key]}
+                      onClick={() => decide(event, "merge")}
+                    >
+                      Merge
+                    </Button>
+                    <Button
+                      type="button"
+                      size="sm"
+                      variant="destructive"
+                      disabled={submitting}
+                      onClick={() => decide(event, "cancel")}
+                    >
+                      Cancel event
+                    </Button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {decisions.length ? (
+          <div className="space-y-2">
+            <h3 className="text-sm font-semibold text-slate-700">Decisions</h3>
+            <ul className="space-y-1 text-xs text-slate-600">
+              {decisions.map((decision) => {
+                const badge = DECISION_LABELS[decision.action];
+                return (
+                  <li
+                    key={decision.id}
+                    className="flex flex-wrap items-center gap-2"
+                  >
+                    <Badge variant={badge?.variant}>
+                      {badge?.label || decision.action}
+                    </Badge>
+                    <span>
+                      {describeEvent(decision)}
+                      {decision.mergedInto
+                        ? ` into ${decision.mergedInto.abbreviation}`
+                        : ""}{" "}
+                      - {decision.entries} entr
+                      {decision.entries === 1 ? "y" : "ies"}
+                      {decision.decidedAt
+                        ? `, ${new Date(decision.decidedAt).toLocaleString()}`
+                        : ""}
+                      {decision.reason ? ` (${decision.reason})` : ""}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ) : null}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default UnderSubscribedEventsCard;
@@ -0,0 +1,334 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { Printer, Scale } from "lucide-react";
+import jsPDF from "jspdf";
+import autoTable from "jspdf-autotable";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Select } from "./ui/select";
+import { Label } from "./ui/label";
+import { Badge } from "./ui/badge";
+
+const API_BASE_URL = "";
+
+const STATUS_BADGES = {
+  passed: { variant: "success", label: "Passed" },
+  missing: { variant: "warning", label: "Not weighed" },
+  overweight: { variant: "error", label: "Overweight" },
+  cox_underweight: { variant: "error", label: "Cox underweight" },
+};
+
+// Rowers have a maximum, coxes a minimum (made up with deadweight)
+const formatLimit = (row) =>
+  row.seat === "cox" ? `min ${row.minKg}` : row.maxKg ? `max ${row.maxKg}` : "";
+
+const formatAthleteName = (athlete) =>
+  athlete
+    ? `${athlete.lastName?.toUpperCase() || ""} ${athlete.firstName || ""}`.trim()
+    : "-";
+
+const formatClock = (value) =>
+  value
+    ? new Date(value).toLocaleTimeString("en-GB", {
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "";
+
+const formatRaces = (races) =>
+  races
+    .map(
+      (race) =>
+        `#${race.order} ${race.category || ""} ${race.boatClass || ""}`.trim() +
+        (race.startTime ? ` (${formatClock(race.startTime)})` : ""),
+    )
+    .join(", ");
+
+const WeighInSection = ({ competitionId, competition, token }) => {
+  const [journey, setJourney] = useState("1");
+  const [sheet, setSheet] = useState(null);
+  const [weights, setWeights] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [savingId, setSavingId] = useState(null);
+
+  const stages = competition?.stages || [];
+
+  const loadSheet = useCallback(async () => {
+    if (!competitionId || !token) return;
+    setLoading(true);
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/competitions/${competitionId}/weigh-ins/sheet?journey=${journey}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to load weigh-ins");
+      setSheet(data);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [competitionId, journey, token]);
+
+  useEffect(() => {
+    loadSheet();
+  }, [loadSheet]);
+
+  const recordWeight = async (athleteId) => {
+    const weightKg = Number(weights[athleteId]);
+    if (!weightKg) {
+      toast.error("Enter a weight first");
+      return;
+    }
+    setSavingId(athleteId);
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/competitions/${competitionId}/weigh-ins`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({
+            athlete: athleteId,
+            journeyIndex: Number(journey),
+            weightKg,
+          }),
+        },
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to record weight");
+      setWeights((prev) => ({ ...prev, [athleteId]: "" }));
+      await loadSheet();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const exportWeighInSheetPDF = () => {
+    if (!sheet?.sessions?.length) return;
+
+    const doc = new jsPDF({
+      orientation: "landscape",
+      unit: "mm",
+      format: "a4",
+    });
+    const title = competition?.names?.en || competition?.code || "Competition";
+    const dayLabel = sheet.stage || `Day ${sheet.journeyIndex}`;
+
+    sheet.sessions.forEach((session, sessionIndex) => {
+      if (sessionIndex > 0) doc.addPage();
+
+      doc.setFont("helvetica", "bold");
+      doc.setFontSize(14);
+      doc.text(title, 148.5, 15, { align: "center" });
+      doc.setFontSize(12);
+      doc.text(`Weigh-in - ${dayLabel} - ${session.sessionLabel}`, 148.5, 22, {
+        align: "center",
+      });
+      doc.setFont("helvetica", "normal");
+      doc.setFontSize(8);
+      const coxLimits = sheet.coxswain
+        ? `, coxes at least ${sheet.coxswain.minKg.male} kg, ${sheet.coxswain.minKg.female} kg for women's crews (up to ${sheet.coxswain.maxDeadweightKg} kg deadweight)`
+        : "";
+      doc.text(
+        `Limits: men ${sheet.limits.male.maxKg} kg (crew average ${sheet.limits.male.crewAverageKg} kg), women ${sheet.limits.female.maxKg} kg (crew average ${sheet.limits.female.crewAverageKg} kg)${coxLimits}`,
+        148.5,
+        27,
+        { align: "center" },
+      );
+
+      autoTable(doc, {
+        startY: 32,
+        head: [
+          [
+            "#",
+            "Athlete",
+            "Licence",
+            "Club",
+            "Races",
+            "Limit (kg)",
+            "Weight (kg)",
+            "Deadweight (kg)",
+            "Time",
+            "Official",
+            "Signature",
+          ],
+        ],
+        body: session.athletes.map((row, index) => [
+          index + 1,
+          `${formatAthleteName(row.athlete)}${row.seat === "cox" ? " (cox)" : ""}`,
+          row.athlete?.licenseNumber || "",
+          row.club?.code || row.club?.name || "",
+          formatRaces(row.races),
+          formatLimit(row),
+          row.weighIn ? row.weighIn.weightKg.toFixed(1) : "",
+          row.deadweightKg ? row.deadweightKg.toFixed(1) : "",
+          formatClock(row.weighIn?.weighedAt),
+          row.weighIn?.official
+            ? `${row.weighIn.official.firstName || ""} ${row.weighIn.official.lastName || ""}`.trim()
+            : "",
+          "",
+        ]),
+        styles: { fontSize: 8, cellPadding: 2 },
+        headStyles: { fillColor: [15, 23, 42] },
+        columnStyles: { 4: { cellWidth: 55 }, 10: { cellWidth: 28 } },
+      });
+    });
+
+    doc.save(
+      `weigh-in-${competition?.code || "competition"}-day-${journey}.pdf`,
+    );
+  };
+
+  const athleteCount = (sheet?.sessions || []).reduce(
+    (total, session) => total + session.athletes.length,
+    0,
+  );
+
+  return (
+    <section className="space-y-6 rounded-2xl border border-slate-200 bg-white/95 p-6 shadow-sm">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div className="space-y-2">
+          <h2 className="flex items-center gap-2 text-lg font-semibold text-slate-900">
+            <Scale className="h-5 w-5" /> Weigh-in
+          </h2>
+          <p className="text-sm text-slate-500">
+            Record the weight of every lightweight athlete and every cox on race
+            day. Lanes that have not passed cannot be given a racing result.
+          </p>
+        </div>
+        <div className="flex items-end gap-2">
+          <div className="space-y-2">
+            <Label htmlFor="weighInJourney">Day</Label>
+            <Select
+              id="weighInJourney"
+              value={journey}
+              onChange={(e) => setJourney(e.target.value)}
+            >
+              {(stages.length ? stages : [{ name: "Day 1" }]).map(
+                (stage, index) => (
+                  <option key={index} value={(index + 1).toString()}>
+                    {stage.name || `Day ${index + 1}`}
+                  </option>
+                ),
+              )}
+            </Select>
+          </div>
+          <Button
+            type="button"
+            variant="outline"
+            onClick={exportWeighInSheetPDF}
+            disabled={!athleteCount}
+          >
+            <Printer className="mr-2 h-4 w-4" /> Weigh-in sheet
+          </Button>
+        </div>
+      </div>
+
+      {loading && !sheet ? (
+        <p className="text-sm text-slate-500">Loading weigh-ins...</p>
+      ) : !athleteCount ? (
+        <p className="text-sm text-slate-500">
+          No lightweight or coxed races on this day.
+        </p>
+      ) : (
+        sheet.sessions.map((session) => (
+          <div key={session.sessionLabel} className="space-y-2">
+            <h3 className="text-sm font-semibold text-slate-900">
+              {session.sessionLabel}
+            </h3>
+            <table className="w-full text-left text-sm">
+              <thead className="text-xs uppercase text-slate-400">
+                <tr>
+                  <th className="py-1">Athlete</th>
+                  <th className="py-1">Club</th>
+                  <th className="py-1">Races</th>
+                  <th className="py-1">Weight</th>
+                  <th className="py-1">Status</th>
+                  <th className="py-1" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {session.athletes.map((row) => {
+                  const athleteId = row.athlete._id;
+                  const badge = STATUS_BADGES[row.status];
+                  return (
+                    <tr key={athleteId}>
+                      <td className="py-2 font-medium text-slate-900">
+                        {formatAthleteName(row.athlete)}
+                        {row.seat === "cox" && (
+                          <span className="ml-2 text-xs font-normal text-slate-500">
+                            Cox
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-2 text-slate-500">
+                        {row.club?.code || row.club?.name || "-"}
+                      </td>
+                      <td className="py-2 text-xs text-slate-500">
+                        {formatRaces(row.races)}
+                      </td>
+                      <td className="py-2 font-mono">
+                        {row.weighIn
+                          ? `${row.weighIn.weightKg.toFixed(1)} kg`
+                          : "-"}
+                        {formatLimit(row) ? (
+                          <span className="ml-1 text-xs text-slate-400">
+                            / {formatLimit(row)}
+                          </span>
+                        ) : null}
+                        {row.deadweightKg ? (
+                          <span className="block text-xs text-amber-600">
+                            +{row.deadweightKg.toFixed(1)} kg deadweight
+                          </span>
+                        ) : null}
+                      </td>
+                      <td className="py-2">
+                        <Badge variant={badge?.variant}>
+                          {badge?.label || row.status}
+                        </Badge>
+                      </td>
+                      <td className="py-2">
+                        <div className="flex justify-end gap-2">
+                          <Input
+                            type="number"
+                            step="0.1"
+                            min="20"
+                            className="w-24"
+                            placeholder="kg"
+                            value={weights[athleteId] || ""}
+                            onChange={(e) =>
+                              setWeights((prev) => ({
+                                ...prev,
+                                [athleteId]: e.target.value,
+                              }))
+                            }
+                          />
+                          <Button
+                            type="button"
+                            size="sm"
+                            disabled={savingId === athleteId}
+                            onClick={() => recordWeight(athleteId)}
+                          >
+                            {row.weighIn ? "Correct" : "Record"}
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ))
+      )}
+    </section>
+  );
+};
+
+export default WeighInSection;
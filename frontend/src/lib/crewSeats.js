@@ -0,0 +1,45 @@
+// Crews are stored in seat order, bow first. In coxed boats the cox is one
+// of the crew and is also referenced as `coxswain` (see backend
+// Services/crewSeatService.js).
+
+const toMemberId = (member) =>
+  (member?._id ?? member?.id ?? member)?.toString?.() || null;
+
+/**
+ * Short seat tag of a crew member, as printed before the name
+ *
+ * @param {Array} crew - Crew members in seat order
+ * @param {number} index - Index of the member in `crew`
+ * @param {*} [coxswain] - Cox (id or document), if any
+ * @returns {string} "(b) ", "(2) ", "(s) ", "(c) " or "" for a single
+ */
+export const getSeatTag = (crew, index, coxswain) => {
+  const coxId = toMemberId(coxswain);
+  if (coxId && toMemberId(crew[index]) === coxId) {
+    return "(c) ";
+  }
+  const rowers = coxId
+    ? crew.filter((member) => toMemberId(member) !== coxId)
+    : crew;
+  if (rowers.length <= 1) {
+    return "";
+  }
+  const seat = rowers.indexOf(crew[index]);
+  if (seat === 0) return "(b) ";
+  if (seat === rowers.length - 1) return "(s) ";
+  return `(${seat + 1}) `;
+};
+
+/**
+ * Seat label for the crew builder
+ *
+ * @param {number} index - Rowing seat, bow = 0
+ * @param {number} rowerCount - Number of rowing seats
+ * @returns {string}
+ */
+export const getSeatLabel = (index, rowerCount) => {
+  const seatNumber = index + 1;
+  if (seatNumber === 1) return "Bow (1)";
+  if (seatNumber === rowerCount) return `Stroke (${rowerCount})`;
+  return `Seat ${seatNumber}`;
+};
@@ -0,0 +1,35 @@
+// Roles allowed to save lanes despite eligibility errors (see backend
+// Services/raceEligibilityService.js)
+const OVERRIDE_ROLES = ["admin", "jury_president"];
+
+/**
+ * One line per eligibility issue returned by a lane write
+ *
+ * @param {Array} issues - [{ lane, message }]
+ * @returns {string}
+ */
+export const formatEligibilityIssues = (issues = []) =>
+  issues
+    .map((issue) =>
+      issue.lane ? `Lane ${issue.lane}: ${issue.message}` : issue.message,
+    )
+    .join("\n");
+
+/**
+ * Ask an admin or jury president whether to save despite eligibility errors.
+ *
+ * @param {object} eligibility - { errors, warnings } from a 409 response
+ * @param {object} user - Logged-in user
+ * @returns {string|null} Override reason, or null to keep the write blocked
+ */
+export const promptEligibilityOverride = (eligibility, user) => {
+  if (!OVERRIDE_ROLES.includes(user?.role) || !eligibility?.errors?.length) {
+    return null;
+  }
+  const reason = window.prompt(
+    `Some athletes are not eligible:\n\n${formatEligibilityIssues(
+      eligibility.errors,
+    )}\n\nEnter a reason to override these errors, or cancel.`,
+  );
+  return reason?.trim() || null;
+};
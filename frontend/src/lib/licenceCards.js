@@ -0,0 +1,227 @@
+import jsPDF from "jspdf";
+import QRCode from "qrcode";
+import { getAthletePhotoUrl, getAthleteInitials } from "./athlete";
+
+// ISO/IEC 7810 ID-1 (credit card), landscape
+const CARD_WIDTH = 85.6;
+const CARD_HEIGHT = 54;
+const BAND_COLOR = [15, 54, 107];
+
+const FEDERATION_NAME = {
+  fr: "FÉDÉRATION TUNISIENNE D'AVIRON",
+  ar: "الجامعة التونسية للتجذيف",
+};
+
+const loadImage = (url, type = "image/png") =>
+  new Promise((resolve) => {
+    const img = new Image();
+    img.crossOrigin = "Anonymous";
+    img.src = url;
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = img.width;
+      canvas.height = img.height;
+      canvas.getContext("2d").drawImage(img, 0, 0);
+      resolve(canvas.toDataURL(type, 0.9));
+    };
+    img.onerror = () => resolve(null);
+  });
+
+const loadFont = async (url) => {
+  try {
+    const response = await fetch(url);
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    let binary = "";
+    for (let i = 0; i < bytes.byteLength; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return window.btoa(binary);
+  } catch (error) {
+    console.error("Failed to load font", error);
+    return null;
+  }
+};
+
+/**
+ * Address encoded in the QR code of a card
+ * @param {object} card - Card from /api/licence-cards
+ * @returns {string} URL of the public verification page
+ */
+export const getLicenceVerificationUrl = (card) =>
+  `${window.location.origin}/verify/licence/${encodeURIComponent(
+    card.licenseNumber,
+  )}?s=${encodeURIComponent(card.signature)}`;
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString("fr-FR") : "-";
+
+const drawCard = (doc, card, { photo, qr, logo, arabicFont }) => {
+  const setArabic = (size) => {
+    doc.setFont(arabicFont, "normal");
+    doc.setFontSize(size);
+  };
+  const setLatin = (size, style = "normal") => {
+    doc.setFont("helvetica", style);
+    doc.setFontSize(size);
+  };
+
+  // Header band: federation name in French and Arabic
+  doc.setFillColor(...BAND_COLOR);
+  doc.rect(0, 0, CARD_WIDTH, 9, "F");
+  if (logo) {
+    doc.addImage(logo, "PNG", 1.5, 1, 7, 7);
+  }
+  doc.setTextColor(255, 255, 255);
+  setLatin(5.5, "bold");
+  doc.text(FEDERATION_NAME.fr, logo ? 10 : 3, 4);
+  setLatin(5);
+  doc.text(`LICENCE ${card.season}`, logo ? 10 : 3, 7.2);
+  if (arabicFont) {
+    setArabic(7);
+    doc.text(FEDERATION_NAME.ar, CARD_WIDTH - 3, 4.2, { align: "right" });
+    setArabic(6);
+    doc.text(`رخصة ${card.season}`, CARD_WIDTH - 3, 7.4, { align: "right" });
+  }
+  doc.setTextColor(15, 23, 42);
+
+  // Photo
+  const photoBox = { x: 3, y: 12, w: 19, h: 24 };
+  doc.setDrawColor(203, 213, 225);
+  doc.rect(photoBox.x, photoBox.y, photoBox.w, photoBox.h);
+  if (photo) {
+    doc.addImage(photo, "JPEG", photoBox.x, photoBox.y, photoBox.w, photoBox.h);
+  } else {
+    setLatin(12, "bold");
+    doc.setTextColor(148, 163, 184);
+    doc.text(
+      getAthleteInitials(card),
+      photoBox.x + photoBox.w / 2,
+      photoBox.y + photoBox.h / 2 + 2,
+      { align: "center" },
+    );
+    doc.setTextColor(15, 23, 42);
+  }
+
+  // Identity
+  const x = 25;
+  const right = 62;
+  setLatin(8.5, "bold");
+  doc.text(
+    `${(card.lastName || "").toUpperCase()} ${card.firstName || ""}`,
+    x,
+    15,
+    {
+      maxWidth: right - x,
+    },
+  );
+  const nameAr = `${card.firstNameAr || ""} ${card.lastNameAr || ""}`.trim();
+  if (nameAr && arabicFont) {
+    setArabic(8.5);
+    doc.text(nameAr, right, 19.5, { align: "right" });
+  }
+
+  const line = (label, value, y) => {
+    setLatin(5.5);
+    doc.setTextColor(100, 116, 139);
+    doc.text(label, x, y);
+    setLatin(6.5, "bold");
+    doc.setTextColor(15, 23, 42);
+    doc.text(String(value || "-"), x, y + 3, { maxWidth: right - x });
+  };
+  line("N° LICENCE", card.licenseNumber, 23.5);
+  line(
+    "CLUB",
+    card.club ? `${card.club.code || ""} ${card.club.name || ""}`.trim() : "-",
+    30,
+  );
+  line(
+    "CATÉGORIE",
+    card.category
+      ? `${card.category.abbreviation || ""} ${card.category.titles?.fr || ""}`.trim()
+      : "-",
+    36.5,
+  );
+  line("NÉ(E) LE", formatDate(card.birthDate), 43);
+
+  // Arabic club and category under the photo
+  if (arabicFont) {
+    setArabic(6);
+    const clubAr = card.club?.nameAr || "";
+    const categoryAr = card.category?.titles?.ar || "";
+    if (clubAr)
+      doc.text(clubAr, photoBox.x + photoBox.w, 40, { align: "right" });
+    if (categoryAr) {
+      doc.text(categoryAr, photoBox.x + photoBox.w, 44, { align: "right" });
+    }
+  }
+
+  // QR code to the public verification page
+  if (qr) {
+    doc.addImage(qr, "PNG", 64, 12, 19, 19);
+  }
+  setLatin(4.5);
+  doc.setTextColor(100, 116, 139);
+  doc.text("Vérification", 73.5, 34, { align: "center" });
+  if (arabicFont) {
+    setArabic(5);
+    doc.text("تحقق", 73.5, 37, { align: "center" });
+  }
+
+  // Footer band
+  doc.setFillColor(...BAND_COLOR);
+  doc.rect(0, CARD_HEIGHT - 4, CARD_WIDTH, 4, "F");
+  doc.setTextColor(255, 255, 255);
+  setLatin(4.5);
+  doc.text(
+    `Saison ${card.season} - valable avec un certificat médical en cours de validité`,
+    CARD_WIDTH / 2,
+    CARD_HEIGHT - 1.5,
+    { align: "center" },
+  );
+  doc.setTextColor(0, 0, 0);
+};
+
+/**
+ * Licence cards as a PDF, one credit-card sized page per athlete
+ *
+ * @param {Array} cards - Cards from /api/licence-cards
+ * @param {string} fileName - PDF file name
+ */
+export const exportLicenceCardsPDF = async (cards, fileName) => {
+  const doc = new jsPDF({
+    orientation: "landscape",
+    unit: "mm",
+    format: [CARD_WIDTH, CARD_HEIGHT],
+  });
+
+  const arabicFontBase64 = await loadFont("/fonts/Amiri-Regular.ttf");
+  let arabicFont = null;
+  if (arabicFontBase64) {
+    try {
+      doc.addFileToVFS("Amiri-Regular.ttf", arabicFontBase64);
+      doc.addFont("Amiri-Regular.ttf", "Amiri", "normal");
+      arabicFont = "Amiri";
+    } catch (err) {
+      console.warn("Could not register Arabic font:", err);
+    }
+  }
+  const logo = await loadImage("/logo.png");
+
+  for (const [index, card] of cards.entries()) {
+    if (index > 0) doc.addPage([CARD_WIDTH, CARD_HEIGHT], "landscape");
+    const photoUrl = getAthletePhotoUrl(card);
+    const [photo, qr] = await Promise.all([
+      photoUrl ? loadImage(photoUrl, "image/jpeg") : null,
+      card.signature
+        ? QRCode.toDataURL(getLicenceVerificationUrl(card), {
+            errorCorrectionLevel: "M",
+            margin: 0,
+            width: 240,
+          })
+        : null,
+    ]);
+    drawCard(doc, card, { photo, qr, logo, arabicFont });
+  }
+
+  doc.save(fileName);
+};
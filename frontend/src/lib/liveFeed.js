@@ -0,0 +1,84 @@
+import API_URL from "../config";
+
+const API_BASE_URL = API_URL;
+
+const RECONNECT_DELAY_MS = 5000;
+
+// Split an SSE buffer into complete events ({ event, data })
+const readEvents = (buffer) => {
+  const blocks = buffer.split("\n\n");
+  const rest = blocks.pop();
+  const events = blocks
+    .map((block) => {
+      let event = "message";
+      const data = [];
+      block.split("\n").forEach((line) => {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        if (line.startsWith("data:")) data.push(line.slice(5).trim());
+      });
+      if (!data.length) return null;
+      try {
+        return { event, data: JSON.parse(data.join("\n")) };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  return { events, rest };
+};
+
+/**
+ * Follow the live race-day feed of a competition.
+ * EventSource cannot send the Bearer token, so the stream is read with fetch.
+ *
+ * @param {object} options - { competitionId, token, onEvent(event, data) }
+ * @returns {Function} Stops the subscription
+ */
+export const subscribeToCompetitionFeed = ({
+  competitionId,
+  token,
+  onEvent,
+}) => {
+  const controller = new AbortController();
+  let stopped = false;
+
+  const connect = async () => {
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/competitions/${competitionId}/live`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            Accept: "text/event-stream",
+          },
+          signal: controller.signal,
+        },
+      );
+      if (!res.ok || !res.body) throw new Error("Live feed unavailable");
+
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const { events, rest } = readEvents(buffer);
+        buffer = rest;
+        events.forEach(({ event, data }) => onEvent(event, data));
+      }
+    } catch {
+      // Dropped or refused connection; retried below unless stopped
+    }
+    if (!stopped) setTimeout(connect, RECONNECT_DELAY_MS);
+  };
+
+  if (competitionId && token) connect();
+
+  return () => {
+    stopped = true;
+    controller.abort();
+  };
+};
+
+export default subscribeToCompetitionFeed;
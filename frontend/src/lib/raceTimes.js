@@ -0,0 +1,30 @@
+// Race times as stored by the backend: elapsedMs is the raw time and
+// adjustedMs the time with penalties (see backend Services/raceResultService.js)
+
+/**
+ * Total of the time penalties of a lane result
+ *
+ * @param {object} result - Lane result with optional penalties
+ * @returns {number} Penalty in milliseconds
+ */
+export const getPenaltyMs = (result) =>
+  (result?.penalties || []).reduce(
+    (total, penalty) => total + (Number(penalty.amountMs) || 0),
+    0,
+  );
+
+/**
+ * Final time of a lane: raw time plus penalties
+ *
+ * @param {object} result - Lane result
+ * @returns {number|undefined} Milliseconds, or undefined without a time
+ */
+export const getFinalTimeMs = (result) => {
+  if (result?.adjustedMs !== undefined && result?.adjustedMs !== null) {
+    return result.adjustedMs;
+  }
+  if (result?.elapsedMs === undefined || result?.elapsedMs === null) {
+    return undefined;
+  }
+  return result.elapsedMs + getPenaltyMs(result);
+};
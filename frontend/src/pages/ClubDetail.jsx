@@ -7,6 +7,9 @@ import { Label } from "../components/ui/label";
 import { Select } from "../components/ui/select";
 import { DataGrid } from "../components/DataGrid";
 import AthleteDocumentsDialog from "../components/AthleteDocumentsDialog";
+import ClubBalanceSection from "../components/ClubBalanceSection";
+import LicenceRenewalSection from "../components/LicenceRenewalSection";
+import LicenceCardsButton from "../components/LicenceCardsButton";
 import { useAuth } from "../contexts/AuthContext";
 import {
   getAthleteInitials,
@@ -2227,9 +2230,18 @@ const ClubDetail = () => {
                   {club?.nameAr || "Arabic name unavailable"}
                 </p>
               </div>
-              <div className="text-xs text-slate-500">
-                Monitoring {totalTrackedAthletes} athlete
-                {totalTrackedAthletes === 1 ? "" : "s"}
+              <div className="flex flex-col items-end gap-2">
+                <div className="text-xs text-slate-500">
+                  Monitoring {totalTrackedAthletes} athlete
+                  {totalTrackedAthletes === 1 ? "" : "s"}
+                </div>
+                {club?._id && permissions.canManageAthletes ? (
+                  <LicenceCardsButton
+                    token={token}
+                    clubId={club._id}
+                    fileName={`licence-cards-${club.code || club._id}.pdf`}
+                  />
+                ) : null}
               </div>
             </div>
 
@@ -2494,6 +2506,28 @@ const ClubDetail = () => {
         </div>
       </div>
 
+      {club?._id ? (
+        <ClubBalanceSection
+          clubId={club._id}
+          token={token}
+          canRecordPayments={user?.role === "admin"}
+        />
+      ) : null}
+
+      {club?._id && permissions.canManageAthletes ? (
+        <LicenceRenewalSection
+          token={token}
+          clubId={club._id}
+          athletes={[
+            ...athleteBuckets.active,
+            ...athleteBuckets.pending,
+            ...athleteBuckets.inactive,
+          ]}
+          canRequest
+          canDecide={isAdmin}
+        />
+      ) : null}
+
       {permissions.canDecideTransfers && pendingTransfers.length ? (
         <div className="rounded-2xl border border-indigo-200 bg-indigo-50 p-6">
           <h2 className="text-lg font-semibold text-slate-900">
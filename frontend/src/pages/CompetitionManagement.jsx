@@ -44,9 +44,33 @@ const STATUS_OPTIONS = [
 const REGISTRATION_STATUS_LABELS = {
   not_open: "Not open",
   open: "Open",
+  late: "Late entries",
   closed: "Closed",
 };
 
+const QUOTA_CLUB_TYPE_OPTIONS = [
+  { value: "", label: "All clubs" },
+  { value: "club", label: "Clubs" },
+  { value: "country", label: "Countries" },
+  { value: "centre_de_promotion", label: "Centres de promotion" },
+  { value: "ecole_federale", label: "Ecoles federales" },
+];
+
+const BOW_NUMBERING_OPTIONS = [
+  { value: "event", label: "Per event (1, 2, 3... in each event)" },
+  { value: "sequential", label: "Sequential across the regatta" },
+  { value: "club", label: "By club (consecutive per club)" },
+];
+
+// Empty value: discipline default (centre lanes for classic regattas)
+const LANE_DRAW_OPTIONS = [
+  { value: "", label: "Discipline default" },
+  { value: "centre", label: "Centre lanes first (World Rowing)" },
+  { value: "sequential", label: "Sequential (lane 1, 2, 3...)" },
+];
+
+const emptyQuota = { category: "", boatClass: "", clubType: "", maxBoats: "" };
+
 const RESULTS_STATUS_LABELS = {
   pending: "Pending",
   unofficial: "Unofficial",
@@ -63,6 +87,7 @@ const STATUS_BADGES = {
 const REGISTRATION_BADGES = {
   not_open: "bg-slate-200 text-slate-700",
   open: "bg-blue-100 text-blue-700",
+  late: "bg-amber-100 text-amber-700",
   closed: "bg-slate-300 text-slate-600",
 };
 
@@ -197,6 +222,10 @@ const computeRegistrationState = (competition) => {
     return { key: "closed", label: "Closed", isOpen: false };
   }
 
+  if (explicitStatus === "late") {
+    return { key: "late", label: "Late entries", isOpen: true };
+  }
+
   const openAtRaw = competition.registrationWindow?.openAt;
   const closeAtRaw = competition.registrationWindow?.closeAt;
 
@@ -231,6 +260,12 @@ const computeRegistrationState = (competition) => {
   }
 
   if (closeAtValid && closeAtValid < now) {
+    const lateCloseAt = competition.lateEntries?.enabled
+      ? new Date(competition.lateEntries.closeAt || competition.startDate)
+      : null;
+    if (lateCloseAt && lateCloseAt >= now) {
+      return { key: "late", label: "Late entries", isOpen: true };
+    }
     return {
       key: "closed",
       label: "Closed",
@@ -261,9 +296,28 @@ const createDefaultFormState = () => {
     venueCity: "",
     venueCountry: "",
     defaultDistance: "",
+    protestWindowMinutes: "20",
+    minRestMinutes: "60",
+    maxSubstitutions: "2",
+    substitutionDeadlineMinutes: "60",
+    splitInterval: "",
+    feeCurrency: "TND",
+    feePerBoat: "",
+    feePerSeat: "",
+    feeLateSurcharge: "",
+    categoryFees: {},
+    blockUnpaidClubs: false,
+    entryQuotas: [],
+    minEntriesPerEvent: "",
+    bowNumberingMethod: "event",
+    bowNumberingStartAt: "1",
+    laneDrawMethod: "",
     allowUpCategory: true,
+    coxWeighIn: false,
     registrationOpenAt: "",
     registrationCloseAt: "",
+    lateEntriesEnabled: false,
+    lateEntriesCloseAt: "",
     notes: "",
     allowedCategories: [],
     allowedBoatClasses: [],
@@ -489,13 +543,75 @@ const CompetitionManagement = () => {
             payload.defaultDistance !== undefined
               ? payload.defaultDistance.toString()
               : "",
+          protestWindowMinutes:
+            payload.protestWindowMinutes !== undefined
+              ? payload.protestWindowMinutes.toString()
+              : "",
+          minRestMinutes:
+            payload.minRestMinutes !== undefined
+              ? payload.minRestMinutes.toString()
+              : "",
+          maxSubstitutions:
+            payload.maxSubstitutions !== undefined
+              ? payload.maxSubstitutions.toString()
+              : "",
+          substitutionDeadlineMinutes:
+            payload.substitutionDeadlineMinutes !== undefined
+              ? payload.substitutionDeadlineMinutes.toString()
+              : "",
+          splitInterval: payload.splitInterval
+            ? payload.splitInterval.toString()
+            : "",
+          feeCurrency: payload.entryFees?.currency || "TND",
+          feePerBoat: payload.entryFees?.perBoat
+            ? payload.entryFees.perBoat.toString()
+            : "",
+          feePerSeat: payload.entryFees?.perSeat
+            ? payload.entryFees.perSeat.toString()
+            : "",
+          feeLateSurcharge: payload.entryFees?.lateSurcharge
+            ? payload.entryFees.lateSurcharge.toString()
+            : "",
+          categoryFees: (payload.entryFees?.categoryFees || []).reduce(
+            (accumulator, item) => {
+              const categoryId =
+                item.category?._id?.toString?.() || item.category?.toString?.();
+              if (categoryId) {
+                accumulator[categoryId] = item.amount.toString();
+              }
+              return accumulator;
+            },
+            {},
+          ),
+          blockUnpaidClubs: Boolean(payload.blockUnpaidClubs),
+          entryQuotas: (payload.entryQuotas || []).map((quota) => ({
+            category:
+              quota.category?._id?.toString?.() ||
+              quota.category?.toString?.() ||
+              "",
+            boatClass:
+              quota.boatClass?._id?.toString?.() ||
+              quota.boatClass?.toString?.() ||
+              "",
+            clubType: quota.clubType || "",
+            maxBoats: quota.maxBoats?.toString() ?? "",
+          })),
+          minEntriesPerEvent: payload.minEntriesPerEvent
+            ? payload.minEntriesPerEvent.toString()
+            : "",
+          bowNumberingMethod: payload.bowNumbering?.method || "event",
+          bowNumberingStartAt: (payload.bowNumbering?.startAt || 1).toString(),
+          laneDrawMethod: payload.laneDraw?.method || "",
           allowUpCategory: Boolean(payload.allowUpCategory),
+          coxWeighIn: Boolean(payload.coxWeighIn),
           registrationOpenAt: formatDateInput(
             payload.registrationWindow?.openAt,
           ),
           registrationCloseAt: formatDateInput(
             payload.registrationWindow?.closeAt,
           ),
+          lateEntriesEnabled: Boolean(payload.lateEntries?.enabled),
+          lateEntriesCloseAt: formatDateInput(payload.lateEntries?.closeAt),
           notes: payload.notes || "",
           allowedCategories: Array.isArray(payload.allowedCategories)
             ? payload.allowedCategories.map(
@@ -534,6 +650,22 @@ const CompetitionManagement = () => {
     });
   }, []);
 
+  const handleCategoryFeeChange = useCallback((categoryId, value) => {
+    setFormState((previous) => ({
+      ...previous,
+      categoryFees: { ...previous.categoryFees, [categoryId]: value },
+    }));
+  }, []);
+
+  const handleQuotaChange = useCallback((index, field, value) => {
+    setFormState((previous) => ({
+      ...previous,
+      entryQuotas: previous.entryQuotas.map((quota, quotaIndex) =>
+        quotaIndex === index ? { ...quota, [field]: value } : quota,
+      ),
+    }));
+  }, []);
+
   const handleMultiToggle = useCallback((field, value) => {
     setFormState((previous) => {
       const current = new Set(previous[field] || []);
@@ -572,11 +704,68 @@ const CompetitionManagement = () => {
         country: formState.venueCountry.trim() || undefined,
       },
       allowUpCategory: Boolean(formState.allowUpCategory),
+      coxWeighIn: Boolean(formState.coxWeighIn),
       allowedCategories: formState.allowedCategories,
       allowedBoatClasses: formState.allowedBoatClasses,
       defaultDistance: formState.defaultDistance
         ? Number(formState.defaultDistance)
         : undefined,
+      protestWindowMinutes:
+        formState.protestWindowMinutes !== ""
+          ? Number(formState.protestWindowMinutes)
+          : undefined,
+      minRestMinutes:
+        formState.minRestMinutes !== ""
+          ? Number(formState.minRestMinutes)
+          : undefined,
+      maxSubstitutions:
+        formState.maxSubstitutions !== ""
+          ? Number(formState.maxSubstitutions)
+          : undefined,
+      substitutionDeadlineMinutes:
+        formState.substitutionDeadlineMinutes !== ""
+          ? Number(formState.substitutionDeadlineMinutes)
+          : undefined,
+      splitInterval: formState.splitInterval
+        ? Number(formState.splitInterval)
+        : null,
+      entryFees: {
+        currency: formState.feeCurrency.trim() || undefined,
+        perBoat: formState.feePerBoat ? Number(formState.feePerBoat) : 0,
+        perSeat: formState.feePerSeat ? Number(formState.feePerSeat) : 0,
+        lateSurcharge: formState.feeLateSurcharge
+          ? Number(formState.feeLateSurcharge)
+          : 0,
+        // Only categories still allowed keep their fee
+        categoryFees: formState.allowedCategories
+          .filter(
+            (categoryId) => (formState.categoryFees[categoryId] ?? "") !== "",
+          )
+          .map((categoryId) => ({
+            category: categoryId,
+            amount: Number(formState.categoryFees[categoryId]),
+          })),
+      },
+      blockUnpaidClubs: Boolean(formState.blockUnpaidClubs),
+      entryQuotas: formState.entryQuotas
+        .filter((quota) => quota.maxBoats !== "")
+        .map((quota) => ({
+          category: quota.category || undefined,
+          boatClass: quota.boatClass || undefined,
+          clubType: quota.clubType || undefined,
+          maxBoats: Number(quota.maxBoats),
+        })),
+      minEntriesPerEvent:
+        formState.minEntriesPerEvent !== ""
+          ? Number(formState.minEntriesPerEvent)
+          : 0,
+      bowNumbering: {
+        method: formState.bowNumberingMethod,
+        startAt: Number(formState.bowNumberingStartAt) || 1,
+      },
+      laneDraw: {
+        method: formState.laneDrawMethod || undefined,
+      },
       notes: formState.notes.trim() || undefined,
       registrationWindow: {
         openAt: formState.registrationOpenAt
@@ -586,6 +775,12 @@ const CompetitionManagement = () => {
           ? new Date(formState.registrationCloseAt).toISOString()
           : undefined,
       },
+      lateEntries: {
+        enabled: Boolean(formState.lateEntriesEnabled),
+        closeAt: formState.lateEntriesCloseAt
+          ? new Date(formState.lateEntriesCloseAt).toISOString()
+          : undefined,
+      },
     };
 
     const response = await fetch(endpoint, {
@@ -761,6 +956,33 @@ const CompetitionManagement = () => {
     [canManage, token],
   );
 
+  const handleGenerateInvoices = useCallback(
+    async (competitionId) => {
+      if (!isAdmin || !competitionId) {
+        return;
+      }
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/invoices/generate`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({ competition: competitionId }),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data.message || "Failed to generate invoices");
+        }
+        toast.success(data.message || "Invoices generated");
+      } catch (error) {
+        console.error("Failed to generate invoices", error);
+        toast.error(error.message);
+      }
+    },
+    [isAdmin, token],
+  );
+
   const handleCompetitionRowSelected = useCallback(
     (record) => {
       const id = toDocumentId(record);
@@ -1557,16 +1779,31 @@ const CompetitionManagement = () => {
                         </Button>
                       )}
 
-                      {selectedCompetition.registrationStatus !== "open" ? (
+                      {!["open", "late"].includes(
+                        selectedCompetition.registrationStatus,
+                      ) ? (
                         <Button
                           type="button"
                           variant="ghost"
                           className="border border-slate-200 bg-white text-slate-700 hover:bg-slate-100"
-                          onClick={() =>
+                          onClick={() => {
+                            // Reopening after the close date holds until a
+                            // later close date is set
+                            const closeAt =
+                              selectedCompetition.registrationWindow?.closeAt;
+                            if (
+                              closeAt &&
+                              new Date(closeAt) < new Date() &&
+                              !window.confirm(
+                                `Registration closed on ${new Date(closeAt).toLocaleString()}. Reopen it until a later close date is set?`,
+                              )
+                            ) {
+                              return;
+                            }
                             handleStatusUpdate(selectedCompetitionDocumentId, {
                               registrationStatus: "open",
-                            })
-                          }
+                            });
+                          }}
                         >
                           Open registration
                         </Button>
@@ -1613,6 +1850,22 @@ const CompetitionManagement = () => {
                         </Button>
                       )}
 
+                      {isAdmin &&
+                      selectedCompetition.registrationStatus === "closed" ? (
+                        <Button
+                          type="button"
+                          variant="ghost"
+                          className="border border-slate-200 bg-white text-slate-700 hover:bg-slate-100"
+                          onClick={() =>
+                            handleGenerateInvoices(
+                              selectedCompetitionDocumentId,
+                            )
+                          }
+                        >
+                          Generate invoices
+                        </Button>
+                      ) : null}
+
                       <Button
                         type="button"
                         variant="destructive"
@@ -1963,7 +2216,34 @@ const CompetitionManagement = () => {
                     disabled={!canManage}
                   />
                 </div>
+                <label className="flex items-center gap-2 text-sm text-slate-600">
+                  <input
+                    type="checkbox"
+                    name="lateEntriesEnabled"
+                    checked={formState.lateEntriesEnabled}
+                    onChange={handleInputChange}
+                    disabled={!canManage}
+                  />
+                  Accept late entries (jury approval and late surcharge)
+                </label>
+                <div className="space-y-2">
+                  <Label htmlFor="formLateEntriesClose">
+                    Late entries close (default: competition start)
+                  </Label>
+                  <Input
+                    id="formLateEntriesClose"
+                    name="lateEntriesCloseAt"
+                    type="date"
+                    value={formState.lateEntriesCloseAt}
+                    onChange={handleInputChange}
+                    disabled={!canManage || !formState.lateEntriesEnabled}
+                  />
+                </div>
               </div>
+              <p className="mt-2 text-xs text-slate-500">
+                Registration opens and closes automatically on these dates; club
+                entries become read-only once it closes.
+              </p>
 
               <div className="mt-6 grid gap-4 md:grid-cols-2">
                 <div className="space-y-2">
@@ -1981,6 +2261,88 @@ const CompetitionManagement = () => {
                     disabled={!canManage}
                   />
                 </div>
+                <div className="space-y-2">
+                  <Label htmlFor="formProtestWindow">
+                    Protest window (minutes)
+                  </Label>
+                  <Input
+                    id="formProtestWindow"
+                    name="protestWindowMinutes"
+                    type="number"
+                    min="0"
+                    value={formState.protestWindowMinutes}
+                    onChange={handleInputChange}
+                    placeholder="20"
+                    disabled={!canManage}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="formMinRest">Minimum rest (minutes)</Label>
+                  <Input
+                    id="formMinRest"
+                    name="minRestMinutes"
+                    type="number"
+                    min="0"
+                    value={formState.minRestMinutes}
+                    onChange={handleInputChange}
+                    placeholder="60"
+                    disabled={!canManage}
+                  />
+                  <p className="text-xs text-slate-500">
+                    Athletes racing twice closer than this are flagged in the
+                    schedule.
+                  </p>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="formMaxSubstitutions">
+                    Substitutions per crew
+                  </Label>
+                  <Input
+                    id="formMaxSubstitutions"
+                    name="maxSubstitutions"
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={formState.maxSubstitutions}
+                    onChange={handleInputChange}
+                    placeholder="2"
+                    disabled={!canManage}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="formSubstitutionDeadline">
+                    Substitution deadline (minutes)
+                  </Label>
+                  <Input
+                    id="formSubstitutionDeadline"
+                    name="substitutionDeadlineMinutes"
+                    type="number"
+                    min="0"
+                    value={formState.substitutionDeadlineMinutes}
+                    onChange={handleInputChange}
+                    placeholder="60"
+                    disabled={!canManage}
+                  />
+                  <p className="text-xs text-slate-500">
+                    Requests close this long before the crew's next race.
+                  </p>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="formSplitInterval">Split interval (m)</Label>
+                  <Input
+                    id="formSplitInterval"
+                    name="splitInterval"
+                    type="number"
+                    min="0"
+                    value={formState.splitInterval}
+                    onChange={handleInputChange}
+                    placeholder="500"
+                    disabled={!canManage}
+                  />
+                  <p className="text-xs text-slate-500">
+                    Leave empty to record finish times only.
+                  </p>
+                </div>
                 <div className="space-y-2">
                   <Label className="text-sm font-semibold text-slate-700">
                     Options
@@ -1995,6 +2357,16 @@ const CompetitionManagement = () => {
                     />
                     Allow athletes to race in superior category if permitted
                   </label>
+                  <label className="flex items-center gap-2 text-sm text-slate-600">
+                    <input
+                      type="checkbox"
+                      name="coxWeighIn"
+                      checked={formState.coxWeighIn}
+                      onChange={handleInputChange}
+                      disabled={!canManage}
+                    />
+                    Weigh coxes in coxed races (results wait until they pass)
+                  </label>
                 </div>
               </div>
 
@@ -2089,6 +2461,310 @@ const CompetitionManagement = () => {
                 </fieldset>
               </div>
 
+              <fieldset className="mt-6 space-y-4 rounded-xl border border-slate-200 p-4">
+                <legend className="text-sm font-semibold text-slate-700">
+                  Entry fees
+                </legend>
+                <div className="grid gap-4 md:grid-cols-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="formFeeCurrency">Currency</Label>
+                    <Input
+                      id="formFeeCurrency"
+                      name="feeCurrency"
+                      value={formState.feeCurrency}
+                      onChange={handleInputChange}
+                      placeholder="TND"
+                      disabled={!canManage}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="formFeePerBoat">Per boat</Label>
+                    <Input
+                      id="formFeePerBoat"
+                      name="feePerBoat"
+                      type="number"
+                      min="0"
+                      step="0.001"
+                      value={formState.feePerBoat}
+                      onChange={handleInputChange}
+                      placeholder="0"
+                      disabled={!canManage}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="formFeePerSeat">Per seat</Label>
+                    <Input
+                      id="formFeePerSeat"
+                      name="feePerSeat"
+                      type="number"
+                      min="0"
+                      step="0.001"
+                      value={formState.feePerSeat}
+                      onChange={handleInputChange}
+                      placeholder="0"
+                      disabled={!canManage}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="formFeeLate">Late-entry surcharge</Label>
+                    <Input
+                      id="formFeeLate"
+                      name="feeLateSurcharge"
+                      type="number"
+                      min="0"
+                      step="0.001"
+                      value={formState.feeLateSurcharge}
+                      onChange={handleInputChange}
+                      placeholder="0"
+                      disabled={!canManage}
+                    />
+                  </div>
+                </div>
+                {formState.allowedCategories.length ? (
+                  <div className="space-y-2">
+                    <p className="text-xs text-slate-500">
+                      A category fee replaces the per-boat fee for that
+                      category. Leave empty to use the per-boat fee.
+                    </p>
+                    <div className="grid gap-2 md:grid-cols-3">
+                      {categories
+                        .filter((category) =>
+                          formState.allowedCategories.includes(category._id),
+                        )
+                        .map((category) => (
+                          <label
+                            key={category._id}
+                            className="flex items-center gap-2 text-sm text-slate-600"
+                          >
+                            <span className="w-20 font-medium">
+                              {category.abbreviation}
+                            </span>
+                            <Input
+                              type="number"
+                              min="0"
+                              step="0.001"
+                              value={formState.categoryFees[category._id] ?? ""}
+                              onChange={(event) =>
+                                handleCategoryFeeChange(
+                                  category._id,
+                                  event.target.value,
+                                )
+                              }
+                              placeholder="Per boat"
+                              disabled={!canManage}
+                            />
+                          </label>
+                        ))}
+                    </div>
+                  </div>
+                ) : null}
+                <label className="flex items-center gap-2 text-sm text-slate-600">
+                  <input
+                    type="checkbox"
+                    name="blockUnpaidClubs"
+                    checked={formState.blockUnpaidClubs}
+                    onChange={handleInputChange}
+                    disabled={!canManage}
+                  />
+                  Refuse entries from clubs with an unpaid balance
+                </label>
+              </fieldset>
+
+              <fieldset className="mt-6 space-y-3 rounded-xl border border-slate-200 p-4">
+                <legend className="text-sm font-semibold text-slate-700">
+                  Entry quotas
+                </legend>
+                <p className="text-xs text-slate-500">
+                  Most boats one club may enter. Leave category, boat class or
+                  club type empty to cover all of them; every matching quota
+                  applies.
+                </p>
+                {formState.entryQuotas.map((quota, index) => (
+                  <div
+                    key={index}
+                    className="flex flex-wrap items-center gap-2"
+                  >
+                    <Select
+                      value={quota.category}
+                      onChange={(event) =>
+                        handleQuotaChange(index, "category", event.target.value)
+                      }
+                      disabled={!canManage}
+                    >
+                      <option value="">All categories</option>
+                      {categories
+                        .filter(
+                          (category) =>
+                            !formState.allowedCategories.length ||
+                            formState.allowedCategories.includes(category._id),
+                        )
+                        .map((category) => (
+                          <option key={category._id} value={category._id}>
+                            {category.abbreviation}
+                          </option>
+                        ))}
+                    </Select>
+                    <Select
+                      value={quota.boatClass}
+                      onChange={(event) =>
+                        handleQuotaChange(
+                          index,
+                          "boatClass",
+                          event.target.value,
+                        )
+                      }
+                      disabled={!canManage}
+                    >
+                      <option value="">All boat classes</option>
+                      {filteredBoatClasses
+                        .filter(
+                          (boatClass) =>
+                            !formState.allowedBoatClasses.length ||
+                            formState.allowedBoatClasses.includes(
+                              boatClass._id,
+                            ),
+                        )
+                        .map((boatClass) => (
+                          <option key={boatClass._id} value={boatClass._id}>
+                            {boatClass.code}
+                          </option>
+                        ))}
+                    </Select>
+                    <Select
+                      value={quota.clubType}
+                      onChange={(event) =>
+                        handleQuotaChange(index, "clubType", event.target.value)
+                      }
+                      disabled={!canManage}
+                    >
+                      {QUOTA_CLUB_TYPE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </Select>
+                    <Input
+                      type="number"
+                      min="0"
+                      step="1"
+                      className="w-28"
+                      value={quota.maxBoats}
+                      onChange={(event) =>
+                        handleQuotaChange(index, "maxBoats", event.target.value)
+                      }
+                      placeholder="Max boats"
+                      disabled={!canManage}
+                    />
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      onClick={() =>
+                        setFormState((previous) => ({
+                          ...previous,
+                          entryQuotas: previous.entryQuotas.filter(
+                            (_, quotaIndex) => quotaIndex !== index,
+                          ),
+                        }))
+                      }
+                      disabled={!canManage}
+                    >
+                      Remove
+                    </Button>
+                  </div>
+                ))}
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={() =>
+                    setFormState((previous) => ({
+                      ...previous,
+                      entryQuotas: [...previous.entryQuotas, { ...emptyQuota }],
+                    }))
+                  }
+                  disabled={!canManage}
+                >
+                  Add quota
+                </Button>
+              </fieldset>
+
+              <div className="mt-6 space-y-2">
+                <Label htmlFor="formMinEntriesPerEvent">
+                  Minimum entries per event
+                </Label>
+                <Input
+                  id="formMinEntriesPerEvent"
+                  name="minEntriesPerEvent"
+                  type="number"
+                  min="0"
+                  step="1"
+                  className="w-32"
+                  value={formState.minEntriesPerEvent}
+                  onChange={handleInputChange}
+                  placeholder="None"
+                  disabled={!canManage}
+                />
+                <p className="text-xs text-slate-500">
+                  Events with fewer entries once registration closes are listed
+                  on the registration page, to be cancelled or merged into
+                  another category.
+                </p>
+              </div>
+
+              <div className="mt-6 grid gap-4 md:grid-cols-2">
+                <div className="space-y-2">
+                  <Label htmlFor="formBowNumberingMethod">Bow numbers</Label>
+                  <Select
+                    id="formBowNumberingMethod"
+                    name="bowNumberingMethod"
+                    value={formState.bowNumberingMethod}
+                    onChange={handleInputChange}
+                    disabled={!canManage}
+                  >
+                    {BOW_NUMBERING_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </Select>
+                  <p className="text-xs text-slate-500">
+                    Allocated when registration closes.
+                  </p>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="formBowNumberingStartAt">First number</Label>
+                  <Input
+                    id="formBowNumberingStartAt"
+                    name="bowNumberingStartAt"
+                    type="number"
+                    min="1"
+                    step="1"
+                    className="w-32"
+                    value={formState.bowNumberingStartAt}
+                    onChange={handleInputChange}
+                    disabled={!canManage}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="formLaneDrawMethod">Lane draw</Label>
+                  <Select
+                    id="formLaneDrawMethod"
+                    name="laneDrawMethod"
+                    value={formState.laneDrawMethod}
+                    onChange={handleInputChange}
+                    disabled={!canManage}
+                  >
+                    {LANE_DRAW_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </Select>
+                  <p className="text-xs text-slate-500">
+                    Used for generated races, redraws and progression rounds.
+                  </p>
+                </div>
+              </div>
+
               <div className="mt-6 space-y-2">
                 <Label htmlFor="formNotes">Notes</Label>
                 <textarea
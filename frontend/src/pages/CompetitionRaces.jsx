@@ -7,6 +7,15 @@ import { Input } from "../components/ui/input";
 import { Select } from "../components/ui/select";
 import { Label } from "../components/ui/label";
 import { DataGrid } from "../components/DataGrid";
+import RaceScheduleBuilder from "../components/RaceScheduleBuilder";
+import WeighInSection from "../components/WeighInSection";
+import { subscribeToCompetitionFeed } from "../lib/liveFeed";
+import {
+  formatEligibilityIssues,
+  promptEligibilityOverride,
+} from "../lib/eligibility";
+import { getSeatTag } from "../lib/crewSeats";
+import { getFinalTimeMs, getPenaltyMs } from "../lib/raceTimes";
 import jsPDF from "jspdf";
 import autoTable from "jspdf-autotable";
 
@@ -304,6 +313,13 @@ const formatElapsedTime = (ms) => {
   return `${seconds}.${centis.toString().padStart(2, "0")}`;
 };
 
+// Raw time and penalty shown under the final time, e.g. "(7:01.20 +15.00)"
+const formatPenaltyDetail = (result) => {
+  const penaltyMs = getPenaltyMs(result);
+  if (!penaltyMs) return "";
+  return `(${formatElapsedTime(result.elapsedMs)} +${(penaltyMs / 1000).toFixed(2)})`;
+};
+
 // Format delta time in seconds only (World Rowing style: "6.21", "14.72")
 const formatDeltaSeconds = (ms) => {
   if (ms === undefined || ms === null || ms <= 0) return "";
@@ -311,6 +327,16 @@ const formatDeltaSeconds = (ms) => {
   return totalSeconds.toFixed(2);
 };
 
+// Split marks every `interval` metres before the finish (500m -> 500/1000/1500 for 2000m)
+const getSplitMarks = (distance, interval) => {
+  const marks = [];
+  if (!distance || !interval || interval <= 0) return marks;
+  for (let mark = interval; mark < distance; mark += interval) {
+    marks.push(mark);
+  }
+  return marks;
+};
+
 // Parse time string to milliseconds (supports MM:SS.cc or SS.cc - centiseconds)
 const parseTimeToMs = (timeStr) => {
   if (!timeStr || timeStr === "-") return undefined;
@@ -423,19 +449,14 @@ const LANE_RESULT_STATUS_OPTIONS = [
   { value: "abs", label: "ABS (Absent)" },
 ];
 
-const formatCrewName = (crew) => {
+const formatCrewName = (crew, coxswain) => {
   if (!Array.isArray(crew) || crew.length === 0) {
     return null;
   }
   return crew
     .map((member, index, arr) => {
       const name = formatAthleteName(member);
-      let pos = "";
-      if (arr.length > 1) {
-        if (index === 0) pos = "(b) ";
-        else if (index === arr.length - 1) pos = "(s) ";
-        else pos = `(${index + 1}) `;
-      }
+      const pos = getSeatTag(arr, index, coxswain);
       return `${pos}${name}`;
     })
     .join(" / ");
@@ -494,7 +515,7 @@ const SearchResultsList = ({ term, results, loading, error, onPick }) => {
   );
 };
 
-const PendingManualCrewDisplay = ({ crew, requiredSize, onCancel }) => {
+const PendingManualCrewDisplay = ({ crew, requiredSize, coxed, onCancel }) => {
   if (!crew || crew.length === 0) return null;
 
   return (
@@ -507,6 +528,7 @@ const PendingManualCrewDisplay = ({ crew, requiredSize, onCancel }) => {
           <p className="text-xs text-blue-700">
             Add {requiredSize - crew.length} more athlete
             {requiredSize - crew.length === 1 ? "" : "s"} to complete the entry.
+            {coxed ? " Add the rowers from bow to stroke, then the cox." : ""}
           </p>
         </div>
         <Button
@@ -543,9 +565,15 @@ const PendingManualCrewDisplay = ({ crew, requiredSize, onCancel }) => {
             className="flex items-center gap-3 rounded-lg border border-dashed border-blue-200 px-3 py-2 text-sm text-blue-300"
           >
             <span className="flex h-5 w-5 items-center justify-center rounded-full border border-dashed border-blue-200 text-[10px] font-bold">
-              {crew.length + idx + 1}
+              {coxed && crew.length + idx + 1 === requiredSize
+                ? "C"
+                : crew.length + idx + 1}
+            </span>
+            <span>
+              {coxed && crew.length + idx + 1 === requiredSize
+                ? "Waiting for cox..."
+                : "Waiting for athlete..."}
             </span>
-            <span>Waiting for athlete...</span>
           </li>
         ))}
       </ul>
@@ -643,7 +671,7 @@ const EntriesTable = ({
                         className={`font-medium ${isWithdrawn ? "text-slate-500 line-through" : "text-slate-800"}`}
                       >
                         {entry.crew && entry.crew.length > 0
-                          ? formatCrewName(entry.crew)
+                          ? formatCrewName(entry.crew, entry.coxswain)
                           : formatAthleteName(entry.athlete)}
                       </span>
                       <span className="text-xs text-slate-500">
@@ -761,12 +789,7 @@ const describeLane = (lane, athleteLookup, clubLookup) => {
           ? member
           : null;
       const name = m ? formatAthleteName(m) : "Unknown";
-      let pos = "";
-      if (arr.length > 1) {
-        if (index === 0) pos = "(b) ";
-        else if (index === arr.length - 1) pos = "(s) ";
-        else pos = `(${index + 1}) `;
-      }
+      const pos = getSeatTag(arr, index, lane.coxswain);
       return `${pos}${name}`;
     });
     athleteName = crewNames.join(", ");
@@ -776,8 +799,9 @@ const describeLane = (lane, athleteLookup, clubLookup) => {
   const clubName = clubId ? clubLookup.get(clubId) : null;
   const clubCode = lane?.club?.code || clubName;
 
+  const bowLabel = lane?.bowNumber ? `Bow ${lane.bowNumber}` : null;
   const seedLabel = lane?.seed ? `Seed ${lane.seed}` : null;
-  const extras = [seedLabel].filter(Boolean).join(" - ");
+  const extras = [bowLabel, seedLabel].filter(Boolean).join(" - ");
   const clubPart = clubName ? ` (${clubName})` : "";
   const extrasPart = extras ? ` - ${extras}` : "";
 
@@ -818,12 +842,41 @@ const RaceInfoView = ({
             : "",
           status: lane.result?.status || "ok",
           notes: lane.result?.notes || "",
+          splitTimes: Object.fromEntries(
+            (lane.result?.splits || []).map((split) => [
+              split.distance,
+              formatElapsedTime(split.elapsedMs),
+            ]),
+          ),
         };
       });
       setResultsForm(initial);
     }
   }, [race]);
 
+  // Race override, then the category distance, then the competition default
+  const raceDistance = useMemo(() => {
+    if (race?.distanceOverride) return race.distanceOverride;
+    const override = competition?.categoryDistances?.find(
+      (entry) =>
+        toDocumentId(entry.category) === toDocumentId(race?.category) &&
+        (!entry.boatClass ||
+          toDocumentId(entry.boatClass) === toDocumentId(race?.boatClass)),
+    );
+    return override?.distance || competition?.defaultDistance;
+  }, [race, competition]);
+
+  // Competition split marks plus any split already recorded for this race
+  const splitMarks = useMemo(() => {
+    const marks = new Set(
+      getSplitMarks(raceDistance, competition?.splitInterval),
+    );
+    (race?.lanes || []).forEach((lane) =>
+      (lane.result?.splits || []).forEach((split) => marks.add(split.distance)),
+    );
+    return [...marks].sort((a, b) => a - b);
+  }, [race, raceDistance, competition]);
+
   // Auto-calculate positions based on times
   const calculatedPositions = useMemo(() => {
     const positions = {};
@@ -857,6 +910,23 @@ const RaceInfoView = ({
     }));
   };
 
+  const handleSplitChange = (laneNum, distance, value) => {
+    setResultsForm((prev) => ({
+      ...prev,
+      [laneNum]: {
+        ...prev[laneNum],
+        splitTimes: { ...prev[laneNum]?.splitTimes, [distance]: value },
+      },
+    }));
+  };
+
+  const handleSplitBlur = (laneNum, distance) => {
+    const value = resultsForm[laneNum]?.splitTimes?.[distance] || "";
+    if (value.trim() && !value.includes(":") && !value.includes(".")) {
+      handleSplitChange(laneNum, distance, formatTimeInput(value));
+    }
+  };
+
   const handleTimeBlur = (laneNum) => {
     const currentValue = resultsForm[laneNum]?.elapsedTime || "";
 
@@ -912,6 +982,12 @@ const RaceInfoView = ({
         finishPosition: calculatedPositions[laneInt] || undefined,
         elapsedMs: elapsedMs,
         notes: data.notes || undefined,
+        splits: splitMarks
+          .map((distance) => ({
+            distance,
+            elapsedMs: parseTimeToMs(data.splitTimes?.[distance]),
+          }))
+          .filter((split) => split.elapsedMs !== undefined),
       };
     });
 
@@ -1255,6 +1331,11 @@ const RaceInfoView = ({
                   <>
                     <th className="px-4 py-3">Position</th>
                     <th className="px-4 py-3">Time</th>
+                    {splitMarks.map((distance) => (
+                      <th key={distance} className="px-4 py-3">
+                        {distance}m
+                      </th>
+                    ))}
                     <th className="px-4 py-3">Status</th>
                     <th className="px-4 py-3">Notes</th>
                   </>
@@ -1348,6 +1429,26 @@ const RaceInfoView = ({
                             )}
                           </div>
                         </td>
+                        {splitMarks.map((distance) => (
+                          <td key={distance} className="px-4 py-3">
+                            <Input
+                              type="text"
+                              className="w-24"
+                              value={formData.splitTimes?.[distance] || ""}
+                              onChange={(e) =>
+                                handleSplitChange(
+                                  lane.lane,
+                                  distance,
+                                  e.target.value,
+                                )
+                              }
+                              onBlur={() =>
+                                handleSplitBlur(lane.lane, distance)
+                              }
+                              placeholder="M:SS.cc"
+                            />
+                          </td>
+                        ))}
                         <td className="px-4 py-3">
                           <Select
                             value={formData.status || "ok"}
@@ -1390,7 +1491,7 @@ const RaceInfoView = ({
               {lanes.length === 0 && (
                 <tr>
                   <td
-                    colSpan={showResultsEntry ? 7 : 3}
+                    colSpan={showResultsEntry ? 7 + splitMarks.length : 3}
                     className="px-4 py-8 text-center text-slate-500"
                   >
                     No participants assigned.
@@ -1466,6 +1567,7 @@ const CompetitionRaces = () => {
     intervalMinutes: "10",
     distance: "",
     allowMultipleEntries: false,
+    useProgression: false,
   });
 
   const [submittingAutoGen, setSubmittingAutoGen] = useState(false);
@@ -1487,6 +1589,15 @@ const CompetitionRaces = () => {
     return bc?.crewSize || 1;
   }, [autoGenState.boatClass, boatClasses]);
 
+  // In coxed boats the last athlete of a manual crew is the cox
+  const requiresCox = useMemo(() => {
+    if (!autoGenState.boatClass) return false;
+    const bc = boatClasses.find(
+      (b) => toDocumentId(b) === autoGenState.boatClass,
+    );
+    return Boolean(bc?.coxswain);
+  }, [autoGenState.boatClass, boatClasses]);
+
   const competitionDocumentId = useMemo(
     () => toDocumentId(competition),
     [competition],
@@ -1942,32 +2053,56 @@ const CompetitionRaces = () => {
     }
   }, [token]);
 
-  const loadRaces = useCallback(async () => {
-    if (!token || !competitionId) {
-      return;
-    }
-    setLoadingRaces(true);
-    try {
-      const response = await fetch(
-        `${API_BASE_URL}/api/competitions/${competitionId}/races`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
+  const loadRaces = useCallback(
+    async ({ silent = false } = {}) => {
+      if (!token || !competitionId) {
+        return;
+      }
+      if (!silent) setLoadingRaces(true);
+      try {
+        const response = await fetch(
+          `${API_BASE_URL}/api/competitions/${competitionId}/races`,
+          {
+            headers: {
+              Authorization: `Bearer ${token}`,
+            },
           },
-        },
-      );
-      const payload = await response.json().catch(() => []);
-      if (!response.ok) {
-        throw new Error(payload.message || "Failed to load races");
+        );
+        const payload = await response.json().catch(() => []);
+        if (!response.ok) {
+          throw new Error(payload.message || "Failed to load races");
+        }
+        setRaces(Array.isArray(payload) ? payload : []);
+      } catch (error) {
+        console.error("Failed to load races", error);
+        toast.error(error.message);
+      } finally {
+        setLoadingRaces(false);
       }
-      setRaces(Array.isArray(payload) ? payload : []);
-    } catch (error) {
-      console.error("Failed to load races", error);
-      toast.error(error.message);
-    } finally {
-      setLoadingRaces(false);
-    }
-  }, [competitionId, token]);
+    },
+    [competitionId, token],
+  );
+
+  // Live race-day feed: reload the race list quietly when races change
+  const liveReloadRef = React.useRef(null);
+  useEffect(() => {
+    const unsubscribe = subscribeToCompetitionFeed({
+      competitionId,
+      token,
+      onEvent: (event) => {
+        if (event === "ready") return;
+        clearTimeout(liveReloadRef.current);
+        liveReloadRef.current = setTimeout(
+          () => loadRaces({ silent: true }),
+          500,
+        );
+      },
+    });
+    return () => {
+      clearTimeout(liveReloadRef.current);
+      unsubscribe();
+    };
+  }, [competitionId, token, loadRaces]);
 
   useEffect(() => {
     loadCompetition();
@@ -2196,6 +2331,7 @@ const CompetitionRaces = () => {
       // calling setEntries so we don't use `await` inside a state updater.
       let crew = null;
       let crewNumber = undefined;
+      let coxswain = undefined;
       try {
         const catId = autoGenState.category;
         if (
@@ -2218,6 +2354,7 @@ const CompetitionRaces = () => {
             if (matched) {
               crew = Array.isArray(matched.crew) ? matched.crew : null;
               crewNumber = matched.crewNumber;
+              coxswain = matched.coxswain || undefined;
             }
           }
         }
@@ -2251,6 +2388,7 @@ const CompetitionRaces = () => {
                     ? matchedRemote.crew
                     : null;
                   crewNumber = matchedRemote.crewNumber;
+                  coxswain = matchedRemote.coxswain || undefined;
                 }
               })
               .catch(() => {
@@ -2265,7 +2403,7 @@ const CompetitionRaces = () => {
       }
 
       // Helper to add entry after optionally resolving crew member objects
-      const addEntryWithCrew = (crewArr, crewNum) => {
+      const addEntryWithCrew = (crewArr, crewNum, coxMember) => {
         // Resolve crew members to populated objects where possible
         const resolvedCrew = Array.isArray(crewArr)
           ? crewArr.map((m) => {
@@ -2563,6 +2701,7 @@ const CompetitionRaces = () => {
 
             if (finalCrew && finalCrew.length > 0) {
               newEntry.crew = finalCrew;
+              newEntry.coxswain = toDocumentId(coxMember) || undefined;
               newEntry.crewNumber = assignedCrewNumber;
               const firstId = toDocumentId(finalCrew[0]);
               if (firstId) newEntry.athleteId = firstId;
@@ -2636,7 +2775,7 @@ const CompetitionRaces = () => {
       // If we already found crew from registrationStats, add now; otherwise
       // attempt to fetch remote registration and then add when available.
       if (crew) {
-        addEntryWithCrew(crew, crewNumber);
+        addEntryWithCrew(crew, crewNumber, coxswain);
       } else {
         if (requiredCrewSize > 1) {
           // Build manual crew
@@ -2648,7 +2787,11 @@ const CompetitionRaces = () => {
             const updated = [...prev, athlete];
             if (updated.length === requiredCrewSize) {
               // Crew complete, finalize
-              addEntryWithCrew(updated, undefined);
+              addEntryWithCrew(
+                updated,
+                undefined,
+                requiresCox ? updated[updated.length - 1] : undefined,
+              );
               return [];
             }
             toast.info(
@@ -2680,7 +2823,11 @@ const CompetitionRaces = () => {
               return false;
             });
             if (matchedRemote) {
-              addEntryWithCrew(matchedRemote.crew, matchedRemote.crewNumber);
+              addEntryWithCrew(
+                matchedRemote.crew,
+                matchedRemote.crewNumber,
+                matchedRemote.coxswain,
+              );
             } else {
               addEntryWithCrew(null, undefined);
             }
@@ -2702,6 +2849,7 @@ const CompetitionRaces = () => {
       token,
       competitionId,
       requiredCrewSize,
+      requiresCox,
       setPendingManualCrew,
       competition,
     ],
@@ -2871,6 +3019,7 @@ const CompetitionRaces = () => {
             athleteId,
             athlete: e.athlete,
             crew: e.crew,
+            coxswain: e.coxswain,
             clubId: toDocumentId(resolvedClub) || toDocumentId(clubObj),
             clubCode: resolvedClub?.code || e.clubCode || clubObj?.code,
             clubName:
@@ -2994,6 +3143,7 @@ const CompetitionRaces = () => {
             entries: clubEntries.map((e) => ({
               athleteId: e.athleteId,
               crewIds: e.crew ? e.crew.map((c) => c.id || c._id) : [],
+              coxId: toDocumentId(e.coxswain) || undefined,
               categoryId: autoGenState.category,
               boatClassId: autoGenState.boatClass,
               notes: e.notes,
@@ -3154,6 +3304,7 @@ const CompetitionRaces = () => {
       strategy: normaliseStrategy(autoGenState.strategy),
       lanesPerRace,
       overwriteExisting: Boolean(autoGenState.overwriteExisting),
+      progression: Boolean(autoGenState.useProgression),
       startRaceNumber: autoGenState.startRaceNumber
         ? Number(autoGenState.startRaceNumber)
         : undefined,
@@ -3176,22 +3327,48 @@ const CompetitionRaces = () => {
 
     setSubmittingAutoGen(true);
     try {
-      const response = await fetch(
-        `${API_BASE_URL}/api/competitions/${competitionDocumentId}/races/auto-generate`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${token}`,
+      const sendRequest = (body) =>
+        fetch(
+          `${API_BASE_URL}/api/competitions/${competitionDocumentId}/races/auto-generate`,
+          {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              Authorization: `Bearer ${token}`,
+            },
+            body: JSON.stringify(body),
           },
-          body: JSON.stringify(payload),
-        },
-      );
-      const data = await response.json().catch(() => ({}));
+        );
+      let response = await sendRequest(payload);
+      let data = await response.json().catch(() => ({}));
+      if (response.status === 409 && data.eligibility) {
+        const overrideReason = promptEligibilityOverride(
+          data.eligibility,
+          user,
+        );
+        if (overrideReason) {
+          response = await sendRequest({
+            ...payload,
+            overrideEligibility: true,
+            overrideReason,
+          });
+          data = await response.json().catch(() => ({}));
+        }
+      }
       if (!response.ok) {
-        throw new Error(data.message || "Failed to auto-generate races");
+        throw new Error(
+          data.eligibility
+            ? `${data.message}\n${formatEligibilityIssues(data.eligibility.errors)}`
+            : data.message || "Failed to auto-generate races",
+        );
       }
       toast.success("Races generated successfully");
+      const eligibilityWarnings = Array.isArray(data)
+        ? data.flatMap((race) => race.eligibility?.warnings || [])
+        : [];
+      if (eligibilityWarnings.length) {
+        toast.warning(formatEligibilityIssues(eligibilityWarnings));
+      }
 
       // Update auto-gen state for the next batch (increment time and race number)
       if (Array.isArray(data) && data.length > 0) {
@@ -3238,6 +3415,7 @@ const CompetitionRaces = () => {
     loadRaces,
     loadRegistrationSummary,
     token,
+    user,
   ]);
 
   const submitLaneSwap = useCallback(async () => {
@@ -3264,25 +3442,49 @@ const CompetitionRaces = () => {
 
     setPerformingSwap(true);
     try {
-      const response = await fetch(
-        `${API_BASE_URL}/api/competitions/${competitionDocumentId}/races/lane-swaps`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${token}`,
+      const payload = {
+        source: { raceId: swapState.sourceRaceId, lane: sourceLane },
+        target: { raceId: swapState.targetRaceId, lane: targetLane },
+      };
+      const sendRequest = (body) =>
+        fetch(
+          `${API_BASE_URL}/api/competitions/${competitionDocumentId}/races/lane-swaps`,
+          {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              Authorization: `Bearer ${token}`,
+            },
+            body: JSON.stringify(body),
           },
-          body: JSON.stringify({
-            source: { raceId: swapState.sourceRaceId, lane: sourceLane },
-            target: { raceId: swapState.targetRaceId, lane: targetLane },
-          }),
-        },
-      );
-      const data = await response.json().catch(() => ({}));
+        );
+      let response = await sendRequest(payload);
+      let data = await response.json().catch(() => ({}));
+      if (response.status === 409 && data.eligibility) {
+        const overrideReason = promptEligibilityOverride(
+          data.eligibility,
+          user,
+        );
+        if (overrideReason) {
+          response = await sendRequest({
+            ...payload,
+            overrideEligibility: true,
+            overrideReason,
+          });
+          data = await response.json().catch(() => ({}));
+        }
+      }
       if (!response.ok) {
-        throw new Error(data.message || "Failed to swap lanes");
+        throw new Error(
+          data.eligibility
+            ? `${data.message}\n${formatEligibilityIssues(data.eligibility.errors)}`
+            : data.message || "Failed to swap lanes",
+        );
       }
       toast.success("Lane swap completed");
+      if (data.eligibility?.warnings?.length) {
+        toast.warning(formatEligibilityIssues(data.eligibility.warnings));
+      }
       await loadRaces();
     } catch (error) {
       console.error("Failed to swap lanes", error);
@@ -3290,7 +3492,7 @@ const CompetitionRaces = () => {
     } finally {
       setPerformingSwap(false);
     }
-  }, [competitionDocumentId, loadRaces, swapState, token]);
+  }, [competitionDocumentId, loadRaces, swapState, token, user]);
 
   const handleDeleteRace = useCallback(
     async (raceId) => {
@@ -3769,12 +3971,7 @@ const CompetitionRaces = () => {
                       ? member
                       : null;
                   const name = m ? formatAthleteName(m) : "Unknown";
-                  let pos = "";
-                  if (arr.length > 1) {
-                    if (index === 0) pos = "(b) ";
-                    else if (index === arr.length - 1) pos = "(s) ";
-                    else pos = `(${index + 1}) `;
-                  }
+                  const pos = getSeatTag(arr, index, lane.coxswain);
                   return `${pos}${name}`;
                 })
                 .join("\n");
@@ -3819,12 +4016,19 @@ const CompetitionRaces = () => {
                 .join("\n");
             }
 
-            return [lane.lane, clubCode, athleteName, license, dob];
+            return [
+              lane.lane,
+              lane.bowNumber || "",
+              clubCode,
+              athleteName,
+              license,
+              dob,
+            ];
           });
 
         autoTable(doc, {
           startY: yPos,
-          head: [["Lane", "Club", "Name", "License", "DOB"]],
+          head: [["Lane", "Bow", "Club", "Name", "License", "DOB"]],
           body: tableBody,
           theme: "plain",
           headStyles: {
@@ -3840,10 +4044,11 @@ const CompetitionRaces = () => {
           },
           columnStyles: {
             0: { cellWidth: 15, halign: "center" },
-            1: { cellWidth: 30, fontStyle: "bold" },
-            2: { cellWidth: "auto" },
-            3: { cellWidth: 25, halign: "center" },
+            1: { cellWidth: 12, halign: "center", fontStyle: "bold" },
+            2: { cellWidth: 30, fontStyle: "bold" },
+            3: { cellWidth: "auto" },
             4: { cellWidth: 25, halign: "center" },
+            5: { cellWidth: 25, halign: "center" },
           },
           styles: {
             fontSize: 10,
@@ -4235,15 +4440,17 @@ const CompetitionRaces = () => {
         const aPos = a.result?.finishPosition ?? 999;
         const bPos = b.result?.finishPosition ?? 999;
         if (aPos !== bPos) return aPos - bPos;
-        const aTime = a.result?.elapsedMs ?? Infinity;
-        const bTime = b.result?.elapsedMs ?? Infinity;
+        const aTime = getFinalTimeMs(a.result) ?? Infinity;
+        const bTime = getFinalTimeMs(b.result) ?? Infinity;
         return aTime - bTime;
       });
 
       // Find the winning time (first place)
-      const winningTime = sortedLanes.find(
-        (l) => l.result?.finishPosition === 1 && l.result?.elapsedMs,
-      )?.result?.elapsedMs;
+      const winningTime = getFinalTimeMs(
+        sortedLanes.find(
+          (l) => l.result?.finishPosition === 1 && l.result?.elapsedMs,
+        )?.result,
+      );
 
       // Build table data (World Rowing style)
       const tableBody = sortedLanes.map((lane) => {
@@ -4264,27 +4471,26 @@ const CompetitionRaces = () => {
               const mId = toDocumentId(m);
               const member = mId ? raceAthleteLookup.get(mId) : null;
               const name = member ? formatAthleteName(member) : "Unknown";
-              let pos = "";
-              if (arr.length > 1) {
-                if (index === 0) pos = "(b) ";
-                else if (index === arr.length - 1) pos = "(s) ";
-                else pos = `(${index + 1}) `;
-              }
+              const pos = getSeatTag(arr, index, lane.coxswain);
               return `${pos}${name}`;
             })
             .join("\n");
         }
 
         const position = lane.result?.finishPosition || "-";
-        const elapsedMs = lane.result?.elapsedMs;
+        const elapsedMs = getFinalTimeMs(lane.result);
         const status = lane.result?.status || "ok";
 
-        // Time with delta below for 2nd+
+        // Final time, then raw time + penalty, then delta for 2nd+
         let timeDisplay = "-";
         if (status !== "ok") {
           timeDisplay = status.toUpperCase();
         } else if (elapsedMs) {
           timeDisplay = formatElapsedTime(elapsedMs);
+          const penaltyDetail = formatPenaltyDetail(lane.result);
+          if (penaltyDetail) {
+            timeDisplay += `\n${penaltyDetail}`;
+          }
           if (position > 1 && winningTime) {
             const deltaMs = elapsedMs - winningTime;
             const deltaStr = formatDeltaSeconds(deltaMs);
@@ -4300,6 +4506,7 @@ const CompetitionRaces = () => {
         return [
           position,
           lane.lane,
+          lane.bowNumber || "",
           clubCode,
           athleteName,
           timeDisplay,
@@ -4309,7 +4516,7 @@ const CompetitionRaces = () => {
 
       autoTable(doc, {
         startY: yPos,
-        head: [["Rank", "Lane", "Club", "Name", "Time", "Points"]],
+        head: [["Rank", "Lane", "Bow", "Club", "Name", "Time", "Points"]],
         body: tableBody,
         theme: "plain",
         headStyles: {
@@ -4326,10 +4533,11 @@ const CompetitionRaces = () => {
         columnStyles: {
           0: { cellWidth: 14, halign: "center", fontStyle: "bold" },
           1: { cellWidth: 14, halign: "center" },
-          2: { cellWidth: 25, fontStyle: "bold" },
-          3: { cellWidth: "auto" },
-          4: { cellWidth: 35, halign: "right" },
-          5: { cellWidth: 20, halign: "center" },
+          2: { cellWidth: 12, halign: "center" },
+          3: { cellWidth: 25, fontStyle: "bold" },
+          4: { cellWidth: "auto" },
+          5: { cellWidth: 35, halign: "right" },
+          6: { cellWidth: 20, halign: "center" },
         },
         styles: {
           fontSize: 8,
@@ -4761,7 +4969,7 @@ const CompetitionRaces = () => {
         const clubCode = clubData?.code || clubData?.name || "-";
 
         const position = lane.result?.finishPosition;
-        const elapsedMs = lane.result?.elapsedMs;
+        const elapsedMs = getFinalTimeMs(lane.result);
         const status = lane.result?.status || "ok";
 
         let timeStr = "-";
@@ -4769,6 +4977,10 @@ const CompetitionRaces = () => {
           timeStr = status.toUpperCase();
         } else if (elapsedMs) {
           timeStr = formatElapsedTime(elapsedMs);
+          const penaltyDetail = formatPenaltyDetail(lane.result);
+          if (penaltyDetail) {
+            timeStr += `\n${penaltyDetail}`;
+          }
         }
 
         const points =
@@ -4779,6 +4991,7 @@ const CompetitionRaces = () => {
         return [
           position || "-",
           lane.lane || "-",
+          lane.bowNumber || "-",
           clubCode,
           athleteName,
           timeStr,
@@ -4788,7 +5001,7 @@ const CompetitionRaces = () => {
 
       autoTable(doc, {
         startY: yPos,
-        head: [["Pos", "Lane", "Club", "Athlete", "Time", "Points"]],
+        head: [["Pos", "Lane", "Bow", "Club", "Athlete", "Time", "Points"]],
         body: tableBody,
         theme: "plain",
         styles: {
@@ -4809,10 +5022,11 @@ const CompetitionRaces = () => {
         columnStyles: {
           0: { halign: "center", cellWidth: 14 },
           1: { halign: "center", cellWidth: 14 },
-          2: { halign: "center", cellWidth: 20 },
-          3: { halign: "left", cellWidth: "auto" },
-          4: { halign: "center", cellWidth: 30 },
-          5: { halign: "center", cellWidth: 20 },
+          2: { halign: "center", cellWidth: 12 },
+          3: { halign: "center", cellWidth: 20 },
+          4: { halign: "left", cellWidth: "auto" },
+          5: { halign: "center", cellWidth: 30 },
+          6: { halign: "center", cellWidth: 20 },
         },
         margin: { left: leftMargin, right: 14, bottom: 30, top: headerHeight },
       });
@@ -5507,6 +5721,19 @@ const CompetitionRaces = () => {
                     Overwrite existing
                   </Label>
                 </div>
+                <div className="flex items-center gap-2 pb-2">
+                  <input
+                    id="autoUseProgression"
+                    name="useProgression"
+                    type="checkbox"
+                    checked={autoGenState.useProgression}
+                    onChange={handleAutoGenFieldChange}
+                    className="h-4 w-4 rounded border-slate-300 text-slate-900 focus:ring-slate-500"
+                  />
+                  <Label htmlFor="autoUseProgression" className="text-sm">
+                    Standard progression (heats → repechage → finals)
+                  </Label>
+                </div>
                 <div className="flex items-center gap-2 pb-2">
                   <input
                     id="allowJuniorsInSenior"
@@ -5624,6 +5851,7 @@ const CompetitionRaces = () => {
                 <PendingManualCrewDisplay
                   crew={pendingManualCrew}
                   requiredSize={requiredCrewSize}
+                  coxed={requiresCox}
                   onCancel={() => setPendingManualCrew([])}
                 />
 
@@ -5661,6 +5889,20 @@ const CompetitionRaces = () => {
               </div>
             </section>
 
+            <RaceScheduleBuilder
+              competitionId={competitionId}
+              competition={competition}
+              races={races}
+              token={token}
+              onScheduleSaved={() => loadRaces({ silent: true })}
+            />
+
+            <WeighInSection
+              competitionId={competitionId}
+              competition={competition}
+              token={token}
+            />
+
             <section
               id="existing-races-section"
               className="space-y-6 rounded-2xl border border-slate-200 bg-white/95 p-6 shadow-sm"
@@ -654,6 +654,7 @@ export default function CompetitionRankings() {
   const [loading, setLoading] = useState(true);
   const [rankingLoading, setRankingLoading] = useState(false);
   const [includeMasters, setIncludeMasters] = useState(true);
+  const [officialOnly, setOfficialOnly] = useState(false);
 
   // Fetch competition details
   useEffect(() => {
@@ -710,7 +711,7 @@ export default function CompetitionRankings() {
     }
   }, [competitionId, token]);
 
-  // Fetch ranking data when system or includeMasters changes
+  // Fetch ranking data when system or filters change
   useEffect(() => {
     const fetchRanking = async () => {
       if (!selectedSystemId) {
@@ -721,7 +722,7 @@ export default function CompetitionRankings() {
       setRankingLoading(true);
       try {
         const response = await fetch(
-          `${API_BASE_URL}/api/rankings/competition/${competitionId}?systemId=${selectedSystemId}&summary=true&includeMasters=${includeMasters}`,
+          `${API_BASE_URL}/api/rankings/competition/${competitionId}?systemId=${selectedSystemId}&summary=true&includeMasters=${includeMasters}&officialOnly=${officialOnly}`,
           {
             headers: { Authorization: `Bearer ${token}` },
           }
@@ -743,7 +744,7 @@ export default function CompetitionRankings() {
     if (selectedSystemId && token) {
       fetchRanking();
     }
-  }, [competitionId, selectedSystemId, includeMasters, token]);
+  }, [competitionId, selectedSystemId, includeMasters, officialOnly, token]);
 
   // Get selected system info
   const selectedSystem = useMemo(() => {
@@ -1166,6 +1167,23 @@ export default function CompetitionRankings() {
               Include Masters
             </Label>
           </div>
+
+          {/* Official results toggle */}
+          <div className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              id="officialOnly"
+              checked={officialOnly}
+              onChange={(e) => setOfficialOnly(e.target.checked)}
+              className="h-4 w-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+            />
+            <Label
+              htmlFor="officialOnly"
+              className="text-sm text-slate-700 cursor-pointer"
+            >
+              Official results only
+            </Label>
+          </div>
         </div>
 
         {selectedSystem && (
@@ -3,8 +3,12 @@ import { useNavigate, useParams, useSearchParams } from "react-router-dom";
 import clsx from "clsx";
 import { toast } from "react-toastify";
 import { useAuth } from "../contexts/AuthContext";
+import { getSeatLabel } from "../lib/crewSeats";
 import { Button } from "../components/ui/button";
 import { DataGrid } from "../components/DataGrid";
+import EntrySubstitutionsCard from "../components/EntrySubstitutionsCard";
+import UnderSubscribedEventsCard from "../components/UnderSubscribedEventsCard";
+import BowNumbersCard from "../components/BowNumbersCard";
 import { Input } from "../components/ui/input";
 import { Select } from "../components/ui/select";
 
@@ -13,6 +17,7 @@ const API_BASE_URL = "";
 const REGISTRATION_STATUS_LABELS = {
   not_open: "Not open",
   open: "Open",
+  late: "Open for late entries",
   closed: "Closed",
 };
 
@@ -88,6 +93,7 @@ const normaliseBoatClass = (boatClass) => {
     code: boatClass.code || "",
     name: boatClass.names?.en || boatClass.label || "",
     seats: boatClass.seats || boatClass.crewSize || 1,
+    coxswain: Boolean(boatClass.coxswain),
   };
 };
 
@@ -126,6 +132,8 @@ const CompetitionRegistration = () => {
   const [selectedBoatClassId, setSelectedBoatClassId] = useState("");
   const [selectedAthlete, setSelectedAthlete] = useState(null);
   const [selectedCrew, setSelectedCrew] = useState([]);
+  const [selectedCox, setSelectedCox] = useState(null);
+  const [pickingCox, setPickingCox] = useState(false);
   const [entryNotes, setEntryNotes] = useState("");
 
   const [eligibleAthletes, setEligibleAthletes] = useState([]);
@@ -136,6 +144,7 @@ const CompetitionRegistration = () => {
 
   const [savingEntry, setSavingEntry] = useState(false);
   const [actionEntryId, setActionEntryId] = useState(null);
+  const [substitutionEntryId, setSubstitutionEntryId] = useState(null);
 
   const currentClubParam = useMemo(
     () => (isClubManager ? userClubId : searchParams.get("clubId") || ""),
@@ -292,6 +301,35 @@ const CompetitionRegistration = () => {
   const summaryCanSubmit = permissions?.canSubmit === true;
   const summaryCanWithdraw = permissions?.canWithdraw === true;
   const summaryCanManageEntries = permissions?.canManageEntries === true;
+  const entryFeeLabel = useMemo(() => {
+    const fees = competition?.entryFees;
+    if (!fees) return "";
+    const parts = [];
+    if (fees.perBoat) parts.push(`${fees.perBoat} ${fees.currency} per boat`);
+    if (fees.categoryFees?.length) parts.push("category rates apply");
+    if (fees.perSeat) parts.push(`${fees.perSeat} ${fees.currency} per seat`);
+    if (fees.lateSurcharge) {
+      parts.push(`+${fees.lateSurcharge} ${fees.currency} late entry`);
+    }
+    return parts.join(", ");
+  }, [competition?.entryFees]);
+  const quotas = useMemo(() => summary?.quotas || [], [summary]);
+  // Quotas covering the event being prepared, tightest first
+  const selectedEventQuotas = useMemo(
+    () =>
+      quotas
+        .filter(
+          (quota) =>
+            (!quota.category || quota.category === selectedCategoryId) &&
+            (!quota.boatClass || quota.boatClass === selectedBoatClassId),
+        )
+        .sort((a, b) => a.remaining - b.remaining),
+    [quotas, selectedBoatClassId, selectedCategoryId],
+  );
+  const substitutionEntry = useMemo(
+    () => entries.find((entry) => entry.id === substitutionEntryId) || null,
+    [entries, substitutionEntryId],
+  );
 
   const loadEligibleAthletes = useCallback(async () => {
     if (!competitionId || !token || !selectedCategoryId || !summaryCanSubmit) {
@@ -307,6 +345,10 @@ const CompetitionRegistration = () => {
       const params = new URLSearchParams();
       params.set("limit", "100");
       params.set("category", selectedCategoryId);
+      if (pickingCox) {
+        // Any club member can cox, whatever their gender or age
+        params.set("role", "cox");
+      }
       if (debouncedSearch) {
         params.set("q", debouncedSearch);
       }
@@ -339,6 +381,7 @@ const CompetitionRegistration = () => {
     competitionId,
     debouncedSearch,
     isClubManager,
+    pickingCox,
     resolvedClubId,
     selectedCategoryId,
     summaryCanSubmit,
@@ -459,28 +502,50 @@ const CompetitionRegistration = () => {
     return bc?.seats || 1;
   }, [selectedBoatClassId, availableBoatClasses]);
 
+  const requiresCox = useMemo(() => {
+    if (!selectedBoatClassId) return false;
+    const bc = availableBoatClasses.find((b) => b.id === selectedBoatClassId);
+    return Boolean(bc?.coxswain);
+  }, [selectedBoatClassId, availableBoatClasses]);
+
+  // Rowing seats; in coxed boats the cox is chosen separately
+  const rowerCount = requiresCox ? requiredCrewSize - 1 : requiredCrewSize;
+
   const handleEligibleSelected = useCallback(
     (record) => {
       if (!record) return;
 
+      if (pickingCox) {
+        if (selectedCrew.some((p) => p?.athlete?.id === record.athlete?.id)) {
+          toast.warning("The cox cannot also row in this crew");
+          return;
+        }
+        setSelectedCox(record);
+        setPickingCox(false);
+        return;
+      }
+
       if (requiredCrewSize === 1) {
         setSelectedAthlete(record);
         setSelectedCrew([record]);
       } else {
+        if (selectedCox?.athlete?.id === record.athlete?.id) {
+          return;
+        }
         setSelectedCrew((prev) => {
           // Avoid duplicates if the grid fires multiple times
           if (prev.find((p) => p?.athlete?.id === record.athlete.id)) {
             return prev;
           }
-          if (prev.length >= requiredCrewSize) {
-            toast.warning(`Maximum crew size is ${requiredCrewSize}`);
+          if (prev.length >= rowerCount) {
+            toast.warning(`Maximum crew size is ${rowerCount}`);
             return prev;
           }
           return [...prev, record];
         });
       }
     },
-    [requiredCrewSize],
+    [pickingCox, requiredCrewSize, rowerCount, selectedCox, selectedCrew],
   );
 
   const handleEligibleDeselected = useCallback(
@@ -518,13 +583,6 @@ const CompetitionRegistration = () => {
     });
   }, []);
 
-  const getSeatLabel = (index, total) => {
-    const seatNumber = index + 1;
-    if (seatNumber === 1) return "Bow (1)";
-    if (seatNumber === total) return `Stroke (${total})`;
-    return `Seat ${seatNumber}`;
-  };
-
   const handleRowDrop = useCallback(
     (args) => {
       // args.data contains the dragged records
@@ -544,24 +602,21 @@ const CompetitionRegistration = () => {
 
           for (const record of records) {
             if (!record?.athlete) continue;
-            if (newCrew.length >= requiredCrewSize) break;
+            if (newCrew.length >= rowerCount) break;
             if (!newCrew.find((p) => p?.athlete?.id === record.athlete.id)) {
               newCrew.push(record);
               addedCount++;
             }
           }
 
-          if (
-            addedCount < records.length &&
-            newCrew.length >= requiredCrewSize
-          ) {
-            toast.warning(`Maximum crew size is ${requiredCrewSize}`);
+          if (addedCount < records.length && newCrew.length >= rowerCount) {
+            toast.warning(`Maximum crew size is ${rowerCount}`);
           }
           return newCrew;
         });
       }
     },
-    [requiredCrewSize],
+    [requiredCrewSize, rowerCount],
   );
 
   const handleSubmitEntry = useCallback(async () => {
@@ -582,8 +637,13 @@ const CompetitionRegistration = () => {
       return;
     }
 
-    if (crewToSubmit.length !== requiredCrewSize) {
-      toast.warning(`Please select exactly ${requiredCrewSize} athletes`);
+    if (crewToSubmit.length !== rowerCount) {
+      toast.warning(`Please select exactly ${rowerCount} athletes`);
+      return;
+    }
+
+    if (requiresCox && !selectedCox?.athlete?.id) {
+      toast.warning("Select the cox for this crew");
       return;
     }
 
@@ -607,6 +667,7 @@ const CompetitionRegistration = () => {
       entries: [
         {
           crewIds,
+          coxId: requiresCox ? selectedCox.athlete.id : undefined,
           categoryId: selectedCategoryId,
           boatClassId: selectedBoatClassId || undefined,
           notes: trimmedNotes || undefined,
@@ -636,6 +697,8 @@ const CompetitionRegistration = () => {
       setEntryNotes("");
       setSelectedAthlete(null);
       setSelectedCrew([]);
+      setSelectedCox(null);
+      setPickingCox(false);
       await loadSummary(false);
       await loadEligibleAthletes();
     } catch (error) {
@@ -653,7 +716,10 @@ const CompetitionRegistration = () => {
     resolvedClubId,
     selectedAthlete,
     selectedCrew,
+    selectedCox,
     requiredCrewSize,
+    requiresCox,
+    rowerCount,
     selectedBoatClassId,
     selectedCategoryId,
     summaryCanSubmit,
@@ -797,11 +863,21 @@ const CompetitionRegistration = () => {
                 <div
                   className="text-xs text-slate-500 truncate"
                   title={entry.crew
-                    .map((a) => `${a.firstName} ${a.lastName}`)
+                    .map(
+                      (a) =>
+                        `${a.firstName} ${a.lastName}${
+                          a.id === entry.coxswain ? " (cox)" : ""
+                        }`,
+                    )
                     .join(", ")}
                 >
                   {entry.crew
-                    .map((a) => `${a.firstName} ${a.lastName}`)
+                    .map(
+                      (a) =>
+                        `${a.firstName} ${a.lastName}${
+                          a.id === entry.coxswain ? " (cox)" : ""
+                        }`,
+                    )
                     .join(", ")}
                 </div>
               </div>
@@ -823,6 +899,18 @@ const CompetitionRegistration = () => {
       },
     ];
 
+    if (competition?.bowNumbering?.assignedAt) {
+      columnList.unshift({
+        headerText: "Bow",
+        width: 70,
+        template: (entry) => (
+          <span className="font-mono text-sm font-semibold text-slate-900">
+            {entry?.bowNumber || "—"}
+          </span>
+        ),
+      });
+    }
+
     if (!club?.id) {
       columnList.push({
         headerText: "Club",
@@ -886,6 +974,9 @@ const CompetitionRegistration = () => {
           return (
             <div className="space-y-1 text-xs text-slate-500">
               <p>Submitted {submitted}</p>
+              {entry?.late ? (
+                <p className="font-medium text-amber-700">Late entry</p>
+              ) : null}
               {reviewer ? <p>Reviewed {reviewer}</p> : null}
             </div>
           );
@@ -940,8 +1031,15 @@ const CompetitionRegistration = () => {
           const now = new Date();
           const isBeforeDeadline = closeAt && now <= closeAt;
 
+          // Once registration closes, clubs may only withdraw their pending
+          // late entries
+          const clubCanWithdraw =
+            summaryCanWithdraw &&
+            (competition?.registrationStatus === "open" ||
+              (entry?.late && entry?.status === "pending"));
+
           if (
-            (summaryCanWithdraw || summaryCanManageEntries) &&
+            (clubCanWithdraw || summaryCanManageEntries) &&
             (entry?.status !== "withdrawn" || isBeforeDeadline)
           ) {
             const label = isBeforeDeadline ? "Delete" : "Withdraw";
@@ -959,6 +1057,25 @@ const CompetitionRegistration = () => {
             );
           }
 
+          if (
+            (summaryCanManageEntries || isClubManager) &&
+            entry?.status === "approved"
+          ) {
+            const pendingCount = (entry.substitutions || []).filter(
+              (substitution) => substitution.status === "pending",
+            ).length;
+            buttons.push(
+              <Button
+                key="substitutions"
+                type="button"
+                variant="outline"
+                onClick={() => setSubstitutionEntryId(entry.id)}
+              >
+                Substitutions{pendingCount ? ` (${pendingCount})` : ""}
+              </Button>,
+            );
+          }
+
           if (!buttons.length) {
             return <span className="text-xs text-slate-400">No actions</span>;
           }
@@ -975,6 +1092,7 @@ const CompetitionRegistration = () => {
     competition,
     handleUpdateStatus,
     handleWithdrawEntry,
+    isClubManager,
     summaryCanManageEntries,
     summaryCanWithdraw,
   ]);
@@ -1103,6 +1221,16 @@ const CompetitionRegistration = () => {
           <section className="space-y-6">
             {summaryCanSubmit ? (
               <div className="space-y-4 rounded-2xl border border-slate-200 bg-white p-6 shadow-sm">
+                {registrationStatus === "late" ? (
+                  <p className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-700">
+                    Registration has closed. Entries submitted now are late
+                    entries: they need jury approval
+                    {competition?.entryFees?.lateSurcharge
+                      ? ` and carry a ${competition.entryFees.lateSurcharge} ${competition.entryFees.currency} surcharge`
+                      : ""}
+                    .
+                  </p>
+                ) : null}
                 <div className="flex flex-col gap-2 sm:flex-row sm:items-end sm:justify-between">
                   <div>
                     <h2 className="text-lg font-semibold text-slate-900">
@@ -1159,6 +1287,8 @@ const CompetitionRegistration = () => {
                         setSelectedBoatClassId(event.target.value);
                         setSelectedAthlete(null);
                         setSelectedCrew([]);
+                        setSelectedCox(null);
+                        setPickingCox(false);
                       }}
                       disabled={!availableBoatClasses.length}
                     >
@@ -1188,6 +1318,24 @@ const CompetitionRegistration = () => {
                   </div>
                 </div>
 
+                {selectedCategoryId && selectedEventQuotas.length ? (
+                  <p
+                    className={clsx(
+                      "rounded-lg border px-3 py-2 text-sm",
+                      selectedEventQuotas[0].remaining > 0
+                        ? "border-slate-200 bg-slate-50 text-slate-600"
+                        : "border-rose-200 bg-rose-50 text-rose-700",
+                    )}
+                  >
+                    {selectedEventQuotas
+                      .map(
+                        (quota) =>
+                          `${quota.label}: ${quota.remaining} of ${quota.maxBoats} boat(s) left`,
+                      )
+                      .join(" • ")}
+                  </p>
+                ) : null}
+
                 <div className="rounded-xl border border-slate-200 bg-white">
                   <DataGrid
                     key={`grid-${requiredCrewSize}`}
@@ -1219,8 +1367,7 @@ const CompetitionRegistration = () => {
                       {requiredCrewSize > 1 ? (
                         <div>
                           <p className="text-sm font-semibold text-slate-900 mb-2">
-                            Selected Crew ({selectedCrew.length}/
-                            {requiredCrewSize})
+                            Selected Crew ({selectedCrew.length}/{rowerCount})
                           </p>
                           <ul className="space-y-2">
                             {selectedCrew.map((member, idx) => (
@@ -1275,7 +1422,7 @@ const CompetitionRegistration = () => {
                                   </div>
                                   <div>
                                     <span className="font-semibold text-slate-900 block text-xs">
-                                      {getSeatLabel(idx, requiredCrewSize)}
+                                      {getSeatLabel(idx, rowerCount)}
                                     </span>
                                     <span>
                                       {member.athlete?.firstName}{" "}
@@ -1312,6 +1459,36 @@ const CompetitionRegistration = () => {
                               </li>
                             ))}
                           </ul>
+                          {requiresCox && (
+                            <div className="mt-3 flex items-center justify-between rounded border border-dashed border-slate-300 bg-white p-2 text-sm text-slate-700">
+                              <div>
+                                <span className="font-semibold text-slate-900 block text-xs">
+                                  Cox
+                                </span>
+                                <span>
+                                  {selectedCox
+                                    ? `${selectedCox.athlete?.firstName || ""} ${
+                                        selectedCox.athlete?.lastName || ""
+                                      }`.trim()
+                                    : pickingCox
+                                      ? "Pick the cox in the list above (any gender or age)"
+                                      : "No cox selected"}
+                                </span>
+                              </div>
+                              <Button
+                                type="button"
+                                size="sm"
+                                variant="outline"
+                                onClick={() => setPickingCox((prev) => !prev)}
+                              >
+                                {pickingCox
+                                  ? "Cancel"
+                                  : selectedCox
+                                    ? "Change cox"
+                                    : "Select cox"}
+                              </Button>
+                            </div>
+                          )}
                         </div>
                       ) : (
                         <div>
@@ -1373,6 +1550,8 @@ const CompetitionRegistration = () => {
                           onClick={() => {
                             setSelectedAthlete(null);
                             setSelectedCrew([]);
+                            setSelectedCox(null);
+                            setPickingCox(false);
                             setEntryNotes("");
                           }}
                           disabled={savingEntry}
@@ -1456,6 +1635,35 @@ const CompetitionRegistration = () => {
                 pageSize={10}
               />
             </div>
+
+            {substitutionEntry && (
+              <EntrySubstitutionsCard
+                competitionId={competitionId}
+                entry={substitutionEntry}
+                token={token}
+                canReview={summaryCanManageEntries}
+                onClose={() => setSubstitutionEntryId(null)}
+                onUpdated={() => loadSummary(false)}
+              />
+            )}
+
+            {summaryCanManageEntries && registrationStatus === "closed" && (
+              <BowNumbersCard
+                competitionId={competitionId}
+                competition={competition}
+                token={token}
+                onUpdated={() => loadSummary(false)}
+              />
+            )}
+
+            {summaryCanManageEntries && registrationStatus === "closed" && (
+              <UnderSubscribedEventsCard
+                competitionId={competitionId}
+                token={token}
+                categories={availableCategories}
+                onUpdated={() => loadSummary(false)}
+              />
+            )}
           </section>
 
           <aside className="space-y-6 rounded-2xl border border-slate-200 bg-white p-6 shadow-sm">
@@ -1488,6 +1696,19 @@ const CompetitionRegistration = () => {
                     ).toLocaleString()}`
                   : ""}
               </p>
+              {competition?.lateEntries?.enabled ? (
+                <p>
+                  <span className="font-semibold text-slate-800">
+                    Late entries:
+                  </span>{" "}
+                  {competition.lateEntries.closeAt
+                    ? `until ${new Date(
+                        competition.lateEntries.closeAt,
+                      ).toLocaleString()}, `
+                    : ""}
+                  subject to jury approval
+                </p>
+              ) : null}
               <p>
                 <span className="font-semibold text-slate-800">Schedule:</span>{" "}
                 {competition?.startDate
@@ -1507,6 +1728,39 @@ const CompetitionRegistration = () => {
                 </span>{" "}
                 {competition?.discipline || "—"}
               </p>
+              {entryFeeLabel ? (
+                <p>
+                  <span className="font-semibold text-slate-800">
+                    Entry fees:
+                  </span>{" "}
+                  {entryFeeLabel}
+                </p>
+              ) : null}
+              {quotas.length ? (
+                <div className="space-y-1">
+                  <span className="font-semibold text-slate-800">
+                    Club quotas:
+                  </span>
+                  <ul className="space-y-0.5 text-xs">
+                    {quotas.map((quota) => (
+                      <li
+                        key={quota.id}
+                        className={
+                          quota.remaining ? "text-slate-600" : "text-rose-600"
+                        }
+                      >
+                        {quota.label}: {quota.used}/{quota.maxBoats} entered,{" "}
+                        {quota.remaining} left
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ) : null}
+              {competition?.blockUnpaidClubs ? (
+                <p className="text-xs text-amber-700">
+                  Clubs with an unpaid balance cannot register for this event.
+                </p>
+              ) : null}
               <p>
                 <span className="font-semibold text-slate-800">
                   Club context:
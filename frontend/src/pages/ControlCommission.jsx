@@ -0,0 +1,501 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { toast } from "react-toastify";
+import { CheckCircle2, Search, Trash2, XCircle } from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { Select } from "../components/ui/select";
+import { Label } from "../components/ui/label";
+import { Badge } from "../components/ui/badge";
+import { Card, CardContent } from "../components/ui/card";
+import { getAthletePhotoUrl, getAthleteInitials } from "../lib/athlete";
+
+const API_BASE_URL = "";
+
+// May check in an invalid licence (jury decision) and undo check-ins
+const OVERRIDE_ROLES = ["admin", "jury_president"];
+
+const STATUS_BADGES = {
+  active: "success",
+  pending: "warning",
+  pending_documents: "warning",
+  expired_medical: "error",
+  suspended: "error",
+};
+
+const formatAthleteName = (athlete) =>
+  athlete
+    ? `${athlete.lastName?.toUpperCase() || ""} ${athlete.firstName || ""}`.trim()
+    : "-";
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString("en-GB") : "-";
+
+const formatClock = (value) =>
+  value
+    ? new Date(value).toLocaleTimeString("en-GB", {
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "";
+
+// Crew check-ins (boat check at the pontoon) have an entry and a race instead
+const formatCheckInName = (checkIn) => {
+  if (!checkIn.entry) {
+    return formatAthleteName(checkIn.athlete);
+  }
+  const { entry } = checkIn;
+  const crew = entry.crew?.length ? entry.crew : [entry.athlete];
+  const event =
+    checkIn.race?.name ||
+    [entry.category?.abbreviation, entry.boatClass?.code]
+      .filter(Boolean)
+      .join(" ");
+  return `${event} ${entry.club?.code || ""}${
+    entry.bowNumber ? ` #${entry.bowNumber}` : ""
+  } - ${crew.map((athlete) => athlete?.lastName || "").join(", ")}`;
+};
+
+// Scanned QR codes hold the verification link, typed values a licence number
+const isQrToken = (value) => value.includes("/verify/licence/");
+
+const ControlCommission = () => {
+  const { token, user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const competitionId = searchParams.get("competition") || "";
+  const [competitions, setCompetitions] = useState([]);
+  const [query, setQuery] = useState(searchParams.get("qr") || "");
+  const [licence, setLicence] = useState(null);
+  const [athleteCheckIn, setAthleteCheckIn] = useState(null);
+  const [checkIns, setCheckIns] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [idCheckOk, setIdCheckOk] = useState(true);
+
+  const competition = competitions.find((item) => item._id === competitionId);
+  const season = competition?.season || new Date().getFullYear();
+  const isJury = OVERRIDE_ROLES.includes(user?.role);
+
+  useEffect(() => {
+    if (!token) return;
+    const load = async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/api/competitions`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        const data = await res.json().catch(() => []);
+        if (!res.ok) {
+          throw new Error(data.message || "Failed to load competitions");
+        }
+        setCompetitions(Array.isArray(data) ? data : []);
+      } catch (err) {
+        toast.error(err.message);
+      }
+    };
+    load();
+  }, [token]);
+
+  const loadCheckIns = useCallback(async () => {
+    if (!token || !competitionId) {
+      setCheckIns([]);
+      return;
+    }
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/competitions/${competitionId}/check-ins`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      const data = await res.json().catch(() => []);
+      if (!res.ok) throw new Error(data.message || "Failed to load check-ins");
+      setCheckIns(data);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }, [competitionId, token]);
+
+  useEffect(() => {
+    loadCheckIns();
+  }, [loadCheckIns]);
+
+  const loadAthleteCheckIn = useCallback(
+    async (athleteId) => {
+      if (!competitionId || !athleteId) {
+        setAthleteCheckIn(null);
+        return;
+      }
+      try {
+        const res = await fetch(
+          `${API_BASE_URL}/api/competitions/${competitionId}/check-ins/athletes/${athleteId}`,
+          { headers: { Authorization: `Bearer ${token}` } },
+        );
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.message || "Failed to load entries");
+        setAthleteCheckIn(data);
+      } catch (err) {
+        toast.error(err.message);
+      }
+    },
+    [competitionId, token],
+  );
+
+  useEffect(() => {
+    loadAthleteCheckIn(licence?._id);
+  }, [licence?._id, loadAthleteCheckIn]);
+
+  const lookup = useCallback(
+    async (value) => {
+      const text = value.trim();
+      if (!text || !token) return;
+      setSearching(true);
+      setLicence(null);
+      try {
+        const params = new URLSearchParams({ season: String(season) });
+        params.set(isQrToken(text) ? "qr" : "licenseNumber", text);
+        const res = await fetch(
+          `${API_BASE_URL}/api/licence-cards/lookup?${params}`,
+          { headers: { Authorization: `Bearer ${token}` } },
+        );
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.message || "Lookup failed");
+        setLicence(data);
+      } catch (err) {
+        toast.error(err.message);
+      } finally {
+        setSearching(false);
+      }
+    },
+    [season, token],
+  );
+
+  // Opened from the verification page of a scanned card
+  const initialQr = searchParams.get("qr");
+  useEffect(() => {
+    if (initialQr) {
+      lookup(initialQr);
+    }
+  }, [initialQr, lookup]);
+
+  const selectCompetition = (value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) {
+      next.set("competition", value);
+    } else {
+      next.delete("competition");
+    }
+    setSearchParams(next, { replace: true });
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    lookup(query);
+  };
+
+  const checkIn = async (override = false) => {
+    if (!licence || !competitionId) return;
+    setSaving(true);
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/competitions/${competitionId}/check-ins`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({ athlete: licence._id, override, idCheckOk }),
+        },
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Check-in failed");
+      toast.success(`${formatAthleteName(licence)} checked in`);
+      setQuery("");
+      await Promise.all([loadCheckIns(), loadAthleteCheckIn(licence._id)]);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeCheckIn = async (checkInId) => {
+    if (!window.confirm("Remove this check-in?")) return;
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/competitions/${competitionId}/check-ins/${checkInId}`,
+        {
+          method: "DELETE",
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to remove check-in");
+      await loadCheckIns();
+      if (licence) await loadAthleteCheckIn(licence._id);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const photoUrl = licence ? getAthletePhotoUrl(licence) : null;
+  const medicalExpired =
+    licence?.medicalExpiresAt &&
+    new Date(licence.medicalExpiresAt) <
+      new Date(competition?.startDate || Date.now());
+  const entries = athleteCheckIn?.entries || [];
+  const existingCheckIn = athleteCheckIn?.checkIn;
+
+  return (
+    <div className="min-h-screen bg-slate-50/50 pb-20">
+      <div className="mx-auto max-w-2xl space-y-4 px-4 py-6 sm:px-6">
+        <h1 className="text-2xl font-black text-slate-900">
+          Control commission
+        </h1>
+
+        <div className="space-y-1">
+          <Label htmlFor="control-competition">Competition</Label>
+          <Select
+            id="control-competition"
+            value={competitionId}
+            onChange={(event) => selectCompetition(event.target.value)}
+          >
+            <option value="">Licence check only</option>
+            {competitions.map((item) => (
+              <option key={item._id} value={item._id}>
+                {item.code} - {item.names?.en || item.names?.fr}
+              </option>
+            ))}
+          </Select>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex gap-2">
+          <Input
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+            placeholder="Licence number or scanned QR link"
+            autoFocus
+            className="h-12 text-base"
+          />
+          <Button
+            type="submit"
+            disabled={searching || !query.trim()}
+            className="h-12"
+          >
+            <Search className="h-4 w-4" />
+          </Button>
+        </form>
+
+        {licence && (
+          <Card
+            className={`border-none shadow-sm ring-1 ${
+              licence.valid ? "ring-emerald-200" : "ring-rose-200"
+            }`}
+          >
+            <CardContent className="space-y-4 p-4">
+              <div className="flex gap-4">
+                <div className="flex h-28 w-[5.5rem] shrink-0 items-center justify-center overflow-hidden rounded-md bg-slate-100 text-2xl font-bold text-slate-400">
+                  {photoUrl ? (
+                    <img
+                      src={photoUrl}
+                      alt={formatAthleteName(licence)}
+                      className="h-full w-full object-cover"
+                    />
+                  ) : (
+                    getAthleteInitials(licence)
+                  )}
+                </div>
+                <div className="min-w-0 space-y-1">
+                  <p className="text-lg font-bold text-slate-900">
+                    {formatAthleteName(licence)}
+                  </p>
+                  {(licence.firstNameAr || licence.lastNameAr) && (
+                    <p className="text-slate-700" dir="rtl">
+                      {`${licence.firstNameAr || ""} ${
+                        licence.lastNameAr || ""
+                      }`.trim()}
+                    </p>
+                  )}
+                  <p className="font-mono text-sm text-slate-600">
+                    {licence.licenseNumber}
+                  </p>
+                  <p className="text-sm text-slate-600">
+                    {licence.club
+                      ? `${licence.club.code || ""} ${licence.club.name || ""}`.trim()
+                      : "No club this season"}
+                  </p>
+                  <p className="text-sm text-slate-600">
+                    {licence.category?.abbreviation || "No category"} -{" "}
+                    {licence.season}
+                  </p>
+                </div>
+              </div>
+
+              <div
+                className={`flex items-center gap-2 rounded-md px-3 py-2 text-sm font-semibold ${
+                  licence.valid
+                    ? "bg-emerald-50 text-emerald-700"
+                    : "bg-rose-50 text-rose-700"
+                }`}
+              >
+                {licence.valid ? (
+                  <CheckCircle2 className="h-5 w-5" />
+                ) : (
+                  <XCircle className="h-5 w-5" />
+                )}
+                {licence.valid ? "Valid licence" : "Licence not valid"}
+              </div>
+
+              <dl className="grid grid-cols-2 gap-2 text-sm">
+                <dt className="text-slate-500">Licence status</dt>
+                <dd>
+                  <Badge
+                    variant={STATUS_BADGES[licence.licenseStatus] || "default"}
+                  >
+                    {licence.licenseStatus || "-"}
+                  </Badge>
+                </dd>
+                <dt className="text-slate-500">Documents</dt>
+                <dd>
+                  <Badge
+                    variant={
+                      STATUS_BADGES[licence.documentsStatus] || "default"
+                    }
+                  >
+                    {(licence.documentsStatus || "-").replace(/_/g, " ")}
+                  </Badge>
+                </dd>
+                <dt className="text-slate-500">Medical expiry</dt>
+                <dd
+                  className={
+                    medicalExpired ? "font-semibold text-rose-700" : ""
+                  }
+                >
+                  {formatDate(licence.medicalExpiresAt)}
+                </dd>
+              </dl>
+              {licence.documentsIssues?.length > 0 && (
+                <p className="text-xs text-slate-500">
+                  {licence.documentsIssues
+                    .map((issue) => issue.replace(/_/g, " "))
+                    .join(", ")}
+                </p>
+              )}
+
+              {competitionId && athleteCheckIn && (
+                <div className="space-y-3 border-t border-slate-100 pt-3">
+                  {entries.length ? (
+                    <ul className="space-y-1 text-sm text-slate-700">
+                      {entries.map((entry) => (
+                        <li key={entry._id}>
+                          {entry.bowNumber ? `#${entry.bowNumber} ` : ""}
+                          {entry.category?.abbreviation} {entry.boatClass?.code}
+                          {entry.club?.code ? ` - ${entry.club.code}` : ""}
+                          {entry.status === "pending" ? " (pending)" : ""}
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="text-sm text-rose-700">
+                      Not entered in this competition
+                    </p>
+                  )}
+
+                  {existingCheckIn ? (
+                    <p className="text-sm font-semibold text-emerald-700">
+                      Checked in at {formatClock(existingCheckIn.checkedAt)}
+                      {existingCheckIn.checkedBy
+                        ? ` by ${existingCheckIn.checkedBy.firstName}`
+                        : ""}
+                      {existingCheckIn.idCheckOk
+                        ? ""
+                        : " (identity not checked)"}
+                    </p>
+                  ) : licence.valid || isJury ? (
+                    <label className="flex items-center gap-2 text-sm text-slate-700">
+                      <input
+                        type="checkbox"
+                        checked={idCheckOk}
+                        onChange={(event) => setIdCheckOk(event.target.checked)}
+                      />
+                      Identity matches the licence photo or ID document
+                    </label>
+                  ) : null}
+                  {existingCheckIn ? null : licence.valid ? (
+                    <Button
+                      type="button"
+                      className="h-12 w-full"
+                      disabled={saving || !entries.length}
+                      onClick={() => checkIn(false)}
+                    >
+                      Mark as checked in
+                    </Button>
+                  ) : isJury ? (
+                    <Button
+                      type="button"
+                      variant="outline"
+                      className="h-12 w-full"
+                      disabled={saving || !entries.length}
+                      onClick={() => checkIn(true)}
+                    >
+                      Check in anyway (jury decision)
+                    </Button>
+                  ) : null}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        )}
+
+        {competitionId && (
+          <Card className="border-none shadow-sm ring-1 ring-slate-200">
+            <CardContent className="space-y-2 p-4">
+              <p className="text-sm font-semibold text-slate-900">
+                Checked in: {checkIns.length}
+              </p>
+              <ul className="divide-y divide-slate-100 text-sm">
+                {checkIns.map((item) => (
+                  <li
+                    key={item._id}
+                    className="flex items-center justify-between gap-2 py-2"
+                  >
+                    <span className="min-w-0 truncate">
+                      {formatCheckInName(item)}{" "}
+                      <span className="font-mono text-xs text-slate-500">
+                        {item.athlete?.licenseNumber}
+                      </span>
+                      {item.entry && item.boatCheckOk && (
+                        <Badge variant="success" className="ml-2">
+                          Boat OK
+                        </Badge>
+                      )}
+                      {item.override && (
+                        <Badge variant="warning" className="ml-2">
+                          Jury decision
+                        </Badge>
+                      )}
+                    </span>
+                    <span className="flex shrink-0 items-center gap-2 text-xs text-slate-500">
+                      {formatClock(item.checkedAt)}
+                      {isJury && (
+                        <Button
+                          type="button"
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => removeCheckIn(item._id)}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ControlCommission;
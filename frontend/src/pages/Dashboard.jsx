@@ -4,6 +4,9 @@ import { Button } from "../components/ui/button";
 import { Input } from "../components/ui/input";
 import { DataGrid } from "../components/DataGrid";
 import EditUserModal from "../components/EditUserModal";
+import LicenceFeesSection from "../components/LicenceFeesSection";
+import SeasonRolloverSection from "../components/SeasonRolloverSection";
+import LicenceRenewalSection from "../components/LicenceRenewalSection";
 import { useState, useEffect, useMemo } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
@@ -1220,6 +1223,15 @@ function Dashboard() {
         </div>
       </div>
 
+      {/* Licence Fees */}
+      <LicenceFeesSection token={token} />
+
+      {/* Licence Renewals */}
+      <LicenceRenewalSection token={token} canDecide />
+
+      {/* Season Rollover */}
+      <SeasonRolloverSection token={token} />
+
       {/* Quick Actions */}
       <div className="rounded-2xl border border-slate-200 bg-white p-6 shadow-sm">
         <h3 className="text-lg font-semibold text-slate-900 mb-4">
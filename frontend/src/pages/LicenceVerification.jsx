@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import { CheckCircle2, XCircle } from "lucide-react";
+import { Card, CardContent } from "../components/ui/card";
+import { useAuth } from "../contexts/AuthContext";
+
+const API_BASE_URL = "";
+
+const OFFICIAL_ROLES = ["admin", "jury_president", "umpire"];
+
+// Opened from the QR code of a printed licence card (no login required)
+const LicenceVerification = () => {
+  const { licenseNumber } = useParams();
+  const [searchParams] = useSearchParams();
+  const { user } = useAuth();
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const params = new URLSearchParams({ s: searchParams.get("s") || "" });
+        const res = await fetch(
+          `${API_BASE_URL}/api/public/licences/${encodeURIComponent(
+            licenseNumber,
+          )}/verify?${params}`,
+        );
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.message || "Verification failed");
+        setResult(data);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [licenseNumber, searchParams]);
+
+  const valid = Boolean(result?.valid);
+
+  return (
+    <div className="min-h-screen bg-slate-50/50 pb-20">
+      <div className="mx-auto max-w-md px-4 py-10 sm:px-6">
+        <h1 className="mb-6 text-2xl font-black text-slate-900">
+          Licence verification
+        </h1>
+
+        {loading && <p className="text-sm text-slate-500">Checking...</p>}
+
+        {!loading && error && (
+          <Card className="border-none shadow-sm ring-1 ring-rose-200">
+            <CardContent className="flex items-center gap-3 p-5 text-rose-700">
+              <XCircle className="h-8 w-8 shrink-0" />
+              <p className="text-sm font-medium">{error}</p>
+            </CardContent>
+          </Card>
+        )}
+
+        {!loading && result && (
+          <Card
+            className={`border-none shadow-sm ring-1 ${
+              valid ? "ring-emerald-200" : "ring-rose-200"
+            }`}
+          >
+            <CardContent className="space-y-4 p-5">
+              <div
+                className={`flex items-center gap-3 ${
+                  valid ? "text-emerald-700" : "text-rose-700"
+                }`}
+              >
+                {valid ? (
+                  <CheckCircle2 className="h-8 w-8 shrink-0" />
+                ) : (
+                  <XCircle className="h-8 w-8 shrink-0" />
+                )}
+                <div>
+                  <p className="text-lg font-bold">
+                    {valid ? "Valid licence" : "Licence not valid"}
+                  </p>
+                  <p className="text-xs">
+                    Season {result.season}, checked{" "}
+                    {new Date(result.checkedAt).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+
+              <dl className="grid grid-cols-3 gap-x-3 gap-y-2 text-sm">
+                <dt className="text-slate-500">Athlete</dt>
+                <dd className="col-span-2 font-semibold text-slate-900">
+                  {`${result.lastName || ""} ${result.firstName || ""}`.trim()}
+                  {result.firstNameAr || result.lastNameAr ? (
+                    <span className="block font-normal" dir="rtl">
+                      {`${result.firstNameAr || ""} ${
+                        result.lastNameAr || ""
+                      }`.trim()}
+                    </span>
+                  ) : null}
+                </dd>
+                <dt className="text-slate-500">Licence</dt>
+                <dd className="col-span-2 font-mono text-slate-900">
+                  {result.licenseNumber}
+                </dd>
+                <dt className="text-slate-500">Club</dt>
+                <dd className="col-span-2 text-slate-900">
+                  {result.club
+                    ? `${result.club.code || ""} ${result.club.name || ""}`.trim()
+                    : "-"}
+                </dd>
+                <dt className="text-slate-500">Category</dt>
+                <dd className="col-span-2 text-slate-900">
+                  {result.category || "-"}
+                </dd>
+              </dl>
+
+              {OFFICIAL_ROLES.includes(user?.role) && (
+                <Link
+                  to={`/control-commission?${new URLSearchParams({
+                    qr: window.location.href,
+                  })}`}
+                  className="block text-sm font-semibold text-blue-700 underline"
+                >
+                  Open in control commission
+                </Link>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LicenceVerification;
@@ -120,6 +120,11 @@ export const LoginPage = () => {
               Register here
             </Link>
           </p>
+          <p className="mt-2 text-gray-600">
+            <Link to="/public" className="text-black hover:underline">
+              View public results
+            </Link>
+          </p>
         </div>
 
         {/* Demo Credentials */}
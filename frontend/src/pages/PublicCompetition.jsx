@@ -0,0 +1,292 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { toast } from "react-toastify";
+import { ArrowLeft, Clock, Trophy } from "lucide-react";
+import { Button } from "../components/ui/button";
+import { Badge } from "../components/ui/badge";
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+} from "../components/ui/card";
+import { getSeatTag } from "../lib/crewSeats";
+
+const API_BASE_URL = "";
+
+const formatElapsedTime = (ms) => {
+  if (ms === undefined || ms === null) return "-";
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  const centis = Math.floor((ms % 1000) / 10);
+  if (minutes > 0) {
+    return `${minutes}:${seconds.toString().padStart(2, "0")}.${centis.toString().padStart(2, "0")}`;
+  }
+  return `${seconds}.${centis.toString().padStart(2, "0")}`;
+};
+
+const formatAthleteName = (athlete) => {
+  if (!athlete) return "-";
+  const parts = [athlete.firstName, athlete.lastName].filter(Boolean);
+  if (parts.length) return parts.join(" ");
+  return [athlete.firstNameAr, athlete.lastNameAr].filter(Boolean).join(" ");
+};
+
+const formatLaneName = (lane) =>
+  lane.crew?.length > 0
+    ? lane.crew
+        .map(
+          (member, index, crew) =>
+            `${getSeatTag(crew, index, lane.coxswain)}${formatAthleteName(member)}`,
+        )
+        .join(" / ")
+    : formatAthleteName(lane.athlete);
+
+const formatRaceTitle = (race) =>
+  race.name ||
+  [race.category?.abbreviation, race.boatClass?.code]
+    .filter(Boolean)
+    .join(" ") ||
+  `Race ${race.raceNumber || ""}`;
+
+const sortLanes = (race) =>
+  [...(race.lanes || [])].sort((a, b) => {
+    if (race.resultsStatus === "official") {
+      return (
+        (a.result?.finishPosition || 999) - (b.result?.finishPosition || 999)
+      );
+    }
+    return a.lane - b.lane;
+  });
+
+const PublicRaceCard = ({ race }) => {
+  const official = race.resultsStatus === "official";
+  return (
+    <Card className="border-none shadow-sm ring-1 ring-slate-200">
+      <CardHeader className="flex flex-row items-center justify-between pb-3">
+        <div>
+          <CardTitle className="text-base font-bold text-slate-900">
+            {race.raceNumber ? `#${race.raceNumber} · ` : ""}
+            {formatRaceTitle(race)}
+          </CardTitle>
+          {race.startTime && (
+            <p className="mt-1 flex items-center gap-1 text-xs text-slate-500">
+              <Clock className="h-3.5 w-3.5" />
+              {new Date(race.startTime).toLocaleString()}
+            </p>
+          )}
+        </div>
+        <Badge variant={official ? "success" : "outline"}>
+          {official ? "Official results" : "Start list"}
+        </Badge>
+      </CardHeader>
+      <CardContent>
+        <table className="w-full text-left text-sm">
+          <thead className="text-xs uppercase text-slate-400">
+            <tr>
+              <th className="py-1">{official ? "Pos" : "Lane"}</th>
+              <th className="py-1">Crew</th>
+              <th className="py-1">Club</th>
+              {official && <th className="py-1 text-right">Time</th>}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {sortLanes(race).map((lane) => {
+              const status = lane.result?.status || "ok";
+              return (
+                <tr key={lane.lane}>
+                  <td className="py-2 font-semibold text-slate-700">
+                    {official ? lane.result?.finishPosition || "-" : lane.lane}
+                  </td>
+                  <td className="py-2 text-slate-900">
+                    {formatLaneName(lane)}
+                  </td>
+                  <td className="py-2 text-slate-500">
+                    {lane.club?.code || lane.club?.name || "-"}
+                  </td>
+                  {official && (
+                    <td className="py-2 text-right font-mono">
+                      {status !== "ok"
+                        ? status.toUpperCase()
+                        : formatElapsedTime(
+                            lane.result?.adjustedMs ?? lane.result?.elapsedMs,
+                          )}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </CardContent>
+    </Card>
+  );
+};
+
+const PublicCompetition = () => {
+  const { competitionId } = useParams();
+  const [competition, setCompetition] = useState(null);
+  const [races, setRaces] = useState([]);
+  const [ranking, setRanking] = useState(null);
+  const [activeTab, setActiveTab] = useState("races");
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const base = `${API_BASE_URL}/api/public/competitions/${competitionId}`;
+        const [compRes, racesRes] = await Promise.all([
+          fetch(base),
+          fetch(`${base}/races`),
+        ]);
+        const compData = await compRes.json().catch(() => ({}));
+        if (!compRes.ok) {
+          throw new Error(compData.message || "Competition not found");
+        }
+        const racesData = await racesRes.json().catch(() => []);
+        setCompetition(compData);
+        setRaces(Array.isArray(racesData) ? racesData : []);
+      } catch (err) {
+        toast.error(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [competitionId]);
+
+  useEffect(() => {
+    if (activeTab !== "rankings" || ranking) return;
+    const loadRanking = async () => {
+      try {
+        const res = await fetch(
+          `${API_BASE_URL}/api/public/competitions/${competitionId}/rankings`,
+        );
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.message || "Failed to load ranking");
+        setRanking(data);
+      } catch (err) {
+        toast.error(err.message);
+      }
+    };
+    loadRanking();
+  }, [activeTab, competitionId, ranking]);
+
+  if (loading) {
+    return (
+      <p className="p-10 text-center text-sm text-slate-500">Loading...</p>
+    );
+  }
+
+  if (!competition) {
+    return (
+      <div className="p-10 text-center">
+        <p className="text-sm text-slate-500">Competition not available.</p>
+        <Link to="/public" className="text-sm font-semibold hover:underline">
+          Back to competitions
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50/50 pb-20">
+      <div className="mx-auto max-w-5xl space-y-6 px-4 py-10 sm:px-6">
+        <Link
+          to="/public"
+          className="flex items-center gap-1 text-sm text-slate-500 hover:text-slate-900"
+        >
+          <ArrowLeft className="h-4 w-4" /> All competitions
+        </Link>
+        <div>
+          <h1 className="text-2xl font-black text-slate-900">
+            {competition.names?.en || competition.code}
+          </h1>
+          <p className="text-sm text-slate-500">
+            {competition.venue?.city ? `${competition.venue.city} · ` : ""}
+            {new Date(competition.startDate).toLocaleDateString()}
+          </p>
+        </div>
+
+        <div className="flex gap-2">
+          <Button
+            variant={activeTab === "races" ? "default" : "outline"}
+            size="sm"
+            onClick={() => setActiveTab("races")}
+          >
+            Races
+          </Button>
+          <Button
+            variant={activeTab === "rankings" ? "default" : "outline"}
+            size="sm"
+            onClick={() => setActiveTab("rankings")}
+          >
+            <Trophy className="mr-2 h-4 w-4" /> Rankings
+          </Button>
+        </div>
+
+        {activeTab === "races" && (
+          <div className="space-y-4">
+            {races.length === 0 && (
+              <p className="text-sm text-slate-500">
+                The start lists have not been published yet.
+              </p>
+            )}
+            {races.map((race) => (
+              <PublicRaceCard key={race._id} race={race} />
+            ))}
+          </div>
+        )}
+
+        {activeTab === "rankings" && ranking && (
+          <div className="space-y-4">
+            {Object.keys(ranking.rankings || {}).length === 0 && (
+              <p className="text-sm text-slate-500">
+                Rankings appear once race results are official.
+              </p>
+            )}
+            {Object.entries(ranking.rankings || {}).map(
+              ([groupKey, entries]) => (
+                <Card
+                  key={groupKey}
+                  className="border-none shadow-sm ring-1 ring-slate-200"
+                >
+                  <CardHeader className="pb-3">
+                    <CardTitle className="text-sm font-bold uppercase tracking-wider text-slate-500">
+                      {ranking.groupMetadata?.[groupKey]?.categoryAbbr ||
+                        groupKey}
+                    </CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    <table className="w-full text-left text-sm">
+                      <tbody className="divide-y divide-slate-100">
+                        {entries.map((entry) => (
+                          <tr key={entry.entityId}>
+                            <td className="w-10 py-2 font-semibold">
+                              {entry.rank}
+                            </td>
+                            <td className="py-2">
+                              {entry.entityType === "athlete"
+                                ? entry.entity?.fullName
+                                : entry.entity?.name || entry.entity?.code}
+                            </td>
+                            <td className="py-2 text-right font-bold">
+                              {entry.totalPoints} pts
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </CardContent>
+                </Card>
+              ),
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PublicCompetition;
@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import { Calendar, MapPin, Trophy } from "lucide-react";
+import { Badge } from "../components/ui/badge";
+import { Card, CardContent } from "../components/ui/card";
+
+const API_BASE_URL = "";
+
+const STATUS_LABELS = {
+  published: "Upcoming / live",
+  completed: "Completed",
+};
+
+const formatDateRange = (start, end) => {
+  if (!start) return "-";
+  const startLabel = new Date(start).toLocaleDateString();
+  const endLabel = end ? new Date(end).toLocaleDateString() : startLabel;
+  return startLabel === endLabel ? startLabel : `${startLabel} – ${endLabel}`;
+};
+
+const PublicCompetitions = () => {
+  const [competitions, setCompetitions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/api/public/competitions`);
+        const data = await res.json().catch(() => []);
+        if (!res.ok) throw new Error(data.message || "Failed to load");
+        setCompetitions(Array.isArray(data) ? data : []);
+      } catch (err) {
+        toast.error(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  return (
+    <div className="min-h-screen bg-slate-50/50 pb-20">
+      <div className="mx-auto max-w-5xl px-4 py-10 sm:px-6">
+        <div className="mb-8 flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-black text-slate-900">
+              Results & Start Lists
+            </h1>
+            <p className="text-sm text-slate-500">
+              Published competitions, start lists and official results.
+            </p>
+          </div>
+          <Link
+            to="/login"
+            className="text-sm font-semibold text-slate-600 hover:underline"
+          >
+            Staff login
+          </Link>
+        </div>
+
+        {loading && <p className="text-sm text-slate-500">Loading...</p>}
+        {!loading && competitions.length === 0 && (
+          <p className="text-sm text-slate-500">
+            No competitions have been published yet.
+          </p>
+        )}
+
+        <div className="space-y-3">
+          {competitions.map((competition) => (
+            <Link
+              key={competition._id}
+              to={`/public/competitions/${competition._id}`}
+              className="block"
+            >
+              <Card className="border-none shadow-sm ring-1 ring-slate-200 transition-shadow hover:shadow-md">
+                <CardContent className="flex items-center justify-between gap-4 p-5">
+                  <div className="min-w-0 space-y-1">
+                    <p className="truncate text-base font-bold text-slate-900">
+                      {competition.names?.en || competition.code}
+                    </p>
+                    <div className="flex flex-wrap items-center gap-3 text-xs text-slate-500">
+                      <span className="flex items-center gap-1">
+                        <Calendar className="h-3.5 w-3.5" />
+                        {formatDateRange(
+                          competition.startDate,
+                          competition.endDate,
+                        )}
+                      </span>
+                      {competition.venue?.city && (
+                        <span className="flex items-center gap-1">
+                          <MapPin className="h-3.5 w-3.5" />
+                          {competition.venue.name
+                            ? `${competition.venue.name}, `
+                            : ""}
+                          {competition.venue.city}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex shrink-0 items-center gap-2">
+                    {competition.resultsStatus === "official" && (
+                      <Badge variant="success">
+                        <Trophy className="mr-1 h-3 w-3" /> Official
+                      </Badge>
+                    )}
+                    <Badge variant="outline">
+                      {STATUS_LABELS[competition.status] || competition.status}
+                    </Badge>
+                  </div>
+                </CardContent>
+              </Card>
+            </Link>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PublicCompetitions;
@@ -14,6 +14,12 @@ import {
   CardDescription,
 } from "../components/ui/card";
 import { Badge } from "../components/ui/badge";
+import RaceProtestsCard from "../components/RaceProtestsCard";
+import RaceTimingImportCard from "../components/RaceTimingImportCard";
+import RaceCheckInCard from "../components/RaceCheckInCard";
+import { subscribeToCompetitionFeed } from "../lib/liveFeed";
+import { getSeatTag } from "../lib/crewSeats";
+import { getFinalTimeMs, getPenaltyMs } from "../lib/raceTimes";
 import {
   ArrowLeft,
   Trophy,
@@ -36,6 +42,43 @@ import autoTable from "jspdf-autotable";
 
 const API_BASE_URL = "";
 
+// Weigh-in problems that block a racing result
+const WEIGH_IN_LABELS = {
+  missing: "Not weighed",
+  overweight: "Overweight",
+  crew_average: "Crew average over limit",
+  cox_underweight: "Cox underweight",
+};
+
+const PROGRESSION_ROUND_LABELS = {
+  heat: "Heat",
+  repechage: "Repechage",
+  quarter_final: "Quarterfinal",
+  semi_final: "Semifinal",
+  final_a: "Final A",
+  final_b: "Final B",
+  final_c: "Final C",
+};
+
+const RESULTS_STATUS_LABELS = {
+  provisional: "PROVISIONAL",
+  protest_window: "PROTEST WINDOW",
+  official: "OFFICIAL",
+};
+
+// Round label from the progression metadata, e.g. "Heat 2" or "Final A"
+const formatRacePhase = (race) => {
+  const progression = race?.progression;
+  if (!progression?.round) {
+    return race?.phase || "Final";
+  }
+  const label =
+    PROGRESSION_ROUND_LABELS[progression.round] || progression.round;
+  return progression.round.startsWith("final_")
+    ? label
+    : `${label} ${progression.raceNumber || 1}`;
+};
+
 // Helper to load image as base64
 const loadImage = (url) => {
   return new Promise((resolve) => {
@@ -94,17 +137,12 @@ const formatAthleteName = (athlete) => {
   return athlete.licenseNumber || "Unknown athlete";
 };
 
-const formatCrewName = (crew) => {
+const formatCrewName = (crew, coxswain) => {
   if (!Array.isArray(crew) || crew.length === 0) return null;
   return crew
     .map((member, index, arr) => {
       const name = formatAthleteName(member);
-      let pos = "";
-      if (arr.length > 1) {
-        if (index === 0) pos = "(b) ";
-        else if (index === arr.length - 1) pos = "(s) ";
-        else pos = `(${index + 1}) `;
-      }
+      const pos = getSeatTag(arr, index, coxswain);
       return `${pos}${name}`;
     })
     .join(" / ");
@@ -122,6 +160,8 @@ const formatElapsedTime = (ms) => {
   return `${seconds}.${centis.toString().padStart(2, "0")}`;
 };
 
+const formatPenalty = (ms) => `+${(ms / 1000).toFixed(2)}s`;
+
 const formatDeltaSeconds = (ms) => {
   if (ms === undefined || ms === null || ms <= 0) return "";
   const totalSeconds = Math.floor(ms / 1000);
@@ -135,6 +175,45 @@ const formatDeltaSeconds = (ms) => {
   return `${seconds}.${centis.toString().padStart(2, "0")}`;
 };
 
+// Split marks every `interval` metres before the finish (500m -> 500/1000/1500 for 2000m)
+const getSplitMarks = (distance, interval) => {
+  const marks = [];
+  if (!distance || !interval || interval <= 0) return marks;
+  for (let mark = interval; mark < distance; mark += interval) {
+    marks.push(mark);
+  }
+  return marks;
+};
+
+// Rank and gap to the leader at every split mark, keyed by distance then lane
+const computeSplitStandings = (lanes = []) => {
+  const byDistance = {};
+  lanes.forEach((lane) => {
+    (lane.result?.splits || []).forEach((split) => {
+      byDistance[split.distance] = byDistance[split.distance] || [];
+      byDistance[split.distance].push({
+        lane: lane.lane,
+        elapsedMs: split.elapsedMs,
+      });
+    });
+  });
+
+  const standings = {};
+  Object.entries(byDistance).forEach(([distance, splits]) => {
+    splits.sort((a, b) => a.elapsedMs - b.elapsedMs);
+    const leaderMs = splits[0].elapsedMs;
+    standings[distance] = {};
+    splits.forEach((split, index) => {
+      standings[distance][split.lane] = {
+        elapsedMs: split.elapsedMs,
+        rank: index + 1,
+        deltaMs: split.elapsedMs - leaderMs,
+      };
+    });
+  });
+  return standings;
+};
+
 const parseTimeToMs = (timeStr) => {
   if (!timeStr || timeStr === "-") return undefined;
   const trimmed = timeStr.trim();
@@ -297,7 +376,11 @@ const RaceDetail = () => {
   const [activeRankingSystem, setActiveRankingSystem] = useState(null);
   const [showResultsEntry, setShowResultsEntry] = useState(false);
   const [resultsForm, setResultsForm] = useState({});
+  // Positions are only re-derived from final times when the official asks,
+  // so positions set by hand (dead heats, photo finish) are kept
+  const [rerankByTime, setRerankByTime] = useState(false);
   const [timeErrors, setTimeErrors] = useState({});
+  const [weighInByLane, setWeighInByLane] = useState({});
 
   const fetchData = useCallback(async () => {
     if (!token || !competitionId || !raceId) return;
@@ -375,6 +458,15 @@ const RaceDetail = () => {
               : "",
             status: lane.result?.status || "ok",
             notes: lane.result?.notes || "",
+            penalties: lane.result?.penalties || [],
+            splitTimes: Object.fromEntries(
+              (lane.result?.splits || []).map((split) => [
+                split.distance,
+                formatElapsedTime(split.elapsedMs),
+              ]),
+            ),
+            penaltySeconds: "",
+            penaltyReason: "",
           };
         });
         setResultsForm(initial);
@@ -391,6 +483,53 @@ const RaceDetail = () => {
     fetchData();
   }, [fetchData]);
 
+  // Live updates only refresh the displayed race; the results form is kept
+  const refreshRace = useCallback(async () => {
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/competitions/${competitionId}/races/${raceId}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      if (res.ok) setRace(await res.json());
+    } catch (err) {
+      console.error("Failed to refresh race", err);
+    }
+  }, [competitionId, raceId, token]);
+
+  useEffect(
+    () =>
+      subscribeToCompetitionFeed({
+        competitionId,
+        token,
+        onEvent: (event, data) => {
+          if (data?.raceId === raceId) refreshRace();
+        },
+      }),
+    [competitionId, raceId, token, refreshRace],
+  );
+
+  useEffect(() => {
+    if (!race?._id || !race.boatClass) return;
+    const loadWeighIns = async () => {
+      try {
+        const res = await fetch(
+          `${API_BASE_URL}/api/competitions/${competitionId}/weigh-ins/races/${race._id}`,
+          { headers: { Authorization: `Bearer ${token}` } },
+        );
+        if (!res.ok) return;
+        const data = await res.json();
+        setWeighInByLane(
+          Object.fromEntries(
+            (data.lanes || []).map((lane) => [lane.lane, lane]),
+          ),
+        );
+      } catch (err) {
+        console.error("Failed to load weigh-ins", err);
+      }
+    };
+    loadWeighIns();
+  }, [competitionId, race, token]);
+
   const category = useMemo(() => {
     const catId = toDocumentId(race?.category);
     return categories.find((c) => toDocumentId(c) === catId);
@@ -401,13 +540,43 @@ const RaceDetail = () => {
     return boatClasses.find((b) => toDocumentId(b) === boatId);
   }, [race, boatClasses]);
 
+  const raceDistance = useMemo(() => {
+    if (race?.distanceOverride) return race.distanceOverride;
+    const override = competition?.categoryDistances?.find(
+      (entry) =>
+        toDocumentId(entry.category) === toDocumentId(race?.category) &&
+        (!entry.boatClass ||
+          toDocumentId(entry.boatClass) === toDocumentId(race?.boatClass)),
+    );
+    return override?.distance || competition?.defaultDistance;
+  }, [race, competition]);
+
+  // Competition marks plus any split already recorded at another distance
+  const splitMarks = useMemo(() => {
+    const marks = new Set(
+      getSplitMarks(raceDistance, competition?.splitInterval),
+    );
+    (race?.lanes || []).forEach((lane) =>
+      (lane.result?.splits || []).forEach((split) => marks.add(split.distance)),
+    );
+    return [...marks].sort((a, b) => a - b);
+  }, [race, raceDistance, competition]);
+
+  const splitStandings = useMemo(
+    () => computeSplitStandings(race?.lanes),
+    [race],
+  );
+
   const calculatedPositions = useMemo(() => {
     const positions = {};
     const validEntries = [];
     Object.entries(resultsForm).forEach(([laneNum, data]) => {
       const ms = parseTimeToMs(data.elapsedTime);
       if (ms !== undefined && data.status === "ok") {
-        validEntries.push({ lane: parseInt(laneNum, 10), ms });
+        validEntries.push({
+          lane: parseInt(laneNum, 10),
+          ms: ms + getPenaltyMs(data),
+        });
       }
     });
     validEntries.sort((a, b) => a.ms - b.ms);
@@ -417,6 +586,21 @@ const RaceDetail = () => {
     return positions;
   }, [resultsForm]);
 
+  const getFormPosition = (lane) =>
+    rerankByTime
+      ? calculatedPositions[lane.lane]
+      : (lane.result?.finishPosition ?? calculatedPositions[lane.lane]);
+
+  const handleSplitChange = (laneNum, distance, value) => {
+    setResultsForm((prev) => ({
+      ...prev,
+      [laneNum]: {
+        ...prev[laneNum],
+        splitTimes: { ...prev[laneNum].splitTimes, [distance]: value },
+      },
+    }));
+  };
+
   const handleResultChange = (laneNum, field, value) => {
     setResultsForm((prev) => ({
       ...prev,
@@ -424,6 +608,38 @@ const RaceDetail = () => {
     }));
   };
 
+  const addPenalty = (laneNum) => {
+    const formData = resultsForm[laneNum];
+    const seconds = Number(formData?.penaltySeconds);
+    const reason = formData?.penaltyReason?.trim();
+    if (!Number.isFinite(seconds) || seconds <= 0 || !reason) {
+      toast.error("Enter a penalty in seconds and a reason");
+      return;
+    }
+    setResultsForm((prev) => ({
+      ...prev,
+      [laneNum]: {
+        ...prev[laneNum],
+        penalties: [
+          ...(prev[laneNum].penalties || []),
+          { amountMs: Math.round(seconds * 1000), reason },
+        ],
+        penaltySeconds: "",
+        penaltyReason: "",
+      },
+    }));
+  };
+
+  const removePenalty = (laneNum, index) => {
+    setResultsForm((prev) => ({
+      ...prev,
+      [laneNum]: {
+        ...prev[laneNum],
+        penalties: prev[laneNum].penalties.filter((_, i) => i !== index),
+      },
+    }));
+  };
+
   const saveResults = async (markCompleted = true) => {
     if (!token || !competitionId || !raceId) return;
     setSaving(true);
@@ -431,14 +647,20 @@ const RaceDetail = () => {
       const lanes = race.lanes.map((lane) => {
         const formData = resultsForm[lane.lane];
         const ms = parseTimeToMs(formData.elapsedTime);
+        const splits = splitMarks
+          .map((distance) => ({
+            distance,
+            elapsedMs: parseTimeToMs(formData.splitTimes?.[distance]),
+          }))
+          .filter((split) => split.elapsedMs !== undefined);
         return {
           lane: lane.lane,
-          result: {
-            finishPosition: calculatedPositions[lane.lane],
-            elapsedMs: ms,
-            status: formData.status,
-            notes: formData.notes,
-          },
+          finishPosition: getFormPosition(lane),
+          elapsedMs: ms,
+          status: formData.status,
+          notes: formData.notes,
+          penalties: formData.penalties || [],
+          splits,
         };
       });
 
@@ -450,13 +672,102 @@ const RaceDetail = () => {
             "Content-Type": "application/json",
             Authorization: `Bearer ${token}`,
           },
-          body: JSON.stringify({ lanes, markCompleted }),
+          body: JSON.stringify({
+            lanes,
+            markCompleted,
+            recomputePositions: rerankByTime,
+          }),
         },
       );
 
-      if (!res.ok) throw new Error("Failed to save results");
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.message || "Failed to save results");
+      }
       toast.success("Results saved successfully");
       setShowResultsEntry(false);
+      setRerankByTime(false);
+      fetchData();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const protestWindowOpen =
+    race?.resultsStatus === "protest_window" &&
+    race?.protestWindowEndsAt &&
+    new Date(race.protestWindowEndsAt) > new Date();
+
+  const updateResultsStatus = async (action, body = {}) => {
+    setSaving(true);
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/competitions/${competitionId}/races/${raceId}/results/${action}`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify(body),
+        },
+      );
+
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        throw new Error(data.message || "Failed to update results status");
+      }
+      return true;
+    } catch (err) {
+      toast.error(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const signOffResults = async () => {
+    if (!window.confirm("Sign off these results as official?")) return;
+    if (await updateResultsStatus("official")) {
+      toast.success("Results are now official");
+      fetchData();
+    }
+  };
+
+  const reopenResults = async () => {
+    const reason = window.prompt("Reason for reopening official results:");
+    if (!reason || !reason.trim()) return;
+    if (await updateResultsStatus("reopen", { reason: reason.trim() })) {
+      toast.success("Results reopened");
+      fetchData();
+    }
+  };
+
+  const redrawLanes = async () => {
+    if (!token || !competitionId || !raceId) return;
+    if (!window.confirm("Redraw lanes using the standard lane draw rules?")) {
+      return;
+    }
+    setSaving(true);
+    try {
+      const res = await fetch(
+        `${API_BASE_URL}/api/competitions/${competitionId}/races/${raceId}/lanes/redraw`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+        },
+      );
+
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.message || "Failed to redraw lanes");
+      }
+      toast.success("Lanes redrawn");
       fetchData();
     } catch (err) {
       toast.error(err.message);
@@ -579,7 +890,7 @@ const RaceDetail = () => {
     doc.text(fullEventName, center, yPos, { align: "center" });
     doc.setFontSize(9);
     doc.setFont(fontName, "normal");
-    doc.text(race.phase || "Final", rightMargin, yPos, { align: "right" });
+    doc.text(formatRacePhase(race), rightMargin, yPos, { align: "right" });
 
     // Line 3: Arabic text (center) | Distance (right)
     const raceDistance = race.distanceOverride || competition?.defaultDistance;
@@ -658,17 +969,15 @@ const RaceDetail = () => {
       if (isResults) {
         const pos = lane.result?.finishPosition || "-";
         const status = lane.result?.status || "ok";
+        const finalMs = getFinalTimeMs(lane.result);
+        const penaltyMs = getPenaltyMs(lane.result);
         timeStr =
-          status !== "ok"
-            ? status.toUpperCase()
-            : formatElapsedTime(lane.result?.elapsedMs);
-        if (
-          status === "ok" &&
-          pos > 1 &&
-          winningTime &&
-          lane.result?.elapsedMs
-        ) {
-          timeStr += `\n${formatDeltaSeconds(lane.result.elapsedMs - winningTime)}`;
+          status !== "ok" ? status.toUpperCase() : formatElapsedTime(finalMs);
+        if (status === "ok" && penaltyMs > 0) {
+          timeStr += `\n(${formatElapsedTime(lane.result.elapsedMs)} ${formatPenalty(penaltyMs)})`;
+        }
+        if (status === "ok" && pos > 1 && winningTime && finalMs) {
+          timeStr += `\n${formatDeltaSeconds(finalMs - winningTime)}`;
         }
         points = calculatePoints(pos, activeRankingSystem);
       }
@@ -691,12 +1000,7 @@ const RaceDetail = () => {
         athleteName = lane.crew
           .map((m, i, arr) => {
             const name = formatNameForPdf(m);
-            let pos = "";
-            if (arr.length > 1) {
-              if (i === 0) pos = "(b) ";
-              else if (i === arr.length - 1) pos = "(s) ";
-              else pos = `(${i + 1}) `;
-            }
+            const pos = getSeatTag(arr, i, lane.coxswain);
             return `${pos}${name}`;
           })
           .join("\n");
@@ -714,19 +1018,27 @@ const RaceDetail = () => {
         ? [
             lane.result?.finishPosition || "-",
             lane.lane,
+            lane.bowNumber || "",
             clubCode,
             athleteName,
             timeStr,
             points,
           ]
-        : [lane.lane, clubCode, athleteName, license, dob];
+        : [
+            lane.lane,
+            lane.bowNumber || "",
+            clubCode,
+            athleteName,
+            license,
+            dob,
+          ];
     });
 
     autoTable(doc, {
       startY: yPos,
       head: isResults
-        ? [["Rank", "Lane", "Club", "Name", "Time", "Points"]]
-        : [["Lane", "Club", "Name", "License", "DOB"]],
+        ? [["Rank", "Lane", "Bow", "Club", "Name", "Time", "Points"]]
+        : [["Lane", "Bow", "Club", "Name", "License", "DOB"]],
       body: tableBody,
       theme: "plain",
       headStyles: {
@@ -745,15 +1057,17 @@ const RaceDetail = () => {
       columnStyles: isResults
         ? {
             0: { cellWidth: 14, halign: "center", fontStyle: "bold" },
-            2: { fontStyle: "bold" },
+            2: { cellWidth: 12, halign: "center" },
             3: { fontStyle: "bold" },
-            4: { halign: "right" },
-            5: { halign: "center", fontStyle: "bold" },
+            4: { fontStyle: "bold" },
+            5: { halign: "right" },
+            6: { halign: "center", fontStyle: "bold" },
           }
         : {
             0: { cellWidth: 15, halign: "center" },
-            1: { fontStyle: "bold" },
+            1: { cellWidth: 12, halign: "center", fontStyle: "bold" },
             2: { fontStyle: "bold" },
+            3: { fontStyle: "bold" },
           },
       margin: {
         left: leftMargin,
@@ -909,8 +1223,9 @@ const RaceDetail = () => {
     return a.lane - b.lane;
   });
 
-  const winningTime = sortedLanes.find((l) => l.result?.finishPosition === 1)
-    ?.result?.elapsedMs;
+  const winningTime = getFinalTimeMs(
+    sortedLanes.find((l) => l.result?.finishPosition === 1)?.result,
+  );
 
   return (
     <div className="min-h-screen bg-slate-50/50 pb-20">
@@ -939,6 +1254,17 @@ const RaceDetail = () => {
                 >
                   {race?.status?.toUpperCase()}
                 </Badge>
+                {race?.resultsStatus && race.resultsStatus !== "pending" && (
+                  <Badge
+                    variant={
+                      race.resultsStatus === "official" ? "success" : "warning"
+                    }
+                    className="h-5"
+                  >
+                    {RESULTS_STATUS_LABELS[race.resultsStatus] ||
+                      race.resultsStatus}
+                  </Badge>
+                )}
               </div>
               <h1 className="text-xl font-bold text-slate-900 line-clamp-1">
                 {category?.titles?.en} {boatClass?.names?.en}
@@ -947,12 +1273,51 @@ const RaceDetail = () => {
           </div>
 
           <div className="flex items-center gap-2">
-            {isAdmin && !showResultsEntry && (
+            {isAdmin &&
+              race?.status === "completed" &&
+              race?.resultsStatus !== "official" && (
+                <Button
+                  variant="outline"
+                  onClick={signOffResults}
+                  disabled={saving || protestWindowOpen}
+                  title={
+                    protestWindowOpen
+                      ? `Protest window open until ${new Date(race.protestWindowEndsAt).toLocaleTimeString()}`
+                      : undefined
+                  }
+                  className="hidden sm:flex"
+                >
+                  <Shield className="mr-2 h-4 w-4" /> Sign Off Official
+                </Button>
+              )}
+            {isAdmin && race?.resultsStatus === "official" && (
+              <Button
+                variant="outline"
+                onClick={reopenResults}
+                disabled={saving}
+                className="hidden sm:flex"
+              >
+                <Edit3 className="mr-2 h-4 w-4" /> Reopen Results
+              </Button>
+            )}
+            {isAdmin &&
+              !showResultsEntry &&
+              race?.resultsStatus !== "official" && (
+                <Button
+                  onClick={() => setShowResultsEntry(true)}
+                  className="hidden sm:flex"
+                >
+                  <Edit3 className="mr-2 h-4 w-4" /> Enter Results
+                </Button>
+              )}
+            {isAdmin && !showResultsEntry && race?.status === "scheduled" && (
               <Button
-                onClick={() => setShowResultsEntry(true)}
+                variant="outline"
+                onClick={redrawLanes}
+                disabled={saving}
                 className="hidden sm:flex"
               >
-                <Edit3 className="mr-2 h-4 w-4" /> Enter Results
+                <Hash className="mr-2 h-4 w-4" /> Redraw Lanes
               </Button>
             )}
             <Button variant="outline" size="icon" className="sm:hidden">
@@ -1024,7 +1389,7 @@ const RaceDetail = () => {
                       Phase
                     </p>
                     <p className="text-base font-bold text-slate-900">
-                      {race?.phase || "Final"}
+                      {formatRacePhase(race)}
                     </p>
                   </div>
                 </div>
@@ -1075,6 +1440,64 @@ const RaceDetail = () => {
               </CardContent>
             </Card>
 
+            {race && (
+              <RaceProtestsCard
+                competitionId={competitionId}
+                race={race}
+                token={token}
+                user={user}
+                onRaceUpdated={fetchData}
+              />
+            )}
+
+            {isAdmin && race?.eligibilityOverrides?.length > 0 && (
+              <Card className="border-none shadow-sm ring-1 ring-amber-200">
+                <CardHeader className="pb-3">
+                  <CardTitle className="flex items-center gap-2 text-sm font-bold uppercase tracking-wider text-amber-700">
+                    <Shield className="h-4 w-4" /> Eligibility Overrides
+                  </CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-3">
+                  {race.eligibilityOverrides.map((override, index) => (
+                    <div key={index} className="space-y-1 text-xs">
+                      <p className="font-semibold text-slate-700">
+                        {override.reason}
+                      </p>
+                      <p className="text-slate-400">
+                        {override.at && new Date(override.at).toLocaleString()}
+                      </p>
+                      <ul className="list-disc space-y-0.5 pl-4 text-slate-600">
+                        {override.issues.map((issue, issueIndex) => (
+                          <li key={issueIndex}>
+                            {issue.lane ? `Lane ${issue.lane}: ` : ""}
+                            {issue.message || issue.code}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+            )}
+
+            {race && isAdmin && race.status !== "cancelled" && (
+              <RaceCheckInCard
+                competitionId={competitionId}
+                race={race}
+                token={token}
+                onRaceUpdated={fetchData}
+              />
+            )}
+
+            {race && isAdmin && race.resultsStatus !== "official" && (
+              <RaceTimingImportCard
+                competitionId={competitionId}
+                race={race}
+                token={token}
+                onRaceUpdated={fetchData}
+              />
+            )}
+
             {isAdmin && process.env.NODE_ENV === "development" && (
               <Button
                 variant="ghost"
@@ -1121,21 +1544,32 @@ const RaceDetail = () => {
                             <span className="flex h-8 w-8 items-center justify-center rounded-full bg-slate-100 text-sm font-bold text-slate-700">
                               {lane.lane}
                             </span>
-                            {calculatedPositions[lane.lane] && (
+                            {getFormPosition(lane) && (
                               <span className="mt-1 text-xs font-bold text-indigo-600">
-                                #{calculatedPositions[lane.lane]}
+                                #{getFormPosition(lane)}
                               </span>
                             )}
                           </div>
                           <div className="flex flex-col">
                             <span className="font-semibold text-slate-900 truncate max-w-[200px]">
                               {lane.crew?.length > 0
-                                ? formatCrewName(lane.crew)
+                                ? formatCrewName(lane.crew, lane.coxswain)
                                 : formatAthleteName(lane.athlete)}
                             </span>
                             <span className="text-xs text-slate-500 uppercase">
+                              {lane.bowNumber ? `Bow ${lane.bowNumber} - ` : ""}
                               {lane.club?.code}
                             </span>
+                            {weighInByLane[lane.lane] &&
+                              !weighInByLane[lane.lane].passed && (
+                                <span className="text-xs font-semibold text-rose-600">
+                                  Weigh-in:{" "}
+                                  {WEIGH_IN_LABELS[
+                                    weighInByLane[lane.lane].status
+                                  ] || weighInByLane[lane.lane].status}{" "}
+                                  - DNS/DSQ only
+                                </span>
+                              )}
                           </div>
                         </div>
 
@@ -1188,10 +1622,126 @@ const RaceDetail = () => {
                             ))}
                           </Select>
                         </div>
+
+                        {splitMarks.length > 0 && (
+                          <div className="grid grid-cols-2 gap-2 sm:col-span-4 sm:grid-cols-4">
+                            {splitMarks.map((distance) => (
+                              <div key={distance} className="space-y-1">
+                                <Label className="text-[10px] uppercase text-slate-400">
+                                  {distance}m split
+                                </Label>
+                                <Input
+                                  placeholder="MM:SS.cc"
+                                  value={
+                                    resultsForm[lane.lane]?.splitTimes?.[
+                                      distance
+                                    ] || ""
+                                  }
+                                  onChange={(e) =>
+                                    handleSplitChange(
+                                      lane.lane,
+                                      distance,
+                                      e.target.value,
+                                    )
+                                  }
+                                  onBlur={(e) => {
+                                    const formatted = autoFormatTime(
+                                      e.target.value,
+                                    );
+                                    if (formatted !== e.target.value) {
+                                      handleSplitChange(
+                                        lane.lane,
+                                        distance,
+                                        formatted,
+                                      );
+                                    }
+                                  }}
+                                  className="font-mono"
+                                />
+                              </div>
+                            ))}
+                          </div>
+                        )}
+
+                        <div className="space-y-2 sm:col-span-4">
+                          {resultsForm[lane.lane]?.penalties?.length > 0 && (
+                            <div className="flex flex-wrap gap-2">
+                              {resultsForm[lane.lane].penalties.map(
+                                (penalty, index) => (
+                                  <span
+                                    key={index}
+                                    className="inline-flex items-center gap-1 rounded-full bg-amber-50 px-2 py-0.5 text-xs font-medium text-amber-700"
+                                  >
+                                    {formatPenalty(penalty.amountMs)}{" "}
+                                    {penalty.reason}
+                                    <button
+                                      type="button"
+                                      onClick={() =>
+                                        removePenalty(lane.lane, index)
+                                      }
+                                      className="text-amber-500 hover:text-amber-800"
+                                    >
+                                      <X className="h-3 w-3" />
+                                    </button>
+                                  </span>
+                                ),
+                              )}
+                            </div>
+                          )}
+                          <div className="flex gap-2">
+                            <Input
+                              type="number"
+                              min="0"
+                              step="0.1"
+                              placeholder="Penalty (s)"
+                              value={
+                                resultsForm[lane.lane]?.penaltySeconds || ""
+                              }
+                              onChange={(e) =>
+                                handleResultChange(
+                                  lane.lane,
+                                  "penaltySeconds",
+                                  e.target.value,
+                                )
+                              }
+                              className="w-32"
+                            />
+                            <Input
+                              placeholder="Penalty reason (e.g. missed buoy)"
+                              value={
+                                resultsForm[lane.lane]?.penaltyReason || ""
+                              }
+                              onChange={(e) =>
+                                handleResultChange(
+                                  lane.lane,
+                                  "penaltyReason",
+                                  e.target.value,
+                                )
+                              }
+                            />
+                            <Button
+                              type="button"
+                              variant="outline"
+                              onClick={() => addPenalty(lane.lane)}
+                            >
+                              Add
+                            </Button>
+                          </div>
+                        </div>
                       </div>
                     ))}
                   </div>
 
+                  <label className="mt-6 flex items-center gap-2 text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={rerankByTime}
+                      onChange={(e) => setRerankByTime(e.target.checked)}
+                    />
+                    Re-rank positions by final time (replaces positions already
+                    saved)
+                  </label>
+
                   <div className="mt-8 flex flex-col-reverse gap-3 sm:flex-row sm:justify-end">
                     <Button
                       variant="outline"
@@ -1265,7 +1815,7 @@ const RaceDetail = () => {
                         <div className="flex flex-1 flex-col min-w-0">
                           <h4 className="text-base font-bold text-slate-900 truncate">
                             {lane.crew?.length > 0
-                              ? formatCrewName(lane.crew)
+                              ? formatCrewName(lane.crew, lane.coxswain)
                               : formatAthleteName(lane.athlete)}
                           </h4>
                           <div className="flex items-center gap-2">
@@ -1278,7 +1828,44 @@ const RaceDetail = () => {
                             <span className="text-xs text-slate-500 truncate">
                               {lane.club?.name}
                             </span>
+                            {weighInByLane[lane.lane] &&
+                              !weighInByLane[lane.lane].passed && (
+                                <Badge
+                                  variant="error"
+                                  className="text-[10px] px-1.5 py-0"
+                                >
+                                  {WEIGH_IN_LABELS[
+                                    weighInByLane[lane.lane].status
+                                  ] || weighInByLane[lane.lane].status}
+                                </Badge>
+                              )}
                           </div>
+                          {lane.result?.splits?.length > 0 && (
+                            <div className="mt-1 flex flex-wrap gap-x-3 gap-y-1 text-[11px] text-slate-500">
+                              {lane.result.splits.map((split) => {
+                                const standing =
+                                  splitStandings[split.distance]?.[lane.lane];
+                                return (
+                                  <span
+                                    key={split.distance}
+                                    className="font-mono"
+                                  >
+                                    <span className="font-semibold text-slate-400">
+                                      {split.distance}m
+                                    </span>{" "}
+                                    {formatElapsedTime(split.elapsedMs)}
+                                    {standing && ` (${standing.rank})`}
+                                    {standing?.deltaMs > 0 && (
+                                      <span className="text-rose-500">
+                                        {" "}
+                                        +{formatDeltaSeconds(standing.deltaMs)}
+                                      </span>
+                                    )}
+                                  </span>
+                                );
+                              })}
+                            </div>
+                          )}
                         </div>
 
                         {/* Timing & Points */}
@@ -1289,20 +1876,33 @@ const RaceDetail = () => {
                             >
                               {status !== "ok"
                                 ? status.toUpperCase()
-                                : lane.result?.elapsedMs
-                                  ? formatElapsedTime(lane.result.elapsedMs)
+                                : getFinalTimeMs(lane.result)
+                                  ? formatElapsedTime(
+                                      getFinalTimeMs(lane.result),
+                                    )
                                   : "-"}
                             </p>
                           </div>
+                          {status === "ok" && getPenaltyMs(lane.result) > 0 && (
+                            <span
+                              className="text-xs font-medium text-amber-600"
+                              title={lane.result.penalties
+                                .map((p) => p.reason)
+                                .join(", ")}
+                            >
+                              {formatElapsedTime(lane.result.elapsedMs)}{" "}
+                              {formatPenalty(getPenaltyMs(lane.result))}
+                            </span>
+                          )}
                           {race.status === "completed" && status === "ok" && (
                             <div className="flex items-center gap-2">
                               {lane.result?.finishPosition > 1 &&
                                 winningTime &&
-                                lane.result?.elapsedMs && (
+                                getFinalTimeMs(lane.result) && (
                                   <span className="text-xs font-medium text-rose-500">
                                     +
                                     {formatDeltaSeconds(
-                                      lane.result.elapsedMs - winningTime,
+                                      getFinalTimeMs(lane.result) - winningTime,
                                     )}
                                   </span>
                                 )}